@@ -0,0 +1,4 @@
+// Tests run with NODE_ENV=test (development JWT secret allowed, see src/config/jwt.js)
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+
+module.exports = {};
@@ -4,4 +4,167 @@
  * Define all constants: exercises, weight categories, age categories, etc.
  */
 
-// TODO: Define constants (EXERCISES, WEIGHT_CATEGORIES, AGE_CATEGORIES, VOTE_TYPES)
+// Meet levels (meets.level)
+export const MEET_LEVELS = ['REGIONALE', 'NAZIONALE'];
+
+// Athlete sex (athletes.sex, weight_categories.sex)
+export const SEXES = ['M', 'F'];
+
+// Judge roles (judges.role) - 1 HEAD + 2 SIDE
+export const JUDGE_ROLES = ['HEAD', 'LEFT', 'RIGHT'];
+
+// Judge vote types
+export const VOTE_TYPES = ['WHITE', 'RED'];
+
+// Attempt statuses (attempts.status)
+export const ATTEMPT_STATUSES = ['PENDING', 'VALID', 'INVALID'];
+
+// Referee fault cards: reason for a red light
+export const FAULT_CODES = {
+  NO_DEAD_HANG: 'Did not start from a dead hang',
+  KIPPING: 'Kipping or swinging',
+  CHIN_NOT_OVER_BAR: 'Chin not over the bar',
+  CHICKEN_WING: 'Uneven transition (chicken wing)',
+  DEPTH: 'Insufficient depth',
+  INCOMPLETE_LOCKOUT: 'Incomplete lockout',
+  DOWNWARD_MOVEMENT: 'Downward movement during the ascent',
+  FOOT_MOVEMENT: 'Feet moved during the lift',
+  LEG_DRIVE: 'Leg drive / leaning back',
+  NO_SIGNAL: 'Did not follow the referee signal'
+};
+
+// Fault codes allowed for each lift (lifts.id)
+export const LIFT_FAULT_CODES = {
+  MU: ['NO_DEAD_HANG', 'KIPPING', 'CHICKEN_WING', 'INCOMPLETE_LOCKOUT', 'DOWNWARD_MOVEMENT', 'NO_SIGNAL'],
+  PU: ['NO_DEAD_HANG', 'KIPPING', 'CHIN_NOT_OVER_BAR', 'DOWNWARD_MOVEMENT', 'NO_SIGNAL'],
+  DIP: ['DEPTH', 'KIPPING', 'INCOMPLETE_LOCKOUT', 'DOWNWARD_MOVEMENT', 'NO_SIGNAL'],
+  SQ: ['DEPTH', 'INCOMPLETE_LOCKOUT', 'DOWNWARD_MOVEMENT', 'FOOT_MOVEMENT', 'NO_SIGNAL'],
+  MP: ['INCOMPLETE_LOCKOUT', 'LEG_DRIVE', 'DOWNWARD_MOVEMENT', 'FOOT_MOVEMENT', 'NO_SIGNAL']
+};
+
+// Reasons sent with vote:rejected
+export const VOTE_REJECT_REASONS = {
+  DUPLICATE_VOTE: 'DUPLICATE_VOTE',         // judge already voted, no change authorized
+  ATTEMPT_NOT_FOUND: 'ATTEMPT_NOT_FOUND',
+  ATTEMPT_FINALIZED: 'ATTEMPT_FINALIZED',   // attempt already VALID/INVALID
+  NO_ACTIVE_ATTEMPT: 'NO_ACTIVE_ATTEMPT',   // competition not started
+  NOT_CURRENT_ATTEMPT: 'NOT_CURRENT_ATTEMPT', // not the athlete/lift/round on the platform
+  INVALID_FAULT_CODE: 'INVALID_FAULT_CODE'  // unknown for the lift, or sent with a WHITE
+};
+
+// Seconds a judge has to change a vote after the HEAD judge authorizes it
+export const VOTE_CHANGE_WINDOW_SECONDS = 15;
+
+// Reasons sent with weight:rejected (attempt weight declarations/changes)
+export const ATTEMPT_CHANGE_RULES = {
+  ATTEMPT_FINALIZED: 'ATTEMPT_FINALIZED',         // attempt already VALID/INVALID
+  ATHLETE_CALLED: 'ATHLETE_CALLED',               // athlete already on the platform for this attempt
+  MAX_CHANGES_EXCEEDED: 'MAX_CHANGES_EXCEEDED',   // more than MAX_ATTEMPT_WEIGHT_CHANGES
+  BELOW_DECLARED_WEIGHT: 'BELOW_DECLARED_WEIGHT', // declared weight can only go up
+  BELOW_PREVIOUS_SUCCESS: 'BELOW_PREVIOUS_SUCCESS', // below a weight already lifted (same lift)
+  INVALID_INCREMENT: 'INVALID_INCREMENT'          // increment not allowed by plateLoadingService
+};
+
+// Weight changes allowed on a declared attempt
+export const MAX_ATTEMPT_WEIGHT_CHANGES = Number(process.env.MAX_ATTEMPT_WEIGHT_CHANGES) || 2;
+
+// lifts.id → lift name used by plateLoadingService
+export const LIFT_PLATE_NAMES = {
+  MU: 'MU',
+  PU: 'PULL',
+  DIP: 'DIP',
+  SQ: 'SQUAT',
+  MP: 'MILITARY_PRESS'
+};
+
+// Platform clock (current_state.timer_*)
+export const TIMER_STATUSES = ['STOPPED', 'RUNNING', 'PAUSED', 'EXPIRED'];
+export const TIMER_KINDS = ['ATTEMPT', 'DECLARATION', 'BREAK'];
+
+// Default clock durations in seconds (env overrides)
+export const TIMER_DEFAULT_SECONDS = {
+  ATTEMPT: Number(process.env.ATTEMPT_CLOCK_SECONDS) || 60,
+  DECLARATION: Number(process.env.DECLARATION_CLOCK_SECONDS) || 60,
+  BREAK: Number(process.env.LIFT_BREAK_SECONDS ?? 600) // break between lifts/flights (0 = none)
+};
+
+// Interval between timer:tick broadcasts
+export const TIMER_TICK_MS = 1000;
+
+// Seconds an athlete has to declare the next attempt after a result
+export const DECLARATION_DEADLINE_SECONDS = Number(process.env.DECLARATION_DEADLINE_SECONDS) || 60;
+
+// Weight declared automatically when the deadline expires:
+// previous weight + increment, depending on the previous result
+export const DECLARATION_DEFAULT_RULE = {
+  VALID: Number(process.env.DECLARATION_DEFAULT_VALID_KG ?? 2.5),
+  INVALID: Number(process.env.DECLARATION_DEFAULT_INVALID_KG ?? 0)
+};
+
+// Lifting order tie-breaks (same declared weight, same round), applied in order:
+// PREVIOUS_ORDER  who lifted first in the previous round goes first
+// BODYWEIGHT      heavier athlete first
+// LOT             lower lot number (drawn at weigh-in) first
+export const ORDER_TIE_BREAKS = ['PREVIOUS_ORDER', 'BODYWEIGHT', 'LOT'];
+
+export const LIFTING_ORDER_TIE_BREAKS = (process.env.LIFTING_ORDER_TIE_BREAKS || 'PREVIOUS_ORDER,BODYWEIGHT,LOT')
+  .split(',')
+  .map(rule => rule.trim())
+  .filter(rule => ORDER_TIE_BREAKS.includes(rule));
+
+// Scoring formula of meets whose regulation_code is unknown (scoringService)
+export const DEFAULT_SCORING_CODE = process.env.DEFAULT_SCORING_CODE || 'RIS';
+
+// Team classification defaults (meets.team_points / meets.team_scorers override them)
+// Points per category placement (1st, 2nd, ...; beyond the list: 0)
+export const TEAM_POINTS_DEFAULT = (process.env.TEAM_POINTS || '12,9,8,7,6,5,4,3,2,1')
+  .split(',')
+  .map(Number);
+
+// Best N scorers of each team counted (null = every scorer)
+export const TEAM_SCORERS_DEFAULT = Number(process.env.TEAM_SCORERS) || null;
+
+// Records broken during a meet (record_candidates.status)
+export const RECORD_CANDIDATE_STATUSES = ['PENDING', 'CONFIRMED', 'REJECTED'];
+
+// Competition journal (competition_events.type)
+export const JOURNAL_EVENT_TYPES = {
+  STATE_INITIALIZED: 'STATE_INITIALIZED', // stateMachine.initialize (payload: platform position)
+  NEXT: 'NEXT',                           // NEXT pressed (payload: new platform position)
+  STATE_RESTORED: 'STATE_RESTORED',       // NEXT undone (payload: restored platform position)
+  ATTEMPT_DECLARED: 'ATTEMPT_DECLARED',   // opener, declaration or 4th attempt (weight set, not a change)
+  WEIGHT_CHANGED: 'WEIGHT_CHANGED',       // weight change of a declared attempt
+  VOTE: 'VOTE',                           // judge vote
+  RESULT: 'RESULT',                       // result from the votes
+  RESULT_CORRECTED: 'RESULT_CORRECTED',   // attempt:correct
+  RESULT_UNDONE: 'RESULT_UNDONE',         // result/correction undone (previous status restored)
+  TIMER: 'TIMER'                          // clock started/paused/resumed/stopped/expired (payload: snapshot)
+};
+
+export default {
+  MEET_LEVELS,
+  SEXES,
+  JUDGE_ROLES,
+  VOTE_TYPES,
+  ATTEMPT_STATUSES,
+  FAULT_CODES,
+  LIFT_FAULT_CODES,
+  VOTE_REJECT_REASONS,
+  VOTE_CHANGE_WINDOW_SECONDS,
+  TIMER_STATUSES,
+  TIMER_KINDS,
+  TIMER_DEFAULT_SECONDS,
+  TIMER_TICK_MS,
+  DECLARATION_DEADLINE_SECONDS,
+  DECLARATION_DEFAULT_RULE,
+  ATTEMPT_CHANGE_RULES,
+  MAX_ATTEMPT_WEIGHT_CHANGES,
+  LIFT_PLATE_NAMES,
+  ORDER_TIE_BREAKS,
+  LIFTING_ORDER_TIE_BREAKS,
+  DEFAULT_SCORING_CODE,
+  TEAM_POINTS_DEFAULT,
+  TEAM_SCORERS_DEFAULT,
+  RECORD_CANDIDATE_STATUSES,
+  JOURNAL_EVENT_TYPES
+};
@@ -5,6 +5,7 @@
  */
 
 import sqlite3 from 'sqlite3';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
@@ -22,6 +23,13 @@ const DB_PATH = process.env.DATABASE_LOCAL_PATH
 // Singleton database instance
 let dbInstance = null;
 
+// Writes run one at a time on the shared connection: a transaction holds the
+// queue until COMMIT/ROLLBACK, so statements of other requests never join it
+let writeQueue = Promise.resolve();
+
+// Set while a transaction callback runs (its statements bypass the queue)
+const transactionScope = new AsyncLocalStorage();
+
 /**
  * Get database connection (singleton)
  */
@@ -80,13 +88,44 @@ export function all(sql, params = []) {
   });
 }
 
+/**
+ * Queue a write after the running transaction (and earlier writes)
+ * @param {Function} task - Async function executing the write
+ * @returns {Promise<*>} Task result
+ */
+function enqueueWrite(task) {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Check if the caller runs inside a transaction callback
+ * @returns {boolean}
+ */
+function inTransaction() {
+  return transactionScope.getStore()?.open === true;
+}
+
 /**
  * Query helper - Execute statement (INSERT, UPDATE, DELETE)
+ * Waits for the running transaction, unless issued from inside it
  * @param {string} sql - SQL statement
  * @param {Array} params - Statement parameters
  * @returns {Promise<{lastID: number, changes: number}>}
  */
 export function run(sql, params = []) {
+  if (inTransaction()) {
+    return execute(sql, params);
+  }
+  return enqueueWrite(() => execute(sql, params));
+}
+
+/**
+ * Execute statement on the connection (no queueing)
+ * @private
+ */
+function execute(sql, params = []) {
   return new Promise((resolve, reject) => {
     const db = getDatabase();
     db.run(sql, params, function(err) {
@@ -102,6 +141,38 @@ export function run(sql, params = []) {
   });
 }
 
+/**
+ * Run several statements atomically
+ * Rolls back everything if the callback throws
+ * One transaction at a time: other transactions and writes wait for it
+ * (a transaction started inside the callback joins the running one)
+ * @param {Function} callback - Async function executing the statements
+ * @returns {Promise<*>} Callback result
+ */
+export async function transaction(callback) {
+  if (inTransaction()) {
+    return await callback();
+  }
+
+  return enqueueWrite(() => {
+    const scope = { open: true };
+    return transactionScope.run(scope, async () => {
+      await execute('BEGIN TRANSACTION');
+      try {
+        const result = await callback();
+        await execute('COMMIT');
+        return result;
+      } catch (err) {
+        await execute('ROLLBACK');
+        throw err;
+      } finally {
+        // Async work left behind by the callback queues like any other write
+        scope.open = false;
+      }
+    });
+  });
+}
+
 /**
  * Close database connection
  */
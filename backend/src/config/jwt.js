@@ -2,6 +2,67 @@
  * JWT Configuration
  * 
  * JWT token generation and verification settings
+ * 
+ * TOKEN TYPES (payload.type = scope):
+ * - federation: { federationId, username }   → federation admin, owns its meets
+ * - regista:    { federationId, meetId }     → runs ONE meet (issued by its federation)
+ * - judge:      { judgeId, meetId, role }    → votes in ONE meet (QR code login)
  */
 
-// TODO: Configure JWT settings
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// The built-in secret is public: only development and test may fall back to it
+const DEV_SECRET_ENVS = ['development', 'test'];
+
+if (!process.env.JWT_SECRET && !DEV_SECRET_ENVS.includes(process.env.NODE_ENV)) {
+  throw new Error(`JWT_SECRET is required when NODE_ENV is not ${DEV_SECRET_ENVS.join(' or ')}`);
+}
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'street-control-dev-secret';
+export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+
+export const TOKEN_TYPES = {
+  FEDERATION: 'federation',
+  REGISTA: 'regista',
+  JUDGE: 'judge'
+};
+
+/**
+ * Sign a token
+ * @param {Object} payload - Token payload (must contain a valid type)
+ * @param {string} expiresIn - Expiration (default JWT_EXPIRES_IN)
+ * @returns {string} JWT
+ */
+export function signToken(payload, expiresIn = JWT_EXPIRES_IN) {
+  if (!Object.values(TOKEN_TYPES).includes(payload.type)) {
+    throw new Error(`Invalid token type: ${payload.type}`);
+  }
+  return jwt.sign(payload, JWT_SECRET, { expiresIn });
+}
+
+/**
+ * Verify a token
+ * @param {string} token - JWT
+ * @returns {Object} Decoded payload
+ * @throws {Error} If token is invalid, expired or has an unknown type
+ */
+export function verifyToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (!Object.values(TOKEN_TYPES).includes(decoded.type)) {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
+}
+
+export default {
+  JWT_SECRET,
+  JWT_EXPIRES_IN,
+  TOKEN_TYPES,
+  signToken,
+  verifyToken
+};
@@ -2,6 +2,204 @@
  * Athlete Controller
  * 
  * Business logic for athlete management
+ * (athlete registry + meet registrations and weigh-in)
  */
 
-// TODO: Implement athlete CRUD operations
+import Athlete from '../models/Athlete.js';
+import Registration from '../models/Registration.js';
+import Team from '../models/Team.js';
+import registrationService from '../services/registrationService.js';
+import stateMachine from '../services/stateMachine.js';
+import { NotFoundError, ConflictError, ValidationError } from '../utils/errorHandler.js';
+
+/**
+ * Normalize Codice Fiscale (always stored uppercase)
+ * @param {string} cf - Codice Fiscale
+ * @returns {string}
+ * @private
+ */
+function normalizeCF(cf) {
+  return cf.trim().toUpperCase();
+}
+
+/**
+ * Check that the club of an athlete exists
+ * @param {number|null} teamId - Team ID (null/undefined = no club)
+ * @returns {Promise<void>}
+ * @private
+ */
+async function assertTeamExists(teamId) {
+  if (teamId && !(await Team.exists(teamId))) {
+    throw new ValidationError(`Unknown team: ${teamId}`);
+  }
+}
+
+// ============================================
+// ATHLETE REGISTRY
+// ============================================
+
+/**
+ * POST /api/athletes
+ * Create new athlete
+ */
+export async function createAthlete(req, res) {
+  const cf = normalizeCF(req.body.cf);
+
+  if (await Athlete.findByCF(cf)) {
+    throw new ConflictError(`Athlete with CF ${cf} already exists`);
+  }
+  await assertTeamExists(req.body.team_id);
+
+  const id = await Athlete.create({ ...req.body, cf });
+  const athlete = await Athlete.findById(id);
+
+  res.status(201).json({
+    success: true,
+    data: athlete
+  });
+}
+
+/**
+ * GET /api/athletes?cf=...|q=...|meet_id=...
+ * - cf: exact Codice Fiscale lookup
+ * - q: search by first name, last name or CF
+ * - meet_id: athletes registered to a meet (with registration info)
+ */
+export async function getAthletes(req, res) {
+  const { cf, q, meet_id } = req.query;
+  let athletes;
+
+  if (cf) {
+    const athlete = await Athlete.findByCF(normalizeCF(cf));
+    athletes = athlete ? [athlete] : [];
+  } else if (q) {
+    athletes = await Athlete.search(q);
+  } else if (meet_id) {
+    athletes = await Athlete.findByMeet(meet_id);
+  } else {
+    athletes = await Athlete.findAll();
+  }
+
+  res.json({
+    success: true,
+    count: athletes.length,
+    data: athletes
+  });
+}
+
+/**
+ * GET /api/athletes/:id
+ * Get athlete by ID
+ */
+export async function getAthleteById(req, res) {
+  const athlete = await Athlete.findById(req.params.id);
+  if (!athlete) {
+    throw new NotFoundError(`Athlete with ID ${req.params.id} not found`);
+  }
+
+  res.json({
+    success: true,
+    data: athlete
+  });
+}
+
+/**
+ * PUT /api/athletes/:id
+ * Update athlete (partial)
+ */
+export async function updateAthlete(req, res) {
+  const { id } = req.params;
+
+  if (!(await Athlete.exists(id))) {
+    throw new NotFoundError(`Athlete with ID ${id} not found`);
+  }
+
+  const updates = { ...req.body };
+  if (updates.cf) {
+    updates.cf = normalizeCF(updates.cf);
+    const other = await Athlete.findByCF(updates.cf);
+    if (other && other.id !== id) {
+      throw new ConflictError(`Athlete with CF ${updates.cf} already exists`);
+    }
+  }
+  await assertTeamExists(updates.team_id);
+
+  await Athlete.partialUpdate(id, updates);
+  const athlete = await Athlete.findById(id);
+
+  res.json({
+    success: true,
+    data: athlete
+  });
+}
+
+// ============================================
+// MEET REGISTRATIONS
+// ============================================
+
+/**
+ * POST /api/athletes/:id/registrations
+ * Register athlete to a meet (categories assigned automatically)
+ */
+export async function registerAthlete(req, res) {
+  const registration = await registrationService.register(req.params.id, req.body, req.auth.type.toUpperCase());
+
+  res.status(201).json({
+    success: true,
+    data: registration
+  });
+}
+
+/**
+ * GET /api/athletes/registrations/:regId
+ * Get registration with openers
+ */
+export async function getRegistration(req, res) {
+  const registration = await registrationService.getRegistration(req.params.regId);
+
+  res.json({
+    success: true,
+    data: registration
+  });
+}
+
+/**
+ * PUT /api/athletes/registrations/:regId/weigh-in
+ * Record weigh-in bodyweight (recalculates categories, flags out_of_weight)
+ */
+export async function recordWeighIn(req, res) {
+  const result = await registrationService.recordWeighIn(req.params.regId, req.body, req.auth.type.toUpperCase());
+
+  res.json({
+    success: true,
+    data: result
+  });
+}
+
+/**
+ * DELETE /api/athletes/registrations/:regId
+ * Remove athlete from meet
+ */
+export async function deleteRegistration(req, res) {
+  const deleted = await Registration.delete(req.params.regId);
+  if (!deleted) {
+    throw new NotFoundError(`Registration with ID ${req.params.regId} not found`);
+  }
+  stateMachine.invalidateOrder();
+
+  res.json({
+    success: true,
+    message: `Registration ${req.params.regId} deleted`
+  });
+}
+
+export default {
+  createAthlete,
+  getAthletes,
+  getAthleteById,
+  updateAthlete,
+  registerAthlete,
+  getRegistration,
+  recordWeighIn,
+  deleteRegistration
+};
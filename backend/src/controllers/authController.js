@@ -2,6 +2,118 @@
  * Authentication Controller
  * 
  * Handles login for federation and judges
+ * 
+ * TOKENS:
+ * - POST /login          → federation token (username + password)
+ * - POST /regista-token  → regista token for ONE meet of the federation
+ * - POST /judge-login    → judge token from QR code is verified and echoed back
+ */
+
+import Federation from '../models/Federation.js';
+import Judge from '../models/Judge.js';
+import { signToken, verifyToken, TOKEN_TYPES, JWT_EXPIRES_IN } from '../config/jwt.js';
+import { UnauthorizedError } from '../utils/errorHandler.js';
+
+/**
+ * POST /api/auth/login
+ * Federation login
+ */
+export async function login(req, res) {
+  const { username, password } = req.body;
+
+  const federation = await Federation.verifyPassword(username, password);
+  if (!federation) {
+    throw new UnauthorizedError('Invalid username or password');
+  }
+
+  const token = signToken({
+    type: TOKEN_TYPES.FEDERATION,
+    federationId: federation.id,
+    username: federation.username
+  });
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      expiresIn: JWT_EXPIRES_IN,
+      federation
+    }
+  });
+}
+
+/**
+ * POST /api/auth/regista-token
+ * Issue a regista token for a meet owned by the logged federation
+ * (platform_no optional, default 1: the regista runs that platform)
+ */
+export async function issueRegistaToken(req, res) {
+  const token = signToken({
+    type: TOKEN_TYPES.REGISTA,
+    federationId: req.auth.federationId,
+    meetId: req.meet.id,
+    platformNo: req.body.platform_no ?? 1
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      token,
+      expiresIn: JWT_EXPIRES_IN,
+      meetId: req.meet.id,
+      platformNo: req.body.platform_no ?? 1
+    }
+  });
+}
+
+/**
+ * POST /api/auth/judge-login
+ * Judge login with the token from the QR code
+ */
+export async function judgeLogin(req, res) {
+  let decoded;
+  try {
+    decoded = verifyToken(req.body.token);
+  } catch (err) {
+    throw new UnauthorizedError(`Invalid token: ${err.message}`);
+  }
+
+  if (decoded.type !== TOKEN_TYPES.JUDGE) {
+    throw new UnauthorizedError('Not a judge token');
+  }
+
+  // Judge may have been removed after the QR was printed
+  const judge = await Judge.findById(decoded.judgeId);
+  if (!judge || judge.meet_id !== decoded.meetId) {
+    throw new UnauthorizedError('Judge no longer assigned to this meet');
+  }
+  if (judge.platform_no !== (decoded.platformNo ?? 1)) {
+    throw new UnauthorizedError('Judge moved to another platform: print a new QR code');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      token: req.body.token,
+      judge
+    }
+  });
+}
+
+/**
+ * GET /api/auth/me
+ * Decoded payload of the current token
  */
+export async function me(req, res) {
+  res.json({
+    success: true,
+    data: req.auth
+  });
+}
 
-// TODO: Implement login logic (federation + judges with QR code)
+export default {
+  login,
+  issueRegistaToken,
+  judgeLogin,
+  me
+};
@@ -1,7 +1,92 @@
 /**
  * Export Controller
  * 
- * Business logic for exporting results (PDF/Excel)
+ * Business logic for exporting results (CSV, opens in Excel)
+ * 
+ * RESULTS SHEET: 1 row per athlete per lift
+ * Athlete | Sex | Classes | Bodyweight | Lift | A1 kg/result/fault | A2 ... | A3 ... | Best
+ */
+
+import Attempt from '../models/Attempt.js';
+import Meet from '../models/Meet.js';
+import Registration from '../models/Registration.js';
+import { toCSV } from '../utils/helpers.js';
+import { NotFoundError } from '../utils/errorHandler.js';
+
+const ATTEMPT_NUMBERS = [1, 2, 3];
+
+/**
+ * Build result rows: registrations × meet lifts
+ * @param {Object} meet - Meet with lifts (Meet.getFullDetails)
+ * @param {Array} registrations - Registration.findByMeet rows
+ * @param {Array} attempts - Attempt.findByMeet rows
+ * @returns {Array<Array>}
+ * @private
  */
+function buildResultRows(meet, registrations, attempts) {
+  const attemptsByKey = new Map(
+    attempts.map(a => [`${a.reg_id}_${a.lift_id}_${a.attempt_no}`, a])
+  );
+
+  const rows = [];
+  for (const reg of registrations) {
+    for (const lift of meet.lifts) {
+      const row = [
+        reg.last_name,
+        reg.first_name,
+        reg.sex,
+        reg.weight_cat_name,
+        reg.age_cat_name,
+        reg.bodyweight_kg,
+        lift.name
+      ];
+
+      let best = null;
+      for (const attemptNo of ATTEMPT_NUMBERS) {
+        const attempt = attemptsByKey.get(`${reg.id}_${lift.id}_${attemptNo}`);
+        row.push(attempt?.weight_kg, attempt?.status, attempt?.fault_code);
+
+        if (attempt?.status === 'VALID' && (best === null || attempt.weight_kg > best)) {
+          best = attempt.weight_kg;
+        }
+      }
+
+      row.push(best);
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * GET /api/export/meets/:meetId/results.csv
+ * Download meet results (attempts with red-light fault codes)
+ */
+export async function exportResultsCSV(req, res) {
+  const { meetId } = req.params;
+
+  const meet = await Meet.getFullDetails(meetId);
+  if (!meet) {
+    throw new NotFoundError(`Meet with ID ${meetId} not found`);
+  }
+
+  const registrations = await Registration.findByMeet(meetId);
+  const attempts = await Attempt.findByMeet(meetId);
+
+  const header = [
+    'Last name', 'First name', 'Sex', 'Weight class', 'Age class', 'Bodyweight', 'Lift',
+    ...ATTEMPT_NUMBERS.flatMap(n => [`A${n} kg`, `A${n} result`, `A${n} fault`]),
+    'Best kg'
+  ];
+
+  const csv = toCSV(header, buildResultRows(meet, registrations, attempts));
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${meet.meet_code || `meet-${meet.id}`}-results.csv"`);
+  res.send(csv);
+}
 
-// TODO: Implement export to PDF and Excel
+export default {
+  exportResultsCSV
+};
@@ -1,7 +1,342 @@
 /**
  * Flight Controller
  * 
- * Business logic for flight and group management
+ * Business logic for flights, groups and group entries
+ * (manual building + auto-split by weight class and opener)
  */
 
-// TODO: Implement flight CRUD operations
+import Flight from '../models/Flight.js';
+import Meet from '../models/Meet.js';
+import Registration from '../models/Registration.js';
+import flightBuilderService from '../services/flightBuilderService.js';
+import stateMachine from '../services/stateMachine.js';
+import { transaction } from '../config/database-local.js';
+import { NotFoundError, ConflictError, ValidationError } from '../utils/errorHandler.js';
+
+/**
+ * Get flight or throw 404
+ * @param {number} id - Flight ID
+ * @returns {Promise<Object>}
+ * @private
+ */
+async function findFlightOrFail(id) {
+  const flight = await Flight.findFlightById(id);
+  if (!flight) {
+    throw new NotFoundError(`Flight with ID ${id} not found`);
+  }
+  return flight;
+}
+
+/**
+ * Get group or throw 404
+ * @param {number} id - Group ID
+ * @returns {Promise<Object>}
+ * @private
+ */
+async function findGroupOrFail(id) {
+  const group = await Flight.findGroupById(id);
+  if (!group) {
+    throw new NotFoundError(`Group with ID ${id} not found`);
+  }
+  return group;
+}
+
+/**
+ * Get group entry or throw 404
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object>}
+ * @private
+ */
+async function findEntryOrFail(id) {
+  const entry = await Flight.findEntryById(id);
+  if (!entry) {
+    throw new NotFoundError(`Group entry with ID ${id} not found`);
+  }
+  return entry;
+}
+
+// ============================================
+// FLIGHTS
+// ============================================
+
+/**
+ * GET /api/flights?meet_id=...
+ * Get all flights of a meet (with groups and athletes)
+ */
+export async function getFlights(req, res) {
+  const meetId = Number(req.query.meet_id);
+  if (!Number.isInteger(meetId) || meetId <= 0) {
+    throw new ValidationError('meet_id query parameter is required');
+  }
+
+  const flights = await Flight.findByMeet(meetId);
+  const data = await Promise.all(flights.map(f => Flight.getFullFlightDetails(f.id)));
+
+  res.json({
+    success: true,
+    count: data.length,
+    data
+  });
+}
+
+/**
+ * POST /api/flights
+ * Create flight (ord defaults to last + 1)
+ */
+export async function createFlight(req, res) {
+  const { meet_id } = req.body;
+
+  if (!(await Meet.findById(meet_id))) {
+    throw new NotFoundError(`Meet with ID ${meet_id} not found`);
+  }
+
+  const existing = await Flight.findByMeet(meet_id);
+  const ord = req.body.ord ?? existing.length + 1;
+
+  if (existing.some(f => f.ord === ord)) {
+    throw new ConflictError(`Meet ${meet_id} already has a flight with ord ${ord}`);
+  }
+
+  const id = await Flight.createFlight({ ...req.body, ord });
+  const flight = await Flight.getFullFlightDetails(id);
+
+  res.status(201).json({
+    success: true,
+    data: flight
+  });
+}
+
+/**
+ * POST /api/flights/auto-split
+ * Build flights and groups from the meet registrations
+ * Body: { meet_id, max_group_size, max_groups_per_flight?, lift_id?, replace? }
+ */
+export async function autoSplit(req, res) {
+  const flights = await flightBuilderService.autoSplit(req.body.meet_id, {
+    maxGroupSize: req.body.max_group_size,
+    maxGroupsPerFlight: req.body.max_groups_per_flight,
+    liftId: req.body.lift_id,
+    replace: req.body.replace === true
+  });
+
+  res.status(201).json({
+    success: true,
+    count: flights.length,
+    data: flights
+  });
+}
+
+/**
+ * GET /api/flights/:id
+ * Get flight with groups and athletes
+ */
+export async function getFlightById(req, res) {
+  const flight = await Flight.getFullFlightDetails(req.params.id);
+  if (!flight) {
+    throw new NotFoundError(`Flight with ID ${req.params.id} not found`);
+  }
+
+  res.json({
+    success: true,
+    data: flight
+  });
+}
+
+/**
+ * PUT /api/flights/:id
+ * Update flight (partial)
+ */
+export async function updateFlight(req, res) {
+  const { id } = req.params;
+  const existing = await findFlightOrFail(id);
+
+  await Flight.updateFlight(id, {
+    name: req.body.name ?? existing.name,
+    ord: req.body.ord ?? existing.ord,
+    start_time: req.body.start_time !== undefined ? req.body.start_time : existing.start_time,
+    platform_no: req.body.platform_no ?? existing.platform_no
+  });
+
+  const flight = await Flight.getFullFlightDetails(id);
+
+  res.json({
+    success: true,
+    data: flight
+  });
+}
+
+/**
+ * DELETE /api/flights/:id
+ * Delete flight (cascade: groups + entries)
+ */
+export async function deleteFlight(req, res) {
+  await findFlightOrFail(req.params.id);
+  await Flight.deleteFlight(req.params.id);
+  stateMachine.invalidateOrder();
+
+  res.json({
+    success: true,
+    message: `Flight ${req.params.id} deleted`
+  });
+}
+
+// ============================================
+// GROUPS
+// ============================================
+
+/**
+ * POST /api/flights/:id/groups
+ * Create group in a flight (ord defaults to last + 1)
+ */
+export async function createGroup(req, res) {
+  const flightId = req.params.id;
+  await findFlightOrFail(flightId);
+
+  const ord = req.body.ord ?? (await Flight.countGroupsInFlight(flightId)) + 1;
+  const groupId = await Flight.createGroup({ flight_id: flightId, name: req.body.name, ord });
+
+  const group = await Flight.findGroupById(groupId);
+  group.athletes = await Flight.getGroupEntries(groupId);
+
+  res.status(201).json({
+    success: true,
+    data: group
+  });
+}
+
+/**
+ * PUT /api/flights/groups/:groupId
+ * Update group (partial)
+ */
+export async function updateGroup(req, res) {
+  const { groupId } = req.params;
+  const existing = await findGroupOrFail(groupId);
+
+  await Flight.updateGroup(groupId, {
+    name: req.body.name ?? existing.name,
+    ord: req.body.ord ?? existing.ord
+  });
+
+  const group = await Flight.findGroupById(groupId);
+  group.athletes = await Flight.getGroupEntries(groupId);
+
+  res.json({
+    success: true,
+    data: group
+  });
+}
+
+/**
+ * DELETE /api/flights/groups/:groupId
+ * Delete group (cascade: entries)
+ */
+export async function deleteGroup(req, res) {
+  await findGroupOrFail(req.params.groupId);
+  await Flight.deleteGroup(req.params.groupId);
+  stateMachine.invalidateOrder();
+
+  res.json({
+    success: true,
+    message: `Group ${req.params.groupId} deleted`
+  });
+}
+
+// ============================================
+// GROUP ENTRIES
+// ============================================
+
+/**
+ * POST /api/flights/groups/:groupId/entries
+ * Add athlete (registration) to a group
+ * Body: { reg_id, start_ord? } (start_ord defaults to last + 1)
+ */
+export async function addEntry(req, res) {
+  const { groupId } = req.params;
+  const { reg_id } = req.body;
+
+  const group = await findGroupOrFail(groupId);
+  const flight = await Flight.findFlightById(group.flight_id);
+
+  const registration = await Registration.findById(reg_id);
+  if (!registration) {
+    throw new NotFoundError(`Registration with ID ${reg_id} not found`);
+  }
+  if (registration.meet_id !== flight.meet_id) {
+    throw new ValidationError(`Registration ${reg_id} does not belong to meet ${flight.meet_id}`);
+  }
+
+  const existingEntry = await Flight.findEntryByRegistration(reg_id);
+  if (existingEntry) {
+    throw new ConflictError(`Registration ${reg_id} is already in group "${existingEntry.group_name}"`);
+  }
+
+  const startOrd = req.body.start_ord ?? (await Flight.countAthletesInGroup(groupId)) + 1;
+  const entryId = await Flight.addAthleteToGroup({ group_id: groupId, reg_id, start_ord: startOrd });
+  stateMachine.invalidateOrder();
+
+  res.status(201).json({
+    success: true,
+    data: await Flight.findEntryById(entryId)
+  });
+}
+
+/**
+ * PUT /api/flights/entries/:entryId
+ * Move athlete to a new start_ord inside the group
+ * If the position is taken, the two athletes are swapped
+ */
+export async function updateEntry(req, res) {
+  const { entryId } = req.params;
+  const { start_ord } = req.body;
+
+  const entry = await findEntryOrFail(entryId);
+  const entries = await Flight.getGroupEntries(entry.group_id);
+  const occupant = entries.find(e => e.start_ord === start_ord && e.id !== entry.id);
+
+  await transaction(async () => {
+    if (occupant) {
+      // Temporary position to respect UNIQUE (group_id, start_ord)
+      await Flight.updateStartOrder(occupant.id, -entry.id);
+      await Flight.updateStartOrder(entry.id, start_ord);
+      await Flight.updateStartOrder(occupant.id, entry.start_ord);
+    } else {
+      await Flight.updateStartOrder(entry.id, start_ord);
+    }
+  });
+  stateMachine.invalidateOrder();
+
+  res.json({
+    success: true,
+    data: await Flight.getGroupEntries(entry.group_id)
+  });
+}
+
+/**
+ * DELETE /api/flights/entries/:entryId
+ * Remove athlete from group
+ */
+export async function deleteEntry(req, res) {
+  await findEntryOrFail(req.params.entryId);
+  await Flight.removeAthleteFromGroup(req.params.entryId);
+  stateMachine.invalidateOrder();
+
+  res.json({
+    success: true,
+    message: `Group entry ${req.params.entryId} deleted`
+  });
+}
+
+export default {
+  getFlights,
+  createFlight,
+  autoSplit,
+  getFlightById,
+  updateFlight,
+  deleteFlight,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addEntry,
+  updateEntry,
+  deleteEntry
+};
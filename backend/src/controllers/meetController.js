@@ -4,4 +4,273 @@
  * Business logic for meet management (CRUD)
  */
 
-// TODO: Implement meet CRUD operations
+import Meet from '../models/Meet.js';
+import Registration from '../models/Registration.js';
+import CurrentState from '../models/CurrentState.js';
+import Flight from '../models/Flight.js';
+import registrationService from '../services/registrationService.js';
+import journalService from '../services/journalService.js';
+import timerService from '../services/timerService.js';
+import { NotFoundError, ConflictError, ValidationError } from '../utils/errorHandler.js';
+import { MEET_LEVELS, JOURNAL_EVENT_TYPES } from '../config/constants.js';
+
+// federation_id is not editable: it always comes from the federation token
+const MEET_FIELDS = [
+  'meet_code', 'name', 'meet_type_id',
+  'start_date', 'level', 'regulation_code',
+  'team_points', 'team_scorers'
+];
+
+/**
+ * Load meet or throw 404
+ * @param {number} id - Meet ID
+ * @returns {Promise<Object>}
+ * @private
+ */
+async function findMeetOrFail(id) {
+  const meet = await Meet.findById(id);
+  if (!meet) {
+    throw new NotFoundError(`Meet with ID ${id} not found`);
+  }
+  return meet;
+}
+
+/**
+ * Check meet_code uniqueness and meet_type existence, normalize team_points
+ * @param {Object} data - Meet data
+ * @param {number} excludeId - Meet ID to exclude from code check (updates)
+ * @returns {Promise<void>}
+ * @private
+ */
+async function assertMeetDataConsistent(data, excludeId = null) {
+  if (data.meet_code && await Meet.codeExists(data.meet_code, excludeId)) {
+    throw new ConflictError(`Meet code "${data.meet_code}" already exists`);
+  }
+
+  if (data.meet_type_id && !(await Meet.meetTypeExists(data.meet_type_id))) {
+    throw new ValidationError(`Unknown meet type: ${data.meet_type_id}`);
+  }
+
+  // Team points per placement: [12, 9, 8, ...] stored as "12,9,8,..."
+  if (Array.isArray(data.team_points)) {
+    if (data.team_points.length === 0 || !data.team_points.every(p => typeof p === 'number' && p >= 0)) {
+      throw new ValidationError('team_points must be a non-empty list of points (>= 0) per placement');
+    }
+    data.team_points = data.team_points.join(',');
+  }
+}
+
+/**
+ * POST /api/meets
+ * Create new meet (owned by the logged federation)
+ */
+export async function createMeet(req, res) {
+  const data = { federation_id: req.auth.federationId };
+  MEET_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  await assertMeetDataConsistent(data);
+
+  const id = await Meet.create(data);
+  const meet = await Meet.getFullDetails(id);
+
+  res.status(201).json({
+    success: true,
+    data: meet
+  });
+}
+
+/**
+ * GET /api/meets?level=REGIONALE
+ * List meets (optional level filter)
+ */
+export async function getMeets(req, res) {
+  const { level } = req.query;
+  if (level && !MEET_LEVELS.includes(level)) {
+    throw new ValidationError(`level must be one of: ${MEET_LEVELS.join(', ')}`);
+  }
+
+  const meets = await Meet.findAll(level || null);
+
+  res.json({
+    success: true,
+    count: meets.length,
+    data: meets
+  });
+}
+
+/**
+ * GET /api/meets/:id
+ * Get meet with full details (type + lifts)
+ */
+export async function getMeetById(req, res) {
+  const meet = await Meet.getFullDetails(req.params.id);
+  if (!meet) {
+    throw new NotFoundError(`Meet with ID ${req.params.id} not found`);
+  }
+
+  res.json({
+    success: true,
+    data: meet
+  });
+}
+
+/**
+ * PUT /api/meets/:id
+ * Update meet (fields not provided keep their current value)
+ */
+export async function updateMeet(req, res) {
+  const { id } = req.params;
+  const existing = await findMeetOrFail(id);
+
+  const data = { federation_id: existing.federation_id };
+  MEET_FIELDS.forEach(field => {
+    data[field] = req.body[field] !== undefined ? req.body[field] : existing[field];
+  });
+
+  await assertMeetDataConsistent(data, id);
+
+  await Meet.update(id, data);
+  const meet = await Meet.getFullDetails(id);
+
+  res.json({
+    success: true,
+    data: meet
+  });
+}
+
+/**
+ * DELETE /api/meets/:id
+ * Delete meet (cascade: judges, registrations, flights, attempts)
+ */
+export async function deleteMeet(req, res) {
+  const { id } = req.params;
+  await findMeetOrFail(id);
+
+  const states = await CurrentState.findByMeet(id);
+  if (states.some(state => state.current_group_id)) {
+    throw new ConflictError('Cannot delete a meet that is currently in progress');
+  }
+
+  await Meet.delete(id);
+
+  res.json({
+    success: true,
+    message: `Meet ${id} deleted`
+  });
+}
+
+/**
+ * GET /api/meets/:id/statistics
+ * Get meet statistics (athletes, flights, attempts)
+ */
+export async function getMeetStatistics(req, res) {
+  const { id } = req.params;
+  await findMeetOrFail(id);
+
+  const statistics = await Meet.getStatistics(id);
+
+  res.json({
+    success: true,
+    data: statistics
+  });
+}
+
+/**
+ * GET /api/meets/:id/lots
+ * Get lot numbers of the meet
+ */
+export async function getLots(req, res) {
+  const { id } = req.params;
+  await findMeetOrFail(id);
+
+  res.json({
+    success: true,
+    data: await Registration.findLotsByMeet(id)
+  });
+}
+
+/**
+ * POST /api/meets/:id/lots
+ * Draw lot numbers (body: { redraw } to replace a previous draw)
+ */
+export async function drawLots(req, res) {
+  const lots = await registrationService.drawLots(req.params.id, { redraw: req.body?.redraw === true });
+
+  res.status(201).json({
+    success: true,
+    data: lots
+  });
+}
+
+/**
+ * GET /api/meets/:id/journal?type=VOTE&actor=JUDGE:HEAD&afterId=120
+ * Competition journal of the meet (oldest first, optional filters)
+ */
+export async function getJournal(req, res) {
+  const { id } = req.params;
+  const { type, actor, afterId } = req.query;
+
+  if (type && !Object.values(JOURNAL_EVENT_TYPES).includes(type)) {
+    throw new ValidationError(`type must be one of: ${Object.values(JOURNAL_EVENT_TYPES).join(', ')}`);
+  }
+  if (afterId !== undefined && !/^\d+$/.test(afterId)) {
+    throw new ValidationError('afterId must be a non-negative integer');
+  }
+
+  await findMeetOrFail(id);
+  const events = await journalService.getJournal(id, {
+    type,
+    actor,
+    afterId: afterId !== undefined ? Number(afterId) : undefined
+  });
+
+  res.json({
+    success: true,
+    count: events.length,
+    data: events
+  });
+}
+
+/**
+ * GET /api/meets/:id/platforms
+ * Platforms of the meet: flights scheduled on each, current state and clock
+ */
+export async function getPlatforms(req, res) {
+  const { id } = req.params;
+  await findMeetOrFail(id);
+
+  const flights = await Flight.findByMeet(id);
+  const states = await CurrentState.findByMeet(id);
+  const platformNos = [...new Set([...flights, ...states].map(row => row.platform_no))].sort((a, b) => a - b);
+
+  const data = platformNos.map(platformNo => {
+    const state = states.find(s => s.platform_no === platformNo) || null;
+    return {
+      platform_no: platformNo,
+      flight_ids: flights.filter(f => f.platform_no === platformNo).map(f => f.id),
+      state,
+      clock: timerService.buildSnapshot(state || { meet_id: id, platform_no: platformNo })
+    };
+  });
+
+  res.json({
+    success: true,
+    count: data.length,
+    data
+  });
+}
+
+export default {
+  createMeet,
+  getMeets,
+  getMeetById,
+  updateMeet,
+  deleteMeet,
+  getMeetStatistics,
+  getLots,
+  drawLots,
+  getJournal,
+  getPlatforms
+};
@@ -2,6 +2,202 @@
  * Ranking Controller
  * 
  * Business logic for rankings and leaderboards
+ * (read-only over REST: live updates are sent as ranking:update and ranking:projection on Socket.IO)
  */
 
-// TODO: Implement ranking calculation logic
+import Meet from '../models/Meet.js';
+import Registration from '../models/Registration.js';
+import rankingService from '../services/rankingService.js';
+import scoringService from '../services/scoringService.js';
+import projectionService from '../services/projectionService.js';
+import teamRankingService from '../services/teamRankingService.js';
+import { NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { SEXES } from '../config/constants.js';
+
+/**
+ * Parse and check the ranking filters of a request
+ * @param {number} meetId - Meet ID
+ * @param {Object} query - { lift_id, sex, weight_cat_id, age_cat_id }
+ * @returns {Promise<Object>} { liftId, sex, weightCatId, ageCatId } (missing filters = null, no lift = meet total)
+ * @private
+ */
+async function parseFilters(meetId, query) {
+  if (!(await Meet.findById(meetId))) {
+    throw new NotFoundError(`Meet with ID ${meetId} not found`);
+  }
+
+  const { lift_id, sex } = query;
+  const lifts = await Meet.getLiftSequence(meetId);
+
+  if (lift_id && !lifts.some(l => l.id === lift_id)) {
+    throw new ValidationError(`lift_id must be one of: ${lifts.map(l => l.id).join(', ')}`);
+  }
+  if (sex && !SEXES.includes(sex)) {
+    throw new ValidationError(`sex must be one of: ${SEXES.join(', ')}`);
+  }
+
+  return {
+    liftId: lift_id || null,
+    sex: sex || null,
+    weightCatId: parseOptionalId(query.weight_cat_id, 'weight_cat_id'),
+    ageCatId: parseOptionalId(query.age_cat_id, 'age_cat_id')
+  };
+}
+
+/**
+ * Parse an optional ID query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name (for the error)
+ * @returns {number|null}
+ * @private
+ */
+function parseOptionalId(value, name) {
+  if (value === undefined || value === '') return null;
+
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ValidationError(`${name} must be a positive integer`);
+  }
+  return id;
+}
+
+/**
+ * GET /api/rankings/:meetId?lift_id=MU&sex=M&weight_cat_id=3&age_cat_id=2
+ * Category rankings on the meet total, or on a single lift with lift_id (placement per sex/weight/age category)
+ */
+export async function getRankings(req, res) {
+  const { meetId } = req.params;
+  const { liftId, sex, weightCatId, ageCatId } = await parseFilters(meetId, req.query);
+
+  const rankings = await rankingService.getRankingsByCategory(meetId, liftId, sex, weightCatId, ageCatId);
+
+  res.json({
+    success: true,
+    count: rankings.length,
+    data: rankings
+  });
+}
+
+/**
+ * GET /api/rankings/:meetId/absolute?lift_id=MU&sex=M
+ * Absolute ranking by points of the meet scoring formula (meet total, or a single lift with lift_id)
+ */
+export async function getAbsoluteRankings(req, res) {
+  const { meetId } = req.params;
+  const { liftId, sex } = await parseFilters(meetId, req.query);
+
+  const rankings = await rankingService.getOverallRankings(meetId, liftId, sex);
+  const { code, name } = await scoringService.forMeet(meetId);
+
+  res.json({
+    success: true,
+    scoring: { code, name },
+    count: rankings.length,
+    data: rankings
+  });
+}
+
+/**
+ * GET /api/rankings/:meetId/athletes/:regId
+ * Standing of one athlete: total, and attempts, best, placement and points of every lift
+ */
+export async function getAthleteStanding(req, res) {
+  const { meetId, regId } = req.params;
+
+  const registration = await Registration.findById(regId);
+  if (!registration || registration.meet_id !== meetId) {
+    throw new NotFoundError(`Registration ${regId} not found in meet ${meetId}`);
+  }
+
+  const standing = await rankingService.getAthleteBreakdown(regId);
+
+  res.json({
+    success: true,
+    data: standing
+  });
+}
+
+/**
+ * GET /api/rankings/:meetId/teams?sex=M
+ * Team classification: team points of the placed athletes (best N scorers per team)
+ */
+export async function getTeamRankings(req, res) {
+  const { meetId } = req.params;
+  const { sex } = await parseFilters(meetId, { sex: req.query.sex });
+
+  const { scheme, teams } = await teamRankingService.getTeamRankings(meetId, sex);
+
+  res.json({
+    success: true,
+    scheme,
+    count: teams.length,
+    data: teams
+  });
+}
+
+/**
+ * GET /api/rankings/:meetId/projection?lift_id=MU&sex=M&weight_cat_id=3&age_cat_id=2
+ * Projected rankings: best/worst-case placements and required next-attempt weights
+ */
+export async function getProjection(req, res) {
+  const { meetId } = req.params;
+  const { liftId, sex, weightCatId, ageCatId } = await parseFilters(meetId, req.query);
+
+  const projections = (await projectionService.project(meetId, liftId)).filter(p =>
+    (!sex || p.sex === sex) &&
+    (!weightCatId || p.weight_cat_id === weightCatId) &&
+    (!ageCatId || p.age_cat_id === ageCatId)
+  );
+
+  res.json({
+    success: true,
+    count: projections.length,
+    data: projections
+  });
+}
+
+/**
+ * GET /api/rankings/:meetId/athletes/:regId/projection?lift_id=MU
+ * What the athlete needs: placements and minimum next-attempt weight for each placement
+ * (data null when the athlete has no total and no declared attempt)
+ */
+export async function getAthleteProjection(req, res) {
+  const { meetId, regId } = req.params;
+  const { liftId } = await parseFilters(meetId, req.query);
+
+  const registration = await Registration.findById(regId);
+  if (!registration || registration.meet_id !== meetId) {
+    throw new NotFoundError(`Registration ${regId} not found in meet ${meetId}`);
+  }
+
+  const projection = await projectionService.projectAthlete(regId, liftId);
+
+  res.json({
+    success: true,
+    data: projection
+  });
+}
+
+/**
+ * GET /api/rankings/formulas
+ * Scoring formulas a meet can select with regulation_code (built-in and coefficient tables)
+ */
+export async function getScoringFormulas(req, res) {
+  const formulas = await scoringService.list();
+
+  res.json({
+    success: true,
+    count: formulas.length,
+    data: formulas
+  });
+}
+
+export default {
+  getScoringFormulas,
+  getRankings,
+  getAbsoluteRankings,
+  getAthleteStanding,
+  getTeamRankings,
+  getProjection,
+  getAthleteProjection
+};
@@ -2,6 +2,146 @@
  * Record Controller
  * 
  * Business logic for record checking and updates
+ * (records broken during a meet are detected live by recordService and
+ * confirmed or rejected here; confirmations are sent as record:set on Socket.IO)
  */
 
-// TODO: Implement record check and update logic
+import Meet from '../models/Meet.js';
+import Record from '../models/Record.js';
+import recordService from '../services/recordService.js';
+import { NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { SEXES, RECORD_CANDIDATE_STATUSES } from '../config/constants.js';
+
+/**
+ * Parse an ID query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name (for the error)
+ * @param {boolean} required - Missing value is an error
+ * @returns {number|null}
+ * @private
+ */
+function parseQueryId(value, name, required = false) {
+  if (value === undefined || value === '') {
+    if (required) {
+      throw new ValidationError(`${name} query parameter is required`);
+    }
+    return null;
+  }
+
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ValidationError(`${name} must be a positive integer`);
+  }
+  return id;
+}
+
+/**
+ * GET /api/records?lift_id=MU&sex=M&weight_cat_id=3&age_cat_id=2
+ * List records (all filters optional)
+ */
+export async function getRecords(req, res) {
+  const { lift_id, sex } = req.query;
+  if (sex && !SEXES.includes(sex)) {
+    throw new ValidationError(`sex must be one of: ${SEXES.join(', ')}`);
+  }
+
+  const records = await Record.findByCriteria({
+    lift_id,
+    sex,
+    weight_cat_id: parseQueryId(req.query.weight_cat_id, 'weight_cat_id'),
+    age_cat_id: parseQueryId(req.query.age_cat_id, 'age_cat_id')
+  });
+
+  res.json({
+    success: true,
+    count: records.length,
+    data: records
+  });
+}
+
+/**
+ * GET /api/records/check?lift_id=MU&weight_cat_id=3&age_cat_id=2&weight_kg=45.5
+ * Check if a weight beats the record of a category
+ */
+export async function checkRecord(req, res) {
+  const { lift_id } = req.query;
+  const weightKg = Number(req.query.weight_kg);
+
+  if (!lift_id) {
+    throw new ValidationError('lift_id query parameter is required');
+  }
+  if (!(weightKg > 0)) {
+    throw new ValidationError('weight_kg must be a positive number');
+  }
+
+  const criteria = {
+    lift_id,
+    weight_cat_id: parseQueryId(req.query.weight_cat_id, 'weight_cat_id', true),
+    age_cat_id: parseQueryId(req.query.age_cat_id, 'age_cat_id', true)
+  };
+  const record = await Record.checkRecord(criteria, weightKg);
+
+  res.json({
+    success: true,
+    is_record: Boolean(record),
+    data: record || (await Record.getExactRecord(criteria)) || null
+  });
+}
+
+/**
+ * GET /api/records/candidates?meet_id=1&status=PENDING
+ * Records broken in a meet (status optional)
+ */
+export async function getCandidates(req, res) {
+  const meetId = parseQueryId(req.query.meet_id, 'meet_id', true);
+  const { status } = req.query;
+
+  if (status && !RECORD_CANDIDATE_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${RECORD_CANDIDATE_STATUSES.join(', ')}`);
+  }
+  if (!(await Meet.findById(meetId))) {
+    throw new NotFoundError(`Meet with ID ${meetId} not found`);
+  }
+
+  const candidates = await recordService.getCandidates(meetId, status || null);
+
+  res.json({
+    success: true,
+    count: candidates.length,
+    data: candidates
+  });
+}
+
+/**
+ * POST /api/records/candidates/:id/confirm
+ * Confirm a record broken in the meet (written to the records table)
+ */
+export async function confirmCandidate(req, res) {
+  const { candidate, record } = await recordService.confirm(req.params.id, req.meet.id);
+
+  res.json({
+    success: true,
+    data: { candidate, record }
+  });
+}
+
+/**
+ * POST /api/records/candidates/:id/reject
+ * Reject a record broken in the meet
+ */
+export async function rejectCandidate(req, res) {
+  const candidate = await recordService.reject(req.params.id, req.meet.id);
+
+  res.json({
+    success: true,
+    data: candidate
+  });
+}
+
+export default {
+  getRecords,
+  checkRecord,
+  getCandidates,
+  confirmCandidate,
+  rejectCandidate
+};
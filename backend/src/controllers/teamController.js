@@ -0,0 +1,128 @@
+/**
+ * Team Controller
+ * 
+ * Business logic for teams (clubs) management
+ * (team classification of a meet: GET /api/rankings/:meetId/teams)
+ */
+
+import Team from '../models/Team.js';
+import { NotFoundError, ConflictError } from '../utils/errorHandler.js';
+
+/**
+ * Load team or throw 404
+ * @param {number} id - Team ID
+ * @returns {Promise<Object>}
+ * @private
+ */
+async function findTeamOrFail(id) {
+  const team = await Team.findById(id);
+  if (!team) {
+    throw new NotFoundError(`Team with ID ${id} not found`);
+  }
+  return team;
+}
+
+/**
+ * Check name/code uniqueness
+ * @param {Object} data - { name, code }
+ * @param {number} excludeId - Team ID to exclude (updates)
+ * @returns {Promise<void>}
+ * @private
+ */
+async function assertTeamUnique(data, excludeId = null) {
+  if (await Team.findByNameOrCode(data.name, data.code, excludeId)) {
+    throw new ConflictError(`Team "${data.name}"${data.code ? ` or code "${data.code}"` : ''} already exists`);
+  }
+}
+
+/**
+ * POST /api/teams
+ * Create new team
+ */
+export async function createTeam(req, res) {
+  const { name, code = null, city = null } = req.body;
+  await assertTeamUnique({ name, code });
+
+  const id = await Team.create({ name, code, city });
+  const team = await Team.findById(id);
+
+  res.status(201).json({
+    success: true,
+    data: team
+  });
+}
+
+/**
+ * GET /api/teams
+ * List teams
+ */
+export async function getTeams(req, res) {
+  const teams = await Team.findAll();
+
+  res.json({
+    success: true,
+    count: teams.length,
+    data: teams
+  });
+}
+
+/**
+ * GET /api/teams/:id
+ * Get team by ID
+ */
+export async function getTeamById(req, res) {
+  const team = await findTeamOrFail(req.params.id);
+
+  res.json({
+    success: true,
+    data: team
+  });
+}
+
+/**
+ * PUT /api/teams/:id
+ * Update team (partial)
+ */
+export async function updateTeam(req, res) {
+  const { id } = req.params;
+  const existing = await findTeamOrFail(id);
+
+  const data = {
+    name: req.body.name ?? existing.name,
+    code: req.body.code !== undefined ? req.body.code : existing.code,
+    city: req.body.city !== undefined ? req.body.city : existing.city
+  };
+  await assertTeamUnique(data, id);
+
+  await Team.update(id, data);
+  const team = await Team.findById(id);
+
+  res.json({
+    success: true,
+    data: team
+  });
+}
+
+/**
+ * DELETE /api/teams/:id
+ * Delete team (its athletes and registrations are left without a team)
+ */
+export async function deleteTeam(req, res) {
+  const deleted = await Team.delete(req.params.id);
+  if (!deleted) {
+    throw new NotFoundError(`Team with ID ${req.params.id} not found`);
+  }
+
+  res.json({
+    success: true,
+    message: `Team ${req.params.id} deleted`
+  });
+}
+
+export default {
+  createTeam,
+  getTeams,
+  getTeamById,
+  updateTeam,
+  deleteTeam
+};
@@ -2,6 +2,65 @@
  * Vote Controller
  * 
  * Business logic for vote management and 2/3 validation
+ * (read-only over REST: judges vote through Socket.IO)
  */
 
-// TODO: Implement vote logic (2/3 majority rule)
+import Attempt from '../models/Attempt.js';
+import Vote from '../models/Vote.js';
+import { NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { FAULT_CODES, LIFT_FAULT_CODES } from '../config/constants.js';
+
+/**
+ * GET /api/votes/fault-codes?lift_id=MU
+ * Fault catalogue (all lifts, or one lift)
+ */
+export async function getFaultCodes(req, res) {
+  const { lift_id } = req.query;
+
+  if (lift_id && !LIFT_FAULT_CODES[lift_id]) {
+    throw new ValidationError(`Unknown lift: ${lift_id}`);
+  }
+
+  const toEntries = codes => codes.map(code => ({ code, description: FAULT_CODES[code] }));
+
+  const data = lift_id
+    ? toEntries(LIFT_FAULT_CODES[lift_id])
+    : Object.fromEntries(
+      Object.entries(LIFT_FAULT_CODES).map(([liftId, codes]) => [liftId, toEntries(codes)])
+    );
+
+  res.json({
+    success: true,
+    data
+  });
+}
+
+/**
+ * GET /api/votes/:attemptId
+ * Individual judge lights of an attempt (for appeals)
+ */
+export async function getAttemptVotes(req, res) {
+  const { attemptId } = req.params;
+
+  const attempt = await Attempt.findById(attemptId);
+  if (!attempt) {
+    throw new NotFoundError(`Attempt with ID ${attemptId} not found`);
+  }
+
+  const votes = await Vote.findByAttempt(attemptId);
+
+  res.json({
+    success: true,
+    count: votes.length,
+    data: {
+      attempt_id: attempt.id,
+      status: attempt.status,
+      votes
+    }
+  });
+}
+
+export default {
+  getFaultCodes,
+  getAttemptVotes
+};
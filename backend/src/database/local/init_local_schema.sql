@@ -63,6 +63,16 @@ CREATE TABLE age_categories (
   UNIQUE (min_age, max_age)
 );
 
+/* ---------------------------
+   Squadre / società sportive (classifica a squadre)
+---------------------------- */
+CREATE TABLE teams (
+  id          INTEGER PRIMARY KEY,
+  name        TEXT NOT NULL UNIQUE,
+  code        TEXT UNIQUE,               -- sigla breve (es: "ASD-ROMA")
+  city        TEXT
+);
+
 /*--\-------------------------
    Athletes (only local, for meets)
 ---------------------------- */
@@ -72,7 +82,9 @@ CREATE TABLE athletes (
   first_name  TEXT NOT NULL,
   last_name   TEXT NOT NULL,
   sex         TEXT NOT NULL CHECK (sex IN ('M','F')),
-  birth_date  TEXT NOT NULL              -- ISO date
+  birth_date  TEXT NOT NULL,             -- ISO date
+  team_id     INTEGER,                   -- società di appartenenza
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE SET NULL
 );
 CREATE INDEX idx_athletes_name ON athletes(last_name, first_name);
 
@@ -88,6 +100,8 @@ CREATE TABLE meets (
   start_date       TEXT NOT NULL,         -- ISO date
   level            TEXT NOT NULL,         -- "REGIONALE" | "NAZIONALE"
   regulation_code  TEXT NOT NULL,         -- es: "WL_COEFF_2025"
+  team_points      TEXT,                  -- punti squadra per piazzamento di categoria (es: "12,9,8,7"), NULL = default
+  team_scorers     INTEGER,               -- migliori N atleti per squadra, NULL = default
   FOREIGN KEY (federation_id) REFERENCES federations(id) ON DELETE SET NULL,
   FOREIGN KEY (meet_type_id) REFERENCES meet_types(id)
 );
@@ -99,6 +113,7 @@ CREATE TABLE judges (
   id            INTEGER PRIMARY KEY,
   meet_id       INTEGER NOT NULL,
   role          TEXT NOT NULL CHECK (role IN ('HEAD', 'LEFT', 'RIGHT')),
+  platform_no   INTEGER NOT NULL DEFAULT 1, -- pedana su cui giudica (gare con più pedane)
   FOREIGN KEY (meet_id) REFERENCES meets(id) ON DELETE CASCADE
 );
 CREATE INDEX idx_judges_meet ON judges(meet_id);
@@ -117,11 +132,15 @@ CREATE TABLE registrations (
   weight_cat_id      INTEGER,
   age_cat_id         INTEGER,
   notes              TEXT,
+  lot_number         INTEGER,                     -- numero sorteggiato alla pesa (spareggio ordine di gara)
+  team_id            INTEGER,                     -- squadra per cui gareggia (default: società dell'atleta)
   UNIQUE (meet_id, athlete_id),
+  UNIQUE (meet_id, lot_number),
   FOREIGN KEY (meet_id)       REFERENCES meets(id)             ON DELETE CASCADE,
   FOREIGN KEY (athlete_id)    REFERENCES athletes(id)          ON DELETE CASCADE,
   FOREIGN KEY (weight_cat_id) REFERENCES weight_categories(id),
-  FOREIGN KEY (age_cat_id)    REFERENCES age_categories(id)
+  FOREIGN KEY (age_cat_id)    REFERENCES age_categories(id),
+  FOREIGN KEY (team_id)       REFERENCES teams(id)             ON DELETE SET NULL
 );
 CREATE INDEX idx_registrations_meet ON registrations(meet_id);
 
@@ -144,6 +163,7 @@ CREATE TABLE flights (
   name        TEXT NOT NULL,             -- es: "Flight A (Mattina)"
   ord         INTEGER NOT NULL,
   start_time  TEXT,                      -- opzionale
+  platform_no INTEGER NOT NULL DEFAULT 1, -- pedana su cui si svolge il flight
   UNIQUE (meet_id, ord),
   FOREIGN KEY (meet_id) REFERENCES meets(id) ON DELETE CASCADE
 );
@@ -179,6 +199,9 @@ CREATE TABLE attempts (
   weight_kg     REAL NOT NULL,           -- Attempt 1 = opener dichiarato alla pesa
   status        TEXT NOT NULL DEFAULT 'PENDING'
                  CHECK (status IN ('PENDING','VALID','INVALID')),
+  fault_code    TEXT,                    -- motivo del rosso decisivo (FAULT_CODES), solo se INVALID
+  weight_changes INTEGER NOT NULL DEFAULT 0, -- cambi di peso dopo la dichiarazione
+  lifted_at     TEXT,                    -- ISO datetime del risultato (ordine del round precedente)
   UNIQUE (reg_id, lift_id, attempt_no),
   FOREIGN KEY (reg_id) REFERENCES registrations(id) ON DELETE CASCADE,
   FOREIGN KEY (lift_id) REFERENCES lifts(id)
@@ -187,20 +210,106 @@ CREATE INDEX idx_attempts_reg ON attempts(reg_id);
 CREATE INDEX idx_attempts_lift_round ON attempts(lift_id, attempt_no);
 
 /* ---------------------------
-  -- Current meet state (singleton)
+  Judge votes (1 per judge per attempt)
+  Written as soon as the judge votes: survives restarts and
+  keeps the individual lights for appeals
+---------------------------- */
+CREATE TABLE votes (
+  id          INTEGER PRIMARY KEY,
+  attempt_id  INTEGER NOT NULL,
+  judge_role  TEXT NOT NULL CHECK (judge_role IN ('HEAD','LEFT','RIGHT')),
+  vote        TEXT NOT NULL CHECK (vote IN ('WHITE','RED')),
+  fault_code  TEXT,                      -- motivo del rosso (FAULT_CODES), NULL se WHITE
+  voted_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  UNIQUE (attempt_id, judge_role),
+  FOREIGN KEY (attempt_id) REFERENCES attempts(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_votes_attempt ON votes(attempt_id);
+
+/* ---------------------------
+  Next-attempt declarations
+  Opened when an attempt gets its result: the athlete must declare
+  the weight of the next attempt before deadline_at, otherwise a
+  default weight is declared automatically (DEFAULTED)
+---------------------------- */
+CREATE TABLE declarations (
+  id            INTEGER PRIMARY KEY,
+  reg_id        INTEGER NOT NULL,
+  lift_id       TEXT NOT NULL,
+  attempt_no    INTEGER NOT NULL CHECK (attempt_no BETWEEN 2 AND 4), -- tentativo da dichiarare
+  deadline_at   TEXT NOT NULL,           -- ISO datetime
+  status        TEXT NOT NULL DEFAULT 'PENDING'
+                 CHECK (status IN ('PENDING','DECLARED','DEFAULTED')),
+  weight_kg     REAL,                    -- peso dichiarato (o di default)
+  declared_at   TEXT,                    -- ISO datetime
+  UNIQUE (reg_id, lift_id, attempt_no),
+  FOREIGN KEY (reg_id) REFERENCES registrations(id) ON DELETE CASCADE,
+  FOREIGN KEY (lift_id) REFERENCES lifts(id)
+);
+CREATE INDEX idx_declarations_status ON declarations(status);
+
+/* ---------------------------
+  State log (undo / correct)
+  1 riga per NEXT, risultato o correzione di un risultato:
+  regista:undo annulla l'ultima riga non ancora annullata della pedana
+---------------------------- */
+CREATE TABLE state_log (
+  id             INTEGER PRIMARY KEY,
+  meet_id        INTEGER NOT NULL,
+  platform_no    INTEGER NOT NULL DEFAULT 1, -- pedana (undo separato per pedana)
+  kind           TEXT NOT NULL CHECK (kind IN ('NEXT','RESULT','CORRECTION')),
+  attempt_id     INTEGER,                 -- RESULT / CORRECTION
+  state_before   TEXT,                    -- NEXT: JSON di current_state prima del NEXT
+  status_before  TEXT,                    -- RESULT / CORRECTION: esito precedente
+  fault_before   TEXT,
+  status_after   TEXT,
+  fault_after    TEXT,
+  created_at     TEXT NOT NULL,           -- ISO datetime
+  undone_at      TEXT,                    -- ISO datetime dell'annullamento
+  FOREIGN KEY (meet_id) REFERENCES meets(id) ON DELETE CASCADE,
+  FOREIGN KEY (attempt_id) REFERENCES attempts(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_state_log_meet ON state_log(meet_id, platform_no, undone_at);
+
+/* ---------------------------
+  Competition journal
+  Append-only: 1 riga per ogni azione che cambia lo stato della gara
+  (JOURNAL_EVENT_TYPES), con chi l'ha fatta. Serve per la revisione
+  post-gara, i ricorsi e il replay di current_state + attempts
+---------------------------- */
+CREATE TABLE competition_events (
+  id          INTEGER PRIMARY KEY,
+  meet_id     INTEGER NOT NULL,
+  type        TEXT NOT NULL,
+  actor       TEXT NOT NULL,               -- REGISTA, FEDERATION, JUDGE:<ruolo>, SYSTEM
+  payload     TEXT NOT NULL,               -- JSON
+  created_at  TEXT NOT NULL,               -- ISO datetime
+  FOREIGN KEY (meet_id) REFERENCES meets(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_competition_events_meet ON competition_events(meet_id, id);
+
+/* ---------------------------
+  -- Current platform state (1 riga per pedana di ogni meet)
   -- Tracks current athlete, lift, round, timer
 ---------------------------- */
 CREATE TABLE current_state (
-  id                INTEGER PRIMARY KEY CHECK (id = 1), -- singleton: solo 1 riga
-  meet_id           INTEGER,
+  id                INTEGER PRIMARY KEY,
+  meet_id           INTEGER NOT NULL,
+  platform_no       INTEGER NOT NULL DEFAULT 1, -- pedana (1, 2, ...)
   current_flight_id INTEGER,
   current_group_id  INTEGER,
   current_lift_id   TEXT,
-  current_round     INTEGER CHECK (current_round BETWEEN 1 AND 3),
+  current_round     INTEGER CHECK (current_round BETWEEN 1 AND 4), -- 4 = tentativi record
   current_reg_id    INTEGER, -- atleta corrente in pedana
-  timer_start       TEXT,    -- ISO datetime
-  timer_seconds     INTEGER DEFAULT 60,
-  FOREIGN KEY (meet_id)           REFERENCES meets(id),
+  timer_start       TEXT,    -- ISO datetime dell'ultimo start/resume
+  timer_seconds     INTEGER DEFAULT 60,       -- durata configurata del clock
+  timer_status      TEXT NOT NULL DEFAULT 'STOPPED'
+                     CHECK (timer_status IN ('STOPPED','RUNNING','PAUSED','EXPIRED')),
+  timer_kind        TEXT NOT NULL DEFAULT 'ATTEMPT'
+                     CHECK (timer_kind IN ('ATTEMPT','DECLARATION','BREAK')),
+  timer_remaining   INTEGER, -- ms rimanenti al momento di timer_start (o della pausa)
+  UNIQUE (meet_id, platform_no),
+  FOREIGN KEY (meet_id)           REFERENCES meets(id) ON DELETE CASCADE,
   FOREIGN KEY (current_flight_id) REFERENCES flights(id),
   FOREIGN KEY (current_group_id)  REFERENCES groups(id),
   FOREIGN KEY (current_reg_id)    REFERENCES registrations(id) ON DELETE SET NULL,
@@ -228,3 +337,47 @@ CREATE TABLE records (
 );
 
 CREATE INDEX idx_records_categories ON records(weight_cat_id, age_cat_id);
+
+/* ---------------------------
+   Record battuti in gara (da confermare)
+   1 riga per tentativo 1-3 VALID oltre il record della categoria:
+   la giuria conferma (CONFIRMED → scritto in records) o respinge (REJECTED)
+   (i 4° tentativi sono scritti direttamente in records)
+---------------------------- */
+CREATE TABLE record_candidates (
+  id             INTEGER PRIMARY KEY,
+  meet_id        INTEGER NOT NULL,
+  attempt_id     INTEGER NOT NULL UNIQUE,
+  reg_id         INTEGER NOT NULL,
+  weight_cat_id  INTEGER NOT NULL,
+  age_cat_id     INTEGER NOT NULL,
+  lift_id        TEXT NOT NULL,
+  record_kg      REAL NOT NULL,          -- nuovo record (peso del tentativo)
+  previous_kg    REAL NOT NULL,          -- record da battere al momento del tentativo
+  bodyweight_kg  REAL,
+  status         TEXT NOT NULL DEFAULT 'PENDING'
+                  CHECK (status IN ('PENDING','CONFIRMED','REJECTED')),
+  created_at     TEXT NOT NULL,          -- ISO datetime
+  decided_at     TEXT,                   -- ISO datetime conferma/rifiuto
+  FOREIGN KEY (meet_id)       REFERENCES meets(id) ON DELETE CASCADE,
+  FOREIGN KEY (attempt_id)    REFERENCES attempts(id) ON DELETE CASCADE,
+  FOREIGN KEY (reg_id)        REFERENCES registrations(id) ON DELETE CASCADE,
+  FOREIGN KEY (weight_cat_id) REFERENCES weight_categories(id),
+  FOREIGN KEY (age_cat_id)    REFERENCES age_categories(id),
+  FOREIGN KEY (lift_id)       REFERENCES lifts(id)
+);
+CREATE INDEX idx_record_candidates_meet ON record_candidates(meet_id, status);
+
+/* ---------------------------
+   Tabelle di coefficienti personalizzate
+   (punti = totale * coefficiente del gradino di peso corporeo;
+    usate dalle gare con un regulation_code non predefinito)
+---------------------------- */
+CREATE TABLE scoring_coefficients (
+  id               INTEGER PRIMARY KEY,
+  regulation_code  TEXT NOT NULL,         -- es: "REG_COEFF_2026"
+  sex              TEXT NOT NULL CHECK (sex IN ('M','F')),
+  bodyweight_kg    REAL NOT NULL,         -- peso corporeo minimo del gradino
+  coefficient      REAL NOT NULL,
+  UNIQUE (regulation_code, sex, bodyweight_kg)
+);
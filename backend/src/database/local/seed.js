@@ -348,9 +348,9 @@ async function generateSampleData() {
 
             // 9. Current State
             console.log('📝 Creating initial meet state...');
-            db.run(`INSERT INTO current_state (id, meet_id, current_flight_id, current_group_id, current_lift_id, 
+            db.run(`INSERT INTO current_state (meet_id, platform_no, current_flight_id, current_group_id, current_lift_id, 
                     current_round, current_reg_id, timer_start, timer_seconds) 
-                    VALUES (1, ?, 1, 1, 'MU', 1, 1, NULL, 60)`, [meetId], (err) => {
+                    VALUES (?, 1, 1, 1, 'MU', 1, 1, NULL, 60)`, [meetId], (err) => {
               if (err) return reject(err);
               
               console.log('\n✅ Sample data generated successfully!');
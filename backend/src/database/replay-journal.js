@@ -0,0 +1,52 @@
+/**
+ * Replay Competition Journal
+ * 
+ * Rebuilds current_state and the attempts of a meet from competition_events
+ * (crash recovery, dispute review)
+ * Run with: npm run replay -- <meetId> [--dry-run]
+ */
+
+import journalService from '../services/journalService.js';
+import { closeDatabase } from '../config/database-local.js';
+
+/**
+ * Replay the journal of the meet given on the command line
+ */
+async function replayJournal() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const meetId = Number(args.find(arg => !arg.startsWith('--')));
+
+  if (!Number.isInteger(meetId) || meetId <= 0) {
+    console.error('Usage: npm run replay -- <meetId> [--dry-run]');
+    process.exit(1);
+  }
+
+  console.log(`🔁 Replaying journal of meet ${meetId}${dryRun ? ' (dry run)' : ''}...\n`);
+
+  const result = await journalService.replay(meetId, { dryRun });
+
+  console.log(`Events read:        ${result.events}`);
+  console.log(`Attempts rebuilt:   ${result.attempts.length}`);
+  console.log(`Events skipped:     ${result.skipped}`);
+  if (result.platforms.length === 0) {
+    console.log('Platforms:          not in journal (current_state untouched)');
+  }
+  for (const { platform_no, position: p, timer } of result.platforms) {
+    console.log(`\nPlatform ${platform_no}`);
+    console.log(p
+      ? `  Position:         flight ${p.current_flight_id}, group ${p.current_group_id}, ` +
+        `${p.current_lift_id} round ${p.current_round}, registration ${p.current_reg_id}`
+      : '  Position:         not in journal');
+    console.log(`  Clock:            ${timer ? timer.timer_status : 'not in journal'}`);
+  }
+  console.log(dryRun ? '\nDry run: nothing written' : '\n✅ Replay completed');
+
+  closeDatabase();
+}
+
+// Run replay
+replayJournal().catch(err => {
+  console.error('❌ Replay failed:', err);
+  process.exit(1);
+});
@@ -9,7 +9,7 @@
  * 3️⃣ Insert meet
  * 4️⃣ Atomic transaction:
  *     - update records
- *     - insert results + result_lifts
+ *     - insert results + result_lifts (points: scoring formula of regulation_code)
  *
  * ⚙️ Usage:
  * node sync.js <meet_code>
@@ -20,6 +20,7 @@ import pg from 'pg';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import scoringService from '../services/scoringService.js';
 
 const { Pool } = pg;
 dotenv.config();
@@ -238,10 +239,20 @@ async function uploadResults(localDb, remoteClient, meet, remoteMeetId) {
   );
   const liftIds = lifts.rows.map(r => r.lift_id);
 
+  // scoring formula of the meet (built-in, or custom coefficient table)
+  const coefficients = await new Promise((resolve, reject) => {
+    localDb.all(
+      `SELECT sex, bodyweight_kg, coefficient FROM scoring_coefficients WHERE regulation_code = ?`,
+      [meet.regulation_code],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+  const formula = scoringService.resolve(meet.regulation_code, coefficients);
+
   // get athletes in meet
   const registrations = await new Promise((resolve, reject) => {
     localDb.all(
-      `SELECT r.id, r.athlete_id, a.cf, a.first_name, a.last_name,
+      `SELECT r.id, r.athlete_id, a.cf, a.first_name, a.last_name, a.sex,
               r.weight_cat_id, r.age_cat_id, r.bodyweight_kg
        FROM registrations r
        JOIN athletes a ON a.id = r.athlete_id
@@ -267,7 +278,7 @@ async function uploadResults(localDb, remoteClient, meet, remoteMeetId) {
       bestLifts[lift] = maxLift;
       total += maxLift;
     }
-    results.push({ ...reg, bestLifts, total });
+    results.push({ ...reg, bestLifts, total, points: formula.score(total, reg.bodyweight_kg, reg.sex) });
   }
 
   // sort by total desc, bodyweight asc
@@ -294,7 +305,7 @@ async function uploadResults(localDb, remoteClient, meet, remoteMeetId) {
       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
       RETURNING id
       `,
-      [remoteMeetId, athleteId, weightCat, ageCat, res.total, res.total, res.final_placing, res.bodyweight_kg]
+      [remoteMeetId, athleteId, weightCat, ageCat, res.total, res.points, res.final_placing, res.bodyweight_kg]
     );
     const resultId = inserted.rows[0].id;
 
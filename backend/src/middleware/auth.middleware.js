@@ -2,6 +2,120 @@
  * Authentication Middleware
  * 
  * Verifies JWT tokens for protected routes
+ * 
+ * USAGE:
+ * router.put('/:id',
+ *   authenticate,
+ *   requireScope(TOKEN_TYPES.FEDERATION),
+ *   requireMeetAccess(meetFromParam('id')),
+ *   handler
+ * );
+ * 
+ * MEET OWNERSHIP:
+ * - federation token → meets.federation_id must be the token federationId
+ * - regista / judge token → token meetId must be the meet
+ */
+
+import Meet from '../models/Meet.js';
+import { verifyToken, TOKEN_TYPES } from '../config/jwt.js';
+import { UnauthorizedError, ForbiddenError, NotFoundError, asyncHandler } from '../utils/errorHandler.js';
+
+/**
+ * Verify "Authorization: Bearer <token>" and attach payload to req.auth
+ * Accepts federation, regista and judge tokens (QR code tokens included)
+ */
+export function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError('Missing Bearer token'));
+  }
+
+  try {
+    req.auth = verifyToken(token);
+    next();
+  } catch (err) {
+    next(new UnauthorizedError(`Invalid token: ${err.message}`));
+  }
+}
+
+/**
+ * Allow only the given token types (must run after authenticate)
+ * @param {...string} types - Allowed TOKEN_TYPES
+ * @returns {Function} Express middleware
+ */
+export function requireScope(...types) {
+  return (req, res, next) => {
+    if (!req.auth || !types.includes(req.auth.type)) {
+      return next(new ForbiddenError(`Requires ${types.join(' or ')} token`));
+    }
+    next();
+  };
+}
+
+/**
+ * Check if a token payload can act on a meet
+ * @param {Object} auth - Decoded token payload
+ * @param {Object} meet - Meet row
+ * @returns {boolean}
+ */
+export function canAccessMeet(auth, meet) {
+  if (!auth || !meet) return false;
+
+  if (auth.type === TOKEN_TYPES.FEDERATION) {
+    return meet.federation_id !== null && meet.federation_id === auth.federationId;
+  }
+
+  return auth.meetId === meet.id;
+}
+
+/**
+ * Allow only tokens that own the meet the request acts on (must run after authenticate)
+ * @param {Function} resolveMeetId - async (req) => meetId (or null if resource not found)
+ * @returns {Function} Express middleware
+ */
+export function requireMeetAccess(resolveMeetId) {
+  return asyncHandler(async (req, res, next) => {
+    const meetId = await resolveMeetId(req);
+    const meet = meetId ? await Meet.findById(meetId) : null;
+
+    if (!meet) {
+      throw new NotFoundError(meetId ? `Meet with ID ${meetId} not found` : 'Resource not found');
+    }
+
+    if (!canAccessMeet(req.auth, meet)) {
+      throw new ForbiddenError(`Not allowed to modify meet ${meet.id}`);
+    }
+
+    req.meet = meet;
+    next();
+  });
+}
+
+/**
+ * Meet ID resolver: route param
+ * @param {string} name - Param name
+ * @returns {Function} Resolver for requireMeetAccess
+ */
+export function meetFromParam(name) {
+  return async (req) => Number(req.params[name]);
+}
+
+/**
+ * Meet ID resolver: body field
+ * @param {string} name - Body field name
+ * @returns {Function} Resolver for requireMeetAccess
  */
+export function meetFromBody(name) {
+  return async (req) => Number(req.body?.[name]);
+}
 
-// TODO: Implement JWT verification middleware
+export default {
+  authenticate,
+  requireScope,
+  canAccessMeet,
+  requireMeetAccess,
+  meetFromParam,
+  meetFromBody
+};
@@ -26,8 +26,10 @@ export function errorHandler(err, req, res, next) {
     console.error('Stack trace:', err.stack);
   }
 
-  // Determine status code
-  const statusCode = err.statusCode || (res.statusCode !== 200 ? res.statusCode : 500);
+  // Determine status code (SQLite constraint violations = conflict with existing data)
+  const statusCode = err.statusCode
+    || (err.code === 'SQLITE_CONSTRAINT' ? 409 : null)
+    || (res.statusCode !== 200 ? res.statusCode : 500);
   
   // Set status code
   res.status(statusCode);
@@ -38,6 +40,7 @@ export function errorHandler(err, req, res, next) {
     error: {
       message: err.message,
       statusCode,
+      ...(err.details && { details: err.details }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     }
   });
@@ -2,6 +2,114 @@
  * Validation Middleware
  * 
  * Validates request body/params
+ * 
+ * RULE FORMAT (validateBody):
+ * {
+ *   name:       { required: true, type: 'string' },
+ *   level:      { required: true, enum: ['REGIONALE', 'NAZIONALE'] },
+ *   start_date: { required: true, type: 'date' },
+ *   platform_no: { type: 'integer', min: 1 }
+ * }
+ * Supported types: string, number, integer, boolean, date (YYYY-MM-DD), object, array
+ */
+
+import { ValidationError } from '../utils/errorHandler.js';
+
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a single value against a type name
+ * @param {*} value - Value to check
+ * @param {string} type - Expected type
+ * @returns {boolean}
+ * @private
  */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value.trim().length > 0;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return typeof value === 'string' && ISO_DATE_REGEX.test(value) && !isNaN(Date.parse(value));
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Validate request body against a set of rules
+ * @param {Object} rules - Field rules
+ * @param {Object} options - { partial: true } skips "required" checks (for updates)
+ * @returns {Function} Express middleware
+ */
+export function validateBody(rules, options = {}) {
+  return (req, res, next) => {
+    const body = req.body || {};
+    const errors = [];
+
+    for (const [field, rule] of Object.entries(rules)) {
+      const value = body[field];
+      const isMissing = value === undefined || value === null || value === '';
+
+      if (isMissing) {
+        if (rule.required && !options.partial) {
+          errors.push({ field, message: `${field} is required` });
+        }
+        continue;
+      }
+
+      if (rule.type && !matchesType(value, rule.type)) {
+        errors.push({ field, message: `${field} must be a valid ${rule.type}` });
+        continue;
+      }
+
+      if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')}` });
+      }
+
+      if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field, message: `${field} must be at least ${rule.min}` });
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError('Invalid request data', errors));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Validate that route params are positive integer IDs (and convert them)
+ * @param {...string} names - Param names (default 'id')
+ * @returns {Function} Express middleware
+ */
+export function validateIdParams(...names) {
+  const params = names.length > 0 ? names : ['id'];
+
+  return (req, res, next) => {
+    for (const name of params) {
+      const id = Number(req.params[name]);
+
+      if (!Number.isInteger(id) || id <= 0) {
+        return next(new ValidationError(`Invalid ${name}: must be a positive integer`));
+      }
+
+      req.params[name] = id;
+    }
+
+    next();
+  };
+}
 
-// TODO: Implement validation middleware
+export default { validateBody, validateIdParams };
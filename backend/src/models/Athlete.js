@@ -16,8 +16,8 @@ class Athlete {
   static async create(data) {
     const sql = `
       INSERT INTO athletes (
-        cf, first_name, last_name, sex, birth_date
-      ) VALUES (?, ?, ?, ?, ?)
+        cf, first_name, last_name, sex, birth_date, team_id
+      ) VALUES (?, ?, ?, ?, ?, ?)
     `;
     
     const result = await run(sql, [
@@ -25,7 +25,8 @@ class Athlete {
       data.first_name,
       data.last_name,
       data.sex,
-      data.birth_date
+      data.birth_date,
+      data.team_id ?? null
     ]);
     
     return result.lastID;
@@ -100,7 +101,8 @@ class Athlete {
         first_name = ?,
         last_name = ?,
         sex = ?,
-        birth_date = ?
+        birth_date = ?,
+        team_id = ?
       WHERE id = ?
     `;
     
@@ -110,6 +112,7 @@ class Athlete {
       data.last_name,
       data.sex,
       data.birth_date,
+      data.team_id ?? null,
       id
     ]);
     
@@ -123,7 +126,7 @@ class Athlete {
    * @returns {Promise<number>} Number of rows affected
    */
   static async partialUpdate(id, updates) {
-    const allowedFields = ['cf', 'first_name', 'last_name', 'sex', 'birth_date'];
+    const allowedFields = ['cf', 'first_name', 'last_name', 'sex', 'birth_date', 'team_id'];
     
     const fields = [];
     const values = [];
@@ -192,12 +195,15 @@ class Athlete {
         r.rack_height,
         r.belt_height,
         r.out_of_weight,
+        r.team_id as registration_team_id,
         wc.name as weight_category_name,
-        ac.name as age_category_name
+        ac.name as age_category_name,
+        t.name as team_name
       FROM athletes a
       INNER JOIN registrations r ON a.id = r.athlete_id
       LEFT JOIN weight_categories wc ON r.weight_cat_id = wc.id
       LEFT JOIN age_categories ac ON r.age_cat_id = ac.id
+      LEFT JOIN teams t ON r.team_id = t.id
       WHERE r.meet_id = ?
       ORDER BY a.last_name, a.first_name
     `;
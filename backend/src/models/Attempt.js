@@ -103,6 +103,35 @@ class Attempt {
     return await all(sql, [meetId]);
   }
 
+  /**
+   * Get the last judged attempt of a platform
+   * Platform of the result as logged in state_log (results and corrections not undone)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @returns {Promise<Object|null>}
+   */
+  static async findLastResultByPlatform(meetId, platformNo) {
+    const sql = `
+      SELECT 
+        a.*,
+        r.athlete_id,
+        at.first_name as athlete_first_name,
+        at.last_name as athlete_last_name,
+        l.name as lift_name
+      FROM state_log sl
+      INNER JOIN attempts a ON sl.attempt_id = a.id
+      INNER JOIN registrations r ON a.reg_id = r.id
+      INNER JOIN athletes at ON r.athlete_id = at.id
+      INNER JOIN lifts l ON a.lift_id = l.id
+      WHERE sl.meet_id = ? AND sl.platform_no = ?
+        AND sl.kind IN ('RESULT', 'CORRECTION') AND sl.undone_at IS NULL
+        AND a.status != 'PENDING'
+      ORDER BY sl.id DESC
+      LIMIT 1
+    `;
+    return await get(sql, [meetId, platformNo]);
+  }
+
   /**
    * Find specific attempt
    * @param {number} regId - Registration ID
@@ -136,15 +165,41 @@ class Attempt {
     return result.changes;
   }
 
+  /**
+   * Change declared weight (counts towards MAX_ATTEMPT_WEIGHT_CHANGES)
+   * @param {number} id - Attempt ID
+   * @param {number} weightKg - New weight in kg
+   * @returns {Promise<number>} Number of rows affected
+   */
+  static async changeWeight(id, weightKg) {
+    const sql = 'UPDATE attempts SET weight_kg = ?, weight_changes = weight_changes + 1 WHERE id = ?';
+    const result = await run(sql, [weightKg, id]);
+    return result.changes;
+  }
+
   /**
    * Update attempt status (CRITICAL - chiamato da votingService)
    * @param {number} id - Attempt ID
    * @param {string} status - New status ('PENDING', 'VALID', 'INVALID', 'SKIPPED')
+   * @param {string|null} faultCode - Decisive fault code (only for INVALID)
    * @returns {Promise<number>} Number of rows affected
+   * lifted_at keeps the time of the first result (order of the round)
    */
-  static async updateStatus(id, status) {
-    const sql = 'UPDATE attempts SET status = ? WHERE id = ?';
-    const result = await run(sql, [status, id]);
+  static async updateStatus(id, status, faultCode = null) {
+    const sql = `
+      UPDATE attempts
+      SET status = ?,
+          fault_code = ?,
+          lifted_at = CASE WHEN ? = 'PENDING' THEN NULL ELSE COALESCE(lifted_at, ?) END
+      WHERE id = ?
+    `;
+    const result = await run(sql, [
+      status,
+      status === 'INVALID' ? faultCode : null,
+      status,
+      new Date().toISOString(),
+      id
+    ]);
     return result.changes;
   }
 
@@ -183,7 +238,32 @@ class Attempt {
   }
 
   /**
-   * Get best valid attempt for a registration and lift
+   * Write an attempt with its ID (journal replay)
+   * @param {Object} row - { id, reg_id, lift_id, attempt_no, weight_kg, status, fault_code, weight_changes, lifted_at }
+   * @returns {Promise<void>}
+   */
+  static async upsert(row) {
+    const sql = `
+      INSERT INTO attempts (
+        id, reg_id, lift_id, attempt_no, weight_kg,
+        status, fault_code, weight_changes, lifted_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id)
+      DO UPDATE SET
+        weight_kg = excluded.weight_kg,
+        status = excluded.status,
+        fault_code = excluded.fault_code,
+        weight_changes = excluded.weight_changes,
+        lifted_at = excluded.lifted_at
+    `;
+    await run(sql, [
+      row.id, row.reg_id, row.lift_id, row.attempt_no, row.weight_kg,
+      row.status, row.fault_code, row.weight_changes, row.lifted_at
+    ]);
+  }
+
+  /**
+   * Get best valid attempt for a registration and lift (4th attempt excluded)
    * @param {number} regId - Registration ID
    * @param {string} liftId - Lift ID
    * @returns {Promise<Object|null>}
@@ -198,6 +278,7 @@ class Attempt {
       WHERE a.reg_id = ? 
         AND a.lift_id = ?
         AND a.status = 'VALID'
+        AND a.attempt_no <= 3
       ORDER BY a.weight_kg DESC
       LIMIT 1
     `;
@@ -264,7 +345,7 @@ class Attempt {
   }
 
   /**
-   * Get total for an athlete (sum of best valid attempts per lift)
+   * Get total for an athlete (sum of best valid attempts per lift, 4th attempt excluded)
    * @param {number} regId - Registration ID
    * @returns {Promise<number>} Total in kg
    */
@@ -277,7 +358,7 @@ class Attempt {
           lift_id,
           MAX(weight_kg) as best_weight
         FROM attempts
-        WHERE reg_id = ? AND status = 'VALID'
+        WHERE reg_id = ? AND status = 'VALID' AND attempt_no <= 3
         GROUP BY lift_id
       )
     `;
@@ -0,0 +1,76 @@
+/**
+ * CompetitionEvent Model
+ * 
+ * Database operations for the competition journal
+ * Table: competition_events (append-only, 1 row per state-changing action)
+ */
+
+import { all, run } from '../config/database-local.js';
+
+class CompetitionEvent {
+  /**
+   * Append an event
+   * @param {number} meetId - Meet ID
+   * @param {string} type - Event type (JOURNAL_EVENT_TYPES)
+   * @param {Object} payload - Event data (stored as JSON)
+   * @param {string} actor - Who did it (REGISTA, FEDERATION, JUDGE:<role>, SYSTEM)
+   * @returns {Promise<number>} Event ID
+   */
+  static async append(meetId, type, payload, actor) {
+    const sql = `
+      INSERT INTO competition_events (meet_id, type, actor, payload, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    const result = await run(sql, [meetId, type, actor, JSON.stringify(payload), new Date().toISOString()]);
+    return result.lastID;
+  }
+
+  /**
+   * Append an event of an attempt (meet taken from its registration)
+   * @param {number} attemptId - Attempt ID
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   * @param {string} actor - Who did it
+   * @returns {Promise<number>} Event ID
+   */
+  static async appendForAttempt(attemptId, type, payload, actor) {
+    const sql = `
+      INSERT INTO competition_events (meet_id, type, actor, payload, created_at)
+      SELECT r.meet_id, ?, ?, ?, ?
+      FROM attempts a
+      INNER JOIN registrations r ON a.reg_id = r.id
+      WHERE a.id = ?
+    `;
+    const result = await run(sql, [type, actor, JSON.stringify(payload), new Date().toISOString(), attemptId]);
+    return result.lastID;
+  }
+
+  /**
+   * Get journal of a meet
+   * @param {number} meetId - Meet ID
+   * @param {Object} filters - { type, actor, afterId } (all optional)
+   * @returns {Promise<Array>} Oldest first, payload still as JSON text
+   */
+  static async findByMeet(meetId, filters = {}) {
+    let sql = 'SELECT * FROM competition_events WHERE meet_id = ?';
+    const params = [meetId];
+
+    if (filters.type) {
+      sql += ' AND type = ?';
+      params.push(filters.type);
+    }
+    if (filters.actor) {
+      sql += ' AND actor = ?';
+      params.push(filters.actor);
+    }
+    if (filters.afterId) {
+      sql += ' AND id > ?';
+      params.push(filters.afterId);
+    }
+
+    sql += ' ORDER BY id';
+    return await all(sql, params);
+  }
+}
+
+export default CompetitionEvent;
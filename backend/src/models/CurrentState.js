@@ -2,69 +2,102 @@
  * Current State Model
  * 
  * Database operations for real-time competition state
- * Table: current_state (SINGLETON - always id=1)
+ * Table: current_state (1 row per platform of a meet, key: meet_id + platform_no)
  * 
- * This is the CORE table that tracks what's happening NOW in the competition:
+ * This is the CORE table that tracks what's happening NOW on each platform:
  * - Current athlete performing
  * - Current lift being attempted
  * - Timer state (running/paused/stopped)
  * - Clock countdown
  */
 
-import { get, run } from '../config/database-local.js';
+import { get, all, run } from '../config/database-local.js';
 
-const SINGLETON_ID = 1;
+// State row with athlete, lift, flight and group names
+const SELECT_STATE = `
+  SELECT
+    cs.*,
+    r.athlete_id,
+    a.first_name as athlete_first_name,
+    a.last_name as athlete_last_name,
+    a.sex as athlete_sex,
+    l.name as lift_name,
+    f.name as flight_name,
+    g.name as group_name
+  FROM current_state cs
+  LEFT JOIN registrations r ON cs.current_reg_id = r.id
+  LEFT JOIN athletes a ON r.athlete_id = a.id
+  LEFT JOIN lifts l ON cs.current_lift_id = l.id
+  LEFT JOIN flights f ON cs.current_flight_id = f.id
+  LEFT JOIN groups g ON cs.current_group_id = g.id
+`;
 
 class CurrentState {
   /**
-   * Get current state (singleton)
+   * Get state of a platform
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number (default 1)
    * @returns {Promise<Object|null>}
    */
-  static async get() {
-    const sql = `
-      SELECT 
-        cs.*,
-        r.athlete_id,
-        a.first_name as athlete_first_name,
-        a.last_name as athlete_last_name,
-        a.sex as athlete_sex,
-        l.name as lift_name,
-        f.name as flight_name,
-        g.name as group_name
-      FROM current_state cs
-      LEFT JOIN registrations r ON cs.current_reg_id = r.id
-      LEFT JOIN athletes a ON r.athlete_id = a.id
-      LEFT JOIN lifts l ON cs.current_lift_id = l.id
-      LEFT JOIN flights f ON cs.current_flight_id = f.id
-      LEFT JOIN groups g ON cs.current_group_id = g.id
-      WHERE cs.id = ?
-    `;
-    return await get(sql, [SINGLETON_ID]);
+  static async get(meetId, platformNo = 1) {
+    const sql = `${SELECT_STATE} WHERE cs.meet_id = ? AND cs.platform_no = ?`;
+    return await get(sql, [meetId, platformNo]);
+  }
+
+  /**
+   * Get states of all platforms of a meet
+   * @param {number} meetId - Meet ID
+   * @returns {Promise<Array>} Ordered by platform
+   */
+  static async findByMeet(meetId) {
+    const sql = `${SELECT_STATE} WHERE cs.meet_id = ? ORDER BY cs.platform_no`;
+    return await all(sql, [meetId]);
   }
 
   /**
-   * Initialize current state (first time setup)
+   * Get states of all platforms of all meets (startup recovery)
+   * @returns {Promise<Array>}
+   */
+  static async findAll() {
+    const sql = `${SELECT_STATE} ORDER BY cs.meet_id, cs.platform_no`;
+    return await all(sql);
+  }
+
+  /**
+   * Get the platform where an athlete is currently called
+   * @param {number} regId - Registration ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByRegistration(regId) {
+    const sql = `${SELECT_STATE} WHERE cs.current_reg_id = ?`;
+    return await get(sql, [regId]);
+  }
+
+  /**
+   * Initialize state of a platform (first time setup)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {Object} data - Initial state data
    * @returns {Promise<void>}
    */
-  static async initialize(data = {}) {
+  static async initialize(meetId, platformNo = 1, data = {}) {
     const sql = `
       INSERT INTO current_state (
-        id, 
         meet_id,
-        current_flight_id, 
+        platform_no,
+        current_flight_id,
         current_group_id,
-        current_reg_id, 
-        current_lift_id, 
+        current_reg_id,
+        current_lift_id,
         current_round,
-        timer_start, 
+        timer_start,
         timer_seconds
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
-    
+
     await run(sql, [
-      SINGLETON_ID,
-      data.meet_id || null,
+      meetId,
+      platformNo,
       data.current_flight_id || null,
       data.current_group_id || null,
       data.current_reg_id || null,
@@ -77,144 +110,228 @@ class CurrentState {
 
   /**
    * Update current athlete
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {number} regId - Registration ID
    * @returns {Promise<void>}
    */
-  static async setCurrentAthlete(regId) {
+  static async setCurrentAthlete(meetId, platformNo, regId) {
     const sql = `
-      UPDATE current_state 
-      SET current_reg_id = ? 
-      WHERE id = ?
+      UPDATE current_state
+      SET current_reg_id = ?
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [regId, SINGLETON_ID]);
+    await run(sql, [regId, meetId, platformNo]);
   }
 
   /**
    * Update current lift
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {number} liftId - Lift ID
    * @returns {Promise<void>}
    */
-  static async setCurrentLift(liftId) {
+  static async setCurrentLift(meetId, platformNo, liftId) {
     const sql = `
-      UPDATE current_state 
-      SET current_lift_id = ? 
-      WHERE id = ?
+      UPDATE current_state
+      SET current_lift_id = ?
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [liftId, SINGLETON_ID]);
+    await run(sql, [liftId, meetId, platformNo]);
   }
 
   /**
    * Update current round
-   * @param {number} round - Round number (1, 2, 3)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @param {number} round - Round number (1, 2, 3, 4 = record attempts)
    * @returns {Promise<void>}
    */
-  static async setCurrentRound(round) {
+  static async setCurrentRound(meetId, platformNo, round) {
     const sql = `
-      UPDATE current_state 
-      SET current_round = ? 
-      WHERE id = ?
+      UPDATE current_state
+      SET current_round = ?
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [round, SINGLETON_ID]);
+    await run(sql, [round, meetId, platformNo]);
   }
 
   /**
    * Update current flight
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {number} flightId - Flight ID
    * @returns {Promise<void>}
    */
-  static async setCurrentFlight(flightId) {
+  static async setCurrentFlight(meetId, platformNo, flightId) {
     const sql = `
-      UPDATE current_state 
-      SET current_flight_id = ? 
-      WHERE id = ?
+      UPDATE current_state
+      SET current_flight_id = ?
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [flightId, SINGLETON_ID]);
+    await run(sql, [flightId, meetId, platformNo]);
   }
 
   /**
    * Update current group
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {number} groupId - Group ID
    * @returns {Promise<void>}
    */
-  static async setCurrentGroup(groupId) {
+  static async setCurrentGroup(meetId, platformNo, groupId) {
     const sql = `
-      UPDATE current_state 
-      SET current_group_id = ? 
-      WHERE id = ?
+      UPDATE current_state
+      SET current_group_id = ?
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [groupId, SINGLETON_ID]);
+    await run(sql, [groupId, meetId, platformNo]);
   }
 
   /**
    * Update timer start timestamp
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {string} timestamp - ISO datetime or null
    * @returns {Promise<void>}
    */
-  static async setTimerStart(timestamp) {
+  static async setTimerStart(meetId, platformNo, timestamp) {
     const sql = `
-      UPDATE current_state 
-      SET timer_start = ? 
-      WHERE id = ?
+      UPDATE current_state
+      SET timer_start = ?
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [timestamp, SINGLETON_ID]);
+    await run(sql, [timestamp, meetId, platformNo]);
   }
 
   /**
    * Update timer seconds
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {number} seconds - Seconds (default 60)
    * @returns {Promise<void>}
    */
-  static async setTimerSeconds(seconds) {
+  static async setTimerSeconds(meetId, platformNo, seconds) {
     const sql = `
-      UPDATE current_state 
-      SET timer_seconds = ? 
-      WHERE id = ?
+      UPDATE current_state
+      SET timer_seconds = ?
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [seconds, SINGLETON_ID]);
+    await run(sql, [seconds, meetId, platformNo]);
   }
 
   /**
    * Start timer
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {number} seconds - Initial seconds (default 60)
+   * @param {string} kind - 'ATTEMPT', 'DECLARATION' or 'BREAK'
    * @returns {Promise<void>}
    */
-  static async startTimer(seconds = 60) {
+  static async startTimer(meetId, platformNo, seconds = 60, kind = 'ATTEMPT') {
     const sql = `
-      UPDATE current_state 
-      SET timer_start = ?, 
-          timer_seconds = ? 
-      WHERE id = ?
+      UPDATE current_state
+      SET timer_start = ?,
+          timer_seconds = ?,
+          timer_remaining = ?,
+          timer_kind = ?,
+          timer_status = 'RUNNING'
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [new Date().toISOString(), seconds, SINGLETON_ID]);
+    await run(sql, [new Date().toISOString(), seconds, seconds * 1000, kind, meetId, platformNo]);
+  }
+
+  /**
+   * Pause timer
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @param {number} remainingMs - Milliseconds left at pause
+   * @returns {Promise<void>}
+   */
+  static async pauseTimer(meetId, platformNo, remainingMs) {
+    const sql = `
+      UPDATE current_state
+      SET timer_start = NULL,
+          timer_remaining = ?,
+          timer_status = 'PAUSED'
+      WHERE meet_id = ? AND platform_no = ?
+    `;
+    await run(sql, [remainingMs, meetId, platformNo]);
+  }
+
+  /**
+   * Resume paused timer (remaining time is kept)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @returns {Promise<void>}
+   */
+  static async resumeTimer(meetId, platformNo) {
+    const sql = `
+      UPDATE current_state
+      SET timer_start = ?,
+          timer_status = 'RUNNING'
+      WHERE meet_id = ? AND platform_no = ?
+    `;
+    await run(sql, [new Date().toISOString(), meetId, platformNo]);
   }
 
   /**
    * Stop timer (reset)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @param {string} status - 'STOPPED' (manual) or 'EXPIRED' (time is up)
    * @returns {Promise<void>}
    */
-  static async stopTimer() {
+  static async stopTimer(meetId, platformNo, status = 'STOPPED') {
     const sql = `
-      UPDATE current_state 
-      SET timer_start = NULL, 
-          timer_seconds = 60 
-      WHERE id = ?
+      UPDATE current_state
+      SET timer_start = NULL,
+          timer_remaining = ?,
+          timer_status = ?
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [SINGLETON_ID]);
+    await run(sql, [status === 'EXPIRED' ? 0 : null, status, meetId, platformNo]);
+  }
+
+  /**
+   * Write the whole clock state (journal replay)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @param {Object} timer - { timer_status, timer_kind, timer_seconds, timer_remaining, timer_start }
+   * @returns {Promise<void>}
+   */
+  static async restoreTimer(meetId, platformNo, timer) {
+    const sql = `
+      UPDATE current_state
+      SET timer_status = ?,
+          timer_kind = ?,
+          timer_seconds = ?,
+          timer_remaining = ?,
+          timer_start = ?
+      WHERE meet_id = ? AND platform_no = ?
+    `;
+    await run(sql, [
+      timer.timer_status,
+      timer.timer_kind,
+      timer.timer_seconds,
+      timer.timer_remaining,
+      timer.timer_start,
+      meetId,
+      platformNo
+    ]);
   }
 
   /**
    * Update complete state (atomic operation)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @param {Object} data - State data
    * @returns {Promise<void>}
    */
-  static async update(data) {
+  static async update(meetId, platformNo, data) {
     const fields = [];
     const values = [];
 
-    if (data.meet_id !== undefined) {
-      fields.push('meet_id = ?');
-      values.push(data.meet_id);
-    }
     if (data.current_flight_id !== undefined) {
       fields.push('current_flight_id = ?');
       values.push(data.current_flight_id);
@@ -248,69 +365,81 @@ class CurrentState {
       return; // Nothing to update
     }
 
-    values.push(SINGLETON_ID);
-    const sql = `UPDATE current_state SET ${fields.join(', ')} WHERE id = ?`;
+    values.push(meetId, platformNo);
+    const sql = `UPDATE current_state SET ${fields.join(', ')} WHERE meet_id = ? AND platform_no = ?`;
     await run(sql, values);
   }
 
   /**
-   * Reset state (clear all current values)
+   * Reset state of a platform (clear all current values)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @returns {Promise<void>}
    */
-  static async reset() {
+  static async reset(meetId, platformNo) {
     const sql = `
-      UPDATE current_state 
-      SET meet_id = NULL,
-          current_flight_id = NULL,
+      UPDATE current_state
+      SET current_flight_id = NULL,
           current_group_id = NULL,
           current_reg_id = NULL,
           current_lift_id = NULL,
           current_round = 1,
           timer_start = NULL,
-          timer_seconds = 60
-      WHERE id = ?
+          timer_seconds = 60,
+          timer_status = 'STOPPED',
+          timer_kind = 'ATTEMPT',
+          timer_remaining = NULL
+      WHERE meet_id = ? AND platform_no = ?
     `;
-    await run(sql, [SINGLETON_ID]);
+    await run(sql, [meetId, platformNo]);
   }
 
   /**
-   * Check if state exists (singleton should always exist)
+   * Check if state of a platform exists
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @returns {Promise<boolean>}
    */
-  static async exists() {
-    const sql = 'SELECT COUNT(*) as count FROM current_state WHERE id = ?';
-    const result = await get(sql, [SINGLETON_ID]);
+  static async exists(meetId, platformNo) {
+    const sql = 'SELECT COUNT(*) as count FROM current_state WHERE meet_id = ? AND platform_no = ?';
+    const result = await get(sql, [meetId, platformNo]);
     return result.count > 0;
   }
 
   /**
-   * Ensure singleton exists (create if missing)
+   * Ensure state of a platform exists (create if missing)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @returns {Promise<void>}
    */
-  static async ensureExists() {
-    const exists = await this.exists();
+  static async ensureExists(meetId, platformNo) {
+    const exists = await this.exists(meetId, platformNo);
     if (!exists) {
-      await this.initialize();
+      await this.initialize(meetId, platformNo);
     }
   }
 
   /**
    * Advance to next athlete (used by Regista after NEXT button)
    * This is a placeholder - actual logic will be in stateMachine service
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
    * @returns {Promise<void>}
    */
-  static async advanceToNext() {
+  static async advanceToNext(meetId, platformNo) {
     // This will be implemented in stateMachine.js service
     // For now, just clear current athlete
-    await this.setCurrentAthlete(null);
+    await this.setCurrentAthlete(meetId, platformNo, null);
   }
 
   /**
    * Get full state with all related data
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number (default 1)
    * @returns {Promise<Object>}
    */
-  static async getFullState() {
-    const state = await this.get();
+  static async getFullState(meetId, platformNo = 1) {
+    const state = await this.get(meetId, platformNo);
     if (!state) return null;
 
     // State already has JOINed data from get() method
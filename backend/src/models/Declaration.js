@@ -0,0 +1,117 @@
+/**
+ * Declaration Model
+ * 
+ * Database operations for next-attempt declarations
+ * Table: declarations (1 row per athlete per lift per attempt to declare)
+ */
+
+import { get, all, run } from '../config/database-local.js';
+
+class Declaration {
+  /**
+   * Open (or re-open) the declaration window of an attempt
+   * @param {number} regId - Registration ID
+   * @param {string} liftId - Lift ID
+   * @param {number} attemptNo - Attempt to declare (2, 3, 4)
+   * @param {string} deadlineAt - ISO datetime
+   * @returns {Promise<void>}
+   */
+  static async open(regId, liftId, attemptNo, deadlineAt) {
+    const sql = `
+      INSERT INTO declarations (reg_id, lift_id, attempt_no, deadline_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (reg_id, lift_id, attempt_no)
+      DO UPDATE SET
+        deadline_at = excluded.deadline_at,
+        status = 'PENDING',
+        weight_kg = NULL,
+        declared_at = NULL
+    `;
+    await run(sql, [regId, liftId, attemptNo, deadlineAt]);
+  }
+
+  /**
+   * Find declaration of an attempt (with athlete and meet)
+   * @param {number} regId - Registration ID
+   * @param {string} liftId - Lift ID
+   * @param {number} attemptNo - Attempt number
+   * @returns {Promise<Object|null>}
+   */
+  static async find(regId, liftId, attemptNo) {
+    const sql = `
+      SELECT
+        d.*,
+        r.meet_id,
+        at.first_name as athlete_first_name,
+        at.last_name as athlete_last_name
+      FROM declarations d
+      INNER JOIN registrations r ON d.reg_id = r.id
+      INNER JOIN athletes at ON r.athlete_id = at.id
+      WHERE d.reg_id = ? AND d.lift_id = ? AND d.attempt_no = ?
+    `;
+    return await get(sql, [regId, liftId, attemptNo]);
+  }
+
+  /**
+   * Get declarations still PENDING
+   * @param {number} meetId - Optional: filter by meet
+   * @param {boolean} withUndeclared - Also DEFAULTED windows without a weight (late declaration)
+   * @returns {Promise<Array>} Ordered by deadline
+   */
+  static async findPending(meetId = null, withUndeclared = false) {
+    let sql = `
+      SELECT
+        d.*,
+        r.meet_id,
+        at.first_name as athlete_first_name,
+        at.last_name as athlete_last_name
+      FROM declarations d
+      INNER JOIN registrations r ON d.reg_id = r.id
+      INNER JOIN athletes at ON r.athlete_id = at.id
+      WHERE (d.status = 'PENDING'${withUndeclared ? " OR (d.status = 'DEFAULTED' AND d.weight_kg IS NULL)" : ''})
+    `;
+
+    const params = [];
+    if (meetId) {
+      sql += ' AND r.meet_id = ?';
+      params.push(meetId);
+    }
+
+    sql += ' ORDER BY d.deadline_at';
+    return await all(sql, params);
+  }
+
+  /**
+   * Close a declaration window
+   * A DEFAULTED window without a weight can still be DECLARED (late declaration)
+   * @param {number} id - Declaration ID
+   * @param {string} status - 'DECLARED' or 'DEFAULTED'
+   * @param {number|null} weightKg - Declared weight (null: defaulted without a weight)
+   * @returns {Promise<number>} Number of rows affected (0 if already closed)
+   */
+  static async close(id, status, weightKg) {
+    const sql = `
+      UPDATE declarations
+      SET status = ?, weight_kg = ?, declared_at = ?
+      WHERE id = ? AND (
+        status = 'PENDING'
+        OR (? = 'DECLARED' AND status = 'DEFAULTED' AND weight_kg IS NULL)
+      )
+    `;
+    const result = await run(sql, [status, weightKg, new Date().toISOString(), id, status]);
+    return result.changes;
+  }
+
+  /**
+   * Delete a declaration window still PENDING (result undone)
+   * @param {number} id - Declaration ID
+   * @returns {Promise<number>} Number of rows affected (0 if already closed)
+   */
+  static async deletePending(id) {
+    const sql = "DELETE FROM declarations WHERE id = ? AND status = 'PENDING'";
+    const result = await run(sql, [id]);
+    return result.changes;
+  }
+}
+
+export default Declaration;
@@ -20,15 +20,16 @@ class Flight {
   static async createFlight(data) {
     const sql = `
       INSERT INTO flights (
-        meet_id, name, ord, start_time
-      ) VALUES (?, ?, ?, ?)
+        meet_id, name, ord, start_time, platform_no
+      ) VALUES (?, ?, ?, ?, ?)
     `;
     
     const result = await run(sql, [
       data.meet_id,
       data.name,
       data.ord,
-      data.start_time || null
+      data.start_time || null,
+      data.platform_no || 1
     ]);
     
     return result.lastID;
@@ -55,15 +56,20 @@ class Flight {
   /**
    * Get all flights for a meet
    * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Optional: only flights of one platform
    * @returns {Promise<Array>}
    */
-  static async findByMeet(meetId) {
-    const sql = `
-      SELECT * FROM flights
-      WHERE meet_id = ?
-      ORDER BY ord, start_time
-    `;
-    return await all(sql, [meetId]);
+  static async findByMeet(meetId, platformNo = null) {
+    let sql = 'SELECT * FROM flights WHERE meet_id = ?';
+    const params = [meetId];
+
+    if (platformNo) {
+      sql += ' AND platform_no = ?';
+      params.push(platformNo);
+    }
+
+    sql += ' ORDER BY ord, start_time';
+    return await all(sql, params);
   }
 
   /**
@@ -77,7 +83,8 @@ class Flight {
       UPDATE flights SET
         name = ?,
         ord = ?,
-        start_time = ?
+        start_time = ?,
+        platform_no = ?
       WHERE id = ?
     `;
     
@@ -85,6 +92,7 @@ class Flight {
       data.name,
       data.ord,
       data.start_time || null,
+      data.platform_no || 1,
       id
     ]);
     
@@ -222,6 +230,34 @@ class Flight {
     return result.lastID;
   }
 
+  /**
+   * Find group entry by ID
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findEntryById(entryId) {
+    const sql = 'SELECT * FROM group_entries WHERE id = ?';
+    return await get(sql, [entryId]);
+  }
+
+  /**
+   * Find the group entry of a registration (any group of its meet)
+   * @param {number} regId - Registration ID
+   * @returns {Promise<Object|null>} Entry with group and flight info
+   */
+  static async findEntryByRegistration(regId) {
+    const sql = `
+      SELECT 
+        ge.*,
+        g.name as group_name,
+        g.flight_id
+      FROM group_entries ge
+      INNER JOIN groups g ON ge.group_id = g.id
+      WHERE ge.reg_id = ?
+    `;
+    return await get(sql, [regId]);
+  }
+
   /**
    * Get all athletes in a group (with full details)
    * @param {number} groupId - Group ID
@@ -250,6 +286,58 @@ class Flight {
     return await all(sql, [groupId]);
   }
 
+  /**
+   * Get all athletes in a group with their attempt of one round (single query)
+   * declared_weight: attempt weight, or the opener (registration_maxes) in round 1
+   * previous_lifted_at: result time of the previous round (tie-break)
+   * @param {number} groupId - Group ID
+   * @param {string} liftId - Lift ID
+   * @param {number} attemptNo - Round / attempt number (1-4)
+   * @returns {Promise<Array>} Entries with lot_number, attempt_id, attempt_status, declared_weight
+   */
+  static async getGroupEntriesWithAttempt(groupId, liftId, attemptNo) {
+    const sql = `
+      SELECT
+        ge.*,
+        a.first_name as athlete_first_name,
+        a.last_name as athlete_last_name,
+        a.cf as athlete_cf,
+        a.birth_date,
+        a.sex,
+        r.bodyweight_kg,
+        r.weight_cat_id,
+        r.age_cat_id,
+        wc.name as weight_category_name,
+        ac.name as age_category_name,
+        r.lot_number,
+        att.id as attempt_id,
+        att.status as attempt_status,
+        COALESCE(att.attempt_no, ?) as attempt_no,
+        COALESCE(att.weight_kg, rm.max_kg) as declared_weight,
+        prev.lifted_at as previous_lifted_at
+      FROM group_entries ge
+      INNER JOIN registrations r ON ge.reg_id = r.id
+      INNER JOIN athletes a ON r.athlete_id = a.id
+      LEFT JOIN weight_categories wc ON r.weight_cat_id = wc.id
+      LEFT JOIN age_categories ac ON r.age_cat_id = ac.id
+      LEFT JOIN attempts att
+        ON att.reg_id = ge.reg_id AND att.lift_id = ? AND att.attempt_no = ?
+      LEFT JOIN registration_maxes rm
+        ON rm.reg_id = ge.reg_id AND rm.lift_id = ? AND ? = 1
+      LEFT JOIN attempts prev
+        ON prev.reg_id = ge.reg_id AND prev.lift_id = ? AND prev.attempt_no = ? - 1
+      WHERE ge.group_id = ?
+      ORDER BY ge.start_ord, a.last_name, a.first_name
+    `;
+    return await all(sql, [
+      attemptNo,
+      liftId, attemptNo,
+      liftId, attemptNo,
+      liftId, attemptNo,
+      groupId
+    ]);
+  }
+
   /**
    * Update athlete start order in group
    * @param {number} entryId - Entry ID
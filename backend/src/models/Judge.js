@@ -16,13 +16,14 @@ class Judge {
   static async create(data) {
     const sql = `
       INSERT INTO judges (
-        meet_id, role
-      ) VALUES (?, ?)
+        meet_id, role, platform_no
+      ) VALUES (?, ?, ?)
     `;
     
     const result = await run(sql, [
       data.meet_id,
-      data.role
+      data.role,
+      data.platform_no || 1
     ]);
     
     return result.lastID;
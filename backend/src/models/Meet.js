@@ -17,8 +17,8 @@ class Meet {
     const sql = `
       INSERT INTO meets (
         federation_id, meet_code, name, meet_type_id, 
-        start_date, level, regulation_code
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        start_date, level, regulation_code, team_points, team_scorers
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const result = await run(sql, [
@@ -28,7 +28,9 @@ class Meet {
       data.meet_type_id,
       data.start_date,
       data.level,
-      data.regulation_code
+      data.regulation_code,
+      data.team_points ?? null,
+      data.team_scorers ?? null
     ]);
     
     return result.lastID;
@@ -107,7 +109,9 @@ class Meet {
         meet_type_id = ?,
         start_date = ?,
         level = ?,
-        regulation_code = ?
+        regulation_code = ?,
+        team_points = ?,
+        team_scorers = ?
       WHERE id = ?
     `;
     
@@ -119,6 +123,8 @@ class Meet {
       data.start_date,
       data.level,
       data.regulation_code,
+      data.team_points ?? null,
+      data.team_scorers ?? null,
       id
     ]);
     
@@ -149,8 +155,8 @@ class Meet {
         COUNT(DISTINCT f.id) as total_flights,
         COUNT(DISTINCT g.id) as total_groups,
         COUNT(DISTINCT a.id) as total_attempts,
-        SUM(CASE WHEN a.status = 'VALID' THEN 1 ELSE 0 END) as valid_attempts,
-        SUM(CASE WHEN a.status = 'INVALID' THEN 1 ELSE 0 END) as invalid_attempts
+        COUNT(DISTINCT CASE WHEN a.status = 'VALID' THEN a.id END) as valid_attempts,
+        COUNT(DISTINCT CASE WHEN a.status = 'INVALID' THEN a.id END) as invalid_attempts
       FROM meets m
       LEFT JOIN registrations r ON m.id = r.meet_id
       LEFT JOIN flights f ON m.id = f.meet_id
@@ -200,6 +206,26 @@ class Meet {
     };
   }
 
+  /**
+   * Get lifts of a meet in competition order (meet_type_lifts.sequence)
+   * @param {number} meetId - Meet ID
+   * @returns {Promise<Array>} [{ id, name, sequence }]
+   */
+  static async getLiftSequence(meetId) {
+    const sql = `
+      SELECT 
+        l.id,
+        l.name,
+        mtl.sequence
+      FROM meets m
+      INNER JOIN meet_type_lifts mtl ON mtl.meet_type_id = m.meet_type_id
+      INNER JOIN lifts l ON mtl.lift_id = l.id
+      WHERE m.id = ?
+      ORDER BY mtl.sequence
+    `;
+    return await all(sql, [meetId]);
+  }
+
   /**
    * Check if meet code exists
    * @param {string} meetCode - Meet code
@@ -219,6 +245,17 @@ class Meet {
     return result.count > 0;
   }
 
+  /**
+   * Check if meet type exists
+   * @param {string} meetTypeId - Meet type ID (e.g., 'STREET_4')
+   * @returns {Promise<boolean>}
+   */
+  static async meetTypeExists(meetTypeId) {
+    const sql = 'SELECT COUNT(*) as count FROM meet_types WHERE id = ?';
+    const result = await get(sql, [meetTypeId]);
+    return result.count > 0;
+  }
+
   /**
    * Find meets by federation
    * @param {number} federationId - Federation ID
@@ -3,9 +3,24 @@
  * 
  * Database operations for records
  * Table: records (LOCAL DB - synced from remote at start)
+ * One record per weight category + age category + lift (sex from weight_categories)
  */
 
-import { get, all } from '../config/database-local.js';
+import { get, all, run } from '../config/database-local.js';
+
+// Columns shared by all record queries
+const RECORD_SELECT = `
+  SELECT
+    r.*,
+    l.name as lift_name,
+    wc.name as weight_category_name,
+    wc.sex as sex,
+    ac.name as age_category_name
+  FROM records r
+  INNER JOIN lifts l ON r.lift_id = l.id
+  INNER JOIN weight_categories wc ON r.weight_cat_id = wc.id
+  INNER JOIN age_categories ac ON r.age_cat_id = ac.id
+`;
 
 class Record {
   /**
@@ -14,107 +29,52 @@ class Record {
    * @returns {Promise<Object|null>}
    */
   static async findById(id) {
-    const sql = `
-      SELECT 
-        r.*,
-        f.name as federation_name,
-        f.abbrev as federation_abbrev,
-        l.name as lift_name,
-        l.abbrev as lift_abbrev,
-        wc.name as weight_category_name,
-        ac.name as age_category_name
-      FROM records r
-      INNER JOIN federations f ON r.federation_id = f.id
-      INNER JOIN lifts l ON r.lift_id = l.id
-      LEFT JOIN weight_categories wc ON r.weight_category_id = wc.id
-      LEFT JOIN age_categories ac ON r.age_category_id = ac.id
-      WHERE r.id = ?
-    `;
+    const sql = `${RECORD_SELECT} WHERE r.id = ?`;
     return await get(sql, [id]);
   }
 
   /**
    * Get all records
-   * @param {number} federationId - Optional: filter by federation
    * @returns {Promise<Array>}
    */
-  static async findAll(federationId = null) {
-    let sql = `
-      SELECT 
-        r.*,
-        f.name as federation_name,
-        f.abbrev as federation_abbrev,
-        l.name as lift_name,
-        l.abbrev as lift_abbrev,
-        wc.name as weight_category_name,
-        ac.name as age_category_name
-      FROM records r
-      INNER JOIN federations f ON r.federation_id = f.id
-      INNER JOIN lifts l ON r.lift_id = l.id
-      LEFT JOIN weight_categories wc ON r.weight_category_id = wc.id
-      LEFT JOIN age_categories ac ON r.age_category_id = ac.id
-    `;
-    
-    const params = [];
-    if (federationId) {
-      sql += ' WHERE r.federation_id = ?';
-      params.push(federationId);
-    }
-    
-    sql += ' ORDER BY f.name, l.name, wc.name, ac.name';
-    return await all(sql, params);
+  static async findAll() {
+    const sql = `${RECORD_SELECT} ORDER BY l.name, wc.sex, wc.ord, ac.ord`;
+    return await all(sql);
   }
 
   /**
    * Find records by criteria
-   * @param {Object} criteria - Search criteria
-   * @returns {Promise<Array>}
+   * @param {Object} criteria - { lift_id, sex, weight_cat_id, age_cat_id } (all optional)
+   * @returns {Promise<Array>} Heaviest first
    */
   static async findByCriteria(criteria) {
     const conditions = [];
     const params = [];
 
-    if (criteria.federation_id) {
-      conditions.push('r.federation_id = ?');
-      params.push(criteria.federation_id);
-    }
     if (criteria.lift_id) {
       conditions.push('r.lift_id = ?');
       params.push(criteria.lift_id);
     }
     if (criteria.sex) {
-      conditions.push('r.sex = ?');
+      conditions.push('wc.sex = ?');
       params.push(criteria.sex);
     }
-    if (criteria.weight_category_id) {
-      conditions.push('r.weight_category_id = ?');
-      params.push(criteria.weight_category_id);
+    if (criteria.weight_cat_id) {
+      conditions.push('r.weight_cat_id = ?');
+      params.push(criteria.weight_cat_id);
     }
-    if (criteria.age_category_id) {
-      conditions.push('r.age_category_id = ?');
-      params.push(criteria.age_category_id);
+    if (criteria.age_cat_id) {
+      conditions.push('r.age_cat_id = ?');
+      params.push(criteria.age_cat_id);
     }
 
-    let sql = `
-      SELECT 
-        r.*,
-        f.name as federation_name,
-        l.name as lift_name,
-        l.abbrev as lift_abbrev,
-        wc.name as weight_category_name,
-        ac.name as age_category_name
-      FROM records r
-      INNER JOIN federations f ON r.federation_id = f.id
-      INNER JOIN lifts l ON r.lift_id = l.id
-      LEFT JOIN weight_categories wc ON r.weight_category_id = wc.id
-      LEFT JOIN age_categories ac ON r.age_category_id = ac.id
-    `;
+    let sql = RECORD_SELECT;
 
     if (conditions.length > 0) {
       sql += ' WHERE ' + conditions.join(' AND ');
     }
 
-    sql += ' ORDER BY r.weight_kg DESC';
+    sql += ' ORDER BY r.record_kg DESC';
     return await all(sql, params);
   }
 
@@ -126,14 +86,14 @@ class Record {
    */
   static async checkRecord(criteria, weightKg) {
     const records = await this.findByCriteria(criteria);
-    
+
     if (records.length === 0) {
       return null; // No record exists for these criteria
     }
 
     const currentRecord = records[0]; // Highest weight (ordered DESC)
-    
-    if (weightKg > currentRecord.weight_kg) {
+
+    if (weightKg > currentRecord.record_kg) {
       return currentRecord; // Record beaten!
     }
 
@@ -142,83 +102,26 @@ class Record {
 
   /**
    * Get record for specific combination (exact match)
-   * @param {Object} criteria - Exact criteria
+   * @param {Object} criteria - { weight_cat_id, age_cat_id, lift_id }
    * @returns {Promise<Object|null>}
    */
   static async getExactRecord(criteria) {
     const sql = `
-      SELECT 
-        r.*,
-        f.name as federation_name,
-        l.name as lift_name,
-        wc.name as weight_category_name,
-        ac.name as age_category_name
-      FROM records r
-      INNER JOIN federations f ON r.federation_id = f.id
-      INNER JOIN lifts l ON r.lift_id = l.id
-      LEFT JOIN weight_categories wc ON r.weight_category_id = wc.id
-      LEFT JOIN age_categories ac ON r.age_category_id = ac.id
-      WHERE r.federation_id = ?
+      ${RECORD_SELECT}
+      WHERE r.weight_cat_id = ?
+        AND r.age_cat_id = ?
         AND r.lift_id = ?
-        AND r.sex = ?
-        AND (r.weight_category_id = ? OR (r.weight_category_id IS NULL AND ? IS NULL))
-        AND (r.age_category_id = ? OR (r.age_category_id IS NULL AND ? IS NULL))
-      LIMIT 1
-    `;
-    
-    return await get(sql, [
-      criteria.federation_id,
-      criteria.lift_id,
-      criteria.sex,
-      criteria.weight_category_id || null,
-      criteria.weight_category_id || null,
-      criteria.age_category_id || null,
-      criteria.age_category_id || null
-    ]);
-  }
-
-  /**
-   * Get records by federation
-   * @param {number} federationId - Federation ID
-   * @returns {Promise<Array>}
-   */
-  static async findByFederation(federationId) {
-    const sql = `
-      SELECT 
-        r.*,
-        l.name as lift_name,
-        l.abbrev as lift_abbrev,
-        wc.name as weight_category_name,
-        ac.name as age_category_name
-      FROM records r
-      INNER JOIN lifts l ON r.lift_id = l.id
-      LEFT JOIN weight_categories wc ON r.weight_category_id = wc.id
-      LEFT JOIN age_categories ac ON r.age_category_id = ac.id
-      WHERE r.federation_id = ?
-      ORDER BY l.name, r.sex, wc.name, ac.name
     `;
-    return await all(sql, [federationId]);
+    return await get(sql, [criteria.weight_cat_id, criteria.age_cat_id, criteria.lift_id]);
   }
 
   /**
    * Get records by lift
-   * @param {number} liftId - Lift ID
+   * @param {string} liftId - Lift ID
    * @returns {Promise<Array>}
    */
   static async findByLift(liftId) {
-    const sql = `
-      SELECT 
-        r.*,
-        f.name as federation_name,
-        wc.name as weight_category_name,
-        ac.name as age_category_name
-      FROM records r
-      INNER JOIN federations f ON r.federation_id = f.id
-      LEFT JOIN weight_categories wc ON r.weight_category_id = wc.id
-      LEFT JOIN age_categories ac ON r.age_category_id = ac.id
-      WHERE r.lift_id = ?
-      ORDER BY f.name, r.sex, wc.name, ac.name
-    `;
+    const sql = `${RECORD_SELECT} WHERE r.lift_id = ? ORDER BY wc.sex, wc.ord, ac.ord`;
     return await all(sql, [liftId]);
   }
 
@@ -228,33 +131,39 @@ class Record {
    * @returns {Promise<Array>}
    */
   static async findBySex(sex) {
-    const sql = `
-      SELECT 
-        r.*,
-        f.name as federation_name,
-        l.name as lift_name,
-        wc.name as weight_category_name,
-        ac.name as age_category_name
-      FROM records r
-      INNER JOIN federations f ON r.federation_id = f.id
-      INNER JOIN lifts l ON r.lift_id = l.id
-      LEFT JOIN weight_categories wc ON r.weight_category_id = wc.id
-      LEFT JOIN age_categories ac ON r.age_category_id = ac.id
-      WHERE r.sex = ?
-      ORDER BY f.name, l.name, wc.name, ac.name
-    `;
+    const sql = `${RECORD_SELECT} WHERE wc.sex = ? ORDER BY l.name, wc.ord, ac.ord`;
     return await all(sql, [sex]);
   }
 
   /**
-   * Count records by federation
-   * @param {number} federationId - Federation ID
-   * @returns {Promise<number>}
+   * Save a new record (only replaces a lighter one)
+   * @param {Object} data - { weight_cat_id, age_cat_id, lift_id, record_kg, bodyweight_kg, athlete_cf, set_date }
+   * @returns {Promise<boolean>} True if the record was written
    */
-  static async countByFederation(federationId) {
-    const sql = 'SELECT COUNT(*) as count FROM records WHERE federation_id = ?';
-    const result = await get(sql, [federationId]);
-    return result.count;
+  static async set(data) {
+    const sql = `
+      INSERT INTO records (
+        weight_cat_id, age_cat_id, lift_id,
+        record_kg, bodyweight_kg, athlete_cf, set_date
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (weight_cat_id, age_cat_id, lift_id)
+      DO UPDATE SET
+        record_kg = excluded.record_kg,
+        bodyweight_kg = excluded.bodyweight_kg,
+        athlete_cf = excluded.athlete_cf,
+        set_date = excluded.set_date
+      WHERE excluded.record_kg > records.record_kg
+    `;
+    const result = await run(sql, [
+      data.weight_cat_id,
+      data.age_cat_id,
+      data.lift_id,
+      data.record_kg,
+      data.bodyweight_kg,
+      data.athlete_cf || null,
+      data.set_date || new Date().toISOString().slice(0, 10)
+    ]);
+    return result.changes > 0;
   }
 
   /**
@@ -0,0 +1,150 @@
+/**
+ * Record Candidate Model
+ * 
+ * Database operations for records broken during a meet, waiting for confirmation
+ * Table: record_candidates (1 row per VALID attempt 1-3 above the category record)
+ * Confirmed candidates are written to the records table (Record.set)
+ */
+
+import { get, all, run } from '../config/database-local.js';
+
+// Columns shared by all candidate queries
+const CANDIDATE_SELECT = `
+  SELECT
+    rc.*,
+    r.athlete_id,
+    a.first_name as athlete_first_name,
+    a.last_name as athlete_last_name,
+    a.cf as athlete_cf,
+    att.attempt_no,
+    l.name as lift_name,
+    wc.name as weight_category_name,
+    wc.sex as sex,
+    ac.name as age_category_name
+  FROM record_candidates rc
+  INNER JOIN registrations r ON rc.reg_id = r.id
+  INNER JOIN athletes a ON r.athlete_id = a.id
+  INNER JOIN attempts att ON rc.attempt_id = att.id
+  INNER JOIN lifts l ON rc.lift_id = l.id
+  INNER JOIN weight_categories wc ON rc.weight_cat_id = wc.id
+  INNER JOIN age_categories ac ON rc.age_cat_id = ac.id
+`;
+
+class RecordCandidate {
+  /**
+   * Stage a broken record (an attempt already staged goes back to PENDING)
+   * @param {Object} data - { meet_id, attempt_id, reg_id, weight_cat_id, age_cat_id, lift_id, record_kg, previous_kg, bodyweight_kg }
+   * @returns {Promise<void>}
+   */
+  static async stage(data) {
+    const sql = `
+      INSERT INTO record_candidates (
+        meet_id, attempt_id, reg_id, weight_cat_id, age_cat_id, lift_id,
+        record_kg, previous_kg, bodyweight_kg, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (attempt_id)
+      DO UPDATE SET
+        weight_cat_id = excluded.weight_cat_id,
+        age_cat_id = excluded.age_cat_id,
+        record_kg = excluded.record_kg,
+        previous_kg = excluded.previous_kg,
+        bodyweight_kg = excluded.bodyweight_kg,
+        status = 'PENDING',
+        created_at = excluded.created_at,
+        decided_at = NULL
+    `;
+    await run(sql, [
+      data.meet_id,
+      data.attempt_id,
+      data.reg_id,
+      data.weight_cat_id,
+      data.age_cat_id,
+      data.lift_id,
+      data.record_kg,
+      data.previous_kg,
+      data.bodyweight_kg ?? null,
+      new Date().toISOString()
+    ]);
+  }
+
+  /**
+   * Find candidate by ID
+   * @param {number} id - Candidate ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const sql = `${CANDIDATE_SELECT} WHERE rc.id = ?`;
+    return await get(sql, [id]);
+  }
+
+  /**
+   * Find the candidate of an attempt
+   * @param {number} attemptId - Attempt ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findByAttempt(attemptId) {
+    const sql = `${CANDIDATE_SELECT} WHERE rc.attempt_id = ?`;
+    return await get(sql, [attemptId]);
+  }
+
+  /**
+   * Get candidates of a meet
+   * @param {number} meetId - Meet ID
+   * @param {string} status - Optional: 'PENDING', 'CONFIRMED' or 'REJECTED'
+   * @returns {Promise<Array>} Oldest first
+   */
+  static async findByMeet(meetId, status = null) {
+    let sql = `${CANDIDATE_SELECT} WHERE rc.meet_id = ?`;
+    const params = [meetId];
+
+    if (status) {
+      sql += ' AND rc.status = ?';
+      params.push(status);
+    }
+
+    sql += ' ORDER BY rc.created_at, rc.id';
+    return await all(sql, params);
+  }
+
+  /**
+   * Get candidates still PENDING for a lift (all meets)
+   * @param {string} liftId - Lift ID
+   * @returns {Promise<Array>}
+   */
+  static async findPendingByLift(liftId) {
+    const sql = `
+      SELECT * FROM record_candidates
+      WHERE lift_id = ? AND status = 'PENDING'
+    `;
+    return await all(sql, [liftId]);
+  }
+
+  /**
+   * Confirm or reject a PENDING candidate
+   * @param {number} id - Candidate ID
+   * @param {string} status - 'CONFIRMED' or 'REJECTED'
+   * @returns {Promise<boolean>} False if the candidate was not PENDING any more
+   */
+  static async decide(id, status) {
+    const sql = `
+      UPDATE record_candidates
+      SET status = ?, decided_at = ?
+      WHERE id = ? AND status = 'PENDING'
+    `;
+    const result = await run(sql, [status, new Date().toISOString(), id]);
+    return result.changes > 0;
+  }
+
+  /**
+   * Drop the PENDING candidate of an attempt (result corrected or undone)
+   * @param {number} attemptId - Attempt ID
+   * @returns {Promise<boolean>} True if a candidate was dropped
+   */
+  static async deletePending(attemptId) {
+    const sql = "DELETE FROM record_candidates WHERE attempt_id = ? AND status = 'PENDING'";
+    const result = await run(sql, [attemptId]);
+    return result.changes > 0;
+  }
+}
+
+export default RecordCandidate;
@@ -23,19 +23,20 @@ class Registration {
       out_of_weight = 0,
       weight_cat_id = null,
       age_cat_id = null,
-      notes = null
+      notes = null,
+      team_id = null
     } = data;
 
     const sql = `
       INSERT INTO registrations (
         meet_id, athlete_id, bodyweight_kg, rack_height, belt_height,
-        out_of_weight, weight_cat_id, age_cat_id, notes
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        out_of_weight, weight_cat_id, age_cat_id, notes, team_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const result = await run(sql, [
       meet_id, athlete_id, bodyweight_kg, rack_height, belt_height,
-      out_of_weight, weight_cat_id, age_cat_id, notes
+      out_of_weight, weight_cat_id, age_cat_id, notes, team_id
     ]);
 
     return {
@@ -70,17 +71,47 @@ class Registration {
         a.birth_date,
         wc.name as weight_cat_name,
         wc.sex as weight_cat_sex,
-        ac.name as age_cat_name
+        ac.name as age_cat_name,
+        t.name as team_name
       FROM registrations r
       JOIN athletes a ON r.athlete_id = a.id
       LEFT JOIN weight_categories wc ON r.weight_cat_id = wc.id
       LEFT JOIN age_categories ac ON r.age_cat_id = ac.id
+      LEFT JOIN teams t ON r.team_id = t.id
       WHERE r.meet_id = ?
       ORDER BY a.last_name, a.first_name
     `;
     return await all(sql, [meetId]);
   }
 
+  /**
+   * Find all registrations for a meet with weight class info and opener for a lift
+   * (used by the flight builder)
+   * @param {number} meetId - Meet ID
+   * @param {string} liftId - Lift ID for the opener
+   * @returns {Promise<Array>}
+   */
+  static async findByMeetWithOpeners(meetId, liftId) {
+    const sql = `
+      SELECT 
+        r.*,
+        a.first_name,
+        a.last_name,
+        a.sex,
+        wc.name as weight_cat_name,
+        wc.ord as weight_cat_ord,
+        wc.min_kg as weight_cat_min_kg,
+        rm.max_kg as opener_kg
+      FROM registrations r
+      JOIN athletes a ON r.athlete_id = a.id
+      LEFT JOIN weight_categories wc ON r.weight_cat_id = wc.id
+      LEFT JOIN registration_maxes rm ON rm.reg_id = r.id AND rm.lift_id = ?
+      WHERE r.meet_id = ?
+      ORDER BY a.last_name, a.first_name
+    `;
+    return await all(sql, [liftId, meetId]);
+  }
+
   /**
    * Find registration by meet and athlete
    * @param {number} meetId - Meet ID
@@ -123,7 +154,7 @@ class Registration {
 
     const allowedFields = [
       'bodyweight_kg', 'rack_height', 'belt_height', 'out_of_weight',
-      'weight_cat_id', 'age_cat_id', 'notes'
+      'weight_cat_id', 'age_cat_id', 'notes', 'team_id'
     ];
 
     allowedFields.forEach(field => {
@@ -254,6 +285,49 @@ class Registration {
     const row = await get(sql, [meetId]);
     return row ? row.count : 0;
   }
+
+  /**
+   * Get lot numbers of a meet
+   * @param {number} meetId - Meet ID
+   * @returns {Promise<Array>} Registrations with athlete name, by lot number (undrawn last)
+   */
+  static async findLotsByMeet(meetId) {
+    const sql = `
+      SELECT
+        r.id,
+        r.lot_number,
+        a.first_name,
+        a.last_name
+      FROM registrations r
+      JOIN athletes a ON r.athlete_id = a.id
+      WHERE r.meet_id = ?
+      ORDER BY r.lot_number IS NULL, r.lot_number, a.last_name, a.first_name
+    `;
+    return await all(sql, [meetId]);
+  }
+
+  /**
+   * Clear all lot numbers of a meet (before a new draw)
+   * @param {number} meetId - Meet ID
+   * @returns {Promise<number>} Number of rows affected
+   */
+  static async clearLots(meetId) {
+    const sql = 'UPDATE registrations SET lot_number = NULL WHERE meet_id = ?';
+    const result = await run(sql, [meetId]);
+    return result.changes;
+  }
+
+  /**
+   * Set lot number of a registration
+   * @param {number} id - Registration ID
+   * @param {number} lotNumber - Lot number (unique per meet)
+   * @returns {Promise<number>} Number of rows affected
+   */
+  static async setLotNumber(id, lotNumber) {
+    const sql = 'UPDATE registrations SET lot_number = ? WHERE id = ?';
+    const result = await run(sql, [lotNumber, id]);
+    return result.changes;
+  }
 }
 
 export default Registration;
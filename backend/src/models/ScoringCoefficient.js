@@ -0,0 +1,37 @@
+/**
+ * ScoringCoefficient Model
+ * 
+ * Database operations for custom scoring tables
+ * Table: scoring_coefficients (LOCAL DB)
+ * One coefficient per regulation code + sex + bodyweight step
+ */
+
+import { all } from '../config/database-local.js';
+
+class ScoringCoefficient {
+  /**
+   * Get the coefficient table of a regulation
+   * @param {string} regulationCode - Regulation code (meets.regulation_code)
+   * @returns {Promise<Array>} { sex, bodyweight_kg, coefficient }, lightest first
+   */
+  static async findByRegulation(regulationCode) {
+    const sql = `
+      SELECT sex, bodyweight_kg, coefficient
+      FROM scoring_coefficients
+      WHERE regulation_code = ?
+      ORDER BY sex, bodyweight_kg
+    `;
+    return await all(sql, [regulationCode]);
+  }
+
+  /**
+   * Get the regulation codes that have a coefficient table
+   * @returns {Promise<Array<string>>}
+   */
+  static async findRegulationCodes() {
+    const rows = await all('SELECT DISTINCT regulation_code FROM scoring_coefficients ORDER BY regulation_code');
+    return rows.map(r => r.regulation_code);
+  }
+}
+
+export default ScoringCoefficient;
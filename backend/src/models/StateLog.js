@@ -0,0 +1,113 @@
+/**
+ * StateLog Model
+ * 
+ * Database operations for the undo log
+ * Table: state_log (1 row per NEXT, result or result correction, per platform)
+ */
+
+import { get, all, run } from '../config/database-local.js';
+
+class StateLog {
+  /**
+   * Log a NEXT press
+   * @param {Object} stateBefore - current_state row before NEXT
+   * @returns {Promise<number>} Log entry ID
+   */
+  static async logNext(stateBefore) {
+    const sql = `
+      INSERT INTO state_log (meet_id, platform_no, kind, state_before, created_at)
+      VALUES (?, ?, 'NEXT', ?, ?)
+    `;
+    const result = await run(sql, [
+      stateBefore.meet_id,
+      stateBefore.platform_no,
+      JSON.stringify(stateBefore),
+      new Date().toISOString()
+    ]);
+    return result.lastID;
+  }
+
+  /**
+   * Log a result (or a correction of a result)
+   * Meet taken from the attempt registration. Platform: the caller's, otherwise
+   * the platform whose current group and lift are the attempt's (platform 1 if none)
+   * @param {string} kind - 'RESULT' or 'CORRECTION'
+   * @param {Object} attempt - Attempt row before the change ({ id, status, fault_code })
+   * @param {string} status - New status
+   * @param {string|null} faultCode - New fault code
+   * @param {number|null} platformNo - Platform of the caller (optional)
+   * @returns {Promise<number>} Log entry ID
+   */
+  static async logResult(kind, attempt, status, faultCode = null, platformNo = null) {
+    const sql = `
+      INSERT INTO state_log (
+        meet_id, platform_no, kind, attempt_id,
+        status_before, fault_before, status_after, fault_after, created_at
+      )
+      SELECT
+        r.meet_id,
+        COALESCE(?, (
+          SELECT cs.platform_no
+          FROM current_state cs
+          INNER JOIN group_entries ge ON ge.group_id = cs.current_group_id
+          WHERE cs.meet_id = r.meet_id AND ge.reg_id = r.id AND cs.current_lift_id = a.lift_id
+          ORDER BY cs.platform_no
+          LIMIT 1
+        ), 1),
+        ?, a.id, ?, ?, ?, ?, ?
+      FROM attempts a
+      INNER JOIN registrations r ON a.reg_id = r.id
+      WHERE a.id = ?
+    `;
+    const result = await run(sql, [
+      platformNo,
+      kind,
+      attempt.status,
+      attempt.fault_code || null,
+      status,
+      faultCode,
+      new Date().toISOString(),
+      attempt.id
+    ]);
+    return result.lastID;
+  }
+
+  /**
+   * Get the last entry of a platform not undone yet
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @returns {Promise<Object|null>}
+   */
+  static async findLastActive(meetId, platformNo = 1) {
+    const sql = `
+      SELECT * FROM state_log
+      WHERE meet_id = ? AND platform_no = ? AND undone_at IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `;
+    return await get(sql, [meetId, platformNo]);
+  }
+
+  /**
+   * Get log of a meet
+   * @param {number} meetId - Meet ID
+   * @returns {Promise<Array>} Newest first
+   */
+  static async findByMeet(meetId) {
+    const sql = 'SELECT * FROM state_log WHERE meet_id = ? ORDER BY id DESC';
+    return await all(sql, [meetId]);
+  }
+
+  /**
+   * Mark entry as undone
+   * @param {number} id - Log entry ID
+   * @returns {Promise<number>} Number of rows affected (0 if already undone)
+   */
+  static async markUndone(id) {
+    const sql = 'UPDATE state_log SET undone_at = ? WHERE id = ? AND undone_at IS NULL';
+    const result = await run(sql, [new Date().toISOString(), id]);
+    return result.changes;
+  }
+}
+
+export default StateLog;
@@ -0,0 +1,94 @@
+/**
+ * Team Model
+ * 
+ * Database operations for teams (clubs)
+ * Table: teams
+ * Athletes belong to a club (athletes.team_id); a registration records
+ * the team the athlete competes for at the meet (registrations.team_id)
+ */
+
+import { get, all, run } from '../config/database-local.js';
+
+class Team {
+  /**
+   * Create new team
+   * @param {Object} data - { name, code, city }
+   * @returns {Promise<number>} Created team ID
+   */
+  static async create(data) {
+    const sql = 'INSERT INTO teams (name, code, city) VALUES (?, ?, ?)';
+    const result = await run(sql, [data.name, data.code ?? null, data.city ?? null]);
+    return result.lastID;
+  }
+
+  /**
+   * Find team by ID
+   * @param {number} id - Team ID
+   * @returns {Promise<Object|null>}
+   */
+  static async findById(id) {
+    const sql = 'SELECT * FROM teams WHERE id = ?';
+    return await get(sql, [id]);
+  }
+
+  /**
+   * Get all teams
+   * @returns {Promise<Array>}
+   */
+  static async findAll() {
+    const sql = 'SELECT * FROM teams ORDER BY name';
+    return await all(sql);
+  }
+
+  /**
+   * Find team by name or code (case-insensitive)
+   * @param {string} name - Team name
+   * @param {string} code - Team code (optional)
+   * @param {number} excludeId - Team ID to exclude (updates)
+   * @returns {Promise<Object|null>}
+   */
+  static async findByNameOrCode(name, code = null, excludeId = null) {
+    const sql = `
+      SELECT * FROM teams
+      WHERE (LOWER(name) = LOWER(?) OR (? IS NOT NULL AND LOWER(code) = LOWER(?)))
+        AND id != ?
+    `;
+    return await get(sql, [name ?? '', code, code, excludeId ?? 0]);
+  }
+
+  /**
+   * Update team
+   * @param {number} id - Team ID
+   * @param {Object} data - { name, code, city }
+   * @returns {Promise<number>} Number of rows affected
+   */
+  static async update(id, data) {
+    const sql = 'UPDATE teams SET name = ?, code = ?, city = ? WHERE id = ?';
+    const result = await run(sql, [data.name, data.code ?? null, data.city ?? null, id]);
+    return result.changes;
+  }
+
+  /**
+   * Delete team (athletes and registrations keep no team)
+   * @param {number} id - Team ID
+   * @returns {Promise<number>} Number of rows affected
+   */
+  static async delete(id) {
+    const sql = 'DELETE FROM teams WHERE id = ?';
+    const result = await run(sql, [id]);
+    return result.changes;
+  }
+
+  /**
+   * Check if team exists
+   * @param {number} id - Team ID
+   * @returns {Promise<boolean>}
+   */
+  static async exists(id) {
+    const sql = 'SELECT COUNT(*) as count FROM teams WHERE id = ?';
+    const result = await get(sql, [id]);
+    return result.count > 0;
+  }
+}
+
+export default Team;
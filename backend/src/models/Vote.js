@@ -0,0 +1,84 @@
+/**
+ * Vote Model
+ * 
+ * Database operations for judge votes
+ * Table: votes (1 row per judge per attempt)
+ */
+
+import { get, all, run } from '../config/database-local.js';
+
+class Vote {
+  /**
+   * Save judge vote (replaces previous vote of the same judge)
+   * @param {number} attemptId - Attempt ID
+   * @param {string} judgeRole - Judge role ('HEAD', 'LEFT', 'RIGHT')
+   * @param {string} vote - Vote ('WHITE' or 'RED')
+   * @param {string|null} faultCode - Reason for a RED (FAULT_CODES)
+   * @returns {Promise<void>}
+   */
+  static async upsert(attemptId, judgeRole, vote, faultCode = null) {
+    const sql = `
+      INSERT INTO votes (attempt_id, judge_role, vote, fault_code)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (attempt_id, judge_role)
+      DO UPDATE SET
+        vote = excluded.vote,
+        fault_code = excluded.fault_code,
+        voted_at = datetime('now')
+    `;
+    await run(sql, [attemptId, judgeRole, vote, faultCode]);
+  }
+
+  /**
+   * Get all votes for an attempt
+   * @param {number} attemptId - Attempt ID
+   * @returns {Promise<Array>}
+   */
+  static async findByAttempt(attemptId) {
+    const sql = `
+      SELECT * FROM votes
+      WHERE attempt_id = ?
+      ORDER BY CASE judge_role WHEN 'LEFT' THEN 1 WHEN 'HEAD' THEN 2 ELSE 3 END
+    `;
+    return await all(sql, [attemptId]);
+  }
+
+  /**
+   * Get vote of a judge for an attempt
+   * @param {number} attemptId - Attempt ID
+   * @param {string} judgeRole - Judge role
+   * @returns {Promise<Object|null>}
+   */
+  static async findByAttemptAndRole(attemptId, judgeRole) {
+    const sql = 'SELECT * FROM votes WHERE attempt_id = ? AND judge_role = ?';
+    return await get(sql, [attemptId, judgeRole]);
+  }
+
+  /**
+   * Get votes of attempts still PENDING (voting interrupted, e.g. by a restart)
+   * @returns {Promise<Array>}
+   */
+  static async findPending() {
+    const sql = `
+      SELECT v.*
+      FROM votes v
+      INNER JOIN attempts a ON v.attempt_id = a.id
+      WHERE a.status = 'PENDING'
+      ORDER BY v.attempt_id, v.id
+    `;
+    return await all(sql);
+  }
+
+  /**
+   * Delete all votes of an attempt
+   * @param {number} attemptId - Attempt ID
+   * @returns {Promise<number>} Number of rows affected
+   */
+  static async deleteByAttempt(attemptId) {
+    const sql = 'DELETE FROM votes WHERE attempt_id = ?';
+    const result = await run(sql, [attemptId]);
+    return result.changes;
+  }
+}
+
+export default Vote;
@@ -2,6 +2,75 @@
  * Athlete Routes
  * 
  * CRUD endpoints for athletes
+ * + meet registration and weigh-in
  */
 
-// TODO: Define athlete routes (GET, POST, PUT, DELETE)
+import express from 'express';
+import athleteController from '../controllers/athleteController.js';
+import Registration from '../models/Registration.js';
+import { validateBody, validateIdParams } from '../middleware/validation.middleware.js';
+import { authenticate, requireScope, requireMeetAccess, meetFromBody } from '../middleware/auth.middleware.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { SEXES } from '../config/constants.js';
+import { TOKEN_TYPES } from '../config/jwt.js';
+
+const router = express.Router();
+
+const athleteRules = {
+  cf: { required: true, type: 'string' },
+  first_name: { required: true, type: 'string' },
+  last_name: { required: true, type: 'string' },
+  sex: { required: true, enum: SEXES },
+  birth_date: { required: true, type: 'date' },
+  team_id: { type: 'integer', min: 1 }
+};
+
+const registrationRules = {
+  meet_id: { required: true, type: 'integer' },
+  bodyweight_kg: { type: 'number' },
+  rack_height: { type: 'integer' },
+  belt_height: { type: 'integer' },
+  notes: { type: 'string' },
+  openers: { type: 'object' },
+  team_id: { type: 'integer', min: 1 }
+};
+
+const weighInRules = {
+  bodyweight_kg: { required: true, type: 'number' },
+  rack_height: { type: 'integer' },
+  belt_height: { type: 'integer' },
+  openers: { type: 'object' }
+};
+
+// Writes: federation admin or regista (registrations only on their own meet)
+const staffOnly = [authenticate, requireScope(TOKEN_TYPES.FEDERATION, TOKEN_TYPES.REGISTA)];
+
+// Athletes are shared by all meets: federation admin only
+const federationOnly = [authenticate, requireScope(TOKEN_TYPES.FEDERATION)];
+
+/**
+ * Meet ID resolver: meet of the :regId registration
+ */
+const meetFromRegistration = async (req) => {
+  const registration = await Registration.findById(req.params.regId);
+  if (!registration) {
+    throw new NotFoundError(`Registration with ID ${req.params.regId} not found`);
+  }
+  return registration.meet_id;
+};
+
+// ===== REGISTRATIONS (before /:id) =====
+router.get('/registrations/:regId', validateIdParams('regId'), asyncHandler(athleteController.getRegistration));
+router.put('/registrations/:regId/weigh-in', validateIdParams('regId'), staffOnly, requireMeetAccess(meetFromRegistration), validateBody(weighInRules), asyncHandler(athleteController.recordWeighIn));
+router.delete('/registrations/:regId', validateIdParams('regId'), staffOnly, requireMeetAccess(meetFromRegistration), asyncHandler(athleteController.deleteRegistration));
+
+// ===== ATHLETES =====
+router.get('/', asyncHandler(athleteController.getAthletes));
+router.post('/', federationOnly, validateBody(athleteRules), asyncHandler(athleteController.createAthlete));
+
+router.get('/:id', validateIdParams('id'), asyncHandler(athleteController.getAthleteById));
+router.put('/:id', validateIdParams('id'), federationOnly, validateBody(athleteRules, { partial: true }), asyncHandler(athleteController.updateAthlete));
+
+router.post('/:id/registrations', validateIdParams('id'), staffOnly, validateBody(registrationRules), requireMeetAccess(meetFromBody('meet_id')), asyncHandler(athleteController.registerAthlete));
+
+export default router;
@@ -2,7 +2,40 @@
  * Authentication Routes
  * 
  * POST /auth/login - Federation login
+ * POST /auth/regista-token - Regista token for one meet platform (federation only)
  * POST /auth/judge-login - Judge login
+ * GET  /auth/me - Current token payload
  */
 
-// TODO: Define authentication routes
+import express from 'express';
+import authController from '../controllers/authController.js';
+import { validateBody } from '../middleware/validation.middleware.js';
+import { authenticate, requireScope, requireMeetAccess, meetFromBody } from '../middleware/auth.middleware.js';
+import { asyncHandler } from '../utils/errorHandler.js';
+import { TOKEN_TYPES } from '../config/jwt.js';
+
+const router = express.Router();
+
+router.post('/login', validateBody({
+  username: { required: true, type: 'string' },
+  password: { required: true, type: 'string' }
+}), asyncHandler(authController.login));
+
+router.post('/regista-token',
+  authenticate,
+  requireScope(TOKEN_TYPES.FEDERATION),
+  validateBody({
+    meet_id: { required: true, type: 'integer' },
+    platform_no: { type: 'integer', min: 1 }
+  }),
+  requireMeetAccess(meetFromBody('meet_id')),
+  asyncHandler(authController.issueRegistaToken)
+);
+
+router.post('/judge-login', validateBody({
+  token: { required: true, type: 'string' }
+}), asyncHandler(authController.judgeLogin));
+
+router.get('/me', authenticate, asyncHandler(authController.me));
+
+export default router;
@@ -1,7 +1,16 @@
 /**
  * Export Routes
  * 
- * POST /export/results - Export results to PDF/Excel
+ * GET /export/meets/:meetId/results.csv - Results sheet (CSV)
  */
 
-// TODO: Define export routes
+import express from 'express';
+import exportController from '../controllers/exportController.js';
+import { validateIdParams } from '../middleware/validation.middleware.js';
+import { asyncHandler } from '../utils/errorHandler.js';
+
+const router = express.Router();
+
+router.get('/meets/:meetId/results.csv', validateIdParams('meetId'), asyncHandler(exportController.exportResultsCSV));
+
+export default router;
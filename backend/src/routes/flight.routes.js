@@ -1,7 +1,99 @@
 /**
  * Flight Routes
  * 
- * CRUD endpoints for flights and groups
+ * Endpoints for flights, groups and group entries
  */
 
-// TODO: Define flight routes (GET, POST, PUT, DELETE)
+import express from 'express';
+import flightController from '../controllers/flightController.js';
+import Flight from '../models/Flight.js';
+import { validateBody, validateIdParams } from '../middleware/validation.middleware.js';
+import { authenticate, requireScope, requireMeetAccess, meetFromBody } from '../middleware/auth.middleware.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { TOKEN_TYPES } from '../config/jwt.js';
+
+const router = express.Router();
+
+const flightRules = {
+  meet_id: { required: true, type: 'integer' },
+  name: { required: true, type: 'string' },
+  ord: { type: 'integer' },
+  start_time: { type: 'string' },
+  platform_no: { type: 'integer', min: 1 }
+};
+
+const autoSplitRules = {
+  meet_id: { required: true, type: 'integer' },
+  max_group_size: { required: true, type: 'integer', min: 1 },
+  max_groups_per_flight: { type: 'integer', min: 1 },
+  lift_id: { type: 'string' },
+  replace: { type: 'boolean' }
+};
+
+const groupRules = {
+  name: { required: true, type: 'string' },
+  ord: { type: 'integer' }
+};
+
+const entryRules = {
+  reg_id: { required: true, type: 'integer' },
+  start_ord: { type: 'integer' }
+};
+
+// Writes: federation admin or regista of the flight's meet
+const staffOnly = [authenticate, requireScope(TOKEN_TYPES.FEDERATION, TOKEN_TYPES.REGISTA)];
+
+/**
+ * Meet ID resolver: meet of the :id flight
+ */
+const meetFromFlight = async (req) => {
+  const flight = await Flight.findFlightById(req.params.id);
+  if (!flight) {
+    throw new NotFoundError(`Flight with ID ${req.params.id} not found`);
+  }
+  return flight.meet_id;
+};
+
+/**
+ * Meet ID resolver: meet of the :groupId group
+ */
+const meetFromGroup = async (req) => {
+  const group = await Flight.findGroupById(req.params.groupId);
+  if (!group) {
+    throw new NotFoundError(`Group with ID ${req.params.groupId} not found`);
+  }
+  return (await Flight.findFlightById(group.flight_id)).meet_id;
+};
+
+/**
+ * Meet ID resolver: meet of the :entryId group entry
+ */
+const meetFromEntry = async (req) => {
+  const entry = await Flight.findEntryById(req.params.entryId);
+  if (!entry) {
+    throw new NotFoundError(`Group entry with ID ${req.params.entryId} not found`);
+  }
+  const group = await Flight.findGroupById(entry.group_id);
+  return (await Flight.findFlightById(group.flight_id)).meet_id;
+};
+
+// Groups and entries (before /:id)
+router.put('/groups/:groupId', validateIdParams('groupId'), staffOnly, requireMeetAccess(meetFromGroup), validateBody(groupRules, { partial: true }), asyncHandler(flightController.updateGroup));
+router.delete('/groups/:groupId', validateIdParams('groupId'), staffOnly, requireMeetAccess(meetFromGroup), asyncHandler(flightController.deleteGroup));
+router.post('/groups/:groupId/entries', validateIdParams('groupId'), staffOnly, requireMeetAccess(meetFromGroup), validateBody(entryRules), asyncHandler(flightController.addEntry));
+
+router.put('/entries/:entryId', validateIdParams('entryId'), staffOnly, requireMeetAccess(meetFromEntry), validateBody({ start_ord: { required: true, type: 'integer' } }), asyncHandler(flightController.updateEntry));
+router.delete('/entries/:entryId', validateIdParams('entryId'), staffOnly, requireMeetAccess(meetFromEntry), asyncHandler(flightController.deleteEntry));
+
+// Flights
+router.get('/', asyncHandler(flightController.getFlights));
+router.post('/', staffOnly, validateBody(flightRules), requireMeetAccess(meetFromBody('meet_id')), asyncHandler(flightController.createFlight));
+router.post('/auto-split', staffOnly, validateBody(autoSplitRules), requireMeetAccess(meetFromBody('meet_id')), asyncHandler(flightController.autoSplit));
+
+router.get('/:id', validateIdParams('id'), asyncHandler(flightController.getFlightById));
+router.put('/:id', validateIdParams('id'), staffOnly, requireMeetAccess(meetFromFlight), validateBody(flightRules, { partial: true }), asyncHandler(flightController.updateFlight));
+router.delete('/:id', validateIdParams('id'), staffOnly, requireMeetAccess(meetFromFlight), asyncHandler(flightController.deleteFlight));
+
+router.post('/:id/groups', validateIdParams('id'), staffOnly, requireMeetAccess(meetFromFlight), validateBody(groupRules), asyncHandler(flightController.createGroup));
+
+export default router;
@@ -30,6 +30,7 @@ router.get('/', (req, res) => {
       auth: '/api/auth',
       meets: '/api/meets',
       athletes: '/api/athletes',
+      teams: '/api/teams',
       flights: '/api/flights',
       attempts: '/api/attempts',
       judges: '/api/judges',
@@ -42,27 +43,29 @@ router.get('/', (req, res) => {
 });
 
 // Import route modules (will be implemented in next phases)
-// import authRoutes from './auth.routes.js';
-// import meetRoutes from './meet.routes.js';
-// import athleteRoutes from './athlete.routes.js';
-// import flightRoutes from './flight.routes.js';
+import authRoutes from './auth.routes.js';
+import meetRoutes from './meet.routes.js';
+import athleteRoutes from './athlete.routes.js';
+import teamRoutes from './team.routes.js';
+import flightRoutes from './flight.routes.js';
 // import attemptRoutes from './attempt.routes.js';
 // import judgeRoutes from './judge.routes.js';
-// import voteRoutes from './vote.routes.js';
-// import rankingRoutes from './ranking.routes.js';
-// import recordRoutes from './record.routes.js';
-// import exportRoutes from './export.routes.js';
+import voteRoutes from './vote.routes.js';
+import rankingRoutes from './ranking.routes.js';
+import recordRoutes from './record.routes.js';
+import exportRoutes from './export.routes.js';
 
 // Mount routes (will be uncommented as we implement each module)
-// router.use('/auth', authRoutes);
-// router.use('/meets', meetRoutes);
-// router.use('/athletes', athleteRoutes);
-// router.use('/flights', flightRoutes);
+router.use('/auth', authRoutes);
+router.use('/meets', meetRoutes);
+router.use('/athletes', athleteRoutes);
+router.use('/teams', teamRoutes);
+router.use('/flights', flightRoutes);
 // router.use('/attempts', attemptRoutes);
 // router.use('/judges', judgeRoutes);
-// router.use('/votes', voteRoutes);
-// router.use('/rankings', rankingRoutes);
-// router.use('/records', recordRoutes);
-// router.use('/export', exportRoutes);
+router.use('/votes', voteRoutes);
+router.use('/rankings', rankingRoutes);
+router.use('/records', recordRoutes);
+router.use('/export', exportRoutes);
 
 export default router;
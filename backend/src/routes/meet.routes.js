@@ -2,6 +2,54 @@
  * Meet Routes
  * 
  * CRUD endpoints for meets
+ * + lot number draw
+ * + competition journal (staff)
+ * + platforms (state and clock of each platform)
  */
 
-// TODO: Define meet routes (GET, POST, PUT, DELETE)
+import express from 'express';
+import meetController from '../controllers/meetController.js';
+import { validateBody, validateIdParams } from '../middleware/validation.middleware.js';
+import { authenticate, requireScope, requireMeetAccess, meetFromParam } from '../middleware/auth.middleware.js';
+import { asyncHandler } from '../utils/errorHandler.js';
+import { MEET_LEVELS } from '../config/constants.js';
+import { TOKEN_TYPES } from '../config/jwt.js';
+
+const router = express.Router();
+
+// Body rules for create (update uses the same rules as partial)
+const meetRules = {
+  meet_code: { required: true, type: 'string' },
+  name: { required: true, type: 'string' },
+  meet_type_id: { required: true, type: 'string' },
+  start_date: { required: true, type: 'date' },
+  level: { required: true, enum: MEET_LEVELS },
+  regulation_code: { required: true, type: 'string' },
+  team_points: { type: 'array' },
+  team_scorers: { type: 'integer', min: 1 }
+};
+
+// Writes: federation admin only, and only on its own meets
+const federationOnly = [authenticate, requireScope(TOKEN_TYPES.FEDERATION)];
+const ownMeet = requireMeetAccess(meetFromParam('id'));
+
+// Lot draw: federation admin or regista of the meet
+const staffOnly = [authenticate, requireScope(TOKEN_TYPES.FEDERATION, TOKEN_TYPES.REGISTA)];
+
+router.get('/', asyncHandler(meetController.getMeets));
+router.post('/', federationOnly, validateBody(meetRules), asyncHandler(meetController.createMeet));
+
+router.get('/:id', validateIdParams('id'), asyncHandler(meetController.getMeetById));
+router.put('/:id', validateIdParams('id'), federationOnly, ownMeet, validateBody(meetRules, { partial: true }), asyncHandler(meetController.updateMeet));
+router.delete('/:id', validateIdParams('id'), federationOnly, ownMeet, asyncHandler(meetController.deleteMeet));
+
+router.get('/:id/statistics', validateIdParams('id'), asyncHandler(meetController.getMeetStatistics));
+
+router.get('/:id/lots', validateIdParams('id'), asyncHandler(meetController.getLots));
+router.post('/:id/lots', validateIdParams('id'), staffOnly, ownMeet, validateBody({ redraw: { type: 'boolean' } }), asyncHandler(meetController.drawLots));
+
+router.get('/:id/journal', validateIdParams('id'), staffOnly, ownMeet, asyncHandler(meetController.getJournal));
+
+router.get('/:id/platforms', validateIdParams('id'), asyncHandler(meetController.getPlatforms));
+
+export default router;
@@ -1,7 +1,28 @@
 /**
  * Ranking Routes
  * 
- * GET /rankings - Get current rankings
+ * GET /rankings/formulas - Scoring formulas available for meets.regulation_code
+ * GET /rankings/:meetId - Category rankings on the total (?lift_id= for one lift, &sex=&weight_cat_id=&age_cat_id=)
+ * GET /rankings/:meetId/absolute - Absolute ranking by points on the total (?lift_id= for one lift, &sex=)
+ * GET /rankings/:meetId/athletes/:regId - Standing of one athlete: total and lift by lift
+ * GET /rankings/:meetId/teams - Team classification (?sex=)
+ * GET /rankings/:meetId/projection - Projected placements and required weights (same filters as /:meetId)
+ * GET /rankings/:meetId/athletes/:regId/projection - What one athlete needs (?lift_id=)
  */
 
-// TODO: Define ranking routes
+import express from 'express';
+import rankingController from '../controllers/rankingController.js';
+import { validateIdParams } from '../middleware/validation.middleware.js';
+import { asyncHandler } from '../utils/errorHandler.js';
+
+const router = express.Router();
+
+router.get('/formulas', asyncHandler(rankingController.getScoringFormulas));
+router.get('/:meetId', validateIdParams('meetId'), asyncHandler(rankingController.getRankings));
+router.get('/:meetId/absolute', validateIdParams('meetId'), asyncHandler(rankingController.getAbsoluteRankings));
+router.get('/:meetId/athletes/:regId', validateIdParams('meetId', 'regId'), asyncHandler(rankingController.getAthleteStanding));
+router.get('/:meetId/teams', validateIdParams('meetId'), asyncHandler(rankingController.getTeamRankings));
+router.get('/:meetId/projection', validateIdParams('meetId'), asyncHandler(rankingController.getProjection));
+router.get('/:meetId/athletes/:regId/projection', validateIdParams('meetId', 'regId'), asyncHandler(rankingController.getAthleteProjection));
+
+export default router;
@@ -1,7 +1,43 @@
 /**
  * Record Routes
  * 
- * GET /records/check - Check if weight is a record
+ * GET /records - Records (?lift_id=&sex=&weight_cat_id=&age_cat_id=)
+ * GET /records/check - Check if weight is a record (?lift_id=&weight_cat_id=&age_cat_id=&weight_kg=)
+ * GET /records/candidates - Records broken in a meet (?meet_id=&status=)
+ * POST /records/candidates/:id/confirm - Confirm a broken record (staff of the meet)
+ * POST /records/candidates/:id/reject - Reject a broken record (staff of the meet)
  */
 
-// TODO: Define record routes
+import express from 'express';
+import recordController from '../controllers/recordController.js';
+import RecordCandidate from '../models/RecordCandidate.js';
+import { validateIdParams } from '../middleware/validation.middleware.js';
+import { authenticate, requireScope, requireMeetAccess } from '../middleware/auth.middleware.js';
+import { asyncHandler, NotFoundError } from '../utils/errorHandler.js';
+import { TOKEN_TYPES } from '../config/jwt.js';
+
+const router = express.Router();
+
+// Writes: federation admin or regista of the candidate's meet
+const staffOnly = [authenticate, requireScope(TOKEN_TYPES.FEDERATION, TOKEN_TYPES.REGISTA)];
+
+/**
+ * Meet ID resolver: meet of the :id record candidate
+ */
+const meetFromCandidate = async (req) => {
+  const candidate = await RecordCandidate.findById(req.params.id);
+  if (!candidate) {
+    throw new NotFoundError(`Record candidate with ID ${req.params.id} not found`);
+  }
+  return candidate.meet_id;
+};
+
+const ownMeet = requireMeetAccess(meetFromCandidate);
+
+router.get('/', asyncHandler(recordController.getRecords));
+router.get('/check', asyncHandler(recordController.checkRecord));
+router.get('/candidates', asyncHandler(recordController.getCandidates));
+router.post('/candidates/:id/confirm', validateIdParams('id'), staffOnly, ownMeet, asyncHandler(recordController.confirmCandidate));
+router.post('/candidates/:id/reject', validateIdParams('id'), staffOnly, ownMeet, asyncHandler(recordController.rejectCandidate));
+
+export default router;
@@ -0,0 +1,32 @@
+/**
+ * Team Routes
+ * 
+ * CRUD endpoints for teams (clubs)
+ */
+
+import express from 'express';
+import teamController from '../controllers/teamController.js';
+import { validateBody, validateIdParams } from '../middleware/validation.middleware.js';
+import { authenticate, requireScope } from '../middleware/auth.middleware.js';
+import { asyncHandler } from '../utils/errorHandler.js';
+import { TOKEN_TYPES } from '../config/jwt.js';
+
+const router = express.Router();
+
+const teamRules = {
+  name: { required: true, type: 'string' },
+  code: { type: 'string' },
+  city: { type: 'string' }
+};
+
+// Writes: federation admin only (teams are shared by all meets)
+const federationOnly = [authenticate, requireScope(TOKEN_TYPES.FEDERATION)];
+
+router.get('/', asyncHandler(teamController.getTeams));
+router.post('/', federationOnly, validateBody(teamRules), asyncHandler(teamController.createTeam));
+
+router.get('/:id', validateIdParams('id'), asyncHandler(teamController.getTeamById));
+router.put('/:id', validateIdParams('id'), federationOnly, validateBody(teamRules, { partial: true }), asyncHandler(teamController.updateTeam));
+router.delete('/:id', validateIdParams('id'), federationOnly, asyncHandler(teamController.deleteTeam));
+
+export default router;
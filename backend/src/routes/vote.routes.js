@@ -1,7 +1,19 @@
 /**
  * Vote Routes
  * 
- * POST /votes - Submit vote
+ * GET /votes/fault-codes - Red-light fault catalogue (?lift_id=MU)
+ * GET /votes/:attemptId - Individual judge votes of an attempt
+ * (votes are submitted through Socket.IO: judge:vote)
  */
 
-// TODO: Define vote routes
+import express from 'express';
+import voteController from '../controllers/voteController.js';
+import { validateIdParams } from '../middleware/validation.middleware.js';
+import { asyncHandler } from '../utils/errorHandler.js';
+
+const router = express.Router();
+
+router.get('/fault-codes', asyncHandler(voteController.getFaultCodes));
+router.get('/:attemptId', validateIdParams('attemptId'), asyncHandler(voteController.getAttemptVotes));
+
+export default router;
@@ -23,6 +23,7 @@ import routes from './routes/index.js';
 // Import services
 import socketService from './services/socketService.js';
 import syncService from './services/syncService.js';
+import recoveryService from './services/recoveryService.js';
 
 // Load environment variables
 dotenv.config();
@@ -131,6 +132,29 @@ try {
   process.exit(1);
 }
 
+// Resume the meet on the platform after a restart
+// (votes, interrupted results, clock, declaration deadlines, lifting order)
+recoveryService.recover()
+  .then(({ platforms, votes, results, clocks, declarations }) => {
+    if (votes > 0) {
+      console.log(`🗳️  Restored pending votes for ${votes} attempt(s)`);
+    }
+    if (results > 0) {
+      console.log(`⚖️  Saved ${results} result(s) voted before the restart`);
+    }
+    for (const clock of clocks) {
+      console.log(`⏱️  Restored ${clock.kind} clock of meet ${clock.meetId} platform ${clock.platformNo} ` +
+        `(${clock.status}, ${clock.remainingMs} ms left)`);
+    }
+    if (declarations > 0) {
+      console.log(`⏳ Restored ${declarations} pending declaration(s)`);
+    }
+    for (const { meetId, platformNo, queue } of platforms) {
+      console.log(`🏋️  Meet ${meetId} platform ${platformNo} in progress: resumed with ${queue} athlete(s) in the current round`);
+    }
+  })
+  .catch(error => console.error('❌ Failed to recover meet state:', error.message));
+
 // Start HTTP server
 httpServer.listen(PORT, () => {
   console.log('\n' + '='.repeat(50));
@@ -0,0 +1,167 @@
+/**
+ * Attempt Rules Service
+ * 
+ * Federation rules for declaring and changing attempt weights
+ * Violations throw AttemptChangeRejectedError with a rule code (ATTEMPT_CHANGE_RULES)
+ * 
+ * RULES:
+ * - Only PENDING attempts can change (ATTEMPT_FINALIZED)
+ * - No change once the athlete is called for the attempt (ATHLETE_CALLED)
+ * - At most MAX_ATTEMPT_WEIGHT_CHANGES changes per attempt (MAX_CHANGES_EXCEEDED)
+ * - Declared weight can only go up (BELOW_DECLARED_WEIGHT)
+ * - Never below a weight already lifted in the same lift (BELOW_PREVIOUS_SUCCESS)
+ * - Increment from the previous attempt must be allowed by
+ *   plateLoadingService.validateWeightIncrement (INVALID_INCREMENT),
+ *   with record increments for the 4th attempt
+ */
+
+import Attempt from '../models/Attempt.js';
+import CurrentState from '../models/CurrentState.js';
+import plateLoadingService from './plateLoadingService.js';
+import { AttemptChangeRejectedError } from '../utils/errorHandler.js';
+import {
+  ATTEMPT_CHANGE_RULES,
+  MAX_ATTEMPT_WEIGHT_CHANGES,
+  LIFT_PLATE_NAMES
+} from '../config/constants.js';
+
+class AttemptRulesService {
+  /**
+   * Check the declaration of a new attempt
+   * @param {number} regId - Registration ID
+   * @param {string} liftId - Lift ID
+   * @param {number} attemptNo - Attempt number being declared
+   * @param {number} weightKg - Declared weight
+   * @returns {Promise<void>}
+   * @throws {AttemptChangeRejectedError}
+   */
+  async assertDeclarationAllowed(regId, liftId, attemptNo, weightKg) {
+    const attempts = await Attempt.findByRegistration(regId, liftId);
+
+    this._throwIfViolated(this.evaluate({
+      liftId,
+      attemptNo,
+      weightKg,
+      attempt: null,
+      previousAttempts: attempts.filter(a => a.attempt_no < attemptNo),
+      isCalled: false
+    }));
+  }
+
+  /**
+   * Check a weight change of an already declared attempt
+   * @param {Object} attempt - Attempt row
+   * @param {number} weightKg - New weight
+   * @returns {Promise<void>}
+   * @throws {AttemptChangeRejectedError}
+   */
+  async assertChangeAllowed(attempt, weightKg) {
+    const attempts = await Attempt.findByRegistration(attempt.reg_id, attempt.lift_id);
+    const state = await CurrentState.findByRegistration(attempt.reg_id);
+
+    this._throwIfViolated(this.evaluate({
+      liftId: attempt.lift_id,
+      attemptNo: attempt.attempt_no,
+      weightKg,
+      attempt,
+      previousAttempts: attempts.filter(a => a.attempt_no < attempt.attempt_no),
+      isCalled: this.isCalled(attempt, state)
+    }));
+  }
+
+  /**
+   * Evaluate the rules (pure)
+   * @param {Object} context - { liftId, attemptNo, weightKg, attempt, previousAttempts, isCalled, maxChanges }
+   *   attempt: existing attempt row (null for a new declaration)
+   *   previousAttempts: earlier attempts of the same lift
+   * @returns {Object|null} { rule, message, details } or null if allowed
+   */
+  evaluate(context) {
+    const { liftId, attemptNo, weightKg, attempt, previousAttempts = [], isCalled = false } = context;
+    const maxChanges = context.maxChanges ?? MAX_ATTEMPT_WEIGHT_CHANGES;
+
+    if (attempt) {
+      if (attempt.status !== 'PENDING') {
+        return this._violation(ATTEMPT_CHANGE_RULES.ATTEMPT_FINALIZED,
+          `Attempt ${attemptNo} is already ${attempt.status}`, { status: attempt.status });
+      }
+
+      if (isCalled) {
+        return this._violation(ATTEMPT_CHANGE_RULES.ATHLETE_CALLED,
+          `Athlete already called for attempt ${attemptNo}`);
+      }
+
+      if (attempt.weight_changes >= maxChanges) {
+        return this._violation(ATTEMPT_CHANGE_RULES.MAX_CHANGES_EXCEEDED,
+          `Maximum ${maxChanges} weight changes per attempt`, { changes: attempt.weight_changes, maxChanges });
+      }
+
+      if (weightKg < attempt.weight_kg) {
+        return this._violation(ATTEMPT_CHANGE_RULES.BELOW_DECLARED_WEIGHT,
+          `Cannot lower declared weight ${attempt.weight_kg}kg`, { declaredKg: attempt.weight_kg });
+      }
+    }
+
+    const successes = previousAttempts.filter(a => a.status === 'VALID').map(a => a.weight_kg);
+    const bestKg = successes.length > 0 ? Math.max(...successes) : null;
+    if (bestKg !== null && weightKg < bestKg) {
+      return this._violation(ATTEMPT_CHANGE_RULES.BELOW_PREVIOUS_SUCCESS,
+        `Cannot declare below ${bestKg}kg already lifted`, { bestKg });
+    }
+
+    const previous = previousAttempts.find(a => a.attempt_no === attemptNo - 1);
+    if (previous) {
+      const check = plateLoadingService.validateWeightIncrement(
+        previous.weight_kg,
+        weightKg,
+        LIFT_PLATE_NAMES[liftId] || liftId,
+        attemptNo === 4
+      );
+      if (!check.isValid) {
+        return this._violation(ATTEMPT_CHANGE_RULES.INVALID_INCREMENT, check.error, {
+          previousKg: previous.weight_kg,
+          increment: check.increment,
+          allowedIncrements: check.allowedIncrements
+        });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if the athlete is on the platform for this attempt
+   * @param {Object} attempt - Attempt row
+   * @param {Object} state - current_state row
+   * @returns {boolean}
+   */
+  isCalled(attempt, state) {
+    return !!state &&
+      state.current_reg_id === attempt.reg_id &&
+      state.current_lift_id === attempt.lift_id &&
+      state.current_round === attempt.attempt_no;
+  }
+
+  /**
+   * Build violation object
+   * @private
+   */
+  _violation(rule, message, details = {}) {
+    return { rule, message, details };
+  }
+
+  /**
+   * Throw if evaluate() found a violation
+   * @private
+   */
+  _throwIfViolated(violation) {
+    if (violation) {
+      throw new AttemptChangeRejectedError(violation.rule, violation.message, violation.details);
+    }
+  }
+}
+
+// Singleton instance
+const attemptRulesService = new AttemptRulesService();
+
+export default attemptRulesService;
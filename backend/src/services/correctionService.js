@@ -0,0 +1,148 @@
+/**
+ * Correction Service
+ * 
+ * Undo of the last platform operation and correction of recorded results
+ * 
+ * UNDO (regista:undo):
+ * - NEXT presses and results are logged in state_log (stateMachine.next,
+ *   validationService.finalizeAttempt, correct)
+ * - undo() reverts the last entry of the platform not undone yet, so repeated
+ *   undos walk back through the log (each platform has its own history):
+ *   - NEXT → platform position before the NEXT is restored
+ *   - RESULT → attempt back to PENDING, votes deleted (judges vote again),
+ *     declaration window opened by the result withdrawn
+ *   - CORRECTION → previous result restored
+ * - Records already saved by a 4th attempt or confirmed are not rolled back;
+ *   a record still waiting for confirmation is dropped (recordService)
+ * 
+ * CORRECT (attempt:correct, regista or HEAD judge):
+ * - Changes the result of an attempt already judged (VALID ↔ INVALID)
+ * - Logged as CORRECTION (can be undone) on the platform of the caller
+ */
+
+import Attempt from '../models/Attempt.js';
+import Registration from '../models/Registration.js';
+import StateLog from '../models/StateLog.js';
+import Vote from '../models/Vote.js';
+import stateMachine from './stateMachine.js';
+import validationService from './validationService.js';
+import declarationService from './declarationService.js';
+import journalService from './journalService.js';
+import recordService from './recordService.js';
+import { ConflictError, ForbiddenError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+import { LIFT_FAULT_CODES, JOURNAL_EVENT_TYPES } from '../config/constants.js';
+
+class CorrectionService {
+  /**
+   * Undo the last logged operation of a platform
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number (default 1)
+   * @param {string} actor - Journal actor
+   * @returns {Promise<Object>} { kind, attemptId, attempt, state }
+   */
+  async undo(meetId, platformNo = 1, actor = 'REGISTA') {
+    const platform = stateMachine.forPlatform(meetId, platformNo);
+    const entry = await StateLog.findLastActive(meetId, platformNo);
+    if (!entry) {
+      throw new ConflictError('Nothing to undo');
+    }
+
+    // Concurrent undo already took this entry
+    if (!(await StateLog.markUndone(entry.id))) {
+      throw new ConflictError('Nothing to undo');
+    }
+
+    if (entry.kind === 'NEXT') {
+      const state = await platform.restore(JSON.parse(entry.state_before), actor);
+      return { kind: entry.kind, attemptId: null, attempt: null, state };
+    }
+
+    await Attempt.updateStatus(entry.attempt_id, entry.status_before, entry.fault_before);
+    await journalService.recordForAttempt(
+      entry.attempt_id,
+      JOURNAL_EVENT_TYPES.RESULT_UNDONE,
+      { status: entry.status_before, faultCode: entry.fault_before },
+      actor
+    );
+    const attempt = await Attempt.findById(entry.attempt_id);
+
+    if (entry.status_before === 'PENDING') {
+      await Vote.deleteByAttempt(entry.attempt_id);
+      validationService.clearVotes(entry.attempt_id);
+      await declarationService.withdrawAfterResult(attempt);
+    }
+
+    stateMachine.invalidateOrder();
+    await recordService.checkResult(entry.attempt_id);
+    return {
+      kind: entry.kind,
+      attemptId: entry.attempt_id,
+      attempt,
+      state: await platform.getCurrentAthlete()
+    };
+  }
+
+  /**
+   * Correct the result of an attempt already judged
+   * @param {number} attemptId - Attempt ID
+   * @param {string} status - 'VALID' or 'INVALID'
+   * @param {string|null} faultCode - Fault code (INVALID only, LIFT_FAULT_CODES)
+   * @param {number} meetId - Meet of the caller (optional check)
+   * @param {string} actor - Journal actor
+   * @param {number|null} platformNo - Platform of the caller (undo history the correction goes to)
+   * @returns {Promise<Object>} { attempt, previous: { status, faultCode }, record }
+   */
+  async correct(attemptId, status, faultCode = null, meetId = null, actor = 'REGISTA', platformNo = null) {
+    if (!['VALID', 'INVALID'].includes(status)) {
+      throw new ValidationError('Result must be VALID or INVALID');
+    }
+
+    const attempt = await Attempt.findById(attemptId);
+    if (!attempt) {
+      throw new NotFoundError(`Attempt with ID ${attemptId} not found`);
+    }
+
+    const registration = await Registration.findById(attempt.reg_id);
+    if (meetId && registration.meet_id !== meetId) {
+      throw new ForbiddenError(`Attempt ${attemptId} is not in meet ${meetId}`);
+    }
+    if (attempt.status === 'PENDING') {
+      throw new ConflictError(`Attempt ${attemptId} has not been judged yet`);
+    }
+
+    const newFaultCode = status === 'INVALID' ? faultCode : null;
+    if (newFaultCode && !(LIFT_FAULT_CODES[attempt.lift_id] || []).includes(newFaultCode)) {
+      throw new ValidationError(`Fault code ${newFaultCode} is not valid for lift ${attempt.lift_id}`);
+    }
+    if (attempt.status === status && (attempt.fault_code || null) === newFaultCode) {
+      throw new ConflictError(`Attempt ${attemptId} is already ${status}`);
+    }
+
+    await StateLog.logResult('CORRECTION', attempt, status, newFaultCode, platformNo);
+    await Attempt.updateStatus(attemptId, status, newFaultCode);
+    await journalService.recordForAttempt(
+      attemptId,
+      JOURNAL_EVENT_TYPES.RESULT_CORRECTED,
+      { status, faultCode: newFaultCode, previousStatus: attempt.status },
+      actor
+    );
+    stateMachine.invalidateOrder();
+
+    // Corrected to VALID record attempt → new record
+    const record = await stateMachine.recordFourthAttempt(attemptId);
+
+    // Attempt 1-3: record broken staged, or staged record dropped
+    await recordService.checkResult(attemptId);
+
+    return {
+      attempt: await Attempt.findById(attemptId),
+      previous: { status: attempt.status, faultCode: attempt.fault_code || null },
+      record
+    };
+  }
+}
+
+// Singleton instance
+const correctionService = new CorrectionService();
+
+export default correctionService;
@@ -0,0 +1,290 @@
+/**
+ * Declaration Service
+ * 
+ * Enforces the next-attempt declaration deadline
+ * - When an attempt gets its result, a declaration window opens for the
+ *   next attempt of the same lift (DECLARATION_DEADLINE_SECONDS)
+ * - The athlete (through the regista) declares the weight within the window
+ * - When the window expires without a declaration, a default weight is
+ *   declared automatically (DECLARATION_DEFAULT_RULE):
+ *   previous weight + VALID increment, or + INVALID increment
+ *   (no previous result, or default weight refused → closed without a weight:
+ *   the regista still declares it, after the deadline)
+ * - Windows are persisted in the declarations table and re-armed at startup
+ * - Undoing a result withdraws the window it opened (if still open)
+ * 
+ * EVENTS (EventEmitter, relayed to clients by socketService):
+ * - 'opened' / 'declared' / 'defaulted' / 'withdrawn' (declaration payload)
+ */
+
+import { EventEmitter } from 'events';
+import Attempt from '../models/Attempt.js';
+import Declaration from '../models/Declaration.js';
+import stateMachine from './stateMachine.js';
+import attemptRulesService from './attemptRulesService.js';
+import { transaction } from '../config/database-local.js';
+import { AttemptChangeRejectedError, ConflictError, ForbiddenError, NotFoundError } from '../utils/errorHandler.js';
+import { DECLARATION_DEADLINE_SECONDS, DECLARATION_DEFAULT_RULE } from '../config/constants.js';
+
+// Last attempt of a lift that opens a declaration window (3rd → none)
+const LAST_DECLARING_ATTEMPT = 2;
+
+// Retry delay of a default that failed (database error)
+const EXPIRE_RETRY_MS = 5000;
+
+/**
+ * Window defaulted without a weight: still open to a (late) declaration
+ */
+const isUndeclared = (declaration) => declaration.status === 'DEFAULTED' && declaration.weight_kg === null;
+
+class DeclarationService extends EventEmitter {
+  constructor() {
+    super();
+    // Expiry timers: Map<declarationId, Timeout>
+    this.timeouts = new Map();
+  }
+
+  /**
+   * Open the declaration window of the next attempt after a result
+   * @param {number} attemptId - Attempt that just got VALID/INVALID
+   * @param {number} now - Epoch ms (default Date.now())
+   * @returns {Promise<Object|null>} Declaration payload, null if no next attempt
+   */
+  async openAfterResult(attemptId, now = Date.now()) {
+    const attempt = await Attempt.findById(attemptId);
+    if (!attempt || attempt.status === 'PENDING' || attempt.attempt_no > LAST_DECLARING_ATTEMPT) {
+      return null;
+    }
+
+    const deadlineAt = new Date(now + DECLARATION_DEADLINE_SECONDS * 1000).toISOString();
+    await Declaration.open(attempt.reg_id, attempt.lift_id, attempt.attempt_no + 1, deadlineAt);
+
+    const declaration = await Declaration.find(attempt.reg_id, attempt.lift_id, attempt.attempt_no + 1);
+    this._schedule(declaration);
+
+    const payload = this.toPayload(declaration, now);
+    this.emit('opened', payload);
+    return payload;
+  }
+
+  /**
+   * Declare the weight of the next attempt (while the window is open, or
+   * after a default without a weight)
+   * @param {number} regId - Registration ID
+   * @param {string} liftId - Lift ID
+   * @param {number} attemptNo - Attempt number being declared
+   * @param {number} weightKg - Declared weight
+   * @param {number} meetId - Meet of the caller (optional check)
+   * @returns {Promise<Object>} Declaration payload (with attemptId)
+   */
+  async declare(regId, liftId, attemptNo, weightKg, meetId = null) {
+    const declaration = await Declaration.find(regId, liftId, attemptNo);
+
+    if (!declaration) {
+      throw new NotFoundError(`No declaration open for attempt ${attemptNo} of ${liftId}`);
+    }
+    if (meetId && declaration.meet_id !== meetId) {
+      throw new ForbiddenError(`Registration ${regId} is not in meet ${meetId}`);
+    }
+    if (declaration.status !== 'PENDING' && !isUndeclared(declaration)) {
+      throw new ConflictError(`Attempt ${attemptNo} of ${liftId} already ${declaration.status.toLowerCase()}`);
+    }
+    if (declaration.status === 'PENDING' && Date.now() > new Date(declaration.deadline_at).getTime()) {
+      await this._expire(declaration);
+      throw new ConflictError('Declaration deadline expired');
+    }
+
+    // Refused weights keep the window open
+    await attemptRulesService.assertDeclarationAllowed(regId, liftId, attemptNo, weightKg);
+
+    const payload = await this._close(declaration, 'DECLARED', weightKg);
+    if (!payload) {
+      throw new ConflictError('Declaration deadline expired');
+    }
+    return payload;
+  }
+
+  /**
+   * Withdraw the window opened by a result that was undone
+   * Windows already closed are kept (the weight was declared)
+   * @param {Object} attempt - Attempt whose result was undone ({ reg_id, lift_id, attempt_no })
+   * @returns {Promise<Object|null>} Withdrawn declaration payload, null if none
+   */
+  async withdrawAfterResult(attempt) {
+    const declaration = await Declaration.find(attempt.reg_id, attempt.lift_id, attempt.attempt_no + 1);
+    if (!declaration || declaration.status !== 'PENDING') {
+      return null;
+    }
+
+    clearTimeout(this.timeouts.get(declaration.id));
+    this.timeouts.delete(declaration.id);
+
+    const deleted = await Declaration.deletePending(declaration.id);
+    if (!deleted) return null;
+
+    const payload = { ...this.toPayload(declaration), status: 'WITHDRAWN', remainingMs: 0 };
+    this.emit('withdrawn', payload);
+    return payload;
+  }
+
+  /**
+   * Athletes who still have to declare (regista screen)
+   * Windows defaulted without a weight are included (remainingMs 0)
+   * @param {number} meetId - Meet ID
+   * @returns {Promise<Array>} Declaration payloads, nearest deadline first
+   */
+  async getPending(meetId) {
+    const now = Date.now();
+    const declarations = await Declaration.findPending(meetId, true);
+    return declarations.map(d => this.toPayload(d, now));
+  }
+
+  /**
+   * Weight declared automatically when the deadline expires
+   * @param {Object|null} previousAttempt - Previous attempt ({ weight_kg, status })
+   * @param {Object} rule - Increments per result (default DECLARATION_DEFAULT_RULE)
+   * @returns {number|null} Default weight in kg, null if the previous attempt has no result
+   */
+  computeDefaultWeight(previousAttempt, rule = DECLARATION_DEFAULT_RULE) {
+    if (!previousAttempt || previousAttempt.status === 'PENDING') {
+      return null;
+    }
+    const increment = previousAttempt.status === 'VALID' ? rule.VALID : rule.INVALID;
+    return previousAttempt.weight_kg + increment;
+  }
+
+  /**
+   * Format declaration row for clients
+   * @param {Object} declaration - Declaration row (with meet and athlete)
+   * @param {number} now - Epoch ms (default Date.now())
+   * @returns {Object}
+   */
+  toPayload(declaration, now = Date.now()) {
+    const remainingMs = declaration.status === 'PENDING'
+      ? Math.max(0, new Date(declaration.deadline_at).getTime() - now)
+      : 0;
+
+    return {
+      id: declaration.id,
+      meetId: declaration.meet_id,
+      regId: declaration.reg_id,
+      athlete: `${declaration.athlete_first_name} ${declaration.athlete_last_name}`,
+      liftId: declaration.lift_id,
+      attemptNo: declaration.attempt_no,
+      status: declaration.status,
+      weightKg: declaration.weight_kg,
+      deadlineAt: declaration.deadline_at,
+      remainingMs
+    };
+  }
+
+  /**
+   * Re-arm windows still PENDING after a restart
+   * (windows already expired are defaulted right away)
+   * @returns {Promise<number>} Number of windows re-armed
+   */
+  async restore() {
+    const declarations = await Declaration.findPending();
+    declarations.forEach(d => this._schedule(d));
+    return declarations.length;
+  }
+
+  /**
+   * Schedule automatic default at the deadline (or after delayMs)
+   * @private
+   */
+  _schedule(declaration, delayMs = null) {
+    clearTimeout(this.timeouts.get(declaration.id));
+
+    const delay = delayMs ?? Math.max(0, new Date(declaration.deadline_at).getTime() - Date.now());
+    const timeout = setTimeout(() => {
+      this._expire(declaration).catch(error => console.error('Declaration default failed:', error.message));
+    }, delay);
+
+    // Timers must not keep the process alive on shutdown
+    timeout.unref?.();
+    this.timeouts.set(declaration.id, timeout);
+  }
+
+  /**
+   * Declare the default weight of an expired window
+   * Without a previous result, or if the rules refuse the default weight,
+   * the window is closed without a weight (the regista declares it later)
+   * Other failures keep the window PENDING and retry after EXPIRE_RETRY_MS
+   * @private
+   */
+  async _expire(declaration) {
+    try {
+      const previous = await Attempt.findSpecificAttempt(
+        declaration.reg_id,
+        declaration.lift_id,
+        declaration.attempt_no - 1
+      );
+      const weightKg = this.computeDefaultWeight(previous);
+
+      if (weightKg === null) {
+        return await this._close(declaration, 'DEFAULTED', null);
+      }
+
+      try {
+        return await this._close(declaration, 'DEFAULTED', weightKg);
+      } catch (error) {
+        if (!(error instanceof AttemptChangeRejectedError)) throw error;
+        return await this._close(declaration, 'DEFAULTED', null);
+      }
+    } catch (error) {
+      this._schedule(declaration, EXPIRE_RETRY_MS);
+      throw error;
+    }
+  }
+
+  /**
+   * Close window, write the attempt weight and notify
+   * Window and attempt are written in one transaction: a refused weight
+   * keeps the window PENDING (and its deadline running)
+   * Returns null if the window was already closed (declaration vs expiry race)
+   * @private
+   */
+  async _close(declaration, status, weightKg) {
+    clearTimeout(this.timeouts.get(declaration.id));
+    this.timeouts.delete(declaration.id);
+
+    let attemptId = null;
+    let changed;
+    try {
+      changed = await transaction(async () => {
+        if (!(await Declaration.close(declaration.id, status, weightKg))) return false;
+
+        if (weightKg !== null) {
+          attemptId = await stateMachine.declareWeight(
+            declaration.reg_id,
+            declaration.lift_id,
+            declaration.attempt_no,
+            weightKg,
+            status === 'DECLARED' ? 'REGISTA' : 'SYSTEM'
+          );
+        }
+        return true;
+      });
+    } catch (error) {
+      // Declaring within the deadline: the deadline keeps running
+      if (status === 'DECLARED' && declaration.status === 'PENDING') {
+        this._schedule(declaration);
+      }
+      throw error;
+    }
+    if (!changed) return null;
+
+    const payload = {
+      ...this.toPayload({ ...declaration, status, weight_kg: weightKg }),
+      attemptId
+    };
+    this.emit(status === 'DECLARED' ? 'declared' : 'defaulted', payload);
+    return payload;
+  }
+}
+
+// Singleton instance
+const declarationService = new DeclarationService();
+
+export default declarationService;
@@ -0,0 +1,205 @@
+/**
+ * Flight Builder Service
+ * 
+ * Automatically splits a meet's registrations into flights and groups
+ * 
+ * ALGORITHM (auto-split):
+ * 1. Group registrations by WEIGHT CLASS (sex + weight category)
+ *    - Classes ordered: men first, then by category order (lightest first)
+ *    - Registrations without weight category go to an "Open" class at the end
+ * 2. Inside each class sort by DECLARED OPENER (ASC) for the reference lift
+ *    - If tied: BODYWEIGHT DESC (same rule as lifting order)
+ *    - Athletes without opener go last
+ * 3. Split each class into balanced groups of at most maxGroupSize athletes
+ *    (e.g. 10 athletes, max 8 → 5 + 5, NOT 8 + 2)
+ *    Lower openers end up in the earlier group
+ * 4. Pack groups into flights of at most maxGroupsPerFlight groups
+ * 5. start_ord = position inside the group (1..N) in opener order
+ * 
+ * EXAMPLE (maxGroupSize = 4):
+ * M -80kg: 6 athletes → Gruppo 1 (3) + Gruppo 2 (3)
+ * M -87kg: 3 athletes → Gruppo 3 (3)
+ */
+
+import Flight from '../models/Flight.js';
+import Meet from '../models/Meet.js';
+import Registration from '../models/Registration.js';
+import stateMachine from './stateMachine.js';
+import { transaction } from '../config/database-local.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errorHandler.js';
+
+const SEX_ORDER = { M: 0, F: 1 };
+const FLIGHT_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+class FlightBuilderService {
+  /**
+   * Build flights/groups plan from registrations (no database access)
+   * @param {Array} registrations - Rows with { id, sex, bodyweight_kg, weight_cat_id, weight_cat_name, weight_cat_ord, opener_kg }
+   * @param {Object} options - { maxGroupSize, maxGroupsPerFlight } (maxGroupsPerFlight null/missing = one flight)
+   * @returns {Array} [{ name, ord, groups: [{ name, ord, entries: [{ reg_id, start_ord }] }] }]
+   */
+  buildPlan(registrations, options = {}) {
+    const { maxGroupSize } = options;
+    const maxGroupsPerFlight = options.maxGroupsPerFlight ?? Infinity;
+
+    if (!Number.isInteger(maxGroupSize) || maxGroupSize < 1) {
+      throw new ValidationError('maxGroupSize must be a positive integer');
+    }
+    if (maxGroupsPerFlight !== Infinity && (!Number.isInteger(maxGroupsPerFlight) || maxGroupsPerFlight < 1)) {
+      throw new ValidationError('maxGroupsPerFlight must be a positive integer');
+    }
+
+    // 1. Group by weight class
+    const classes = new Map();
+    for (const reg of registrations) {
+      const key = `${reg.sex}_${reg.weight_cat_id ?? 'OPEN'}`;
+      if (!classes.has(key)) {
+        classes.set(key, {
+          sex: reg.sex,
+          weightCatId: reg.weight_cat_id ?? null,
+          name: reg.weight_cat_name || `${reg.sex} Open`,
+          ord: reg.weight_cat_ord ?? Infinity,
+          athletes: []
+        });
+      }
+      classes.get(key).athletes.push(reg);
+    }
+
+    const sortedClasses = [...classes.values()].sort((a, b) => {
+      if (a.sex !== b.sex) return (SEX_ORDER[a.sex] ?? 9) - (SEX_ORDER[b.sex] ?? 9);
+      return a.ord - b.ord;
+    });
+
+    // 2-3. Sort by opener and split into balanced groups
+    const groups = [];
+    for (const weightClass of sortedClasses) {
+      const athletes = [...weightClass.athletes].sort((a, b) => {
+        const openerA = a.opener_kg ?? Infinity;
+        const openerB = b.opener_kg ?? Infinity;
+        if (openerA !== openerB) {
+          return openerA - openerB;
+        }
+        return (b.bodyweight_kg || 0) - (a.bodyweight_kg || 0);
+      });
+
+      for (const chunk of this._splitBalanced(athletes, maxGroupSize)) {
+        groups.push({
+          name: `Gruppo ${groups.length + 1} (${weightClass.name})`,
+          entries: chunk.map((reg, index) => ({
+            reg_id: reg.id,
+            start_ord: index + 1
+          }))
+        });
+      }
+    }
+
+    // 4. Pack groups into flights
+    const flights = [];
+    for (let i = 0; i < groups.length; i += maxGroupsPerFlight) {
+      const flightGroups = groups.slice(i, i + maxGroupsPerFlight);
+      const ord = flights.length + 1;
+
+      flights.push({
+        name: `Flight ${FLIGHT_LETTERS[flights.length] || ord}`,
+        ord,
+        groups: flightGroups.map((group, index) => ({ ...group, ord: index + 1 }))
+      });
+    }
+
+    return flights;
+  }
+
+  /**
+   * Auto-split a meet into flights and groups and save them
+   * @param {number} meetId - Meet ID
+   * @param {Object} options - { maxGroupSize, maxGroupsPerFlight, liftId, replace }
+   *   - liftId: lift whose opener drives the ordering (default: first lift of the meet)
+   *   - replace: delete existing flights of the meet first
+   * @returns {Promise<Array>} Created flights with groups and athletes
+   */
+  async autoSplit(meetId, options = {}) {
+    const meet = await Meet.getFullDetails(meetId);
+    if (!meet) {
+      throw new NotFoundError(`Meet with ID ${meetId} not found`);
+    }
+
+    const liftId = options.liftId || meet.lifts[0]?.id;
+    if (!liftId || !meet.lifts.some(l => l.id === liftId)) {
+      throw new ValidationError(`Lift ${liftId} is not part of meet type ${meet.meet_type_id}`);
+    }
+
+    const existingFlights = await Flight.findByMeet(meetId);
+    if (existingFlights.length > 0 && !options.replace) {
+      throw new ConflictError(
+        `Meet ${meetId} already has ${existingFlights.length} flight(s). Use replace to rebuild them.`
+      );
+    }
+
+    const registrations = await Registration.findByMeetWithOpeners(meetId, liftId);
+    if (registrations.length === 0) {
+      throw new ValidationError(`No registrations for meet ${meetId}`);
+    }
+
+    const plan = this.buildPlan(registrations, options);
+
+    const flightIds = await transaction(async () => {
+      for (const flight of existingFlights) {
+        await Flight.deleteFlight(flight.id);
+      }
+
+      const ids = [];
+      for (const flight of plan) {
+        const flightId = await Flight.createFlight({
+          meet_id: meetId,
+          name: flight.name,
+          ord: flight.ord
+        });
+        ids.push(flightId);
+
+        for (const group of flight.groups) {
+          const groupId = await Flight.createGroup({
+            flight_id: flightId,
+            name: group.name,
+            ord: group.ord
+          });
+
+          for (const entry of group.entries) {
+            await Flight.addAthleteToGroup({ group_id: groupId, ...entry });
+          }
+        }
+      }
+      return ids;
+    });
+    stateMachine.invalidateOrder();
+
+    return await Promise.all(flightIds.map(id => Flight.getFullFlightDetails(id)));
+  }
+
+  /**
+   * Split an array into the minimum number of chunks of at most maxSize,
+   * with sizes differing by at most 1 (bigger chunks first)
+   * @param {Array} items - Items to split
+   * @param {number} maxSize - Max chunk size
+   * @returns {Array<Array>}
+   * @private
+   */
+  _splitBalanced(items, maxSize) {
+    const chunkCount = Math.ceil(items.length / maxSize);
+    const baseSize = Math.floor(items.length / chunkCount);
+    const remainder = items.length % chunkCount;
+
+    const chunks = [];
+    let start = 0;
+    for (let i = 0; i < chunkCount; i++) {
+      const size = baseSize + (i < remainder ? 1 : 0);
+      chunks.push(items.slice(start, start + size));
+      start += size;
+    }
+    return chunks;
+  }
+}
+
+// Singleton instance
+const flightBuilderService = new FlightBuilderService();
+
+export default flightBuilderService;
@@ -0,0 +1,210 @@
+/**
+ * Journal Service
+ * 
+ * Event-sourced competition journal
+ * - Every state-changing action is appended to competition_events
+ *   (JOURNAL_EVENT_TYPES) with its actor and timestamp
+ * - Used for post-meet review and disputes (GET /api/meets/:id/journal)
+ * - replay() rebuilds current_state and the attempts of a meet from the
+ *   journal alone (npm run replay -- <meetId>)
+ * 
+ * ACTORS:
+ * - REGISTA / FEDERATION - staff (socket regista or REST token type)
+ * - JUDGE:<role> - judge votes and HEAD judge corrections
+ * - SYSTEM - results from votes, declaration defaults, clock expiry, breaks
+ * 
+ * REPLAY (per platform: state events carry platform_no, TIMER platformNo):
+ * - Platform position: last STATE_INITIALIZED / NEXT / STATE_RESTORED
+ * - Clock: last TIMER snapshot
+ * - Attempts: ATTEMPT_DECLARED creates/sets the weight, WEIGHT_CHANGED counts
+ *   a change, RESULT / RESULT_CORRECTED / RESULT_UNDONE set the status
+ * - VOTE events are kept for review only (votes table is not rebuilt)
+ */
+
+import Attempt from '../models/Attempt.js';
+import CompetitionEvent from '../models/CompetitionEvent.js';
+import CurrentState from '../models/CurrentState.js';
+import { transaction } from '../config/database-local.js';
+import { JOURNAL_EVENT_TYPES } from '../config/constants.js';
+
+const { STATE_INITIALIZED, NEXT, STATE_RESTORED, ATTEMPT_DECLARED, WEIGHT_CHANGED,
+  RESULT, RESULT_CORRECTED, RESULT_UNDONE, TIMER } = JOURNAL_EVENT_TYPES;
+
+// Platform position columns of current_state (payload of state events)
+const POSITION_FIELDS = ['platform_no', 'current_flight_id', 'current_group_id', 'current_lift_id', 'current_round', 'current_reg_id'];
+
+// Clock after initialize (same as CurrentState.reset)
+const RESET_TIMER = {
+  timer_status: 'STOPPED',
+  timer_kind: 'ATTEMPT',
+  timer_seconds: 60,
+  timer_remaining: null,
+  timer_start: null
+};
+
+class JournalService {
+  /**
+   * Append an event to the journal of a meet
+   * @param {number} meetId - Meet ID
+   * @param {string} type - Event type (JOURNAL_EVENT_TYPES)
+   * @param {Object} payload - Event data
+   * @param {string} actor - Who did it
+   * @returns {Promise<number>} Event ID
+   */
+  async record(meetId, type, payload, actor) {
+    return await CompetitionEvent.append(meetId, type, payload, actor);
+  }
+
+  /**
+   * Append an event of an attempt (meet resolved from the attempt)
+   * @param {number} attemptId - Attempt ID
+   * @param {string} type - Event type (JOURNAL_EVENT_TYPES)
+   * @param {Object} payload - Event data (attemptId added)
+   * @param {string} actor - Who did it
+   * @returns {Promise<number>} Event ID
+   */
+  async recordForAttempt(attemptId, type, payload, actor) {
+    return await CompetitionEvent.appendForAttempt(attemptId, type, { attemptId, ...payload }, actor);
+  }
+
+  /**
+   * Platform position payload of a current_state row
+   * @param {Object} state - current_state row
+   * @returns {Object}
+   */
+  positionOf(state) {
+    return Object.fromEntries(POSITION_FIELDS.map(field => [field, state[field] ?? null]));
+  }
+
+  /**
+   * Get the journal of a meet
+   * @param {number} meetId - Meet ID
+   * @param {Object} filters - { type, actor, afterId } (all optional)
+   * @returns {Promise<Array>} Events oldest first, payload parsed
+   */
+  async getJournal(meetId, filters = {}) {
+    const events = await CompetitionEvent.findByMeet(meetId, filters);
+    return events.map(event => ({ ...event, payload: JSON.parse(event.payload) }));
+  }
+
+  /**
+   * Fold journal events into platform states and attempts (pure)
+   * @param {Array} events - Events oldest first, payload parsed
+   * @returns {Object} { platforms: Array, attempts: Array, skipped }
+   *   platforms: [{ platform_no, position, timer }] by platform number
+   *   (position/timer: null if never journaled for that platform)
+   *   skipped: events of attempts never declared in the journal
+   */
+  reduce(events) {
+    const platforms = new Map();
+    const attempts = new Map();
+    let skipped = 0;
+
+    const platformOf = (platformNo = 1) => {
+      if (!platforms.has(platformNo)) {
+        platforms.set(platformNo, { platform_no: platformNo, position: null, timer: null });
+      }
+      return platforms.get(platformNo);
+    };
+
+    for (const { type, payload, created_at: at } of events) {
+      if ([STATE_INITIALIZED, NEXT, STATE_RESTORED].includes(type)) {
+        const platform = platformOf(payload.platform_no ?? 1);
+        platform.position = this.positionOf({ ...payload, platform_no: platform.platform_no });
+        if (type === STATE_INITIALIZED) {
+          platform.timer = { ...RESET_TIMER }; // CurrentState.reset
+        }
+        continue;
+      }
+
+      if (type === TIMER) {
+        platformOf(payload.platformNo ?? 1).timer = {
+          timer_status: payload.status,
+          timer_kind: payload.kind,
+          timer_seconds: payload.durationSeconds,
+          timer_remaining: ['RUNNING', 'PAUSED'].includes(payload.status) ? payload.remainingMs
+            : payload.status === 'EXPIRED' ? 0 : null,
+          timer_start: payload.status === 'RUNNING' ? new Date(payload.serverTime).toISOString() : null
+        };
+        continue;
+      }
+
+      if (type === ATTEMPT_DECLARED) {
+        const attempt = attempts.get(payload.attemptId) || {
+          id: payload.attemptId,
+          reg_id: payload.regId,
+          lift_id: payload.liftId,
+          attempt_no: payload.attemptNo,
+          status: 'PENDING',
+          fault_code: null,
+          weight_changes: 0,
+          lifted_at: null
+        };
+        attempts.set(payload.attemptId, { ...attempt, weight_kg: payload.weightKg });
+        continue;
+      }
+
+      if (![WEIGHT_CHANGED, RESULT, RESULT_CORRECTED, RESULT_UNDONE].includes(type)) {
+        continue; // VOTE: review only
+      }
+
+      const attempt = attempts.get(payload.attemptId);
+      if (!attempt) {
+        skipped++;
+        continue;
+      }
+
+      if (type === WEIGHT_CHANGED) {
+        attempt.weight_kg = payload.weightKg;
+        attempt.weight_changes++;
+      } else {
+        // Same rules as Attempt.updateStatus
+        attempt.status = payload.status;
+        attempt.fault_code = payload.status === 'INVALID' ? (payload.faultCode ?? null) : null;
+        attempt.lifted_at = payload.status === 'PENDING' ? null : (attempt.lifted_at ?? at);
+      }
+    }
+
+    return {
+      platforms: [...platforms.values()].sort((a, b) => a.platform_no - b.platform_no),
+      attempts: [...attempts.values()],
+      skipped
+    };
+  }
+
+  /**
+   * Rebuild current_state and attempts of a meet from its journal
+   * @param {number} meetId - Meet ID
+   * @param {Object} options - { dryRun } (compute only, nothing written)
+   * @returns {Promise<Object>} { events, platforms, attempts, skipped }
+   */
+  async replay(meetId, options = {}) {
+    const events = await this.getJournal(meetId);
+    const rebuilt = this.reduce(events);
+
+    if (!options.dryRun) {
+      await transaction(async () => {
+        for (const attempt of rebuilt.attempts) {
+          await Attempt.upsert(attempt);
+        }
+
+        for (const { platform_no: platformNo, position, timer } of rebuilt.platforms) {
+          await CurrentState.ensureExists(meetId, platformNo);
+          if (position) {
+            await CurrentState.update(meetId, platformNo, position);
+          }
+          if (timer) {
+            await CurrentState.restoreTimer(meetId, platformNo, timer);
+          }
+        }
+      });
+    }
+
+    return { events: events.length, ...rebuilt };
+  }
+}
+
+// Singleton instance
+const journalService = new JournalService();
+
+export default journalService;
@@ -0,0 +1,246 @@
+/**
+ * Projection Service
+ * 
+ * Projected rankings on top of rankingService ("what does the athlete need")
+ * - Declared but unlifted attempts (PENDING, attempts 1-3) are the only unknowns
+ * - BEST CASE: all the athlete's declared attempts are VALID, all rivals' INVALID
+ * - WORST CASE: all the athlete's declared attempts are INVALID, all rivals' VALID
+ *   (an INVALID 3rd attempt with no valid one in the lift bombs out, as in rankingService)
+ * - REQUIRED: minimum weight of the athlete's next attempt to take each placement
+ *   of the category, assuming every rival makes their declared attempts and the
+ *   athlete's later declared attempts fail
+ *   - secured: the placement is held even if the next attempt fails
+ *   - weight_kg null and not secured: out of reach (bomb-out in another lift)
+ *   - weight_kg never below the declared weight (it can only go up),
+ *     rounded up to the minimum increment of the lift (plateLoadingService)
+ * - Placements follow rankingService: TOTAL DESC, then BODYWEIGHT ASC, per category
+ */
+
+import Registration from '../models/Registration.js';
+import Attempt from '../models/Attempt.js';
+import Meet from '../models/Meet.js';
+import rankingService from './rankingService.js';
+import plateLoadingService from './plateLoadingService.js';
+import { LIFT_PLATE_NAMES } from '../config/constants.js';
+
+class ProjectionService {
+  /**
+   * Project the rankings of a meet (meet total) or of one lift
+   * @param {number} meetId - Meet ID
+   * @param {string} liftId - Lift ID, null = total of all lifts of the meet type
+   * @returns {Promise<Array>} One projection per ranked or still competing athlete (see projectEntries)
+   */
+  async project(meetId, liftId = null) {
+    const registrations = await Registration.findByMeet(meetId);
+    const attempts = await Attempt.findByMeet(meetId);
+    const liftIds = liftId ? [liftId] : (await Meet.getLiftSequence(meetId)).map(l => l.id);
+
+    const attemptsByReg = new Map();
+    for (const attempt of attempts) {
+      if (!attemptsByReg.has(attempt.reg_id)) attemptsByReg.set(attempt.reg_id, []);
+      attemptsByReg.get(attempt.reg_id).push(attempt);
+    }
+
+    const entries = registrations.map(reg => this.buildEntry({
+      reg_id: reg.id,
+      athlete_id: reg.athlete_id,
+      first_name: reg.first_name,
+      last_name: reg.last_name,
+      sex: reg.sex,
+      bodyweight_kg: reg.bodyweight_kg,
+      weight_cat_id: reg.weight_cat_id,
+      age_cat_id: reg.age_cat_id
+    }, attemptsByReg.get(reg.id) || [], liftIds));
+
+    return this.projectEntries(entries);
+  }
+
+  /**
+   * Get the projection of one athlete
+   * @param {number} regId - Registration ID
+   * @param {string} liftId - Lift ID, null = meet total
+   * @returns {Promise<Object|null>} Projection, null if not registered or not competing
+   */
+  async projectAthlete(regId, liftId = null) {
+    const registration = await Registration.findById(regId);
+    if (!registration) {
+      return null;
+    }
+
+    const projections = await this.project(registration.meet_id, liftId);
+    return projections.find(p => p.reg_id === regId) || null;
+  }
+
+  /**
+   * Build the scenarios of one athlete (pure)
+   * @param {Object} athlete - { reg_id, sex, bodyweight_kg, weight_cat_id, age_cat_id, ... }
+   * @param {Array} attempts - Attempts of the athlete ({ id, lift_id, attempt_no, weight_kg, status })
+   * @param {Array<string>} liftIds - Lifts that make up the total, in lifting order
+   * @returns {Object} athlete + { category, current, best, worst, next_attempt, success }
+   *   current/best/worst/success: computeTotal results ({ lifts, total, bombedOut })
+   *   success: next attempt VALID at 0 kg, later declared attempts INVALID (null without a next attempt)
+   */
+  buildEntry(athlete, attempts, liftIds) {
+    const counted = attempts.filter(a => liftIds.includes(a.lift_id) && a.attempt_no <= 3);
+    const withPending = (status) => counted.map(a => (a.status === 'PENDING' ? { ...a, status } : a));
+
+    const [next = null] = counted
+      .filter(a => a.status === 'PENDING')
+      .sort((a, b) => liftIds.indexOf(a.lift_id) - liftIds.indexOf(b.lift_id) || a.attempt_no - b.attempt_no);
+
+    const success = next
+      ? rankingService.computeTotal(
+        withPending('INVALID').map(a => (a.id === next.id ? { ...a, status: 'VALID', weight_kg: 0 } : a)),
+        liftIds
+      )
+      : null;
+
+    return {
+      ...athlete,
+      category: rankingService.categoryKey(athlete),
+      current: rankingService.computeTotal(counted, liftIds),
+      best: rankingService.computeTotal(withPending('VALID'), liftIds),
+      worst: rankingService.computeTotal(withPending('INVALID'), liftIds),
+      next_attempt: next
+        ? { attempt_id: next.id, lift_id: next.lift_id, attempt_no: next.attempt_no, weight_kg: next.weight_kg }
+        : null,
+      success
+    };
+  }
+
+  /**
+   * Project placements and required weights per category (pure)
+   * @param {Array} entries - buildEntry results
+   * @returns {Array} { reg_id, athlete fields, category, current, best_case, worst_case, next_attempt, required }
+   *   current/best_case/worst_case: { total, placement, bombed_out } (placement null when not placed)
+   *   required: [{ placement, weight_kg, secured }]
+   *   Athletes with no total, no bomb-out and no declared attempt are left out
+   */
+  projectEntries(entries) {
+    const competing = entries.filter(e => e.best.bombedOut || e.best.total > 0 || e.current.bombedOut);
+
+    return competing.map(entry => {
+      const rivals = competing.filter(e => e !== entry && e.category === entry.category);
+      const rivalsBest = this._ranked(rivals.map(r => this._scenario(r, r.best)));
+      const rivalsWorst = this._ranked(rivals.map(r => this._scenario(r, r.worst)));
+      const rivalsNow = this._ranked(rivals.map(r => this._scenario(r, r.current)));
+
+      const { success, current, best, worst, next_attempt, ...athlete } = entry;
+
+      return {
+        ...athlete,
+        current: this._standing(this._scenario(entry, current), rivalsNow),
+        best_case: this._standing(this._scenario(entry, best), rivalsWorst),
+        worst_case: this._standing(this._scenario(entry, worst), rivalsBest),
+        next_attempt,
+        required: next_attempt ? this._required(entry, rivalsBest) : []
+      };
+    });
+  }
+
+  /**
+   * Minimum next-attempt weight for each placement
+   * @param {Object} entry - buildEntry result (with a next attempt)
+   * @param {Array} rivalsBest - Ranked best-case scenarios of the rivals
+   * @returns {Array} [{ placement, weight_kg, secured }]
+   * @private
+   */
+  _required(entry, rivalsBest) {
+    const { next_attempt: next, success, current, worst } = entry;
+    const increment = plateLoadingService.getMinimumIncrement(LIFT_PLATE_NAMES[next.lift_id] || next.lift_id);
+    const liftOthers = success.total - success.lifts[next.lift_id];
+    const liftBest = current.lifts[next.lift_id];
+
+    const worstCase = this._scenario(entry, worst);
+
+    const required = [];
+    for (let placement = 1; placement <= rivalsBest.length + 1; placement++) {
+      const target = rivalsBest[placement - 1] || null;
+
+      if (!worstCase.bombed_out && this._beatsTarget(worstCase, target)) {
+        required.push({ placement, weight_kg: null, secured: true });
+        continue;
+      }
+      if (success.bombedOut) {
+        required.push({ placement, weight_kg: null, secured: false });
+        continue;
+      }
+
+      // liftOthers + max(liftBest, w) must beat the target (ties: lighter athlete wins)
+      const threshold = target ? target.total - liftOthers : 0;
+      const tieWins = target && entry.bodyweight_kg < target.bodyweight_kg;
+      let weight = tieWins
+        ? Math.ceil(threshold / increment - 1e-9) * increment
+        : (Math.floor(threshold / increment + 1e-9) + 1) * increment;
+      weight = Math.max(weight, next.weight_kg, liftBest);
+
+      required.push({ placement, weight_kg: Math.round(weight * 100) / 100, secured: false });
+    }
+
+    return required;
+  }
+
+  /**
+   * Standing of a scenario among ranked rival scenarios
+   * @param {Object} scenario - { total, bodyweight_kg, bombed_out }
+   * @param {Array} rivals - Ranked rival scenarios
+   * @returns {Object} { total, placement, bombed_out }
+   * @private
+   */
+  _standing(scenario, rivals) {
+    const placed = !scenario.bombed_out && scenario.total > 0;
+    return {
+      total: scenario.total,
+      placement: placed ? rivals.filter(r => !this._beats(scenario, r)).length + 1 : null,
+      bombed_out: scenario.bombed_out
+    };
+  }
+
+  /**
+   * Scenario of an athlete
+   * @param {Object} entry - buildEntry result
+   * @param {Object} result - computeTotal result
+   * @returns {Object} { reg_id, total, bodyweight_kg, bombed_out }
+   * @private
+   */
+  _scenario(entry, result) {
+    return { reg_id: entry.reg_id, total: result.total, bodyweight_kg: entry.bodyweight_kg, bombed_out: result.bombedOut };
+  }
+
+  /**
+   * Keep the placed scenarios, best first (TOTAL DESC, then BODYWEIGHT ASC)
+   * @param {Array} scenarios - Scenarios
+   * @returns {Array}
+   * @private
+   */
+  _ranked(scenarios) {
+    return scenarios
+      .filter(s => !s.bombed_out && s.total > 0)
+      .sort((a, b) => b.total - a.total || a.bodyweight_kg - b.bodyweight_kg);
+  }
+
+  /**
+   * Check if a scenario ranks above another one
+   * @param {Object} a - Scenario
+   * @param {Object} b - Scenario
+   * @returns {boolean}
+   * @private
+   */
+  _beats(a, b) {
+    return a.total > b.total || (a.total === b.total && a.bodyweight_kg < b.bodyweight_kg);
+  }
+
+  /**
+   * Check if a scenario takes a placement (beats its holder, or just posts a total for the last one)
+   * @param {Object} scenario - Scenario
+   * @param {Object|null} target - Rival scenario holding the placement
+   * @returns {boolean}
+   * @private
+   */
+  _beatsTarget(scenario, target) {
+    return target ? this._beats(scenario, target) : scenario.total > 0;
+  }
+}
+
+// Export singleton
+export default new ProjectionService();
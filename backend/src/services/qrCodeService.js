@@ -11,9 +11,8 @@
  */
 
 import QRCode from 'qrcode';
-import jwt from 'jsonwebtoken';
 import Judge from '../models/Judge.js';
-import { JWT_SECRET, JWT_EXPIRES_IN } from '../config/jwt.js';
+import { signToken, verifyToken, TOKEN_TYPES } from '../config/jwt.js';
 
 class QRCodeService {
   /**
@@ -30,16 +29,7 @@ class QRCodeService {
     }
 
     // Generate JWT token
-    const token = jwt.sign(
-      {
-        judgeId: judge.id,
-        meetId: judge.meet_id,
-        role: judge.role,
-        type: 'judge'
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN || '24h' }
-    );
+    const token = this._signJudgeToken(judge);
 
     // Create login URL
     const loginUrl = `${baseUrl}/judge-login?token=${token}`;
@@ -90,9 +80,9 @@ class QRCodeService {
    */
   verifyJudgeToken(token) {
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
+      const decoded = verifyToken(token);
       
-      if (decoded.type !== 'judge') {
+      if (decoded.type !== TOKEN_TYPES.JUDGE) {
         throw new Error('Invalid token type');
       }
 
@@ -114,16 +104,7 @@ class QRCodeService {
       throw new Error(`Judge with ID ${judgeId} not found`);
     }
 
-    const token = jwt.sign(
-      {
-        judgeId: judge.id,
-        meetId: judge.meet_id,
-        role: judge.role,
-        type: 'judge'
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN || '24h' }
-    );
+    const token = this._signJudgeToken(judge);
 
     const loginUrl = `${baseUrl}/judge-login?token=${token}`;
 
@@ -150,16 +131,7 @@ class QRCodeService {
       throw new Error(`Judge with ID ${judgeId} not found`);
     }
 
-    const token = jwt.sign(
-      {
-        judgeId: judge.id,
-        meetId: judge.meet_id,
-        role: judge.role,
-        type: 'judge'
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN || '24h' }
-    );
+    const token = this._signJudgeToken(judge);
 
     const loginUrl = `${baseUrl}/judge-login?token=${token}`;
 
@@ -173,6 +145,22 @@ class QRCodeService {
 
     return svg;
   }
+
+  /**
+   * Sign judge token (same secret/verification as every other token)
+   * @param {Object} judge - Judge row
+   * @returns {string} JWT
+   * @private
+   */
+  _signJudgeToken(judge) {
+    return signToken({
+      type: TOKEN_TYPES.JUDGE,
+      judgeId: judge.id,
+      meetId: judge.meet_id,
+      platformNo: judge.platform_no ?? 1,
+      role: judge.role
+    });
+  }
 }
 
 // Singleton instance
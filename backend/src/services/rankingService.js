@@ -4,67 +4,94 @@
  * Calculates rankings and leaderboards
  * 
  * RANKING LOGIC:
- * - Total = Sum of best attempt per lift (only VALID attempts)
+ * - Total = Sum of best attempt per lift of the meet type (only VALID attempts)
+ * - Bomb-out: no VALID attempt in a lift after its 3rd attempt → no total, no placement
+ * - Single-lift rankings (specialty classifications) pass a liftId
  * - Category Rankings: Sort by Total DESC, then bodyweight ASC (lighter wins if tied)
- * - Absolute Rankings: Use RIS score (Relative Intensity Score)
+ * - Absolute Rankings: points of the meet's scoring formula (scoringService, by regulation_code)
  * - Placement assigned per category (weight_cat_id + age_cat_id)
- * 
- * RIS FORMULA:
- * - Men: total * 100 / (A + (K - A) / (1 + Q * exp(-B * (bodyweight - v))))
- *   where A=338, K=549, B=0.11354, v=74.777, Q=0.53096
- * - Women: total * 100 / (A + (K - A) / (1 + Q * exp(-B * (bodyweight - v))))
- *   where A=164, K=270, B=0.13776, v=57.855, Q=0.37089
+ * - Absolute placement assigned by points (optionally within one sex)
+ * - Athlete breakdown: total standing + attempts, best and standings of every lift
  */
 
 import Registration from '../models/Registration.js';
 import Attempt from '../models/Attempt.js';
+import Meet from '../models/Meet.js';
+import Athlete from '../models/Athlete.js';
+import scoringService from './scoringService.js';
 import { all } from '../config/database-local.js';
 
 class RankingService {
   /**
-   * Calculate rankings for a meet and lift
+   * Calculate rankings for a meet (meet total) or for one lift
    * @param {number} meetId - Meet ID
-   * @param {string} liftId - Lift ID (e.g., 'MU', 'PU')
-   * @returns {Promise<Array>} Rankings array
+   * @param {string} liftId - Lift ID (e.g., 'MU', 'PU'), null = total of all lifts of the meet type
+   * @returns {Promise<Array>} Rankings array (points + scoring code; bombed-out athletes last, placement null)
    */
-  async calculateRankings(meetId, liftId) {
-    // Get all registrations for meet
+  async calculateRankings(meetId, liftId = null) {
+    // Get all registrations and attempts of the meet (2 queries for the whole meet)
     const registrations = await Registration.findByMeet(meetId);
+    const attempts = await Attempt.findByMeet(meetId);
+    const liftIds = liftId ? [liftId] : (await Meet.getLiftSequence(meetId)).map(l => l.id);
+    const formula = await scoringService.forMeet(meetId);
+
+    const attemptsByReg = new Map();
+    for (const attempt of attempts) {
+      if (!attemptsByReg.has(attempt.reg_id)) attemptsByReg.set(attempt.reg_id, []);
+      attemptsByReg.get(attempt.reg_id).push(attempt);
+    }
 
     // Calculate totals for each registration
-    const results = await Promise.all(
-      registrations.map(async (reg) => {
-        const total = await this.calculateTotal(reg.id, liftId);
-        const ris = this.calculateRIS(total, reg.bodyweight_kg, reg.sex);
-
-        return {
-          reg_id: reg.id,
-          athlete_id: reg.athlete_id,
-          first_name: reg.first_name,
-          last_name: reg.last_name,
-          sex: reg.sex,
-          bodyweight_kg: reg.bodyweight_kg,
-          weight_cat_id: reg.weight_cat_id,
-          weight_cat_name: reg.weight_cat_name,
-          age_cat_id: reg.age_cat_id,
-          age_cat_name: reg.age_cat_name,
-          total,
-          ris
-        };
-      })
-    );
-
-    // Filter out athletes with zero total (no valid attempts)
-    const validResults = results.filter(r => r.total > 0);
+    const results = registrations.map((reg) => {
+      const { lifts, total, bombedOut } = this.computeTotal(attemptsByReg.get(reg.id) || [], liftIds);
+      const points = formula.score(total, reg.bodyweight_kg, reg.sex);
+
+      return {
+        reg_id: reg.id,
+        athlete_id: reg.athlete_id,
+        first_name: reg.first_name,
+        last_name: reg.last_name,
+        sex: reg.sex,
+        bodyweight_kg: reg.bodyweight_kg,
+        weight_cat_id: reg.weight_cat_id,
+        weight_cat_name: reg.weight_cat_name,
+        age_cat_id: reg.age_cat_id,
+        age_cat_name: reg.age_cat_name,
+        team_id: reg.team_id,
+        team_name: reg.team_name,
+        lifts,
+        total,
+        points,
+        scoring: formula.code,
+        bombed_out: bombedOut
+      };
+    });
+
+    return this.rankResults(results);
+  }
+
+  /**
+   * Assign category placements (pure)
+   * - Athletes with a total: placed per category by TOTAL DESC, then BODYWEIGHT ASC
+   * - Bombed-out athletes: listed after the placed ones of their category, placement null
+   * - Athletes with no valid attempt yet (and not bombed out) are left out
+   * @param {Array} results - { sex, weight_cat_id, age_cat_id, bodyweight_kg, total, bombed_out }
+   * @returns {Array} Results with placement and category
+   */
+  rankResults(results) {
+    const ranked = results.filter(r => r.bombed_out || r.total > 0);
 
     // Group by categories for placement
-    const categories = this._groupByCategory(validResults);
+    const categories = this._groupByCategory(ranked);
 
     // Assign placements within each category
     const rankedResults = [];
     for (const [categoryKey, athletes] of Object.entries(categories)) {
-      // Sort by TOTAL DESC, then BODYWEIGHT ASC (lighter wins if tied)
+      // Sort by TOTAL DESC, then BODYWEIGHT ASC (lighter wins if tied), bomb-outs last
       athletes.sort((a, b) => {
+        if (a.bombed_out !== b.bombed_out) {
+          return a.bombed_out - b.bombed_out;
+        }
         if (b.total !== a.total) {
           return b.total - a.total;
         }
@@ -75,7 +102,7 @@ class RankingService {
       athletes.forEach((athlete, index) => {
         rankedResults.push({
           ...athlete,
-          placement: index + 1,
+          placement: athlete.bombed_out ? null : index + 1,
           category: categoryKey
         });
       });
@@ -84,18 +111,46 @@ class RankingService {
     return rankedResults;
   }
 
+  /**
+   * Compute the total of an athlete over some lifts (pure)
+   * Best VALID attempt per lift (attempts 1-3: the 4th attempt counts for records only)
+   * BOMB-OUT: a lift whose 3rd attempt is judged without any VALID attempt
+   * zeroes the total (the athlete can no longer post a total)
+   * @param {Array} attempts - Attempts of the athlete ({ lift_id, attempt_no, weight_kg, status })
+   * @param {Array<string>} liftIds - Lifts that make up the total
+   * @returns {Object} { lifts: { liftId: best kg }, total, bombedOut }
+   */
+  computeTotal(attempts, liftIds) {
+    const lifts = {};
+    let bombedOut = false;
+
+    for (const liftId of liftIds) {
+      const counted = attempts.filter(a => a.lift_id === liftId && a.attempt_no <= 3);
+      const valid = counted.filter(a => a.status === 'VALID');
+
+      lifts[liftId] = valid.length > 0 ? Math.max(...valid.map(a => a.weight_kg)) : 0;
+
+      if (valid.length === 0 && counted.some(a => a.attempt_no === 3 && a.status === 'INVALID')) {
+        bombedOut = true;
+      }
+    }
+
+    const total = bombedOut ? 0 : Object.values(lifts).reduce((sum, kg) => sum + kg, 0);
+    return { lifts, total, bombedOut };
+  }
+
   /**
    * Calculate total for registration and lift
-   * Best attempt only (max weight with VALID status)
+   * Best attempt only (max weight with VALID status, attempts 1-3)
    * @param {number} regId - Registration ID
    * @param {string} liftId - Lift ID
    * @returns {Promise<number>} Total weight in kg
    */
   async calculateTotal(regId, liftId) {
-    const attempts = await Attempt.findByRegistrationAndLift(regId, liftId);
+    const attempts = await Attempt.findByRegistration(regId, liftId);
     
-    // Get only VALID attempts
-    const validAttempts = attempts.filter(a => a.status === 'VALID');
+    // Get only VALID attempts (4th attempt counts for records, not for the total)
+    const validAttempts = attempts.filter(a => a.status === 'VALID' && a.attempt_no <= 3);
 
     if (validAttempts.length === 0) {
       return 0;
@@ -107,9 +162,7 @@ class RankingService {
 
   /**
    * Calculate RIS score (Relative Intensity Score)
-   * 
-   * Formula:
-   * RIS = total * 100 / (A + (K - A) / (1 + Q * exp(-B * (bodyweight - v))))
+   * (the RIS formula of scoringService, whatever the meet's regulation)
    * 
    * @param {number} total - Total weight lifted (kg)
    * @param {number} bodyweight - Bodyweight in kg
@@ -117,38 +170,16 @@ class RankingService {
    * @returns {number} RIS score
    */
   calculateRIS(total, bodyweight, sex) {
-    if (!total || !bodyweight || total === 0) {
-      return 0;
-    }
-
-    // RIS coefficients
-    const coefficients = {
-      M: {
-        A: 338,
-        K: 549,
-        B: 0.11354,
-        v: 74.777,
-        Q: 0.53096
-      },
-      F: {
-        A: 164,
-        K: 270,
-        B: 0.13776,
-        v: 57.855,
-        Q: 0.37089
-      }
-    };
-
-    const coeff = coefficients[sex] || coefficients.M;
-
-    // Calculate RIS
-    const denominator = coeff.A + 
-                       (coeff.K - coeff.A) / 
-                       (1 + coeff.Q * Math.exp(-coeff.B * (bodyweight - coeff.v)));
-
-    const ris = (total * 100) / denominator;
+    return scoringService.getFormula('RIS').score(total, bodyweight, sex);
+  }
 
-    return Math.round(ris * 100) / 100; // Round to 2 decimals
+  /**
+   * Category key of an athlete (sex + weight category + age category)
+   * @param {Object} athlete - { sex, weight_cat_id, age_cat_id }
+   * @returns {string} e.g. 'M_3_2' ('OPEN' for a missing category)
+   */
+  categoryKey(athlete) {
+    return `${athlete.sex}_${athlete.weight_cat_id || 'OPEN'}_${athlete.age_cat_id || 'OPEN'}`;
   }
 
   /**
@@ -161,7 +192,7 @@ class RankingService {
     const categories = {};
 
     athletes.forEach(athlete => {
-      const key = `${athlete.sex}_${athlete.weight_cat_id || 'OPEN'}_${athlete.age_cat_id || 'OPEN'}`;
+      const key = this.categoryKey(athlete);
       
       if (!categories[key]) {
         categories[key] = [];
@@ -176,17 +207,17 @@ class RankingService {
   /**
    * Get rankings for specific category
    * @param {number} meetId - Meet ID
-   * @param {string} liftId - Lift ID
-   * @param {string} sex - Sex ('M' or 'F')
+   * @param {string} liftId - Lift ID (null = meet total)
+   * @param {string} sex - Sex ('M' or 'F', optional)
    * @param {number} weightCatId - Weight category ID (optional)
    * @param {number} ageCatId - Age category ID (optional)
    * @returns {Promise<Array>}
    */
-  async getRankingsByCategory(meetId, liftId, sex, weightCatId = null, ageCatId = null) {
+  async getRankingsByCategory(meetId, liftId = null, sex = null, weightCatId = null, ageCatId = null) {
     const allRankings = await this.calculateRankings(meetId, liftId);
 
     return allRankings.filter(r => {
-      if (r.sex !== sex) return false;
+      if (sex && r.sex !== sex) return false;
       if (weightCatId && r.weight_cat_id !== weightCatId) return false;
       if (ageCatId && r.age_cat_id !== ageCatId) return false;
       return true;
@@ -194,27 +225,29 @@ class RankingService {
   }
 
   /**
-   * Get overall rankings (by RIS - absolute ranking)
+   * Get overall rankings (by points of the meet scoring formula - absolute ranking)
    * @param {number} meetId - Meet ID
-   * @param {string} liftId - Lift ID
-   * @returns {Promise<Array>}
+   * @param {string} liftId - Lift ID (null = meet total)
+   * @param {string} sex - Sex ('M' or 'F', optional: men and women ranked together)
+   * @returns {Promise<Array>} Rankings with absolute_placement (null for bomb-outs)
    */
-  async getOverallRankings(meetId, liftId) {
-    const rankings = await this.calculateRankings(meetId, liftId);
+  async getOverallRankings(meetId, liftId = null, sex = null) {
+    const rankings = (await this.calculateRankings(meetId, liftId))
+      .filter(r => !sex || r.sex === sex);
     
-    // Sort by RIS score DESC for absolute ranking
-    rankings.sort((a, b) => b.ris - a.ris);
+    // Sort by points DESC for absolute ranking (bomb-outs have 0 points: last)
+    rankings.sort((a, b) => b.points - a.points);
     
-    return rankings;
+    return rankings.map((r, index) => ({ ...r, absolute_placement: r.bombed_out ? null : index + 1 }));
   }
 
   /**
    * Get athlete's current standing
    * @param {number} regId - Registration ID
-   * @param {string} liftId - Lift ID
+   * @param {string} liftId - Lift ID (null = meet total)
    * @returns {Promise<Object|null>}
    */
-  async getAthleteStanding(regId, liftId) {
+  async getAthleteStanding(regId, liftId = null) {
     const registration = await Registration.findById(regId);
     if (!registration) {
       return null;
@@ -224,6 +257,69 @@ class RankingService {
     
     return rankings.find(r => r.reg_id === regId) || null;
   }
+
+  /**
+   * Get athlete's standing: meet total and lift by lift (every lift of the meet type)
+   * @param {number} regId - Registration ID
+   * @returns {Promise<Object|null>} { reg_id, meet_id, athlete fields,
+   *   total: { total, placement, category, points, absolute_placement, bombed_out },
+   *   lifts: [{ lift_id, lift_name, attempts, best_kg, placement, category, points, absolute_placement, bombed_out }] },
+   *   null if not registered
+   *   placement/absolute_placement: null while the athlete has no valid attempt, or after a bomb-out
+   */
+  async getAthleteBreakdown(regId) {
+    const registration = await Registration.findById(regId);
+    if (!registration) {
+      return null;
+    }
+
+    const athlete = await Athlete.findById(registration.athlete_id);
+    const lifts = await Meet.getLiftSequence(registration.meet_id);
+    const attempts = await Attempt.findByRegistration(regId);
+
+    // Standing of the athlete in a ranking (absolute placement within the athlete's sex)
+    const standingIn = async (liftId) => {
+      const overall = await this.getOverallRankings(registration.meet_id, liftId, athlete?.sex);
+      const standing = overall.find(r => r.reg_id === regId);
+      return {
+        total: standing?.total ?? 0,
+        placement: standing?.placement ?? null,
+        category: standing?.category ?? null,
+        points: standing?.points ?? 0,
+        absolute_placement: standing?.absolute_placement ?? null,
+        bombed_out: standing?.bombed_out ?? false
+      };
+    };
+
+    const breakdown = [];
+    for (const lift of lifts) {
+      const { total, ...standing } = await standingIn(lift.id);
+
+      breakdown.push({
+        lift_id: lift.id,
+        lift_name: lift.name,
+        attempts: attempts
+          .filter(a => a.lift_id === lift.id)
+          .map(({ id, attempt_no, weight_kg, status, fault_code }) => ({ id, attempt_no, weight_kg, status, fault_code })),
+        best_kg: total,
+        ...standing
+      });
+    }
+
+    return {
+      reg_id: registration.id,
+      meet_id: registration.meet_id,
+      athlete_id: registration.athlete_id,
+      first_name: athlete?.first_name ?? null,
+      last_name: athlete?.last_name ?? null,
+      sex: athlete?.sex ?? null,
+      bodyweight_kg: registration.bodyweight_kg,
+      weight_cat_id: registration.weight_cat_id,
+      age_cat_id: registration.age_cat_id,
+      total: await standingIn(null),
+      lifts: breakdown
+    };
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,256 @@
+/**
+ * Record Service
+ * 
+ * Live record detection during the competition
+ * 
+ * RECORD TO BEAT (per lift + weight category + age category):
+ * - Current record (records table, Record.checkRecord rules: a category
+ *   without a record has no record to beat)
+ * - Raised by records broken in the meet that are still waiting for
+ *   confirmation (record_candidates PENDING)
+ * 
+ * RECORD ATTEMPT:
+ * - Declared weight above the record to beat
+ * - Flagged on every queue entry and on the platform state
+ *   (record_attempt, record_kg = record to beat)
+ * 
+ * RECORD BROKEN (attempts 1-3):
+ * - A VALID attempt above the record to beat is staged in record_candidates (PENDING)
+ * - The staff confirms it (written to records) or rejects it
+ * - A staged attempt corrected to INVALID or undone drops its PENDING candidate
+ * - 4th attempts are granted as record attempts and saved directly
+ *   (stateMachine.recordFourthAttempt)
+ * 
+ * EVENTS (EventEmitter, relayed to clients by socketService):
+ * - 'broken' / 'withdrawn' / 'confirmed' / 'rejected' ({ meetId, attemptId, candidate, record })
+ */
+
+import { EventEmitter } from 'events';
+import Record from '../models/Record.js';
+import RecordCandidate from '../models/RecordCandidate.js';
+import Attempt from '../models/Attempt.js';
+import Registration from '../models/Registration.js';
+import { ConflictError, ForbiddenError, NotFoundError } from '../utils/errorHandler.js';
+
+// Last attempt staged for confirmation (4th attempts are saved directly)
+const LAST_STAGED_ATTEMPT = 3;
+
+/**
+ * Key of a weight category + age category pair
+ */
+const categoryKey = (row) => `${row.weight_cat_id}:${row.age_cat_id}`;
+
+class RecordService extends EventEmitter {
+  /**
+   * Records to beat of a lift, by category
+   * @param {string} liftId - Lift ID
+   * @param {number} excludeAttemptId - Attempt whose own candidate is ignored (optional)
+   * @returns {Promise<Map>} Map<'weightCatId:ageCatId', { record_id, record_kg, pending }>
+   */
+  async getRecordsToBeat(liftId, excludeAttemptId = null) {
+    const records = await Record.findByLift(liftId);
+    const candidates = (await RecordCandidate.findPendingByLift(liftId))
+      .filter(c => c.attempt_id !== excludeAttemptId);
+
+    return this.buildRecordsToBeat(records, candidates);
+  }
+
+  /**
+   * Merge records and PENDING candidates into the records to beat (pure)
+   * @param {Array} records - Record rows of one lift ({ id, weight_cat_id, age_cat_id, record_kg })
+   * @param {Array} candidates - PENDING candidates of the same lift
+   * @returns {Map} Map<'weightCatId:ageCatId', { record_id, record_kg, pending }>
+   */
+  buildRecordsToBeat(records, candidates) {
+    const toBeat = new Map();
+
+    for (const record of records) {
+      toBeat.set(categoryKey(record), { record_id: record.id, record_kg: record.record_kg, pending: false });
+    }
+
+    // Candidates only raise an existing record
+    for (const candidate of candidates) {
+      const current = toBeat.get(categoryKey(candidate));
+      if (current && candidate.record_kg > current.record_kg) {
+        toBeat.set(categoryKey(candidate), { ...current, record_kg: candidate.record_kg, pending: true });
+      }
+    }
+
+    return toBeat;
+  }
+
+  /**
+   * Record attempt flag of a weight (pure)
+   * @param {number} weightKg - Declared weight
+   * @param {Object|undefined} recordToBeat - Entry of getRecordsToBeat
+   * @returns {Object} { record_attempt, record_kg }
+   */
+  flag(weightKg, recordToBeat) {
+    return {
+      record_attempt: Boolean(recordToBeat && weightKg > recordToBeat.record_kg),
+      record_kg: recordToBeat?.record_kg ?? null
+    };
+  }
+
+  /**
+   * Flag the record attempts of a lifting order
+   * @param {Array} queue - stateMachine.getUpcomingOrder result (weight_cat_id, age_cat_id, declaredWeight)
+   * @param {string} liftId - Lift of the round
+   * @returns {Promise<Array>} Queue entries + { record_attempt, record_kg }
+   */
+  async flagQueue(queue, liftId) {
+    if (queue.length === 0) return queue;
+
+    const toBeat = await this.getRecordsToBeat(liftId);
+    return queue.map(entry => ({ ...entry, ...this.flag(entry.declaredWeight, toBeat.get(categoryKey(entry))) }));
+  }
+
+  /**
+   * Flag the attempt of the athlete on the platform
+   * @param {Object|null} state - Platform state (current_reg_id, current_lift_id, current_round)
+   * @returns {Promise<Object|null>} State + { record_attempt, record_kg }
+   */
+  async flagState(state) {
+    if (!state?.current_reg_id || !state.current_lift_id) {
+      return state && { ...state, record_attempt: false, record_kg: null };
+    }
+
+    const registration = await Registration.findById(state.current_reg_id);
+    const attempt = await Attempt.findSpecificAttempt(state.current_reg_id, state.current_lift_id, state.current_round);
+    if (!registration || !attempt) {
+      return { ...state, record_attempt: false, record_kg: null };
+    }
+
+    const toBeat = await this.getRecordsToBeat(state.current_lift_id, attempt.id);
+    return { ...state, ...this.flag(attempt.weight_kg, toBeat.get(categoryKey(registration))) };
+  }
+
+  /**
+   * Check a judged (or corrected / undone) attempt against the record to beat
+   * - VALID attempt 1-3 above it → staged as candidate ('broken')
+   * - Otherwise its PENDING candidate, if any, is dropped ('withdrawn')
+   * @param {number} attemptId - Attempt ID
+   * @returns {Promise<Object|null>} Staged candidate, null if no record broken
+   */
+  async checkResult(attemptId) {
+    const attempt = await Attempt.findById(attemptId);
+    if (!attempt || attempt.attempt_no > LAST_STAGED_ATTEMPT) {
+      return null;
+    }
+
+    const registration = await Registration.findById(attempt.reg_id);
+    const recordToBeat = attempt.status === 'VALID' && registration?.weight_cat_id && registration.age_cat_id
+      ? (await this.getRecordsToBeat(attempt.lift_id, attemptId)).get(categoryKey(registration))
+      : null;
+
+    if (!this.flag(attempt.weight_kg, recordToBeat).record_attempt) {
+      if (await RecordCandidate.deletePending(attemptId)) {
+        this.emit('withdrawn', { meetId: registration.meet_id, attemptId, candidate: null });
+      }
+      return null;
+    }
+
+    await RecordCandidate.stage({
+      meet_id: registration.meet_id,
+      attempt_id: attemptId,
+      reg_id: attempt.reg_id,
+      weight_cat_id: registration.weight_cat_id,
+      age_cat_id: registration.age_cat_id,
+      lift_id: attempt.lift_id,
+      record_kg: attempt.weight_kg,
+      previous_kg: recordToBeat.record_kg,
+      bodyweight_kg: registration.bodyweight_kg
+    });
+
+    const candidate = await RecordCandidate.findByAttempt(attemptId);
+    this.emit('broken', { meetId: registration.meet_id, attemptId, candidate });
+    return candidate;
+  }
+
+  /**
+   * Get the records broken in a meet
+   * @param {number} meetId - Meet ID
+   * @param {string} status - Optional: 'PENDING', 'CONFIRMED' or 'REJECTED'
+   * @returns {Promise<Array>}
+   */
+  async getCandidates(meetId, status = null) {
+    return await RecordCandidate.findByMeet(meetId, status);
+  }
+
+  /**
+   * Confirm a broken record: written to the records table
+   * @param {number} candidateId - Candidate ID
+   * @param {number} meetId - Meet of the caller (optional check)
+   * @returns {Promise<Object>} { candidate, record }
+   * @throws {ConflictError} If already decided, or the record was raised meanwhile
+   */
+  async confirm(candidateId, meetId = null) {
+    const candidate = await this._findPendingOrFail(candidateId, meetId);
+
+    const criteria = {
+      weight_cat_id: candidate.weight_cat_id,
+      age_cat_id: candidate.age_cat_id,
+      lift_id: candidate.lift_id
+    };
+    const saved = await Record.set({
+      ...criteria,
+      record_kg: candidate.record_kg,
+      bodyweight_kg: candidate.bodyweight_kg,
+      athlete_cf: candidate.athlete_cf
+    });
+    if (!saved) {
+      const current = await Record.getExactRecord(criteria);
+      throw new ConflictError(`The ${candidate.lift_id} record is already ${current.record_kg}kg`);
+    }
+
+    await RecordCandidate.decide(candidateId, 'CONFIRMED');
+    const record = await Record.getExactRecord(criteria);
+    const confirmed = await RecordCandidate.findById(candidateId);
+
+    this.emit('confirmed', { meetId: candidate.meet_id, attemptId: candidate.attempt_id, candidate: confirmed, record });
+    return { candidate: confirmed, record };
+  }
+
+  /**
+   * Reject a broken record
+   * @param {number} candidateId - Candidate ID
+   * @param {number} meetId - Meet of the caller (optional check)
+   * @returns {Promise<Object>} Rejected candidate
+   * @throws {ConflictError} If already decided
+   */
+  async reject(candidateId, meetId = null) {
+    const candidate = await this._findPendingOrFail(candidateId, meetId);
+
+    if (!(await RecordCandidate.decide(candidateId, 'REJECTED'))) {
+      throw new ConflictError(`Record candidate ${candidateId} already decided`);
+    }
+    const rejected = await RecordCandidate.findById(candidateId);
+
+    this.emit('rejected', { meetId: candidate.meet_id, attemptId: candidate.attempt_id, candidate: rejected });
+    return rejected;
+  }
+
+  /**
+   * Load a PENDING candidate or throw
+   * @param {number} candidateId - Candidate ID
+   * @param {number} meetId - Meet of the caller (optional check)
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _findPendingOrFail(candidateId, meetId) {
+    const candidate = await RecordCandidate.findById(candidateId);
+    if (!candidate) {
+      throw new NotFoundError(`Record candidate with ID ${candidateId} not found`);
+    }
+    if (meetId && candidate.meet_id !== meetId) {
+      throw new ForbiddenError(`Record candidate ${candidateId} is not in meet ${meetId}`);
+    }
+    if (candidate.status !== 'PENDING') {
+      throw new ConflictError(`Record candidate ${candidateId} already ${candidate.status.toLowerCase()}`);
+    }
+    return candidate;
+  }
+}
+
+// Export singleton
+export default new RecordService();
@@ -0,0 +1,147 @@
+/**
+ * Recovery Service
+ * 
+ * Resumes every meet/platform exactly where it stopped after a server restart
+ * (current_state survives in SQLite, sockets and memory do not)
+ * 
+ * STARTUP (recover(), called once by server.js):
+ * - Votes of PENDING attempts reloaded in memory
+ * - Attempts with all 3 votes saved but no result (stopped between the last
+ *   vote and the result) are finalized now: result, declaration window, record
+ *   (4th attempt saved, or broken record staged for confirmation)
+ * - Running platform clocks re-armed (expired if their time ran out meanwhile)
+ * - Declaration deadlines re-armed
+ * - Platforms in progress detected and their lifting orders loaded in the cache
+ * 
+ * JOIN SNAPSHOT (buildSnapshot(), sent as state:snapshot on every join:*):
+ * - state: full current_state of the platform (null if not in progress),
+ *   with the record attempt flag (record_attempt, record_kg)
+ * - queue: upcoming order of the current round (record attempts flagged)
+ * - clock: platform clock (stopped if the platform has no state yet)
+ * - lastResult: last judged attempt of the platform
+ * - votedRoles: judges who already voted on the attempt on the platform
+ *   (colors are never sent before the result)
+ * Clients only have to re-join after reconnecting: no regista intervention
+ */
+
+import Attempt from '../models/Attempt.js';
+import CurrentState from '../models/CurrentState.js';
+import stateMachine from './stateMachine.js';
+import validationService from './validationService.js';
+import timerService from './timerService.js';
+import declarationService from './declarationService.js';
+import recordService from './recordService.js';
+
+class RecoveryService {
+  /**
+   * Restore in-memory state after a restart
+   * @returns {Promise<Object>} { platforms, votes, results, clocks, declarations }
+   *   platforms: [{ meetId, platformNo, queue }] in progress (queue: athletes in the current round order)
+   *   votes: attempts with restored votes
+   *   results: interrupted results finalized now
+   *   clocks: re-armed clock snapshots
+   *   declarations: re-armed declaration deadlines
+   */
+  async recover() {
+    const votes = await validationService.restorePendingVotes();
+    const declarations = await declarationService.restore();
+
+    const interrupted = validationService.getInterruptedResults();
+    for (const { attemptId, result, faultCode } of interrupted) {
+      await this._finishResult(attemptId, result, faultCode);
+    }
+
+    const clocks = await timerService.restore();
+
+    const platforms = [];
+    for (const state of await CurrentState.findAll()) {
+      if (!this._isInProgress(state)) continue;
+      const queue = await this._getQueue(state);
+      platforms.push({ meetId: state.meet_id, platformNo: state.platform_no, queue: queue.length });
+    }
+
+    return {
+      platforms,
+      votes,
+      results: interrupted.length,
+      clocks,
+      declarations
+    };
+  }
+
+  /**
+   * Full snapshot of a platform for a client that (re)joins
+   * @param {number} meetId - Joined meet
+   * @param {number} platformNo - Followed platform (default 1)
+   * @returns {Promise<Object>} { meetId, platformNo, state, queue, clock, lastResult, votedRoles, serverTime }
+   */
+  async buildSnapshot(meetId, platformNo = 1) {
+    const state = await CurrentState.getFullState(meetId, platformNo);
+    const inProgress = this._isInProgress(state);
+
+    return {
+      meetId,
+      platformNo,
+      state: inProgress ? await recordService.flagState(state) : null,
+      queue: inProgress ? await recordService.flagQueue(await this._getQueue(state), state.current_lift_id) : [],
+      clock: await timerService.getSnapshot(meetId, platformNo),
+      lastResult: (await Attempt.findLastResultByPlatform(meetId, platformNo)) || null,
+      votedRoles: inProgress ? await this._getVotedRoles(state) : [],
+      serverTime: Date.now()
+    };
+  }
+
+  /**
+   * Save the result of an attempt whose voting completed before the restart
+   * Same steps as a live result (socketService._handleJudgeVote)
+   * @private
+   */
+  async _finishResult(attemptId, result, faultCode) {
+    await validationService.finalizeAttempt(attemptId, result, faultCode);
+    await declarationService.openAfterResult(attemptId);
+    await stateMachine.recordFourthAttempt(attemptId);
+    await recordService.checkResult(attemptId);
+  }
+
+  /**
+   * Platform with an athlete or group selected
+   * @private
+   */
+  _isInProgress(state) {
+    return Boolean(state?.meet_id && state.current_group_id);
+  }
+
+  /**
+   * Upcoming order of the current round (loads the order cache)
+   * @private
+   */
+  async _getQueue(state) {
+    return await stateMachine.getUpcomingOrder(
+      state.current_group_id,
+      state.current_lift_id,
+      state.current_round
+    );
+  }
+
+  /**
+   * Judges who voted on the attempt on the platform
+   * @private
+   */
+  async _getVotedRoles(state) {
+    if (!state.current_reg_id) return [];
+
+    const attempt = await Attempt.findSpecificAttempt(
+      state.current_reg_id,
+      state.current_lift_id,
+      state.current_round
+    );
+    if (!attempt || attempt.status !== 'PENDING') return [];
+
+    return Object.keys(validationService.getVotes(attempt.id)?.votes || {});
+  }
+}
+
+// Singleton instance
+const recoveryService = new RecoveryService();
+
+export default recoveryService;
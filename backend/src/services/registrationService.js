@@ -0,0 +1,313 @@
+/**
+ * Registration Service
+ * 
+ * Registers athletes to meets and handles weigh-in
+ * 
+ * CATEGORY ASSIGNMENT:
+ * - Categories are NEVER picked by hand: they come from Category.getCategoriesForAthlete
+ * - At registration: age category from birth date, weight category from the
+ *   declared bodyweight (if provided) → this is the DECLARED weight class
+ * - At weigh-in: real bodyweight is recorded and categories recalculated
+ *   - No declared class yet → weight class assigned from weigh-in
+ *   - Declared class missed → out_of_weight = 1 (declared class is kept,
+ *     the secretary decides what to do with the athlete)
+ * 
+ * OPENERS:
+ * - Declared per lift ({ MU: 25, PU: 40 }) at registration or weigh-in
+ * - Stored in registration_maxes AND as attempt #1 (PENDING), so judges
+ *   can vote on round 1 like any other attempt
+ * 
+ * TEAM:
+ * - A registration competes for team_id (team classification of the meet),
+ *   by default the athlete's club (athletes.team_id)
+ * 
+ * LOT NUMBERS:
+ * - Drawn at weigh-in for the whole meet (1..N, random permutation)
+ * - Used by the lifting order as the last tie-break
+ */
+
+import Athlete from '../models/Athlete.js';
+import Attempt from '../models/Attempt.js';
+import Category from '../models/Category.js';
+import Meet from '../models/Meet.js';
+import Registration from '../models/Registration.js';
+import Team from '../models/Team.js';
+import { transaction } from '../config/database-local.js';
+import stateMachine from './stateMachine.js';
+import journalService from './journalService.js';
+import { NotFoundError, ConflictError, ValidationError } from '../utils/errorHandler.js';
+import { JOURNAL_EVENT_TYPES } from '../config/constants.js';
+
+class RegistrationService {
+  /**
+   * Register an athlete to a meet
+   * @param {number} athleteId - Athlete ID
+   * @param {Object} data - { meet_id, bodyweight_kg, rack_height, belt_height, notes, openers, team_id }
+   * @param {string} actor - Journal actor (openers)
+   * @returns {Promise<Object>} Registration with openers
+   */
+  async register(athleteId, data, actor = 'FEDERATION') {
+    const athlete = await Athlete.findById(athleteId);
+    if (!athlete) {
+      throw new NotFoundError(`Athlete with ID ${athleteId} not found`);
+    }
+
+    const meet = await Meet.getFullDetails(data.meet_id);
+    if (!meet) {
+      throw new NotFoundError(`Meet with ID ${data.meet_id} not found`);
+    }
+
+    const existing = await Registration.findByMeetAndAthlete(meet.id, athleteId);
+    if (existing) {
+      throw new ConflictError(`Athlete ${athleteId} is already registered to meet ${meet.id}`);
+    }
+
+    if (data.openers) {
+      this._assertOpenersMatchMeet(data.openers, meet);
+    }
+
+    if (data.team_id && !(await Team.exists(data.team_id))) {
+      throw new ValidationError(`Unknown team: ${data.team_id}`);
+    }
+
+    const categories = await this._resolveCategories(athlete, data.bodyweight_kg);
+
+    const registration = await Registration.create({
+      meet_id: meet.id,
+      athlete_id: athleteId,
+      bodyweight_kg: data.bodyweight_kg ?? null,
+      rack_height: data.rack_height ?? 0,
+      belt_height: data.belt_height ?? 0,
+      notes: data.notes ?? null,
+      team_id: data.team_id ?? athlete.team_id ?? null,
+      weight_cat_id: categories.weightCategory?.id ?? null,
+      age_cat_id: categories.ageCategory?.id ?? null
+    });
+
+    if (data.openers) {
+      await this._saveOpeners(registration.id, data.openers, actor);
+    }
+
+    return await this.getRegistration(registration.id);
+  }
+
+  /**
+   * Record weigh-in: bodyweight, equipment heights and openers
+   * @param {number} regId - Registration ID
+   * @param {Object} data - { bodyweight_kg, rack_height, belt_height, openers }
+   * @param {string} actor - Journal actor (openers)
+   * @returns {Promise<Object>} Updated registration + weigh-in outcome
+   */
+  async recordWeighIn(regId, data, actor = 'REGISTA') {
+    const registration = await Registration.findById(regId);
+    if (!registration) {
+      throw new NotFoundError(`Registration with ID ${regId} not found`);
+    }
+
+    const athlete = await Athlete.findById(registration.athlete_id);
+
+    if (data.openers) {
+      const meet = await Meet.getFullDetails(registration.meet_id);
+      this._assertOpenersMatchMeet(data.openers, meet);
+    }
+
+    const { weightCategory, ageCategory } = await this._resolveCategories(athlete, data.bodyweight_kg);
+
+    if (!weightCategory) {
+      throw new ValidationError(`No weight category found for ${data.bodyweight_kg}kg (${athlete.sex})`);
+    }
+
+    // Declared class is kept: out_of_weight only flags the miss
+    const declaredCatId = registration.weight_cat_id;
+    const outOfWeight = declaredCatId !== null && declaredCatId !== weightCategory.id;
+
+    // An opener change refused by the rules leaves the registration untouched
+    await transaction(async () => {
+      await Registration.update(regId, {
+        bodyweight_kg: data.bodyweight_kg,
+        rack_height: data.rack_height,
+        belt_height: data.belt_height,
+        weight_cat_id: declaredCatId ?? weightCategory.id,
+        age_cat_id: ageCategory?.id ?? registration.age_cat_id,
+        out_of_weight: outOfWeight ? 1 : 0
+      });
+
+      if (data.openers) {
+        await this._saveOpeners(regId, data.openers, actor);
+      }
+    });
+
+    // Bodyweight and openers drive the lifting order
+    stateMachine.invalidateOrder();
+
+    return {
+      ...(await this.getRegistration(regId)),
+      weigh_in: {
+        bodyweight_kg: data.bodyweight_kg,
+        declared_weight_cat_id: declaredCatId,
+        weigh_in_weight_cat_id: weightCategory.id,
+        weigh_in_weight_cat_name: weightCategory.name,
+        out_of_weight: outOfWeight
+      }
+    };
+  }
+
+  /**
+   * Draw lot numbers for all registrations of a meet
+   * @param {number} meetId - Meet ID
+   * @param {Object} options - { redraw } (replace lots already drawn)
+   * @returns {Promise<Array>} Registrations by lot number
+   */
+  async drawLots(meetId, options = {}) {
+    const meet = await Meet.findById(meetId);
+    if (!meet) {
+      throw new NotFoundError(`Meet with ID ${meetId} not found`);
+    }
+
+    const registrations = await Registration.findLotsByMeet(meetId);
+    if (registrations.length === 0) {
+      throw new ValidationError(`No registrations for meet ${meetId}`);
+    }
+
+    const drawn = registrations.filter(r => r.lot_number !== null).length;
+    if (drawn > 0 && !options.redraw) {
+      throw new ConflictError(`Lots already drawn for meet ${meetId}. Use redraw to draw them again.`);
+    }
+
+    const lots = this.assignLots(registrations.map(r => r.id));
+
+    await transaction(async () => {
+      // Cleared first: lot numbers are UNIQUE per meet
+      await Registration.clearLots(meetId);
+      for (const { regId, lotNumber } of lots) {
+        await Registration.setLotNumber(regId, lotNumber);
+      }
+    });
+
+    stateMachine.invalidateOrder();
+    return await Registration.findLotsByMeet(meetId);
+  }
+
+  /**
+   * Assign lot numbers 1..N in random order (Fisher-Yates)
+   * @param {Array<number>} regIds - Registration IDs
+   * @param {Function} random - Random source in [0, 1) (default Math.random)
+   * @returns {Array} [{ regId, lotNumber }] in regIds order
+   */
+  assignLots(regIds, random = Math.random) {
+    const lotNumbers = regIds.map((_, i) => i + 1);
+
+    for (let i = lotNumbers.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [lotNumbers[i], lotNumbers[j]] = [lotNumbers[j], lotNumbers[i]];
+    }
+
+    return regIds.map((regId, i) => ({ regId, lotNumber: lotNumbers[i] }));
+  }
+
+  /**
+   * Get registration with its openers
+   * @param {number} regId - Registration ID
+   * @returns {Promise<Object>}
+   */
+  async getRegistration(regId) {
+    const registration = await Registration.findById(regId);
+    if (!registration) {
+      throw new NotFoundError(`Registration with ID ${regId} not found`);
+    }
+
+    const openers = await Registration.getOpeners(regId);
+
+    return {
+      ...registration,
+      openers
+    };
+  }
+
+  /**
+   * Calculate weight + age categories for an athlete
+   * Without bodyweight only the age category can be resolved
+   * @param {Object} athlete - Athlete row
+   * @param {number|null} bodyweightKg - Bodyweight in kg
+   * @returns {Promise<Object>} { weightCategory, ageCategory }
+   * @private
+   */
+  async _resolveCategories(athlete, bodyweightKg) {
+    if (bodyweightKg === undefined || bodyweightKg === null) {
+      const ageCategory = await Category.findAgeCategoryByAge(
+        Category.calculateAge(athlete.birth_date)
+      );
+      return { weightCategory: null, ageCategory };
+    }
+
+    return await Category.getCategoriesForAthlete(bodyweightKg, athlete.sex, athlete.birth_date);
+  }
+
+  /**
+   * Check that every opener refers to a lift of the meet type
+   * @param {Object} openers - { liftId: weightKg }
+   * @param {Object} meet - Meet with lifts (Meet.getFullDetails)
+   * @private
+   */
+  _assertOpenersMatchMeet(openers, meet) {
+    const meetLifts = meet.lifts.map(l => l.id);
+
+    for (const [liftId, weightKg] of Object.entries(openers)) {
+      if (!meetLifts.includes(liftId)) {
+        throw new ValidationError(`Lift ${liftId} is not part of meet type ${meet.meet_type_id}`);
+      }
+      if (typeof weightKg !== 'number' || weightKg <= 0) {
+        throw new ValidationError(`Opener for ${liftId} must be a positive number`);
+      }
+    }
+  }
+
+  /**
+   * Save openers (registration_maxes + attempt #1, journaled as ATTEMPT_DECLARED)
+   * An attempt #1 already declared is changed like any weight change
+   * (stateMachine.updateAttemptWeight: federation rules, counted, journaled)
+   * @param {number} regId - Registration ID
+   * @param {Object} openers - { liftId: weightKg }
+   * @param {string} actor - Journal actor
+   * @throws {AttemptChangeRejectedError} If a rule forbids changing attempt #1
+   * @private
+   */
+  async _saveOpeners(regId, openers, actor) {
+    for (const [liftId, weightKg] of Object.entries(openers)) {
+      const firstAttempt = await Attempt.findSpecificAttempt(regId, liftId, 1);
+
+      if (firstAttempt && firstAttempt.status !== 'PENDING') {
+        throw new ConflictError(`Opener for ${liftId} already lifted, cannot be changed`);
+      }
+
+      if (firstAttempt) {
+        if (firstAttempt.weight_kg !== weightKg) {
+          await stateMachine.updateAttemptWeight(firstAttempt.id, weightKg, null, actor);
+        }
+        await Registration.setOpener(regId, liftId, weightKg);
+        continue;
+      }
+
+      await Registration.setOpener(regId, liftId, weightKg);
+      const attemptId = await Attempt.create({
+        reg_id: regId,
+        lift_id: liftId,
+        attempt_no: 1,
+        weight_kg: weightKg,
+        status: 'PENDING'
+      });
+
+      await journalService.recordForAttempt(
+        attemptId,
+        JOURNAL_EVENT_TYPES.ATTEMPT_DECLARED,
+        { regId, liftId, attemptNo: 1, weightKg },
+        actor
+      );
+    }
+  }
+}
+
+// Singleton instance
+const registrationService = new RegistrationService();
+
+export default registrationService;
@@ -0,0 +1,182 @@
+/**
+ * Scoring Service
+ * 
+ * Registry of the scoring formulas used for points (absolute rankings, sync)
+ * - Each meet picks its formula with meets.regulation_code
+ * - Built-in formulas are registered below (register() adds more)
+ * - Any other code is looked up in the scoring_coefficients table
+ *   (custom coefficient table: points = total * coefficient of the bodyweight step)
+ * - Unknown codes with no table fall back to DEFAULT_SCORING_CODE
+ * 
+ * BUILT-IN FORMULAS:
+ * - RIS (alias WL_COEFF_2025): total * 100 / (A + (K - A) / (1 + Q * exp(-B * (bodyweight - v))))
+ * - IPF_GL: total * 100 / (A - B * exp(-C * bodyweight)) (IPF GL-style, classic coefficients)
+ * - BW_RATIO: total / bodyweight
+ * - TOTAL: total (no bodyweight adjustment)
+ * 
+ * A formula is { code, name, score(total, bodyweight, sex) }.
+ * Points are 0 without a total or a bodyweight, rounded to 2 decimals.
+ */
+
+import Meet from '../models/Meet.js';
+import ScoringCoefficient from '../models/ScoringCoefficient.js';
+import { DEFAULT_SCORING_CODE } from '../config/constants.js';
+
+// RIS coefficients (Relative Intensity Score)
+const RIS_COEFFICIENTS = {
+  M: { A: 338, K: 549, B: 0.11354, v: 74.777, Q: 0.53096 },
+  F: { A: 164, K: 270, B: 0.13776, v: 57.855, Q: 0.37089 }
+};
+
+// IPF GL coefficients (classic total)
+const IPF_GL_COEFFICIENTS = {
+  M: { A: 1199.72839, B: 1025.18162, C: 0.00921 },
+  F: { A: 610.32796, B: 1045.59282, C: 0.03048 }
+};
+
+/**
+ * Build a RIS formula from a coefficient set (one per RIS version)
+ * @param {Object} coefficients - { M: { A, K, B, v, Q }, F: { ... } }
+ * @returns {Function} (total, bodyweight, sex) => raw points
+ */
+function risFormula(coefficients) {
+  return (total, bodyweight, sex) => {
+    const coeff = coefficients[sex] || coefficients.M;
+    const denominator = coeff.A +
+                       (coeff.K - coeff.A) /
+                       (1 + coeff.Q * Math.exp(-coeff.B * (bodyweight - coeff.v)));
+    return (total * 100) / denominator;
+  };
+}
+
+/**
+ * IPF GL-style formula
+ * @param {number} total - Total weight lifted (kg)
+ * @param {number} bodyweight - Bodyweight in kg
+ * @param {string} sex - 'M' or 'F'
+ * @returns {number} Raw points
+ */
+function ipfGlFormula(total, bodyweight, sex) {
+  const coeff = IPF_GL_COEFFICIENTS[sex] || IPF_GL_COEFFICIENTS.M;
+  return (total * 100) / (coeff.A - coeff.B * Math.exp(-coeff.C * bodyweight));
+}
+
+class ScoringService {
+  constructor() {
+    this.formulas = new Map();
+
+    this.register('RIS', 'RIS (Relative Intensity Score)', risFormula(RIS_COEFFICIENTS));
+    this.register('WL_COEFF_2025', 'RIS (Relative Intensity Score)', risFormula(RIS_COEFFICIENTS));
+    this.register('IPF_GL', 'IPF GL-style points', ipfGlFormula);
+    this.register('BW_RATIO', 'Total / bodyweight', (total, bodyweight) => total / bodyweight);
+    this.register('TOTAL', 'Total (kg)', (total) => total);
+  }
+
+  /**
+   * Register a formula for a regulation code (replaces an existing one)
+   * @param {string} code - Regulation code
+   * @param {string} name - Display name
+   * @param {Function} formula - (total, bodyweight, sex) => raw points
+   * @returns {Object} Registered formula
+   */
+  register(code, name, formula) {
+    const entry = { code, name, score: this._rounded(formula) };
+    this.formulas.set(code, entry);
+    return entry;
+  }
+
+  /**
+   * Get a built-in formula
+   * @param {string} code - Regulation code
+   * @returns {Object|null}
+   */
+  getFormula(code) {
+    return this.formulas.get(code) || null;
+  }
+
+  /**
+   * Resolve the formula of a regulation code
+   * @param {string} code - Regulation code (meets.regulation_code)
+   * @param {Array} coefficients - Custom table rows { sex, bodyweight_kg, coefficient } (when not built-in)
+   * @returns {Object} Formula (default formula when the code is unknown and has no table)
+   */
+  resolve(code, coefficients = []) {
+    const builtIn = this.getFormula(code);
+    if (builtIn) return builtIn;
+
+    if (coefficients.length > 0) {
+      return this.tableFormula(code, coefficients);
+    }
+
+    return this.getFormula(DEFAULT_SCORING_CODE) || this.getFormula('RIS');
+  }
+
+  /**
+   * Get the formula selected by a meet (regulation_code)
+   * @param {number} meetId - Meet ID
+   * @returns {Promise<Object>} Formula
+   */
+  async forMeet(meetId) {
+    const meet = await Meet.findById(meetId);
+    const code = meet?.regulation_code;
+
+    if (!code || this.getFormula(code)) {
+      return this.resolve(code);
+    }
+
+    return this.resolve(code, await ScoringCoefficient.findByRegulation(code));
+  }
+
+  /**
+   * Build a formula from a custom coefficient table
+   * The coefficient of the heaviest step not above the bodyweight applies
+   * (the lightest step below the table)
+   * @param {string} code - Regulation code
+   * @param {Array} coefficients - { sex, bodyweight_kg, coefficient }
+   * @returns {Object} Formula
+   */
+  tableFormula(code, coefficients) {
+    const formula = (total, bodyweight, sex) => {
+      const steps = coefficients
+        .filter(c => c.sex === sex)
+        .sort((a, b) => a.bodyweight_kg - b.bodyweight_kg);
+      if (steps.length === 0) return 0;
+
+      const step = steps.filter(c => c.bodyweight_kg <= bodyweight).pop() || steps[0];
+      return total * step.coefficient;
+    };
+
+    return { code, name: `Coefficient table ${code}`, score: this._rounded(formula) };
+  }
+
+  /**
+   * List the available regulation codes
+   * @returns {Promise<Array>} { code, name, source: 'BUILT_IN' | 'TABLE' }
+   */
+  async list() {
+    const builtIn = [...this.formulas.values()].map(({ code, name }) => ({ code, name, source: 'BUILT_IN' }));
+    const tables = (await ScoringCoefficient.findRegulationCodes())
+      .filter(code => !this.formulas.has(code))
+      .map(code => ({ code, name: `Coefficient table ${code}`, source: 'TABLE' }));
+
+    return [...builtIn, ...tables];
+  }
+
+  /**
+   * Wrap a raw formula: 0 without total/bodyweight, rounded to 2 decimals
+   * @param {Function} formula - (total, bodyweight, sex) => raw points
+   * @returns {Function}
+   * @private
+   */
+  _rounded(formula) {
+    return (total, bodyweight, sex) => {
+      if (!total || !bodyweight) {
+        return 0;
+      }
+      return Math.round(formula(total, bodyweight, sex) * 100) / 100;
+    };
+  }
+}
+
+// Export singleton
+export default new ScoringService();
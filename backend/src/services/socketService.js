@@ -9,24 +9,83 @@
  * 
  * ROOMS:
  * - meet_${meetId} - All connected clients for a meet
- * - judges_${meetId} - Only judges
- * - regista_${meetId} - Only regista
+ * - platform_${meetId}_${platformNo} - All clients following one platform
+ * - judges_${meetId}_${platformNo} - Only judges of a platform
+ * - regista_${meetId}_${platformNo} - Only the regista of a platform
+ * - regista_${meetId} - Every regista of the meet (declarations)
  * - viewers_${meetId} - Public viewers
  * 
+ * PLATFORMS (meets with more than one platform run in parallel):
+ * - Platform of a socket: judge/regista token platformNo, or payload
+ *   platformNo for federation regista and viewers (default 1)
+ * - Platform events (state, clock, NEXT, votes, results, undo) go to the
+ *   platform rooms; rankings, declarations, records and corrections to the meet room
+ * 
+ * AUTHENTICATION (handshake: io({ auth: { token } })):
+ * - No token → viewer (can only join meet/viewer rooms)
+ * - judge token (QR code) → judgeId, judgeRole, meetId, platformNo taken from the TOKEN
+ * - regista token → meetId, platformNo taken from the token
+ * - federation token → can join as regista on the meets it owns
+ * - Invalid/expired token → connection refused
+ * 
  * EVENTS:
- * - judge:vote - Judge casts vote (WHITE/RED)
+ * - judge:vote - Judge casts vote (WHITE/RED + optional faultCode for RED)
+ * - judge:allowChange - HEAD judge lets a judge change its vote
+ * - vote:rejected - Vote refused ({ attemptId, reason, message })
+ * - vote:changeAllowed - Change window opened ({ attemptId, judgeRole, expiresAt })
  * - regista:next - Regista presses NEXT button
- * - timer:start/stop/update - Timer control
+ * - lift:changed / flight:changed - NEXT moved to the next lift/flight (break clock started)
+ * - regista:grantFourthAttempt - Record attempt ({ regId, liftId, weightKg }), must beat a record
+ * - attempt:fourthGranted - 4th attempt scheduled after round 3 (meet room)
+ * - record:set - New record saved: VALID 4th attempt or confirmed record (meet room)
+ * - record:broken - VALID attempt 1-3 above the record, staged for confirmation
+ *   ({ attemptId, candidate }, meet room)
+ * - record:withdrawn / record:rejected - Staged record dropped (result corrected/undone) or rejected
+ * - regista:declare - Next-attempt weight ({ regId, liftId, attemptNo, weightKg }), only before the deadline
+ * - declaration:opened/declared/defaulted - Declaration window events (meet room)
+ * - declaration:pending - Athletes who still have to declare (regista room)
+ * - weight:rejected - Declaration/weight change refused ({ rule, message, details }, to the regista)
+ * - timer:start/pause/resume/stop - Clock control (regista; start payload { kind, seconds })
+ * - timer:started/paused/resumed/stopped/tick/expired - Clock snapshots (server-authoritative)
+ * - timer:sync - Clock snapshot sent to a socket when it joins
+ * - state:snapshot - Full platform snapshot sent on every join:* ({ state, queue, clock,
+ *   lastResult, votedRoles }), so clients re-sync after a server restart
+ * - regista:undo - Undo the last NEXT / result / correction
+ * - state:undone - Operation undone ({ kind, attemptId, attempt }, platform room)
+ * - attempt:correct - Change a recorded result ({ attemptId, result, faultCode }, regista or HEAD judge)
+ * - attempt:corrected - Result corrected ({ attemptId, result, faultCode, previous }, meet room)
  * - attempt:result - Attempt completed with result
- * - state:update - Competition state changed
- * - ranking:update - Rankings recalculated
+ * - state:update - Competition state changed (record_attempt / record_kg: the attempt
+ *   on the platform beats the record of the athlete's categories)
+ * - queue:update - Upcoming order of the round to the regista (record_attempt / record_kg per entry;
+ *   sent after NEXT, undo, corrections, declarations, weight changes and record changes)
+ * - ranking:update - Rankings on the meet total recalculated
+ * - ranking:projection - Best/worst-case placements and required next-attempt weights
+ *   (coach display, meet room: after every result, declaration and weight change)
  */
 
 import validationService from './validationService.js';
 import stateMachine from './stateMachine.js';
 import rankingService from './rankingService.js';
+import projectionService from './projectionService.js';
+import timerService from './timerService.js';
+import declarationService from './declarationService.js';
+import correctionService from './correctionService.js';
+import recoveryService from './recoveryService.js';
+import recordService from './recordService.js';
 import Attempt from '../models/Attempt.js';
+import CurrentState from '../models/CurrentState.js';
 import Judge from '../models/Judge.js';
+import Meet from '../models/Meet.js';
+import { verifyToken, TOKEN_TYPES } from '../config/jwt.js';
+import { canAccessMeet } from '../middleware/auth.middleware.js';
+import { VoteRejectedError, AttemptChangeRejectedError } from '../utils/errorHandler.js';
+import { FAULT_CODES, TIMER_DEFAULT_SECONDS } from '../config/constants.js';
+
+/**
+ * Room of one platform of a meet
+ */
+const platformRoom = (prefix, meetId, platformNo) => `${prefix}_${meetId}_${platformNo}`;
 
 class SocketService {
   constructor() {
@@ -39,6 +98,39 @@ class SocketService {
    */
   initialize(io) {
     this.io = io;
+
+    // Verify token before the connection is accepted
+    this.io.use((socket, next) => this._authenticateHandshake(socket, next));
+
+    // Relay each platform clock to its platform room
+    for (const event of ['started', 'paused', 'resumed', 'stopped', 'tick', 'expired']) {
+      timerService.on(event, (snapshot) => {
+        if (snapshot.meetId) {
+          this.broadcastToPlatform(snapshot.meetId, snapshot.platformNo, `timer:${event}`, snapshot);
+        }
+      });
+    }
+
+    // Relay declaration windows (+ refreshed pending list for the regista)
+    for (const event of ['opened', 'declared', 'defaulted', 'withdrawn']) {
+      declarationService.on(event, (declaration) => {
+        this.broadcastToMeet(declaration.meetId, `declaration:${event}`, declaration);
+        this._sendPendingDeclarations(`regista_${declaration.meetId}`, declaration.meetId);
+        if (event !== 'opened') {
+          this._broadcastProjection(declaration.meetId);
+          this._refreshQueues(declaration.meetId);
+        }
+      });
+    }
+
+    // Relay records broken during the meet (+ record attempt flags of the queues)
+    const recordEvents = { broken: 'record:broken', withdrawn: 'record:withdrawn', confirmed: 'record:set', rejected: 'record:rejected' };
+    for (const [event, socketEvent] of Object.entries(recordEvents)) {
+      recordService.on(event, ({ meetId, ...payload }) => {
+        this.broadcastToMeet(meetId, socketEvent, payload);
+        this._refreshQueues(meetId);
+      });
+    }
     
     this.io.on('connection', (socket) => {
       console.log(`Client connected: ${socket.id}`);
@@ -51,13 +143,22 @@ class SocketService {
 
       // ===== JUDGE EVENTS =====
       socket.on('judge:vote', (data) => this._handleJudgeVote(socket, data));
+      socket.on('judge:allowChange', (data) => this._handleAllowVoteChange(socket, data));
 
       // ===== REGISTA EVENTS =====
       socket.on('regista:next', (data) => this._handleRegistaNext(socket, data));
       socket.on('regista:updateWeight', (data) => this._handleUpdateWeight(socket, data));
+      socket.on('regista:declare', (data) => this._handleDeclare(socket, data));
+      socket.on('regista:grantFourthAttempt', (data) => this._handleGrantFourthAttempt(socket, data));
+      socket.on('regista:undo', (data) => this._handleUndo(socket, data));
+
+      // ===== CORRECTIONS (regista or HEAD judge) =====
+      socket.on('attempt:correct', (data) => this._handleCorrectAttempt(socket, data));
 
       // ===== TIMER EVENTS =====
       socket.on('timer:start', (data) => this._handleTimerStart(socket, data));
+      socket.on('timer:pause', (data) => this._handleTimerPause(socket, data));
+      socket.on('timer:resume', (data) => this._handleTimerResume(socket, data));
       socket.on('timer:stop', (data) => this._handleTimerStop(socket, data));
 
       // ===== DISCONNECT =====
@@ -68,50 +169,170 @@ class SocketService {
   }
 
   /**
-   * Handle meet join
+   * Handshake middleware: verify optional token and store identity in socket.data
    * @private
    */
-  _handleJoinMeet(socket, data) {
+  async _authenticateHandshake(socket, next) {
+    const token = socket.handshake.auth?.token;
+    socket.data.auth = null;
+
+    if (!token) {
+      return next();
+    }
+
+    try {
+      const auth = verifyToken(token);
+
+      if (auth.type === TOKEN_TYPES.JUDGE) {
+        // Judge may have been removed after the QR was printed
+        const judge = await Judge.findById(auth.judgeId);
+        if (!judge || judge.meet_id !== auth.meetId) {
+          return next(new Error('Judge no longer assigned to this meet'));
+        }
+        if (judge.platform_no !== (auth.platformNo ?? 1)) {
+          return next(new Error('Judge moved to another platform'));
+        }
+      }
+
+      socket.data.auth = auth;
+      next();
+    } catch (error) {
+      next(new Error(`Invalid token: ${error.message}`));
+    }
+  }
+
+  /**
+   * Check that the socket joined as regista (emits error otherwise)
+   * @param {Object} socket - Socket
+   * @returns {boolean}
+   * @private
+   */
+  _isRegista(socket) {
+    if (!socket.data.isRegista) {
+      socket.emit('error', { message: 'Not authenticated as regista' });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Platform number of a join payload (emits error if invalid)
+   * @param {Object} socket - Socket
+   * @param {*} value - Payload platformNo (default 1)
+   * @returns {number|null}
+   * @private
+   */
+  _parsePlatformNo(socket, value = 1) {
+    if (!Number.isInteger(value) || value < 1) {
+      socket.emit('error', { message: 'platformNo must be a positive integer' });
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Handle meet join (snapshot of the followed platform)
+   * @private
+   */
+  _handleJoinMeet(socket, data = {}) {
     const { meetId } = data;
+    const platformNo = this._parsePlatformNo(socket, data.platformNo);
+    if (!platformNo) return;
+
     socket.join(`meet_${meetId}`);
-    console.log(`Socket ${socket.id} joined meet_${meetId}`);
+    socket.join(platformRoom('platform', meetId, platformNo));
+    this._sendSnapshot(socket, meetId, platformNo);
+    console.log(`Socket ${socket.id} joined meet_${meetId} (platform ${platformNo})`);
   }
 
   /**
    * Handle judge join
+   * Identity comes from the judge token, NOT from the payload
    * @private
    */
   _handleJoinJudge(socket, data) {
-    const { meetId, judgeId, role } = data;
+    const { auth } = socket.data;
+
+    if (auth?.type !== TOKEN_TYPES.JUDGE) {
+      socket.emit('error', { message: 'Judge token required' });
+      return;
+    }
+
+    const { meetId, judgeId, role } = auth;
+    const platformNo = auth.platformNo ?? 1;
     socket.join(`meet_${meetId}`);
-    socket.join(`judges_${meetId}`);
+    socket.join(platformRoom('platform', meetId, platformNo));
+    socket.join(platformRoom('judges', meetId, platformNo));
     socket.data.judgeId = judgeId;
     socket.data.judgeRole = role;
     socket.data.meetId = meetId;
-    console.log(`Judge ${role} joined meet_${meetId}`);
+    socket.data.platformNo = platformNo;
+    socket.emit('join:confirmed', { meetId, platformNo, judgeId, role });
+    this._sendSnapshot(socket, meetId, platformNo);
+    console.log(`Judge ${role} joined meet_${meetId} (platform ${platformNo})`);
   }
 
   /**
    * Handle regista join
+   * - regista token: meet and platform taken from the token
+   * - federation token: meet and platform from payload, meet must be owned by the federation
    * @private
    */
-  _handleJoinRegista(socket, data) {
-    const { meetId } = data;
-    socket.join(`meet_${meetId}`);
-    socket.join(`regista_${meetId}`);
-    socket.data.meetId = meetId;
-    console.log(`Regista joined meet_${meetId}`);
+  async _handleJoinRegista(socket, data = {}) {
+    try {
+      const { auth } = socket.data;
+      let meetId;
+      let platformNo;
+
+      if (auth?.type === TOKEN_TYPES.REGISTA) {
+        meetId = auth.meetId;
+        platformNo = auth.platformNo ?? 1;
+      } else if (auth?.type === TOKEN_TYPES.FEDERATION) {
+        platformNo = this._parsePlatformNo(socket, data.platformNo);
+        if (!platformNo) return;
+
+        const meet = await Meet.findById(data.meetId);
+        if (!canAccessMeet(auth, meet)) {
+          socket.emit('error', { message: `Not allowed to run meet ${data.meetId}` });
+          return;
+        }
+        meetId = meet.id;
+      } else {
+        socket.emit('error', { message: 'Regista or federation token required' });
+        return;
+      }
+
+      socket.join(`meet_${meetId}`);
+      socket.join(platformRoom('platform', meetId, platformNo));
+      socket.join(`regista_${meetId}`);
+      socket.join(platformRoom('regista', meetId, platformNo));
+      socket.data.meetId = meetId;
+      socket.data.platformNo = platformNo;
+      socket.data.isRegista = true;
+      socket.emit('join:confirmed', { meetId, platformNo, role: 'REGISTA' });
+      this._sendSnapshot(socket, meetId, platformNo);
+      this._sendPendingDeclarations(socket.id, meetId);
+      console.log(`Regista joined meet_${meetId} (platform ${platformNo})`);
+    } catch (error) {
+      console.error('Error handling regista join:', error);
+      socket.emit('error', { message: error.message });
+    }
   }
 
   /**
    * Handle viewer join
    * @private
    */
-  _handleJoinViewer(socket, data) {
+  _handleJoinViewer(socket, data = {}) {
     const { meetId } = data;
+    const platformNo = this._parsePlatformNo(socket, data.platformNo);
+    if (!platformNo) return;
+
     socket.join(`meet_${meetId}`);
     socket.join(`viewers_${meetId}`);
-    console.log(`Viewer joined meet_${meetId}`);
+    socket.join(platformRoom('platform', meetId, platformNo));
+    this._sendSnapshot(socket, meetId, platformNo);
+    console.log(`Viewer joined meet_${meetId} (platform ${platformNo})`);
   }
 
   /**
@@ -120,19 +341,25 @@ class SocketService {
    */
   async _handleJudgeVote(socket, data) {
     try {
-      const { attemptId, vote } = data;
-      const { judgeRole, meetId } = socket.data;
+      const { vote, faultCode = null } = data;
+      const { auth, judgeRole, meetId, platformNo } = socket.data;
 
-      if (!judgeRole) {
+      if (auth?.type !== TOKEN_TYPES.JUDGE || !judgeRole) {
         socket.emit('error', { message: 'Not authenticated as judge' });
         return;
       }
 
+      // Only the attempt on the judge's platform can be voted
+      // (votes are keyed by the numeric attempt ID)
+      const attempt = await validationService.assertVoteAllowed(Number(data.attemptId), meetId, platformNo);
+      const attemptId = attempt.id;
+      validationService.assertFaultCodeValid(attempt.lift_id, vote, faultCode);
+
       // Register vote in validation service
-      const result = validationService.registerVote(attemptId, judgeRole, vote);
+      const result = await validationService.registerVote(attemptId, judgeRole, vote, faultCode);
 
       // Broadcast vote to regista and viewers (but NOT to other judges)
-      this.io.to(`regista_${meetId}`).emit('vote:received', {
+      this.io.to(platformRoom('regista', meetId, platformNo)).emit('vote:received', {
         attemptId,
         judgeRole,
         vote,
@@ -141,66 +368,118 @@ class SocketService {
 
       // If voting complete, finalize attempt
       if (result.isComplete) {
-        await validationService.finalizeAttempt(attemptId, result.result);
+        await validationService.finalizeAttempt(attemptId, result.result, result.faultCode, platformNo);
 
-        // Broadcast result to ALL
-        this.io.to(`meet_${meetId}`).emit('attempt:result', {
+        // Next attempt must be declared before the deadline
+        await declarationService.openAfterResult(attemptId);
+
+        // VALID record attempt → new record
+        const record = await stateMachine.recordFourthAttempt(attemptId);
+        if (record) {
+          this.io.to(`meet_${meetId}`).emit('record:set', { attemptId, record });
+        }
+
+        // VALID attempt 1-3 above the record → staged for confirmation (record:broken)
+        await recordService.checkResult(attemptId);
+
+        // Broadcast result to the platform
+        this.broadcastToPlatform(meetId, platformNo, 'attempt:result', {
           attemptId,
           result: result.result,
-          votes: result.votes
+          votes: result.votes,
+          faults: result.faults,
+          faultCode: result.faultCode,
+          faultDescription: result.faultCode ? FAULT_CODES[result.faultCode] : null
         });
 
         // Recalculate rankings
-        const state = await stateMachine.getCurrentAthlete();
-        if (state) {
-          const rankings = await rankingService.calculateRankings(
-            state.meet_id,
-            state.current_lift_id
-          );
-          
-          this.io.to(`meet_${meetId}`).emit('ranking:update', rankings);
-        }
+        await this._broadcastRankings(meetId);
       }
 
       // Acknowledge vote to judge
       socket.emit('vote:confirmed', { attemptId, vote });
 
     } catch (error) {
+      if (error instanceof VoteRejectedError) {
+        socket.emit('vote:rejected', {
+          attemptId: data?.attemptId,
+          reason: error.reason,
+          message: error.message
+        });
+        return;
+      }
       console.error('Error handling judge vote:', error);
       socket.emit('error', { message: error.message });
     }
   }
 
+  /**
+   * Handle HEAD judge authorizing a vote change
+   * Only for the attempt on the judge's platform (same checks as a vote)
+   * @private
+   */
+  async _handleAllowVoteChange(socket, data = {}) {
+    try {
+      const { judgeRole } = data;
+      const { auth, meetId, platformNo } = socket.data;
+
+      if (auth?.type !== TOKEN_TYPES.JUDGE || !socket.data.judgeRole) {
+        socket.emit('error', { message: 'Not authenticated as judge' });
+        return;
+      }
+
+      const attempt = await validationService.assertVoteAllowed(Number(data.attemptId), meetId, platformNo);
+      const attemptId = attempt.id;
+      const expiresAt = validationService.allowVoteChange(attemptId, judgeRole, socket.data.judgeRole);
+      const payload = { attemptId, judgeRole, expiresAt };
+
+      this.io.to(platformRoom('judges', meetId, platformNo)).emit('vote:changeAllowed', payload);
+      this.io.to(platformRoom('regista', meetId, platformNo)).emit('vote:changeAllowed', payload);
+
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  }
+
   /**
    * Handle regista NEXT button
    * @private
    */
   async _handleRegistaNext(socket, data) {
+    if (!this._isRegista(socket)) return;
+
     try {
-      const { meetId } = socket.data;
+      const { meetId, platformNo } = socket.data;
 
-      // Move to next athlete
-      const newState = await stateMachine.next();
+      // Move to next athlete on the regista's platform
+      const newState = await stateMachine.forPlatform(meetId, platformNo).next();
 
       if (newState.finished) {
         // Competition finished
-        this.io.to(`meet_${meetId}`).emit('competition:finished', {
-          message: 'Competition completed for this group'
+        this.broadcastToPlatform(meetId, platformNo, 'competition:finished', {
+          platformNo,
+          message: newState.message || 'Competition completed for this group'
         });
         return;
       }
 
-      // Broadcast new state to ALL
-      this.io.to(`meet_${meetId}`).emit('state:update', newState);
+      // Lift/flight change: announce it and start the break clock
+      if (newState.transition) {
+        const breakSeconds = TIMER_DEFAULT_SECONDS.BREAK;
+        const event = newState.transition.type === 'FLIGHT' ? 'flight:changed' : 'lift:changed';
 
-      // Get upcoming order for regista
-      const upcomingOrder = await stateMachine.getUpcomingOrder(
-        newState.current_group_id,
-        newState.current_lift_id,
-        newState.current_round
-      );
+        this.broadcastToPlatform(meetId, platformNo, event, { ...newState.transition, platformNo, breakSeconds });
 
-      this.io.to(`regista_${meetId}`).emit('queue:update', upcomingOrder);
+        if (breakSeconds > 0) {
+          await timerService.start({ kind: 'BREAK', seconds: breakSeconds, meetId, platformNo, actor: 'SYSTEM' });
+        }
+      }
+
+      // Broadcast new state to the platform
+      this.broadcastToPlatform(meetId, platformNo, 'state:update', await recordService.flagState(newState));
+
+      // Get upcoming order for regista
+      await this._sendQueue(meetId, platformNo, newState);
 
     } catch (error) {
       console.error('Error handling NEXT:', error);
@@ -213,39 +492,91 @@ class SocketService {
    * @private
    */
   async _handleUpdateWeight(socket, data) {
+    if (!this._isRegista(socket)) return;
+
     try {
       const { attemptId, weightKg } = data;
       const { meetId } = socket.data;
 
-      await stateMachine.updateAttemptWeight(attemptId, weightKg);
+      await stateMachine.updateAttemptWeight(attemptId, weightKg, meetId);
 
       // Broadcast weight update
       this.io.to(`meet_${meetId}`).emit('weight:updated', {
         attemptId,
         weightKg
       });
+      await this._broadcastProjection(meetId);
+      await this._sendQueues(meetId);
 
     } catch (error) {
+      if (error instanceof AttemptChangeRejectedError) {
+        this._emitWeightRejected(socket, data, error);
+        return;
+      }
       console.error('Error updating weight:', error);
       socket.emit('error', { message: error.message });
     }
   }
 
   /**
-   * Handle timer start
+   * Handle next-attempt declaration
    * @private
    */
-  async _handleTimerStart(socket, data) {
+  async _handleDeclare(socket, data = {}) {
+    if (!this._isRegista(socket)) return;
+
     try {
-      const { seconds = 60 } = data;
+      const { regId, liftId, attemptNo, weightKg } = data;
+      await declarationService.declare(regId, liftId, attemptNo, weightKg, socket.data.meetId);
+    } catch (error) {
+      if (error instanceof AttemptChangeRejectedError) {
+        this._emitWeightRejected(socket, data, error);
+        return;
+      }
+      console.error('Error declaring weight:', error);
+      socket.emit('error', { message: error.message });
+    }
+  }
+
+  /**
+   * Handle 4th attempt (record attempt) grant
+   * @private
+   */
+  async _handleGrantFourthAttempt(socket, data = {}) {
+    if (!this._isRegista(socket)) return;
+
+    try {
+      const { regId, liftId, weightKg } = data;
       const { meetId } = socket.data;
 
-      // Broadcast timer start to ALL
-      this.io.to(`meet_${meetId}`).emit('timer:started', {
-        seconds,
-        startTime: Date.now()
+      const { attemptId, record } = await stateMachine.grantFourthAttempt(regId, liftId, weightKg, meetId);
+
+      this.io.to(`meet_${meetId}`).emit('attempt:fourthGranted', {
+        attemptId,
+        regId,
+        liftId,
+        weightKg,
+        recordKg: record.record_kg
       });
 
+    } catch (error) {
+      console.error('Error granting 4th attempt:', error);
+      socket.emit('error', { message: error.message });
+    }
+  }
+
+  /**
+   * Handle timer start
+   * The server owns the clock: ticks and expiry are broadcast by timerService
+   * @private
+   */
+  async _handleTimerStart(socket, data = {}) {
+    if (!this._isRegista(socket)) return;
+
+    try {
+      const { kind, seconds } = data;
+      const { meetId, platformNo } = socket.data;
+      await timerService.start({ kind, seconds, meetId, platformNo });
     } catch (error) {
       console.error('Error starting timer:', error);
       socket.emit('error', { message: error.message });
@@ -253,22 +584,242 @@ class SocketService {
   }
 
   /**
-   * Handle timer stop
+   * Handle timer pause
    * @private
    */
-  async _handleTimerStop(socket, data) {
+  async _handleTimerPause(socket) {
+    if (!this._isRegista(socket)) return;
+
     try {
-      const { meetId } = socket.data;
+      await timerService.pause(socket.data.meetId, socket.data.platformNo);
+    } catch (error) {
+      console.error('Error pausing timer:', error);
+      socket.emit('error', { message: error.message });
+    }
+  }
+
+  /**
+   * Handle timer resume
+   * @private
+   */
+  async _handleTimerResume(socket) {
+    if (!this._isRegista(socket)) return;
+
+    try {
+      await timerService.resume(socket.data.meetId, socket.data.platformNo);
+    } catch (error) {
+      console.error('Error resuming timer:', error);
+      socket.emit('error', { message: error.message });
+    }
+  }
 
-      // Broadcast timer stop to ALL
-      this.io.to(`meet_${meetId}`).emit('timer:stopped');
+  /**
+   * Handle timer stop
+   * @private
+   */
+  async _handleTimerStop(socket) {
+    if (!this._isRegista(socket)) return;
 
+    try {
+      await timerService.stop(socket.data.meetId, socket.data.platformNo);
     } catch (error) {
       console.error('Error stopping timer:', error);
       socket.emit('error', { message: error.message });
     }
   }
 
+  /**
+   * Send the full platform snapshot to a socket that just joined (or re-joined
+   * after a restart): state:snapshot + timer:sync with the same clock
+   * @param {Object} socket - Socket instance
+   * @param {number} meetId - Joined meet
+   * @param {number} platformNo - Followed platform
+   * @private
+   */
+  async _sendSnapshot(socket, meetId, platformNo) {
+    try {
+      const snapshot = await recoveryService.buildSnapshot(meetId, platformNo);
+      socket.emit('state:snapshot', snapshot);
+      socket.emit('timer:sync', snapshot.clock);
+    } catch (error) {
+      console.error('Error sending snapshot:', error);
+    }
+  }
+
+  /**
+   * Handle regista undo of the last NEXT / result / correction
+   * @private
+   */
+  async _handleUndo(socket, data) {
+    if (!this._isRegista(socket)) return;
+
+    try {
+      const { meetId, platformNo } = socket.data;
+      const { kind, attemptId, attempt, state } = await correctionService.undo(meetId, platformNo);
+
+      // Undone lift/flight change: no break any more
+      if (kind === 'NEXT') {
+        const clock = await timerService.getSnapshot(meetId, platformNo);
+        if (clock.kind === 'BREAK' && clock.status !== 'STOPPED') {
+          await timerService.stop(meetId, platformNo);
+        }
+      }
+
+      this.broadcastToPlatform(meetId, platformNo, 'state:undone', { kind, attemptId, attempt });
+      this.broadcastToPlatform(meetId, platformNo, 'state:update', await recordService.flagState(state));
+      await this._sendQueue(meetId, platformNo, state);
+
+      if (kind !== 'NEXT') {
+        await this._broadcastRankings(meetId);
+      }
+
+    } catch (error) {
+      console.error('Error handling undo:', error);
+      socket.emit('error', { message: error.message });
+    }
+  }
+
+  /**
+   * Handle result correction (regista or HEAD judge of the meet)
+   * @private
+   */
+  async _handleCorrectAttempt(socket, data = {}) {
+    const { auth, meetId, platformNo, isRegista, judgeRole } = socket.data;
+    const isHeadJudge = auth?.type === TOKEN_TYPES.JUDGE && judgeRole === 'HEAD';
+
+    if (!isRegista && !isHeadJudge) {
+      socket.emit('error', { message: 'Only the regista or the HEAD judge can correct a result' });
+      return;
+    }
+
+    try {
+      const { attemptId, result, faultCode = null } = data;
+      const { attempt, previous, record } = await correctionService.correct(
+        attemptId, result, faultCode, meetId, isRegista ? 'REGISTA' : 'JUDGE:HEAD', platformNo
+      );
+
+      this.io.to(`meet_${meetId}`).emit('attempt:corrected', {
+        attemptId,
+        result: attempt.status,
+        faultCode: attempt.fault_code,
+        faultDescription: attempt.fault_code ? FAULT_CODES[attempt.fault_code] : null,
+        previous
+      });
+
+      if (record) {
+        this.io.to(`meet_${meetId}`).emit('record:set', { attemptId, record });
+      }
+
+      await this._sendQueues(meetId);
+      await this._broadcastRankings(meetId);
+
+    } catch (error) {
+      console.error('Error correcting attempt:', error);
+      socket.emit('error', { message: error.message });
+    }
+  }
+
+  /**
+   * Recalculate the rankings on the meet total and send them to the meet room
+   * @param {number} meetId - Meet ID
+   * @private
+   */
+  async _broadcastRankings(meetId) {
+    const rankings = await rankingService.calculateRankings(meetId);
+    this.io.to(`meet_${meetId}`).emit('ranking:update', rankings);
+    await this._broadcastProjection(meetId);
+  }
+
+  /**
+   * Recalculate the projected rankings on the meet total and send them to the meet room
+   * @param {number} meetId - Meet ID
+   * @private
+   */
+  async _broadcastProjection(meetId) {
+    try {
+      this.io.to(`meet_${meetId}`).emit('ranking:projection', await projectionService.project(meetId));
+    } catch (error) {
+      console.error('Error sending ranking projection:', error);
+    }
+  }
+
+  /**
+   * Send the upcoming order of the current round to the regista of a platform
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @param {Object} state - Current state of the platform
+   * @private
+   */
+  async _sendQueue(meetId, platformNo, state) {
+    if (!state?.current_group_id) return;
+
+    const upcomingOrder = await stateMachine.getUpcomingOrder(
+      state.current_group_id,
+      state.current_lift_id,
+      state.current_round
+    );
+
+    this.io.to(platformRoom('regista', meetId, platformNo)).emit(
+      'queue:update',
+      await recordService.flagQueue(upcomingOrder, state.current_lift_id)
+    );
+  }
+
+  /**
+   * Send the upcoming order to the regista of every platform of a meet
+   * (a corrected result can change the order on any platform)
+   * @param {number} meetId - Meet ID
+   * @private
+   */
+  async _sendQueues(meetId) {
+    for (const state of await CurrentState.findByMeet(meetId)) {
+      await this._sendQueue(meetId, state.platform_no, state);
+    }
+  }
+
+  /**
+   * Send the upcoming orders of a meet from an event listener (errors are only logged)
+   * @param {number} meetId - Meet ID
+   * @private
+   */
+  async _refreshQueues(meetId) {
+    try {
+      await this._sendQueues(meetId);
+    } catch (error) {
+      console.error('Error sending queues:', error);
+    }
+  }
+
+  /**
+   * Send rule violation of a declaration/weight change to the regista
+   * @param {Object} socket - Socket instance
+   * @param {Object} data - Original request payload
+   * @param {AttemptChangeRejectedError} error - Violation
+   * @private
+   */
+  _emitWeightRejected(socket, data, error) {
+    socket.emit('weight:rejected', {
+      ...data,
+      rule: error.rule,
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  /**
+   * Send athletes who still have to declare
+   * @param {string} target - Room name or socket ID
+   * @param {number} meetId - Meet ID
+   * @private
+   */
+  async _sendPendingDeclarations(target, meetId) {
+    try {
+      this.io.to(target).emit('declaration:pending', await declarationService.getPending(meetId));
+    } catch (error) {
+      console.error('Error sending pending declarations:', error);
+    }
+  }
+
   /**
    * Broadcast message to specific room
    * @param {string} room - Room name
@@ -290,6 +841,17 @@ class SocketService {
   broadcastToMeet(meetId, event, data) {
     this.broadcast(`meet_${meetId}`, event, data);
   }
+
+  /**
+   * Broadcast to all clients following a platform of a meet
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  broadcastToPlatform(meetId, platformNo, event, data) {
+    this.broadcast(platformRoom('platform', meetId, platformNo), event, data);
+  }
 }
 
 // Singleton instance
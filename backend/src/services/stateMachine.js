@@ -7,10 +7,15 @@
  * 1. Flight contains multiple Groups (Group 1, Group 2, ...)
  * 2. Each Group completes ALL 3 attempts for one lift before moving to next
  * 3. Order: Group 1 (3 attempts) → Group 2 (3 attempts) → Group 1 next lift → ...
+ * 4. Lifts follow meet_type_lifts.sequence; after the last lift the next
+ *    flight (flights.ord) starts again from the first lift
+ * 5. Lift/flight changes are returned as state.transition (break clock + events)
  * 
  * ORDERING WITHIN GROUP (PER ATTEMPT):
  * - Athletes ordered by DECLARED WEIGHT (ASC) for that specific attempt
- * - If tied: BODYWEIGHT DESC (heavier athlete goes first)
+ * - If tied: tie-break chain LIFTING_ORDER_TIE_BREAKS (default):
+ *   attempt number ASC → who lifted first in the previous round →
+ *   BODYWEIGHT DESC (heavier athlete goes first) → lot number ASC
  * - Weight is declared DURING previous attempt (athlete calls next weight)
  * - Order can CHANGE between attempts based on declared weights
  * - DOES NOT matter if previous attempt was VALID or INVALID
@@ -21,9 +26,28 @@
  * - Fabio makes 95kg INVALID, declares 95kg again for attempt 2
  * Attempt 2: Ivan 100kg, Fabio 95kg → Order: Fabio, Ivan (95 < 100)
  * 
+ * 4TH ATTEMPT (RECORD ATTEMPT):
+ * - Regista grants it when the weight beats a record (Record.checkRecord)
+ * - Scheduled after round 3 of the group as round 4 (same ordering rules)
+ * - Not counted in totals; a VALID 4th attempt is saved in the records table
+ * 
+ * PLATFORMS:
+ * - Each meet/platform has its own current_state row and its own
+ *   PlatformStateMachine (stateMachine.forPlatform(meetId, platformNo))
+ * - A platform runs only the flights scheduled on it (flights.platform_no)
+ * - Lifting order cache, declarations and 4th attempts are shared
+ * 
+ * UNDO:
+ * - Every NEXT is logged in state_log with the previous state
+ *   (restored by correctionService.undo)
+ * 
+ * JOURNAL:
+ * - initialize, NEXT, restore, declarations and weight changes are
+ *   appended to competition_events (journalService) with their actor
+ * 
  * NEXT BUTTON LOGIC:
  * - Regista presses NEXT → load next athlete based on declared weights
- * - Updates CurrentState with: current_reg_id, current_lift_id, current_round
+ * - Updates the platform's CurrentState with: current_reg_id, current_lift_id, current_round
  * - Athlete must declare weight before entering (via regista interface)
  * - Broadcasts state to all clients via Socket.IO
  */
@@ -32,19 +56,83 @@ import CurrentState from '../models/CurrentState.js';
 import Attempt from '../models/Attempt.js';
 import Flight from '../models/Flight.js';
 import Registration from '../models/Registration.js';
+import Athlete from '../models/Athlete.js';
+import Record from '../models/Record.js';
+import Meet from '../models/Meet.js';
+import StateLog from '../models/StateLog.js';
+import attemptRulesService from './attemptRulesService.js';
+import journalService from './journalService.js';
+import { NotFoundError, ConflictError, ForbiddenError, ValidationError } from '../utils/errorHandler.js';
+import { LIFTING_ORDER_TIE_BREAKS, JOURNAL_EVENT_TYPES } from '../config/constants.js';
 
-class StateMachine {
+/**
+ * Compare missing values last (null/undefined after any value)
+ */
+const compareNullsLast = (a, b, compare) => {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+  if (aMissing || bMissing) return aMissing - bMissing;
+  return compare(a, b);
+};
+
+// Tie-break comparators (ORDER_TIE_BREAKS)
+const TIE_BREAKS = {
+  PREVIOUS_ORDER: (a, b) => compareNullsLast(a.previous_lifted_at, b.previous_lifted_at, (x, y) => x.localeCompare(y)),
+  BODYWEIGHT: (a, b) => compareNullsLast(a.bodyweight_kg, b.bodyweight_kg, (x, y) => y - x),
+  LOT: (a, b) => compareNullsLast(a.lot_number, b.lot_number, (x, y) => x - y)
+};
+
+/**
+ * State machine of one platform of a meet
+ * Reads and writes only its own current_state row (meet_id, platform_no)
+ */
+class PlatformStateMachine {
   /**
-   * Initialize competition state for a flight
    * @param {number} meetId - Meet ID
-   * @param {number} flightId - Flight ID
+   * @param {number} platformNo - Platform number
+   * @param {StateMachine} orders - Shared lifting order cache and rules
+   */
+  constructor(meetId, platformNo, orders) {
+    this.meetId = meetId;
+    this.platformNo = platformNo;
+    this.orders = orders;
+  }
+
+  /**
+   * Initialize competition state for a flight
+   * @param {number} flightId - Flight ID (must be scheduled on this platform)
    * @param {string} liftId - Starting lift ID (e.g., 'MU')
+   * @param {string} actor - Journal actor (default REGISTA)
    * @returns {Promise<Object>} Initial state
    */
-  async initialize(meetId, flightId, liftId) {
-    // Reset current state
-    await CurrentState.reset();
-    
+  async initialize(flightId, liftId, actor = 'REGISTA') {
+    const flight = await Flight.findFlightById(flightId);
+    if (!flight || flight.meet_id !== this.meetId) {
+      throw new NotFoundError(`Flight ${flightId} not found in meet ${this.meetId}`);
+    }
+    if (flight.platform_no !== this.platformNo) {
+      throw new ConflictError(`Flight ${flightId} is scheduled on platform ${flight.platform_no}`);
+    }
+
+    // Reset platform state (row created on first run)
+    await CurrentState.ensureExists(this.meetId, this.platformNo);
+    await CurrentState.reset(this.meetId, this.platformNo);
+
+    await this._enterFlightLift(flightId, liftId);
+
+    const state = await CurrentState.get(this.meetId, this.platformNo);
+    await journalService.record(this.meetId, JOURNAL_EVENT_TYPES.STATE_INITIALIZED, journalService.positionOf(state), actor);
+    return state;
+  }
+
+  /**
+   * Put the first athlete of a flight's first group on the platform for a lift
+   * @param {number} flightId - Flight ID
+   * @param {string} liftId - Lift ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _enterFlightLift(flightId, liftId) {
     // Get all groups in flight (ordered by ord)
     const groups = await Flight.findGroupsByFlight(flightId);
     if (groups.length === 0) {
@@ -61,80 +149,50 @@ class StateMachine {
     }
 
     // Get first athlete based on declared openers (lowest weight first)
-    const firstAthlete = await this._getFirstAthleteForRound(entries, liftId, 1);
+    const [firstAthlete = entries[0]] = await this.orders.getUpcomingOrder(firstGroup.id, liftId, 1);
 
     // Set current state
-    await CurrentState.update({
-      meet_id: meetId,
+    await CurrentState.update(this.meetId, this.platformNo, {
       current_flight_id: flightId,
       current_group_id: firstGroup.id,
       current_reg_id: firstAthlete.reg_id,
       current_lift_id: liftId,
       current_round: 1
     });
-
-    return await CurrentState.get();
-  }
-
-  /**
-   * Get first athlete for a round based on declared weights
-   * @param {Array} entries - Group entries
-   * @param {string} liftId - Lift ID
-   * @param {number} round - Round number
-   * @returns {Promise<Object>} First athlete
-   * @private
-   */
-  async _getFirstAthleteForRound(entries, liftId, round) {
-    // Get declared weights for all athletes
-    const athletesWithWeights = await Promise.all(
-      entries.map(async (entry) => {
-        // For round 1, use opener from registration_maxes
-        let declaredWeight;
-        if (round === 1) {
-          const registration = await Registration.findById(entry.reg_id);
-          const openers = await Registration.getOpeners(entry.reg_id);
-          declaredWeight = openers[liftId] || 999999; // High number if not declared
-        } else {
-          // For rounds 2-3, get from last attempt's declared next weight
-          const attempts = await Attempt.findByRegistrationAndLift(entry.reg_id, liftId);
-          const lastAttempt = attempts.find(a => a.attempt_no === round - 1);
-          declaredWeight = lastAttempt?.weight_kg || 999999;
-        }
-
-        return {
-          ...entry,
-          declaredWeight
-        };
-      })
-    );
-
-    // Sort by declared weight ASC, then bodyweight DESC
-    athletesWithWeights.sort((a, b) => {
-      if (a.declaredWeight !== b.declaredWeight) {
-        return a.declaredWeight - b.declaredWeight;
-      }
-      // If same weight, heavier athlete goes first
-      return b.bodyweight_kg - a.bodyweight_kg;
-    });
-
-    return athletesWithWeights[0];
   }
 
   /**
    * Move to NEXT athlete (called by regista)
+   * The previous state is logged so that regista:undo can restore it
+   * @param {string} actor - Journal actor (default REGISTA)
    * @returns {Promise<Object>} New current state with next athlete
    */
-  async next() {
-    const state = await CurrentState.get();
+  async next(actor = 'REGISTA') {
+    const state = await CurrentState.get(this.meetId, this.platformNo);
     
     if (!state || !state.current_flight_id || !state.current_lift_id) {
       throw new Error('State not initialized. Call initialize() first.');
     }
 
+    const newState = await this._advance(state);
+    if (!newState.finished) {
+      await StateLog.logNext(state);
+      await journalService.record(state.meet_id, JOURNAL_EVENT_TYPES.NEXT, journalService.positionOf(newState), actor);
+    }
+    return newState;
+  }
+
+  /**
+   * Compute and save the state after NEXT
+   * @param {Object} state - Current state
+   * @returns {Promise<Object>} New state, or { finished: true }
+   * @private
+   */
+  async _advance(state) {
     const { current_flight_id, current_group_id, current_lift_id, current_round } = state;
 
     // Get upcoming order for current group/round
-    const upcomingOrder = await this.getUpcomingOrder(
+    const upcomingOrder = await this.orders.getUpcomingOrder(
       current_group_id,
       current_lift_id,
       current_round
@@ -147,21 +205,29 @@ class StateMachine {
       if (current_round < 3) {
         // Move to round 2 or 3 for same group
         return await this._startNextRound(state);
-      } else {
-        // All 3 rounds done for this group, move to next group
-        return await this._moveToNextGroup(state);
       }
+
+      // Round 3 done: record attempts (round 4) before the next group
+      if (current_round === 3) {
+        const recordAttempts = await this.orders.getUpcomingOrder(current_group_id, current_lift_id, 4);
+        if (recordAttempts.length > 0) {
+          return await this._startNextRound(state);
+        }
+      }
+
+      // All rounds done for this group, move to next group
+      return await this._moveToNextGroup(state);
     }
 
     // Get next athlete
     const nextAthlete = upcomingOrder[0];
 
     // Update current state
-    await CurrentState.update({
+    await CurrentState.update(this.meetId, this.platformNo, {
       current_reg_id: nextAthlete.reg_id
     });
 
-    return await CurrentState.get();
+    return await CurrentState.get(this.meetId, this.platformNo);
   }
 
   /**
@@ -173,11 +239,8 @@ class StateMachine {
   async _startNextRound(state) {
     const nextRound = state.current_round + 1;
 
-    // Get athletes in current group
-    const entries = await Flight.getGroupEntries(state.current_group_id);
-    
     // Get upcoming order for next round (based on declared weights)
-    const upcomingOrder = await this.getUpcomingOrder(
+    const upcomingOrder = await this.orders.getUpcomingOrder(
       state.current_group_id,
       state.current_lift_id,
       nextRound
@@ -190,12 +253,12 @@ class StateMachine {
     const firstAthlete = upcomingOrder[0];
 
     // Update state
-    await CurrentState.update({
+    await CurrentState.update(this.meetId, this.platformNo, {
       current_reg_id: firstAthlete.reg_id,
       current_round: nextRound
     });
 
-    return await CurrentState.get();
+    return await CurrentState.get(this.meetId, this.platformNo);
   }
 
   /**
@@ -212,8 +275,8 @@ class StateMachine {
     const currentIndex = groups.findIndex(g => g.id === state.current_group_id);
     
     if (currentIndex === -1 || currentIndex === groups.length - 1) {
-      // Last group finished, flight completed
-      return { finished: true, state, message: 'Flight completed' };
+      // Last group finished: next lift, or next flight
+      return await this._moveToNextSegment(state);
     }
 
     // Move to next group
@@ -225,16 +288,45 @@ class StateMachine {
     }
 
     // Get first athlete of next group (round 1, same lift)
-    const firstAthlete = await this._getFirstAthleteForRound(entries, state.current_lift_id, 1);
+    const [firstAthlete = entries[0]] = await this.orders.getUpcomingOrder(nextGroup.id, state.current_lift_id, 1);
 
     // Update state
-    await CurrentState.update({
+    await CurrentState.update(this.meetId, this.platformNo, {
       current_group_id: nextGroup.id,
       current_reg_id: firstAthlete.reg_id,
       current_round: 1
     });
 
-    return await CurrentState.get();
+    return await CurrentState.get(this.meetId, this.platformNo);
+  }
+
+  /**
+   * Move to the next lift of the sequence (or the next flight of this platform)
+   * @param {Object} state - Current state
+   * @returns {Promise<Object>} New state with transition, or { finished: true }
+   * @private
+   */
+  async _moveToNextSegment(state) {
+    const lifts = await Meet.getLiftSequence(this.meetId);
+    const flights = await Flight.findByMeet(this.meetId, this.platformNo);
+
+    const segment = this.orders.resolveNextSegment(lifts, flights, state.current_lift_id, state.current_flight_id);
+    if (!segment) {
+      return { finished: true, state, message: 'Meet completed' };
+    }
+
+    await this._enterFlightLift(segment.flightId, segment.liftId);
+
+    return {
+      ...(await CurrentState.get(this.meetId, this.platformNo)),
+      transition: {
+        type: segment.type,
+        fromLiftId: state.current_lift_id,
+        toLiftId: segment.liftId,
+        fromFlightId: state.current_flight_id,
+        toFlightId: segment.flightId
+      }
+    };
   }
 
   /**
@@ -242,7 +334,81 @@ class StateMachine {
    * @returns {Promise<Object|null>}
    */
   async getCurrentAthlete() {
-    return await CurrentState.get();
+    return await CurrentState.get(this.meetId, this.platformNo);
+  }
+
+  /**
+   * Put back the platform position saved before a NEXT (undo)
+   * @param {Object} snapshot - current_state row logged by next()
+   * @param {string} actor - Journal actor (default REGISTA)
+   * @returns {Promise<Object>} Restored state
+   */
+  async restore(snapshot, actor = 'REGISTA') {
+    await CurrentState.update(this.meetId, this.platformNo, {
+      current_flight_id: snapshot.current_flight_id,
+      current_group_id: snapshot.current_group_id,
+      current_lift_id: snapshot.current_lift_id,
+      current_round: snapshot.current_round,
+      current_reg_id: snapshot.current_reg_id
+    });
+    this.orders.invalidateOrder();
+    await journalService.record(this.meetId, JOURNAL_EVENT_TYPES.STATE_RESTORED, journalService.positionOf(snapshot), actor);
+    return await CurrentState.get(this.meetId, this.platformNo);
+  }
+
+  /**
+   * Reset the platform state
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    this.orders.invalidateOrder();
+    await CurrentState.reset(this.meetId, this.platformNo);
+  }
+}
+
+class StateMachine {
+  constructor() {
+    // Lifting order cache: Map<'groupId:liftId:round', Array>
+    this.orderCache = new Map();
+    // Platform state machines: Map<'meetId:platformNo', PlatformStateMachine>
+    this.platforms = new Map();
+  }
+
+  /**
+   * State machine of a platform (one instance per meet/platform)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number (default 1)
+   * @returns {PlatformStateMachine}
+   */
+  forPlatform(meetId, platformNo = 1) {
+    const key = `${meetId}:${platformNo}`;
+    if (!this.platforms.has(key)) {
+      this.platforms.set(key, new PlatformStateMachine(Number(meetId), Number(platformNo), this));
+    }
+    return this.platforms.get(key);
+  }
+
+  /**
+   * Find the flight/lift that follows the current one
+   * Next lift of the sequence in the same flight, else first lift of the next flight
+   * @param {Array} lifts - Lifts in sequence order ([{ id }])
+   * @param {Array} flights - Flights in ord order ([{ id }])
+   * @param {string} liftId - Current lift ID
+   * @param {number} flightId - Current flight ID
+   * @returns {Object|null} { type: 'LIFT'|'FLIGHT', flightId, liftId }, null if the meet is over
+   */
+  resolveNextSegment(lifts, flights, liftId, flightId) {
+    const liftIndex = lifts.findIndex(l => l.id === liftId);
+    if (liftIndex !== -1 && liftIndex < lifts.length - 1) {
+      return { type: 'LIFT', flightId, liftId: lifts[liftIndex + 1].id };
+    }
+
+    const flightIndex = flights.findIndex(f => f.id === flightId);
+    if (flightIndex !== -1 && flightIndex < flights.length - 1 && lifts.length > 0) {
+      return { type: 'FLIGHT', flightId: flights[flightIndex + 1].id, liftId: lifts[0].id };
+    }
+
+    return null;
   }
 
   /**
@@ -250,108 +416,85 @@ class StateMachine {
    * 
    * ALGORITHM:
    * - Order based on DECLARED WEIGHT for current round (ASC)
-   * - If tied: BODYWEIGHT DESC (heavier athlete goes first)
+   * - If tied: tie-break chain (buildOrder)
    * - Does NOT depend on previous attempt result (VALID/INVALID)
    * - Athletes who haven't attempted this round yet
    * 
+   * The whole group is loaded with one query and the order is cached
+   * until the next declaration, weight change or result (invalidateOrder)
+   * 
    * @param {number} groupId - Group ID
    * @param {string} liftId - Lift ID
-   * @param {number} round - Round number (1, 2, 3)
+   * @param {number} round - Round number (1, 2, 3, 4 = record attempts)
    * @returns {Promise<Array>} Ordered list of athletes by declared weight
    */
   async getUpcomingOrder(groupId, liftId, round) {
-    // Get all athletes in group
-    const entries = await Flight.getGroupEntries(groupId);
-
-    // Get athletes with declared weights
-    const athletesWithWeights = await Promise.all(
-      entries.map(async (entry) => {
-        // Check if already attempted this round
-        const attempts = await Attempt.findByRegistrationAndLift(entry.reg_id, liftId);
-        const hasAttemptedThisRound = attempts.some(
-          a => a.attempt_no === round && a.status !== 'PENDING'
-        );
-
-        if (hasAttemptedThisRound) {
-          return null; // Skip athletes who already lifted this round
-        }
-
-        // Get declared weight for this round
-        let declaredWeight;
-        
-        if (round === 1) {
-          // Round 1: Use opener from registration_maxes
-          const openers = await Registration.getOpeners(entry.reg_id);
-          declaredWeight = openers[liftId];
-        } else {
-          // Rounds 2-3: Use weight declared in attempt record
-          // The weight should be set when athlete declares it after previous attempt
-          const currentAttempt = attempts.find(
-            a => a.attempt_no === round && a.status === 'PENDING'
-          );
-          declaredWeight = currentAttempt?.weight_kg;
-        }
-
-        // Skip if no weight declared yet
-        if (!declaredWeight || declaredWeight === 0) {
-          return null;
-        }
-
-        return {
-          ...entry,
-          declaredWeight
-        };
-      })
-    );
+    const key = `${groupId}:${liftId}:${round}`;
 
-    // Filter out nulls and sort
-    const validAthletes = athletesWithWeights.filter(a => a !== null);
+    if (!this.orderCache.has(key)) {
+      const entries = await Flight.getGroupEntriesWithAttempt(groupId, liftId, round);
+      this.orderCache.set(key, this.buildOrder(entries));
+    }
 
-    // Sort by declared weight ASC, then bodyweight DESC
-    validAthletes.sort((a, b) => {
-      if (a.declaredWeight !== b.declaredWeight) {
-        return a.declaredWeight - b.declaredWeight; // Lower weight first
-      }
-      // If same declared weight, heavier athlete goes first
-      return b.bodyweight_kg - a.bodyweight_kg;
-    });
+    return [...this.orderCache.get(key)];
+  }
 
-    return validAthletes;
+  /**
+   * Build the lifting order of a round (pure)
+   * Same declared weight: first tie-break of the chain that differs,
+   * then group start order (stable sort)
+   * @param {Array} entries - Group entries with attempt_status, declared_weight and tie-break fields
+   * @param {Array<string>} tieBreaks - Tie-break chain (default LIFTING_ORDER_TIE_BREAKS)
+   * @returns {Array} Athletes still to lift, with declaredWeight, in lifting order
+   */
+  buildOrder(entries, tieBreaks = LIFTING_ORDER_TIE_BREAKS) {
+    return entries
+      // Skip athletes who already lifted this round or have no weight declared yet
+      .filter(e => (!e.attempt_status || e.attempt_status === 'PENDING') && e.declared_weight > 0)
+      .map(e => ({ ...e, declaredWeight: e.declared_weight }))
+      .sort((a, b) => {
+        if (a.declaredWeight !== b.declaredWeight) {
+          return a.declaredWeight - b.declaredWeight; // Lower weight first
+        }
+        for (const rule of tieBreaks) {
+          const result = TIE_BREAKS[rule](a, b);
+          if (result !== 0) return result;
+        }
+        return 0;
+      });
   }
 
   /**
-   * Check if athlete has attempt in specific round
-   * @param {number} regId - Registration ID
-   * @param {string} liftId - Lift ID
-   * @param {number} round - Round number
-   * @returns {Promise<boolean>}
-   * @private
+   * Drop cached lifting orders
+   * Called after declarations, weight changes, results, openers and group changes
    */
-  async _hasAttemptInRound(regId, liftId, round) {
-    const attempts = await Attempt.findByRegistrationAndLift(regId, liftId);
-    return attempts.some(a => a.attempt_no === round && a.status !== 'PENDING');
+  invalidateOrder() {
+    this.orderCache.clear();
   }
 
   /**
    * Declare weight for next attempt (athlete calls weight during/after current attempt)
    * Creates or updates attempt record with declared weight
+   * Checked against federation rules (attemptRulesService)
    * 
    * @param {number} regId - Registration ID
    * @param {string} liftId - Lift ID
    * @param {number} attemptNo - Attempt number to declare weight for (2 or 3)
    * @param {number} weightKg - Weight in kg
+   * @param {string} actor - Journal actor (default REGISTA)
    * @returns {Promise<number>} Attempt ID
    */
-  async declareWeight(regId, liftId, attemptNo, weightKg) {
+  async declareWeight(regId, liftId, attemptNo, weightKg, actor = 'REGISTA') {
     // Check if attempt record already exists
-    const attempts = await Attempt.findByRegistrationAndLift(regId, liftId);
-    const existingAttempt = attempts.find(a => a.attempt_no === attemptNo);
+    const existingAttempt = await Attempt.findSpecificAttempt(regId, liftId, attemptNo);
 
     if (existingAttempt) {
-      // Update existing attempt
-      await Attempt.updateWeight(existingAttempt.id, weightKg);
+      // Already declared: this is a weight change
+      await this.updateAttemptWeight(existingAttempt.id, weightKg, null, actor);
       return existingAttempt.id;
     } else {
+      await attemptRulesService.assertDeclarationAllowed(regId, liftId, attemptNo, weightKg);
+
       // Create new attempt record with declared weight
       const attemptId = await Attempt.create({
         reg_id: regId,
@@ -360,26 +503,119 @@ class StateMachine {
         weight_kg: weightKg,
         status: 'PENDING'
       });
+      this.invalidateOrder();
+      await journalService.recordForAttempt(attemptId, JOURNAL_EVENT_TYPES.ATTEMPT_DECLARED, {
+        regId, liftId, attemptNo, weightKg
+      }, actor);
       return attemptId;
     }
   }
 
   /**
    * Update current attempt weight (for round 1 or corrections)
+   * Checked against federation rules and counted as a weight change
    * @param {number} attemptId - Attempt ID
    * @param {number} weightKg - Weight in kg
+   * @param {number} meetId - Meet of the caller (optional check)
+   * @param {string} actor - Journal actor (default REGISTA)
    * @returns {Promise<void>}
+   * @throws {AttemptChangeRejectedError} If a rule forbids the change
    */
-  async updateAttemptWeight(attemptId, weightKg) {
-    await Attempt.updateWeight(attemptId, weightKg);
+  async updateAttemptWeight(attemptId, weightKg, meetId = null, actor = 'REGISTA') {
+    const attempt = await Attempt.findById(attemptId);
+    if (!attempt) {
+      throw new NotFoundError(`Attempt with ID ${attemptId} not found`);
+    }
+    if (meetId) {
+      const registration = await Registration.findById(attempt.reg_id);
+      if (registration?.meet_id !== meetId) {
+        throw new ForbiddenError(`Attempt ${attemptId} is not in meet ${meetId}`);
+      }
+    }
+
+    await attemptRulesService.assertChangeAllowed(attempt, weightKg);
+    await Attempt.changeWeight(attemptId, weightKg);
+    this.invalidateOrder();
+    await journalService.recordForAttempt(attemptId, JOURNAL_EVENT_TYPES.WEIGHT_CHANGED, { weightKg }, actor);
   }
 
   /**
-   * Reset state machine
-   * @returns {Promise<void>}
+   * Grant a 4th attempt (record attempt) to an athlete
+   * Allowed only if the weight beats the current record of the athlete's categories
+   * @param {number} regId - Registration ID
+   * @param {string} liftId - Lift ID
+   * @param {number} weightKg - Record attempt weight
+   * @param {number} meetId - Meet of the caller (optional check)
+   * @param {string} actor - Journal actor (default REGISTA)
+   * @returns {Promise<Object>} { attemptId, record } (record = record to beat)
    */
-  async reset() {
-    await CurrentState.reset();
+  async grantFourthAttempt(regId, liftId, weightKg, meetId = null, actor = 'REGISTA') {
+    const registration = await Registration.findById(regId);
+    if (!registration) {
+      throw new NotFoundError(`Registration with ID ${regId} not found`);
+    }
+    if (meetId && registration.meet_id !== meetId) {
+      throw new ForbiddenError(`Registration ${regId} is not in meet ${meetId}`);
+    }
+    if (!registration.weight_cat_id || !registration.age_cat_id) {
+      throw new ValidationError('Athlete has no weight/age category (weigh-in missing)');
+    }
+    if (await Attempt.exists(regId, liftId, 4)) {
+      throw new ConflictError(`4th attempt of ${liftId} already granted`);
+    }
+
+    const record = await Record.checkRecord({
+      lift_id: liftId,
+      weight_cat_id: registration.weight_cat_id,
+      age_cat_id: registration.age_cat_id
+    }, weightKg);
+
+    if (!record) {
+      throw new ValidationError(`${weightKg}kg does not beat the ${liftId} record for the athlete's categories`);
+    }
+
+    const attemptId = await Attempt.create({
+      reg_id: regId,
+      lift_id: liftId,
+      attempt_no: 4,
+      weight_kg: weightKg,
+      status: 'PENDING'
+    });
+    this.invalidateOrder();
+    await journalService.recordForAttempt(attemptId, JOURNAL_EVENT_TYPES.ATTEMPT_DECLARED, {
+      regId, liftId, attemptNo: 4, weightKg
+    }, actor);
+
+    return { attemptId, record };
+  }
+
+  /**
+   * Save a VALID 4th attempt as the new record
+   * @param {number} attemptId - Attempt ID
+   * @returns {Promise<Object|null>} New record, null if not a valid record attempt
+   */
+  async recordFourthAttempt(attemptId) {
+    const attempt = await Attempt.findById(attemptId);
+    if (!attempt || attempt.attempt_no !== 4 || attempt.status !== 'VALID') {
+      return null;
+    }
+
+    const registration = await Registration.findById(attempt.reg_id);
+    const athlete = await Athlete.findById(registration.athlete_id);
+    const criteria = {
+      weight_cat_id: registration.weight_cat_id,
+      age_cat_id: registration.age_cat_id,
+      lift_id: attempt.lift_id
+    };
+
+    const saved = await Record.set({
+      ...criteria,
+      record_kg: attempt.weight_kg,
+      bodyweight_kg: registration.bodyweight_kg,
+      athlete_cf: athlete?.cf
+    });
+
+    return saved ? await Record.getExactRecord(criteria) : null;
   }
 }
 
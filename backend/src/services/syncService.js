@@ -11,7 +11,8 @@
  * WHAT TO SYNC:
  * 1. Meet results (athletes, attempts, final totals)
  * 2. Rankings (placements per category)
- * 3. Records beaten (if any new records set)
+ * 3. Records beaten: records confirmed during the meet (record_candidates)
+ *    and VALID 4th attempts still holding the record
  */
 
 import { createClient } from '@supabase/supabase-js';
@@ -19,6 +20,7 @@ import Meet from '../models/Meet.js';
 import Registration from '../models/Registration.js';
 import Attempt from '../models/Attempt.js';
 import Record from '../models/Record.js';
+import RecordCandidate from '../models/RecordCandidate.js';
 import rankingService from './rankingService.js';
 
 class SyncService {
@@ -154,7 +156,7 @@ class SyncService {
   /**
    * Sync rankings to remote database
    * @param {number} meetId - Meet ID
-   * @param {string} liftId - Lift ID
+   * @param {string} liftId - Lift ID (null = meet total)
    * @returns {Promise<Object>} Sync summary
    */
   async syncRankings(meetId, liftId) {
@@ -180,7 +182,8 @@ class SyncService {
             weight_cat_id: ranking.weight_cat_id,
             age_cat_id: ranking.age_cat_id,
             total: ranking.total,
-            ris: ranking.ris,
+            points: ranking.points,
+            regulation_code: ranking.scoring,
             placement: ranking.placement,
             synced_at: new Date().toISOString()
           });
@@ -267,13 +270,38 @@ class SyncService {
    * @private
    */
   async _findNewRecords(meetId) {
-    // This is a placeholder - would need complex logic to:
-    // 1. Get all attempts from meet
-    // 2. Compare with existing records
-    // 3. Return attempts that beat current records
-    
-    // TODO: Implement record comparison logic
-    return [];
+    const meet = await Meet.findById(meetId);
+    const toRemote = (record, athleteId) => ({
+      federation_id: meet?.federation_id ?? null,
+      lift_id: record.lift_id,
+      sex: record.sex,
+      weight_cat_id: record.weight_cat_id,
+      age_cat_id: record.age_cat_id,
+      weight_kg: record.record_kg,
+      athlete_id: athleteId
+    });
+
+    // Attempts 1-3: records confirmed by the staff
+    const confirmed = await RecordCandidate.findByMeet(meetId, 'CONFIRMED');
+    const newRecords = confirmed.map(candidate => toRemote(candidate, candidate.athlete_id));
+
+    // 4th attempts: saved directly, kept only while they still hold the record
+    const fourthAttempts = (await Attempt.findByMeet(meetId))
+      .filter(a => a.attempt_no === 4 && a.status === 'VALID');
+
+    for (const attempt of fourthAttempts) {
+      const registration = await Registration.findById(attempt.reg_id);
+      const record = await Record.getExactRecord({
+        weight_cat_id: registration.weight_cat_id,
+        age_cat_id: registration.age_cat_id,
+        lift_id: attempt.lift_id
+      });
+      if (record && record.record_kg === attempt.weight_kg) {
+        newRecords.push(toRemote(record, attempt.athlete_id));
+      }
+    }
+
+    return newRecords;
   }
 
   /**
@@ -0,0 +1,133 @@
+/**
+ * Team Ranking Service
+ * 
+ * Team classification of a meet, computed from rankingService results
+ * 
+ * TEAM POINTS:
+ * - Every placed athlete scores for the team of the registration (registrations.team_id)
+ *   the points of its category placement: scheme[placement - 1] (beyond the scheme: 0)
+ * - Scheme: meets.team_points ("12,9,8,7,...") or TEAM_POINTS_DEFAULT
+ * - Only the best N scorers of a team count: meets.team_scorers or
+ *   TEAM_SCORERS_DEFAULT (null = every scorer)
+ * - Bombed-out athletes and athletes without a team score nothing
+ * 
+ * TEAM RANKING:
+ * - Team points DESC
+ * - Ties: more 1st places among the counted scorers, then more 2nd places, ...
+ * - Still tied: same placement
+ */
+
+import Meet from '../models/Meet.js';
+import rankingService from './rankingService.js';
+import { TEAM_POINTS_DEFAULT, TEAM_SCORERS_DEFAULT } from '../config/constants.js';
+
+class TeamRankingService {
+  /**
+   * Get the team classification of a meet (meet total)
+   * @param {number} meetId - Meet ID
+   * @param {string} sex - Sex ('M' or 'F', optional: men and women together)
+   * @returns {Promise<Object>} { scheme: { points, scorers }, teams: scoreTeams result }
+   */
+  async getTeamRankings(meetId, sex = null) {
+    const meet = await Meet.findById(meetId);
+    const scheme = this.getScheme(meet);
+
+    const rankings = (await rankingService.calculateRankings(meetId))
+      .filter(r => !sex || r.sex === sex);
+
+    return {
+      scheme,
+      teams: this.scoreTeams(rankings, scheme)
+    };
+  }
+
+  /**
+   * Team-points scheme of a meet
+   * @param {Object|null} meet - Meet row (team_points, team_scorers)
+   * @returns {Object} { points: [12, 9, ...], scorers: N|null }
+   */
+  getScheme(meet) {
+    const points = meet?.team_points
+      ? String(meet.team_points).split(',').map(Number)
+      : TEAM_POINTS_DEFAULT;
+
+    return {
+      points,
+      scorers: meet?.team_scorers ?? TEAM_SCORERS_DEFAULT
+    };
+  }
+
+  /**
+   * Score and rank the teams (pure)
+   * @param {Array} rankings - rankingService rows ({ reg_id, team_id, team_name, placement, ... })
+   * @param {Object} scheme - { points, scorers }
+   * @returns {Array} [{ team_id, team_name, team_points, placement,
+   *   scorers: [{ reg_id, first_name, last_name, category, placement, team_points, counted }] }]
+   */
+  scoreTeams(rankings, scheme) {
+    const teams = new Map();
+
+    for (const row of rankings) {
+      if (!row.team_id || row.placement === null || row.placement === undefined) continue;
+
+      if (!teams.has(row.team_id)) {
+        teams.set(row.team_id, { team_id: row.team_id, team_name: row.team_name ?? null, scorers: [] });
+      }
+      teams.get(row.team_id).scorers.push({
+        reg_id: row.reg_id,
+        first_name: row.first_name,
+        last_name: row.last_name,
+        category: row.category,
+        placement: row.placement,
+        team_points: scheme.points[row.placement - 1] ?? 0
+      });
+    }
+
+    const scored = [...teams.values()].map(team => {
+      // Best scorers first (better placement first on equal points)
+      const scorers = team.scorers
+        .sort((a, b) => b.team_points - a.team_points || a.placement - b.placement)
+        .map((scorer, index) => ({ ...scorer, counted: !scheme.scorers || index < scheme.scorers }));
+      const counted = scorers.filter(s => s.counted);
+
+      return {
+        ...team,
+        team_points: counted.reduce((sum, s) => sum + s.team_points, 0),
+        scorers,
+        _placements: counted.map(s => s.placement)
+      };
+    });
+
+    scored.sort((a, b) => b.team_points - a.team_points || this._countBack(a._placements, b._placements));
+
+    return scored.map((team, index, sorted) => {
+      const previous = sorted[index - 1];
+      const tied = previous &&
+        previous.team_points === team.team_points &&
+        this._countBack(previous._placements, team._placements) === 0;
+      team.placement = tied ? previous.placement : index + 1;
+
+      const { _placements, ...result } = team;
+      return result;
+    });
+  }
+
+  /**
+   * Count-back tie-break: more 1st places, then more 2nd places, ...
+   * @param {Array<number>} a - Placements of team A
+   * @param {Array<number>} b - Placements of team B
+   * @returns {number} < 0 if A ranks first, > 0 if B ranks first, 0 if still tied
+   * @private
+   */
+  _countBack(a, b) {
+    const last = Math.max(0, ...a, ...b);
+    for (let placement = 1; placement <= last; placement++) {
+      const diff = b.filter(p => p === placement).length - a.filter(p => p === placement).length;
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+}
+
+// Export singleton
+export default new TeamRankingService();
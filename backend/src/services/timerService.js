@@ -0,0 +1,268 @@
+/**
+ * Timer Service
+ * 
+ * Server-authoritative platform clocks (one per meet/platform)
+ * - State is persisted in the platform's current_state row (timer_status, timer_kind,
+ *   timer_start, timer_seconds, timer_remaining) so it survives reconnects and restarts
+ * - Remaining time is always computed on the server: clients only render it
+ * - Kinds of clock: ATTEMPT (athlete must start the lift),
+ *   DECLARATION (athlete must declare the next attempt) and
+ *   BREAK (pause between lifts/flights)
+ * 
+ * PERSISTED MODEL:
+ * - RUNNING: remaining = timer_remaining - (now - timer_start)
+ * - PAUSED:  remaining = timer_remaining (timer_start NULL)
+ * - STOPPED / EXPIRED: no remaining time
+ * 
+ * EVENTS (EventEmitter, relayed to clients by socketService):
+ * - 'started' / 'paused' / 'resumed' / 'stopped' (snapshot)
+ * - 'tick' (snapshot) every TIMER_TICK_MS while running
+ * - 'expired' (snapshot) when the clock reaches zero
+ * - Every state change (not ticks) is journaled as TIMER with the snapshot
+ * - Snapshots carry meetId and platformNo (clients filter on them)
+ */
+
+import { EventEmitter } from 'events';
+import CurrentState from '../models/CurrentState.js';
+import journalService from './journalService.js';
+import { ValidationError, ConflictError } from '../utils/errorHandler.js';
+import { TIMER_KINDS, TIMER_DEFAULT_SECONDS, TIMER_TICK_MS, JOURNAL_EVENT_TYPES } from '../config/constants.js';
+
+class TimerService extends EventEmitter {
+  constructor() {
+    super();
+    // Scheduled ticks/expiry: Map<'meetId:platformNo', { tickInterval, expiryTimeout }>
+    this.schedules = new Map();
+  }
+
+  /**
+   * Start (or restart) the clock of a platform
+   * @param {Object} options - { kind: 'ATTEMPT'|'DECLARATION'|'BREAK', seconds, meetId, platformNo, actor }
+   * @returns {Promise<Object>} Snapshot
+   */
+  async start({ kind = 'ATTEMPT', seconds, meetId, platformNo = 1, actor = 'REGISTA' } = {}) {
+    if (!TIMER_KINDS.includes(kind)) {
+      throw new ValidationError(`Invalid timer kind: ${kind}`);
+    }
+
+    const duration = seconds ?? TIMER_DEFAULT_SECONDS[kind];
+    if (!Number.isInteger(duration) || duration <= 0) {
+      throw new ValidationError('Timer seconds must be a positive integer');
+    }
+
+    await CurrentState.ensureExists(meetId, platformNo);
+    await CurrentState.startTimer(meetId, platformNo, duration, kind);
+
+    const snapshot = await this.getSnapshot(meetId, platformNo);
+    this._schedule(meetId, platformNo, snapshot.remainingMs);
+    await this._journal(snapshot, actor);
+    this.emit('started', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Pause a running clock (remaining time is persisted)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number (default 1)
+   * @param {string} actor - Journal actor
+   * @returns {Promise<Object>} Snapshot
+   */
+  async pause(meetId, platformNo = 1, actor = 'REGISTA') {
+    const state = await CurrentState.get(meetId, platformNo);
+    if (state?.timer_status !== 'RUNNING') {
+      throw new ConflictError('Timer is not running');
+    }
+
+    this._clearSchedule(meetId, platformNo);
+    await CurrentState.pauseTimer(meetId, platformNo, this.computeRemainingMs(state));
+
+    const snapshot = await this.getSnapshot(meetId, platformNo);
+    await this._journal(snapshot, actor);
+    this.emit('paused', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Resume a paused clock
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number (default 1)
+   * @param {string} actor - Journal actor
+   * @returns {Promise<Object>} Snapshot
+   */
+  async resume(meetId, platformNo = 1, actor = 'REGISTA') {
+    const state = await CurrentState.get(meetId, platformNo);
+    if (state?.timer_status !== 'PAUSED') {
+      throw new ConflictError('Timer is not paused');
+    }
+
+    await CurrentState.resumeTimer(meetId, platformNo);
+
+    const snapshot = await this.getSnapshot(meetId, platformNo);
+    this._schedule(meetId, platformNo, snapshot.remainingMs);
+    await this._journal(snapshot, actor);
+    this.emit('resumed', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Stop the clock (manual reset)
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number (default 1)
+   * @param {string} actor - Journal actor
+   * @returns {Promise<Object>} Snapshot
+   */
+  async stop(meetId, platformNo = 1, actor = 'REGISTA') {
+    await CurrentState.ensureExists(meetId, platformNo);
+    this._clearSchedule(meetId, platformNo);
+    await CurrentState.stopTimer(meetId, platformNo, 'STOPPED');
+
+    const snapshot = await this.getSnapshot(meetId, platformNo);
+    await this._journal(snapshot, actor);
+    this.emit('stopped', snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Current clock snapshot of a platform (sent to clients on join)
+   * A platform without a state row has a stopped clock
+   * @param {number} meetId - Meet ID
+   * @param {number} platformNo - Platform number (default 1)
+   * @returns {Promise<Object>}
+   */
+  async getSnapshot(meetId, platformNo = 1) {
+    const state = await CurrentState.get(meetId, platformNo);
+    return this.buildSnapshot(state || { meet_id: meetId, platform_no: platformNo });
+  }
+
+  /**
+   * Compute milliseconds left on the clock
+   * @param {Object} state - current_state row
+   * @param {number} now - Epoch ms (default Date.now())
+   * @returns {number|null} Remaining ms (>= 0), null if the clock is not armed
+   */
+  computeRemainingMs(state, now = Date.now()) {
+    if (!state) return null;
+
+    switch (state.timer_status) {
+      case 'RUNNING': {
+        const elapsed = now - new Date(state.timer_start).getTime();
+        return Math.max(0, state.timer_remaining - elapsed);
+      }
+      case 'PAUSED':
+        return Math.max(0, state.timer_remaining);
+      case 'EXPIRED':
+        return 0;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build the snapshot sent to clients
+   * @param {Object} state - current_state row
+   * @param {number} now - Epoch ms (default Date.now())
+   * @returns {Object} { meetId, platformNo, status, kind, durationSeconds, remainingMs, serverTime }
+   */
+  buildSnapshot(state, now = Date.now()) {
+    return {
+      meetId: state?.meet_id ?? null,
+      platformNo: state?.platform_no ?? 1,
+      status: state?.timer_status ?? 'STOPPED',
+      kind: state?.timer_kind ?? 'ATTEMPT',
+      durationSeconds: state?.timer_seconds ?? TIMER_DEFAULT_SECONDS.ATTEMPT,
+      remainingMs: this.computeRemainingMs(state, now),
+      serverTime: now
+    };
+  }
+
+  /**
+   * Re-arm the clocks that were RUNNING when the server stopped
+   * Expires a clock immediately if its time ran out meanwhile
+   * @returns {Promise<Array>} Snapshots of the re-armed clocks
+   */
+  async restore() {
+    const running = (await CurrentState.findAll()).filter(state => state.timer_status === 'RUNNING');
+    const snapshots = [];
+
+    for (const state of running) {
+      const remainingMs = this.computeRemainingMs(state);
+      if (remainingMs > 0) {
+        this._schedule(state.meet_id, state.platform_no, remainingMs);
+        snapshots.push(this.buildSnapshot(state));
+      } else {
+        snapshots.push(await this._expire(state.meet_id, state.platform_no));
+      }
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Journal a clock change (clocks outside a meet are not journaled)
+   * @private
+   */
+  async _journal(snapshot, actor) {
+    if (snapshot.meetId) {
+      await journalService.record(snapshot.meetId, JOURNAL_EVENT_TYPES.TIMER, snapshot, actor);
+    }
+  }
+
+  /**
+   * Schedule ticks and expiry of a platform clock
+   * @private
+   */
+  _schedule(meetId, platformNo, remainingMs) {
+    this._clearSchedule(meetId, platformNo);
+
+    const tickInterval = setInterval(() => {
+      this.getSnapshot(meetId, platformNo)
+        .then(snapshot => {
+          if (snapshot.status === 'RUNNING') this.emit('tick', snapshot);
+        })
+        .catch(error => console.error('Timer tick failed:', error.message));
+    }, TIMER_TICK_MS);
+
+    const expiryTimeout = setTimeout(() => {
+      this._expire(meetId, platformNo).catch(error => console.error('Timer expiry failed:', error.message));
+    }, remainingMs);
+
+    // Timers must not keep the process alive on shutdown
+    tickInterval.unref?.();
+    expiryTimeout.unref?.();
+
+    this.schedules.set(`${meetId}:${platformNo}`, { tickInterval, expiryTimeout });
+  }
+
+  /**
+   * Clear scheduled ticks and expiry of a platform clock
+   * @private
+   */
+  _clearSchedule(meetId, platformNo) {
+    const key = `${meetId}:${platformNo}`;
+    const schedule = this.schedules.get(key);
+    if (!schedule) return;
+
+    clearInterval(schedule.tickInterval);
+    clearTimeout(schedule.expiryTimeout);
+    this.schedules.delete(key);
+  }
+
+  /**
+   * Mark a platform clock as EXPIRED and notify
+   * @private
+   */
+  async _expire(meetId, platformNo) {
+    this._clearSchedule(meetId, platformNo);
+    await CurrentState.stopTimer(meetId, platformNo, 'EXPIRED');
+
+    const snapshot = await this.getSnapshot(meetId, platformNo);
+    await this._journal(snapshot, 'SYSTEM');
+    this.emit('expired', snapshot);
+    return snapshot;
+  }
+}
+
+// Singleton instance
+const timerService = new TimerService();
+
+export default timerService;
@@ -2,19 +2,119 @@
  * Validation Service
  * 
  * Manages judge votes and validates attempts using 2/3 rule
- * - Stores votes IN MEMORY only (NOT in database)
+ * - Every vote is written to the votes table BEFORE being counted
+ *   (audit of individual lights + crash safety)
+ * - Votes of the attempt being judged are also kept IN MEMORY for fast counting
  * - 2 WHITE votes = VALID attempt
  * - 2 RED votes = INVALID attempt
- * - Votes are cleared after result is determined
+ * - In-memory votes are cleared after result is determined (DB rows stay)
+ * - restorePendingVotes() reloads votes of PENDING attempts at startup
+ * 
+ * VOTE RULES (rejections throw VoteRejectedError with a reason code):
+ * - ONE vote per judge per attempt: a second vote is rejected (DUPLICATE_VOTE)
+ *   unless the HEAD judge opened a change window for that judge (allowVoteChange)
+ * - Votes only for the attempt on the judge's platform (assertVoteAllowed):
+ *   attempt must be PENDING and match that platform's CurrentState reg/lift/round
+ * 
+ * FAULT CODES:
+ * - A RED can carry a fault code from the lift catalogue (LIFT_FAULT_CODES)
+ * - Decisive fault of an INVALID attempt = most frequent code among the reds
+ *   (tie → HEAD judge's code, then first code given)
  */
 
 import Attempt from '../models/Attempt.js';
+import CurrentState from '../models/CurrentState.js';
+import Vote from '../models/Vote.js';
+import StateLog from '../models/StateLog.js';
+import stateMachine from './stateMachine.js';
+import journalService from './journalService.js';
+import { VoteRejectedError, ForbiddenError, ConflictError } from '../utils/errorHandler.js';
+import {
+  VOTE_REJECT_REASONS,
+  VOTE_CHANGE_WINDOW_SECONDS,
+  LIFT_FAULT_CODES,
+  JOURNAL_EVENT_TYPES
+} from '../config/constants.js';
 
 class ValidationService {
   constructor() {
     // In-memory storage: Map<attemptId, Map<judgeRole, vote>>
     // Example: { 123: { 'HEAD': 'WHITE', 'LEFT': 'RED', 'RIGHT': 'WHITE' } }
     this.votes = new Map();
+
+    // Fault codes of RED votes: Map<attemptId, Map<judgeRole, faultCode>>
+    this.faults = new Map();
+
+    // Vote change windows opened by HEAD judge: Map<'attemptId_role', expiresAt (ms)>
+    this.changeWindows = new Map();
+
+    // Votes being written to database: Set<'attemptId_role'>
+    this.pendingWrites = new Set();
+  }
+
+  /**
+   * Check that a vote targets the attempt currently on the platform
+   * @param {number} attemptId - Attempt ID
+   * @param {number} meetId - Meet of the voting judge
+   * @param {number} platformNo - Platform of the voting judge (default 1)
+   * @returns {Promise<Object>} Attempt
+   * @throws {VoteRejectedError}
+   */
+  async assertVoteAllowed(attemptId, meetId, platformNo = 1) {
+    const attempt = await Attempt.findById(attemptId);
+    if (!attempt) {
+      throw new VoteRejectedError(VOTE_REJECT_REASONS.ATTEMPT_NOT_FOUND, `Attempt ${attemptId} not found`);
+    }
+
+    if (attempt.status !== 'PENDING') {
+      throw new VoteRejectedError(
+        VOTE_REJECT_REASONS.ATTEMPT_FINALIZED,
+        `Attempt ${attemptId} already judged (${attempt.status})`
+      );
+    }
+
+    const state = await CurrentState.get(meetId, platformNo);
+    if (!state || !state.current_reg_id) {
+      throw new VoteRejectedError(VOTE_REJECT_REASONS.NO_ACTIVE_ATTEMPT, 'No athlete on the platform');
+    }
+
+    const isCurrent = attempt.reg_id === state.current_reg_id
+      && attempt.lift_id === state.current_lift_id
+      && attempt.attempt_no === state.current_round;
+
+    if (!isCurrent) {
+      throw new VoteRejectedError(
+        VOTE_REJECT_REASONS.NOT_CURRENT_ATTEMPT,
+        `Attempt ${attemptId} is not the current attempt`
+      );
+    }
+
+    return attempt;
+  }
+
+  /**
+   * Check a fault code against the lift catalogue
+   * @param {string} liftId - Lift ID
+   * @param {string} vote - Vote ('WHITE' or 'RED')
+   * @param {string|null} faultCode - Fault code
+   * @throws {VoteRejectedError}
+   */
+  assertFaultCodeValid(liftId, vote, faultCode) {
+    if (!faultCode) return;
+
+    if (vote !== 'RED') {
+      throw new VoteRejectedError(
+        VOTE_REJECT_REASONS.INVALID_FAULT_CODE,
+        'Fault code can only be given with a RED'
+      );
+    }
+
+    if (!(LIFT_FAULT_CODES[liftId] || []).includes(faultCode)) {
+      throw new VoteRejectedError(
+        VOTE_REJECT_REASONS.INVALID_FAULT_CODE,
+        `Fault code ${faultCode} is not valid for lift ${liftId}`
+      );
+    }
   }
 
   /**
@@ -22,9 +122,10 @@ class ValidationService {
    * @param {number} attemptId - Attempt ID
    * @param {string} judgeRole - Judge role ('HEAD', 'LEFT', 'RIGHT')
    * @param {string} vote - Vote ('WHITE' or 'RED')
-   * @returns {Object} { isComplete, result, votes }
+   * @param {string|null} faultCode - Reason for a RED (checked with assertFaultCodeValid)
+   * @returns {Promise<Object>} { isComplete, result, votes, faults, faultCode }
    */
-  registerVote(attemptId, judgeRole, vote) {
+  async registerVote(attemptId, judgeRole, vote, faultCode = null) {
     // Validate inputs
     if (!['HEAD', 'LEFT', 'RIGHT'].includes(judgeRole)) {
       throw new Error(`Invalid judge role: ${judgeRole}`);
@@ -33,6 +134,37 @@ class ValidationService {
       throw new Error(`Invalid vote: ${vote}`);
     }
 
+    const key = `${attemptId}_${judgeRole}`;
+
+    if (this.getVoteCount(attemptId) === 3) {
+      throw new VoteRejectedError(
+        VOTE_REJECT_REASONS.ATTEMPT_FINALIZED,
+        `Voting on attempt ${attemptId} is complete`
+      );
+    }
+
+    const alreadyVoted = this.hasVoted(attemptId, judgeRole) || this.pendingWrites.has(key);
+    if (alreadyVoted && !this._consumeChangeWindow(attemptId, judgeRole)) {
+      throw new VoteRejectedError(
+        VOTE_REJECT_REASONS.DUPLICATE_VOTE,
+        `Judge ${judgeRole} already voted on attempt ${attemptId}`
+      );
+    }
+
+    // Persist first: a vote is only counted once it is safe on disk
+    this.pendingWrites.add(key);
+    try {
+      await Vote.upsert(attemptId, judgeRole, vote, faultCode);
+    } finally {
+      this.pendingWrites.delete(key);
+    }
+    await journalService.recordForAttempt(
+      attemptId,
+      JOURNAL_EVENT_TYPES.VOTE,
+      { judgeRole, vote, faultCode },
+      `JUDGE:${judgeRole}`
+    );
+
     // Initialize votes for this attempt if not exists
     if (!this.votes.has(attemptId)) {
       this.votes.set(attemptId, new Map());
@@ -41,6 +173,7 @@ class ValidationService {
     // Store the vote
     const attemptVotes = this.votes.get(attemptId);
     attemptVotes.set(judgeRole, vote);
+    this._setFault(attemptId, judgeRole, faultCode);
 
     // Check if voting is complete (all 3 judges voted)
     const isComplete = attemptVotes.size === 3;
@@ -55,10 +188,92 @@ class ValidationService {
     return {
       isComplete,
       result,
-      votes: Object.fromEntries(attemptVotes)
+      votes: Object.fromEntries(attemptVotes),
+      faults: Object.fromEntries(this.faults.get(attemptId) || []),
+      faultCode: result === 'INVALID' ? this._decisiveFaultCode(attemptId) : null
     };
   }
 
+  /**
+   * Store (or clear) the fault code of a judge
+   * @private
+   */
+  _setFault(attemptId, judgeRole, faultCode) {
+    if (!this.faults.has(attemptId)) {
+      this.faults.set(attemptId, new Map());
+    }
+
+    const attemptFaults = this.faults.get(attemptId);
+    if (faultCode) {
+      attemptFaults.set(judgeRole, faultCode);
+    } else {
+      attemptFaults.delete(judgeRole);
+    }
+  }
+
+  /**
+   * Decisive fault code: most frequent among reds, tie → HEAD's code, then first given
+   * @param {number} attemptId - Attempt ID
+   * @returns {string|null}
+   * @private
+   */
+  _decisiveFaultCode(attemptId) {
+    const attemptFaults = this.faults.get(attemptId);
+    if (!attemptFaults || attemptFaults.size === 0) {
+      return null;
+    }
+
+    const counts = new Map();
+    for (const code of attemptFaults.values()) {
+      counts.set(code, (counts.get(code) || 0) + 1);
+    }
+
+    const maxCount = Math.max(...counts.values());
+    const candidates = [...counts.keys()].filter(code => counts.get(code) === maxCount);
+    const headCode = attemptFaults.get('HEAD');
+
+    return candidates.includes(headCode) ? headCode : candidates[0];
+  }
+
+  /**
+   * Open a vote change window for a judge (HEAD judge only)
+   * The judge can vote again ONCE within VOTE_CHANGE_WINDOW_SECONDS
+   * @param {number} attemptId - Attempt ID
+   * @param {string} judgeRole - Judge allowed to change vote
+   * @param {string} authorizedBy - Role of the judge authorizing (must be 'HEAD')
+   * @param {number} now - Current time in ms (default Date.now())
+   * @returns {number} Window expiration time (ms)
+   */
+  allowVoteChange(attemptId, judgeRole, authorizedBy, now = Date.now()) {
+    if (authorizedBy !== 'HEAD') {
+      throw new ForbiddenError('Only the HEAD judge can authorize a vote change');
+    }
+    if (!this.hasVoted(attemptId, judgeRole)) {
+      throw new ConflictError(`Judge ${judgeRole} has not voted on attempt ${attemptId}`);
+    }
+    if (this.getVoteCount(attemptId) === 3) {
+      throw new ConflictError(`Voting on attempt ${attemptId} is complete`);
+    }
+
+    const expiresAt = now + VOTE_CHANGE_WINDOW_SECONDS * 1000;
+    this.changeWindows.set(`${attemptId}_${judgeRole}`, expiresAt);
+    return expiresAt;
+  }
+
+  /**
+   * Use (and close) a vote change window if still open
+   * @param {number} attemptId - Attempt ID
+   * @param {string} judgeRole - Judge role
+   * @returns {boolean} True if the judge can change vote
+   * @private
+   */
+  _consumeChangeWindow(attemptId, judgeRole) {
+    const key = `${attemptId}_${judgeRole}`;
+    const expiresAt = this.changeWindows.get(key);
+    this.changeWindows.delete(key);
+    return expiresAt !== undefined && Date.now() <= expiresAt;
+  }
+
   /**
    * Calculate result using 2/3 rule
    * @param {Map} attemptVotes - Map of judgeRole -> vote
@@ -103,11 +318,55 @@ class ValidationService {
   }
 
   /**
-   * Clear votes for an attempt (after result is saved)
+   * Attempts with all 3 votes in memory but no saved result
+   * (server stopped between the last vote and finalizeAttempt)
+   * @returns {Array} [{ attemptId, result, faultCode }]
+   */
+  getInterruptedResults() {
+    return [...this.votes]
+      .filter(([, attemptVotes]) => attemptVotes.size === 3)
+      .map(([attemptId, attemptVotes]) => {
+        const result = this._calculateResult(attemptVotes);
+        return {
+          attemptId,
+          result,
+          faultCode: result === 'INVALID' ? this._decisiveFaultCode(attemptId) : null
+        };
+      });
+  }
+
+  /**
+   * Reload votes of PENDING attempts from database (after a restart)
+   * @returns {Promise<number>} Number of attempts with restored votes
+   */
+  async restorePendingVotes() {
+    const pendingVotes = await Vote.findPending();
+
+    for (const { attempt_id, judge_role, vote, fault_code } of pendingVotes) {
+      if (!this.votes.has(attempt_id)) {
+        this.votes.set(attempt_id, new Map());
+      }
+      this.votes.get(attempt_id).set(judge_role, vote);
+      this._setFault(attempt_id, judge_role, fault_code);
+    }
+
+    return new Set(pendingVotes.map(v => v.attempt_id)).size;
+  }
+
+  /**
+   * Clear in-memory votes for an attempt (after result is saved)
+   * Votes stay in database for appeals
    * @param {number} attemptId - Attempt ID
    */
   clearVotes(attemptId) {
     this.votes.delete(attemptId);
+    this.faults.delete(attemptId);
+
+    for (const key of this.changeWindows.keys()) {
+      if (key.startsWith(`${attemptId}_`)) {
+        this.changeWindows.delete(key);
+      }
+    }
   }
 
   /**
@@ -115,17 +374,30 @@ class ValidationService {
    */
   clearAllVotes() {
     this.votes.clear();
+    this.faults.clear();
+    this.changeWindows.clear();
   }
 
   /**
    * Finalize attempt: save result to database and clear votes
+   * The result is logged in state_log (undo) and in the journal
    * @param {number} attemptId - Attempt ID
    * @param {string} result - Result ('VALID' or 'INVALID')
+   * @param {string|null} faultCode - Decisive fault code (INVALID only)
+   * @param {number|null} platformNo - Platform the attempt was judged on (optional, see StateLog.logResult)
    * @returns {Promise<void>}
    */
-  async finalizeAttempt(attemptId, result) {
+  async finalizeAttempt(attemptId, result, faultCode = null, platformNo = null) {
     // Update attempt status in database
-    await Attempt.updateStatus(attemptId, result);
+    await StateLog.logResult('RESULT', { id: attemptId, status: 'PENDING' }, result, faultCode, platformNo);
+    await Attempt.updateStatus(attemptId, result, faultCode);
+    await journalService.recordForAttempt(
+      attemptId,
+      JOURNAL_EVENT_TYPES.RESULT,
+      { status: result, faultCode },
+      'SYSTEM'
+    );
+    stateMachine.invalidateOrder();
     
     // Clear votes from memory
     this.clearVotes(attemptId);
@@ -2,6 +2,114 @@
  * Error Handler Utility
  * 
  * Custom error classes and handlers
+ * 
+ * All errors carry a statusCode that error.middleware.js turns into
+ * the HTTP status of the JSON response.
+ */
+
+/**
+ * Base application error
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code (default 500)
+   * @param {Object} details - Optional extra info sent to the client
+   */
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * 400 - Invalid request data
+ */
+export class ValidationError extends AppError {
+  constructor(message, details = null) {
+    super(message, 400, details);
+  }
+}
+
+/**
+ * 401 - Missing, invalid or expired token
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required') {
+    super(message, 401);
+  }
+}
+
+/**
+ * 403 - Authenticated but not allowed (wrong scope or not the owner)
+ */
+export class ForbiddenError extends AppError {
+  constructor(message = 'Not allowed') {
+    super(message, 403);
+  }
+}
+
+/**
+ * 404 - Resource not found
+ */
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(message, 404);
+  }
+}
+
+/**
+ * 409 - Conflict with current data (duplicates, resource in use)
+ */
+export class ConflictError extends AppError {
+  constructor(message, details = null) {
+    super(message, 409, details);
+  }
+}
+
+/**
+ * 409 - Judge vote refused (duplicate, stale or finalized attempt)
+ * reason is one of VOTE_REJECT_REASONS
+ */
+export class VoteRejectedError extends AppError {
+  constructor(reason, message) {
+    super(message, 409, { reason });
+    this.reason = reason;
+  }
+}
+
+/**
+ * 409 - Attempt weight declaration/change refused by federation rules
+ * rule is one of ATTEMPT_CHANGE_RULES, details carry the numbers behind it
+ */
+export class AttemptChangeRejectedError extends AppError {
+  constructor(rule, message, details = {}) {
+    super(message, 409, { rule, ...details });
+    this.rule = rule;
+  }
+}
+
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ * @param {Function} fn - Async (req, res, next) handler
+ * @returns {Function} Express handler
  */
+export function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+}
 
-// TODO: Define custom error classes
+export default {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  VoteRejectedError,
+  AttemptChangeRejectedError,
+  asyncHandler
+};
@@ -4,4 +4,36 @@
  * Generic utility functions
  */
 
-// TODO: Add helper functions (formatters, validators, etc.)
+/**
+ * Escape a value for a CSV cell (RFC 4180)
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets
+ * do not run it as a formula (numbers are kept as they are)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function escapeCSV(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value !== 'number' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array>} rows - Row values (same order as header)
+ * @returns {string} CSV (CRLF line endings)
+ */
+export function toCSV(header, rows) {
+  return [header, ...rows]
+    .map(row => row.map(escapeCSV).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+export default {
+  escapeCSV,
+  toCSV
+};
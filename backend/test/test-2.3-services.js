@@ -3,14 +3,54 @@
  * 
  * Tests for:
  * - validationService (2/3 vote rule)
+ * - correctionService (undo, result corrections)
  * - stateMachine (NEXT button, athlete ordering)
  * - rankingService (Wilks calculation)
+ * - rankingController (ranking filters, athlete of another meet)
+ * - scoringService (formula registry by regulation code)
+ * - projectionService (projected placements, required weights)
+ * - teamRankingService (team points, count-back)
+ * - recordService (record attempts, broken records staged)
  * - qrCodeService (QR generation)
+ * - flightBuilderService (auto-split plan)
+ * - registrationService (lot draw, opener changes)
+ * - journalService (journal replay)
+ * - CSV export (escaping, formula injection)
+ * - socketService (handshake auth, judge join, judge vote change checks)
+ * - auth (token scopes + meet ownership)
  */
 
 import { expect } from 'chai';
 import validationService from '../src/services/validationService.js';
+import Vote from '../src/models/Vote.js';
+import Attempt from '../src/models/Attempt.js';
+import Flight from '../src/models/Flight.js';
 import rankingService from '../src/services/rankingService.js';
+import rankingController from '../src/controllers/rankingController.js';
+import scoringService from '../src/services/scoringService.js';
+import projectionService from '../src/services/projectionService.js';
+import teamRankingService from '../src/services/teamRankingService.js';
+import recordService from '../src/services/recordService.js';
+import Record from '../src/models/Record.js';
+import RecordCandidate from '../src/models/RecordCandidate.js';
+import Registration from '../src/models/Registration.js';
+import Meet from '../src/models/Meet.js';
+import Judge from '../src/models/Judge.js';
+import ScoringCoefficient from '../src/models/ScoringCoefficient.js';
+import flightBuilderService from '../src/services/flightBuilderService.js';
+import registrationService from '../src/services/registrationService.js';
+import timerService from '../src/services/timerService.js';
+import declarationService from '../src/services/declarationService.js';
+import attemptRulesService from '../src/services/attemptRulesService.js';
+import stateMachine from '../src/services/stateMachine.js';
+import journalService from '../src/services/journalService.js';
+import socketService from '../src/services/socketService.js';
+import correctionService from '../src/services/correctionService.js';
+import StateLog from '../src/models/StateLog.js';
+import { signToken, verifyToken, TOKEN_TYPES } from '../src/config/jwt.js';
+import { canAccessMeet } from '../src/middleware/auth.middleware.js';
+import { escapeCSV, toCSV } from '../src/utils/helpers.js';
+import { AttemptChangeRejectedError, VoteRejectedError, NotFoundError, ValidationError } from '../src/utils/errorHandler.js';
 
 describe('Phase 2.3 - Services', () => {
   
@@ -19,100 +59,118 @@ describe('Phase 2.3 - Services', () => {
   // ============================================
   
   describe('validationService', () => {
+    const originalUpsert = Vote.upsert;
+    const originalRecord = journalService.recordForAttempt;
+    const savedVotes = [];
+
+    before(() => {
+      // No database in unit tests: record persisted votes instead
+      Vote.upsert = async (attemptId, judgeRole, vote) => {
+        savedVotes.push({ attemptId, judgeRole, vote });
+      };
+      journalService.recordForAttempt = async () => {};
+    });
+
+    after(() => {
+      Vote.upsert = originalUpsert;
+      journalService.recordForAttempt = originalRecord;
+    });
+
     beforeEach(() => {
       // Clear votes before each test
       validationService.clearAllVotes();
+      savedVotes.length = 0;
     });
 
-    it('should register votes from 3 judges', () => {
+    it('should register votes from 3 judges', async () => {
       const attemptId = 1;
       
       // First vote
-      let result = validationService.registerVote(attemptId, 'HEAD', 'WHITE');
+      let result = await validationService.registerVote(attemptId, 'HEAD', 'WHITE');
       expect(result.isComplete).to.be.false;
       expect(result.result).to.be.null;
       
       // Second vote
-      result = validationService.registerVote(attemptId, 'LEFT', 'WHITE');
+      result = await validationService.registerVote(attemptId, 'LEFT', 'WHITE');
       expect(result.isComplete).to.be.false;
       
       // Third vote
-      result = validationService.registerVote(attemptId, 'RIGHT', 'RED');
+      result = await validationService.registerVote(attemptId, 'RIGHT', 'RED');
       expect(result.isComplete).to.be.true;
       expect(result.result).to.equal('VALID'); // 2 whites = VALID
     });
 
-    it('should calculate VALID with 2 WHITE votes', () => {
+    it('should calculate VALID with 2 WHITE votes', async () => {
       const attemptId = 2;
       
-      validationService.registerVote(attemptId, 'HEAD', 'WHITE');
-      validationService.registerVote(attemptId, 'LEFT', 'WHITE');
-      const result = validationService.registerVote(attemptId, 'RIGHT', 'RED');
+      await validationService.registerVote(attemptId, 'HEAD', 'WHITE');
+      await validationService.registerVote(attemptId, 'LEFT', 'WHITE');
+      const result = await validationService.registerVote(attemptId, 'RIGHT', 'RED');
       
       expect(result.result).to.equal('VALID');
     });
 
-    it('should calculate INVALID with 2 RED votes', () => {
+    it('should calculate INVALID with 2 RED votes', async () => {
       const attemptId = 3;
       
-      validationService.registerVote(attemptId, 'HEAD', 'RED');
-      validationService.registerVote(attemptId, 'LEFT', 'RED');
-      const result = validationService.registerVote(attemptId, 'RIGHT', 'WHITE');
+      await validationService.registerVote(attemptId, 'HEAD', 'RED');
+      await validationService.registerVote(attemptId, 'LEFT', 'RED');
+      const result = await validationService.registerVote(attemptId, 'RIGHT', 'WHITE');
       
       expect(result.result).to.equal('INVALID');
     });
 
-    it('should calculate VALID with 3 WHITE votes', () => {
+    it('should calculate VALID with 3 WHITE votes', async () => {
       const attemptId = 4;
       
-      validationService.registerVote(attemptId, 'HEAD', 'WHITE');
-      validationService.registerVote(attemptId, 'LEFT', 'WHITE');
-      const result = validationService.registerVote(attemptId, 'RIGHT', 'WHITE');
+      await validationService.registerVote(attemptId, 'HEAD', 'WHITE');
+      await validationService.registerVote(attemptId, 'LEFT', 'WHITE');
+      const result = await validationService.registerVote(attemptId, 'RIGHT', 'WHITE');
       
       expect(result.result).to.equal('VALID');
     });
 
-    it('should calculate INVALID with 3 RED votes', () => {
+    it('should calculate INVALID with 3 RED votes', async () => {
       const attemptId = 5;
       
-      validationService.registerVote(attemptId, 'HEAD', 'RED');
-      validationService.registerVote(attemptId, 'LEFT', 'RED');
-      const result = validationService.registerVote(attemptId, 'RIGHT', 'RED');
+      await validationService.registerVote(attemptId, 'HEAD', 'RED');
+      await validationService.registerVote(attemptId, 'LEFT', 'RED');
+      const result = await validationService.registerVote(attemptId, 'RIGHT', 'RED');
       
       expect(result.result).to.equal('INVALID');
     });
 
-    it('should track vote count', () => {
+    it('should track vote count', async () => {
       const attemptId = 6;
       
       expect(validationService.getVoteCount(attemptId)).to.equal(0);
       
-      validationService.registerVote(attemptId, 'HEAD', 'WHITE');
+      await validationService.registerVote(attemptId, 'HEAD', 'WHITE');
       expect(validationService.getVoteCount(attemptId)).to.equal(1);
       
-      validationService.registerVote(attemptId, 'LEFT', 'RED');
+      await validationService.registerVote(attemptId, 'LEFT', 'RED');
       expect(validationService.getVoteCount(attemptId)).to.equal(2);
       
-      validationService.registerVote(attemptId, 'RIGHT', 'WHITE');
+      await validationService.registerVote(attemptId, 'RIGHT', 'WHITE');
       expect(validationService.getVoteCount(attemptId)).to.equal(3);
     });
 
-    it('should detect if judge has already voted', () => {
+    it('should detect if judge has already voted', async () => {
       const attemptId = 7;
       
       expect(validationService.hasVoted(attemptId, 'HEAD')).to.be.false;
       
-      validationService.registerVote(attemptId, 'HEAD', 'WHITE');
+      await validationService.registerVote(attemptId, 'HEAD', 'WHITE');
       expect(validationService.hasVoted(attemptId, 'HEAD')).to.be.true;
       expect(validationService.hasVoted(attemptId, 'LEFT')).to.be.false;
     });
 
-    it('should clear votes after finalization', () => {
+    it('should clear votes after finalization', async () => {
       const attemptId = 8;
       
-      validationService.registerVote(attemptId, 'HEAD', 'WHITE');
-      validationService.registerVote(attemptId, 'LEFT', 'WHITE');
-      validationService.registerVote(attemptId, 'RIGHT', 'RED');
+      await validationService.registerVote(attemptId, 'HEAD', 'WHITE');
+      await validationService.registerVote(attemptId, 'LEFT', 'WHITE');
+      await validationService.registerVote(attemptId, 'RIGHT', 'RED');
       
       expect(validationService.getVotes(attemptId)).to.not.be.null;
       
@@ -120,20 +178,293 @@ describe('Phase 2.3 - Services', () => {
       expect(validationService.getVotes(attemptId)).to.be.null;
     });
 
-    it('should reject invalid judge role', () => {
+    it('should reject invalid judge role', async () => {
       const attemptId = 9;
       
-      expect(() => {
-        validationService.registerVote(attemptId, 'INVALID_ROLE', 'WHITE');
-      }).to.throw('Invalid judge role');
+      try {
+        await validationService.registerVote(attemptId, 'INVALID_ROLE', 'WHITE');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Invalid judge role');
+      }
     });
 
-    it('should reject invalid vote', () => {
+    it('should reject invalid vote', async () => {
       const attemptId = 10;
       
-      expect(() => {
-        validationService.registerVote(attemptId, 'HEAD', 'YELLOW');
-      }).to.throw('Invalid vote');
+      try {
+        await validationService.registerVote(attemptId, 'HEAD', 'YELLOW');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Invalid vote');
+      }
+      expect(savedVotes).to.have.length(0);
+    });
+
+    it('should persist every vote before counting it', async () => {
+      const attemptId = 11;
+
+      await validationService.registerVote(attemptId, 'HEAD', 'WHITE');
+      await validationService.registerVote(attemptId, 'LEFT', 'RED');
+
+      expect(savedVotes).to.deep.equal([
+        { attemptId, judgeRole: 'HEAD', vote: 'WHITE' },
+        { attemptId, judgeRole: 'LEFT', vote: 'RED' }
+      ]);
+    });
+
+    it('should reject a second vote from the same judge', async () => {
+      const attemptId = 13;
+
+      await validationService.registerVote(attemptId, 'LEFT', 'WHITE');
+
+      try {
+        await validationService.registerVote(attemptId, 'LEFT', 'RED');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.reason).to.equal('DUPLICATE_VOTE');
+      }
+      expect(validationService.getVotes(attemptId).votes.LEFT).to.equal('WHITE');
+    });
+
+    it('should let a judge change vote once when HEAD authorizes it', async () => {
+      const attemptId = 14;
+
+      await validationService.registerVote(attemptId, 'LEFT', 'WHITE');
+      validationService.allowVoteChange(attemptId, 'LEFT', 'HEAD');
+
+      await validationService.registerVote(attemptId, 'LEFT', 'RED');
+      expect(validationService.getVotes(attemptId).votes.LEFT).to.equal('RED');
+
+      try {
+        await validationService.registerVote(attemptId, 'LEFT', 'WHITE');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.reason).to.equal('DUPLICATE_VOTE');
+      }
+    });
+
+    it('should only let HEAD judge authorize vote changes', async () => {
+      await validationService.registerVote(15, 'RIGHT', 'RED');
+
+      expect(() => validationService.allowVoteChange(15, 'RIGHT', 'LEFT')).to.throw('Only the HEAD judge');
+    });
+
+    it('should expire vote change windows', async () => {
+      const attemptId = 16;
+
+      await validationService.registerVote(attemptId, 'RIGHT', 'RED');
+      validationService.allowVoteChange(attemptId, 'RIGHT', 'HEAD', Date.now() - 60000);
+
+      try {
+        await validationService.registerVote(attemptId, 'RIGHT', 'WHITE');
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.reason).to.equal('DUPLICATE_VOTE');
+      }
+    });
+
+    it('should reject fault codes not in the lift catalogue', () => {
+      expect(() => validationService.assertFaultCodeValid('SQ', 'RED', 'DEPTH')).to.not.throw();
+      expect(() => validationService.assertFaultCodeValid('PU', 'RED', 'DEPTH')).to.throw('not valid for lift PU');
+      expect(() => validationService.assertFaultCodeValid('SQ', 'WHITE', 'DEPTH')).to.throw('only be given with a RED');
+    });
+
+    it('should pick the most frequent fault code on INVALID', async () => {
+      const attemptId = 17;
+
+      await validationService.registerVote(attemptId, 'HEAD', 'RED', 'INCOMPLETE_LOCKOUT');
+      await validationService.registerVote(attemptId, 'LEFT', 'RED', 'DEPTH');
+      const result = await validationService.registerVote(attemptId, 'RIGHT', 'RED', 'DEPTH');
+
+      expect(result.result).to.equal('INVALID');
+      expect(result.faultCode).to.equal('DEPTH');
+      expect(result.faults).to.deep.equal({ HEAD: 'INCOMPLETE_LOCKOUT', LEFT: 'DEPTH', RIGHT: 'DEPTH' });
+    });
+
+    it('should prefer HEAD judge fault code on ties and ignore faults on VALID', async () => {
+      await validationService.registerVote(18, 'LEFT', 'RED', 'DEPTH');
+      await validationService.registerVote(18, 'HEAD', 'RED', 'FOOT_MOVEMENT');
+      const invalid = await validationService.registerVote(18, 'RIGHT', 'WHITE');
+      expect(invalid.faultCode).to.equal('FOOT_MOVEMENT');
+
+      await validationService.registerVote(19, 'LEFT', 'RED', 'DEPTH');
+      await validationService.registerVote(19, 'HEAD', 'WHITE');
+      const valid = await validationService.registerVote(19, 'RIGHT', 'WHITE');
+      expect(valid.faultCode).to.be.null;
+    });
+
+    it('should restore pending votes from database', async () => {
+      const originalFindPending = Vote.findPending;
+      Vote.findPending = async () => [
+        { attempt_id: 12, judge_role: 'HEAD', vote: 'WHITE' },
+        { attempt_id: 12, judge_role: 'RIGHT', vote: 'RED' }
+      ];
+
+      try {
+        const restored = await validationService.restorePendingVotes();
+        expect(restored).to.equal(1);
+        expect(validationService.getVoteCount(12)).to.equal(2);
+
+        const result = await validationService.registerVote(12, 'LEFT', 'WHITE');
+        expect(result.isComplete).to.be.true;
+        expect(result.result).to.equal('VALID');
+      } finally {
+        Vote.findPending = originalFindPending;
+      }
+    });
+
+    it('should find restored attempts voted by all judges but never finalized', async () => {
+      const originalFindPending = Vote.findPending;
+      Vote.findPending = async () => [
+        { attempt_id: 13, judge_role: 'HEAD', vote: 'RED', fault_code: 'KIPPING' },
+        { attempt_id: 13, judge_role: 'LEFT', vote: 'RED', fault_code: 'KIPPING' },
+        { attempt_id: 13, judge_role: 'RIGHT', vote: 'WHITE', fault_code: null },
+        { attempt_id: 14, judge_role: 'HEAD', vote: 'WHITE', fault_code: null }
+      ];
+
+      try {
+        await validationService.restorePendingVotes();
+        expect(validationService.getInterruptedResults()).to.deep.equal([
+          { attemptId: 13, result: 'INVALID', faultCode: 'KIPPING' }
+        ]);
+      } finally {
+        Vote.findPending = originalFindPending;
+      }
+    });
+  });
+
+  // ============================================
+  // CORRECTION SERVICE TESTS (undo / correct)
+  // ============================================
+  
+  describe('correctionService', () => {
+    // No database in unit tests: state_log, attempts and side effects are stubbed
+    const stubs = [
+      [StateLog, 'findLastActive'], [StateLog, 'markUndone'], [StateLog, 'logResult'],
+      [Attempt, 'findById'], [Attempt, 'updateStatus'], [Registration, 'findById'],
+      [Vote, 'deleteByAttempt'], [RecordCandidate, 'deletePending'],
+      [journalService, 'recordForAttempt'], [declarationService, 'withdrawAfterResult'],
+      [stateMachine, 'forPlatform'], [stateMachine, 'recordFourthAttempt']
+    ];
+    const originals = stubs.map(([target, name]) => target[name]);
+    const calls = [];
+    let logEntry;
+    let attempts;
+
+    const attemptRow = (status, faultCode = null) => ({
+      id: 31, reg_id: 5, lift_id: 'MU', attempt_no: 2, weight_kg: 40, status, fault_code: faultCode
+    });
+
+    beforeEach(() => {
+      calls.length = 0;
+      logEntry = null;
+      attempts = new Map();
+
+      StateLog.findLastActive = async (meetId, platformNo) => {
+        calls.push(['findLastActive', meetId, platformNo]);
+        return logEntry;
+      };
+      StateLog.markUndone = async (id) => { calls.push(['markUndone', id]); return 1; };
+      StateLog.logResult = async (kind, attempt, status, faultCode, platformNo) => {
+        calls.push(['logResult', kind, attempt.status, status, faultCode, platformNo]);
+        return 1;
+      };
+      Attempt.findById = async (id) => attempts.get(id) || null;
+      Attempt.updateStatus = async (id, status, faultCode) => {
+        calls.push(['updateStatus', id, status, faultCode]);
+        attempts.set(id, { ...attempts.get(id), status, fault_code: faultCode });
+      };
+      Registration.findById = async (id) => ({ id, meet_id: 7, weight_cat_id: 3, age_cat_id: 2 });
+      Vote.deleteByAttempt = async (attemptId) => { calls.push(['deleteVotes', attemptId]); };
+      RecordCandidate.deletePending = async (attemptId) => { calls.push(['dropCandidate', attemptId]); return true; };
+      journalService.recordForAttempt = async (attemptId, type) => { calls.push(['journal', type]); };
+      declarationService.withdrawAfterResult = async (attempt) => { calls.push(['withdrawDeclaration', attempt.id]); };
+      stateMachine.recordFourthAttempt = async () => null;
+      stateMachine.forPlatform = (meetId, platformNo) => ({
+        restore: async (snapshot) => { calls.push(['restore', meetId, platformNo, snapshot.current_reg_id]); return snapshot; },
+        getCurrentAthlete: async () => ({ platformNo })
+      });
+    });
+
+    afterEach(() => {
+      stubs.forEach(([target, name], i) => { target[name] = originals[i]; });
+    });
+
+    it('should report an empty log', async () => {
+      try {
+        await correctionService.undo(7, 2);
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(409);
+        expect(error.message).to.equal('Nothing to undo');
+      }
+      expect(calls).to.deep.equal([['findLastActive', 7, 2]]);
+    });
+
+    it('should undo a result: attempt back to PENDING, votes and declaration withdrawn', async () => {
+      attempts.set(31, attemptRow('INVALID', 'KIPPING'));
+      logEntry = { id: 9, kind: 'RESULT', attempt_id: 31, status_before: 'PENDING', fault_before: null };
+
+      const undone = await correctionService.undo(7, 2);
+
+      expect(undone).to.include({ kind: 'RESULT', attemptId: 31 });
+      expect(undone.attempt.status).to.equal('PENDING');
+      expect(undone.state).to.deep.equal({ platformNo: 2 });
+      expect(calls).to.deep.include.members([
+        ['markUndone', 9],
+        ['updateStatus', 31, 'PENDING', null],
+        ['journal', 'RESULT_UNDONE'],
+        ['deleteVotes', 31],
+        ['withdrawDeclaration', 31]
+      ]);
+    });
+
+    it('should undo a NEXT by restoring the platform position (weight changes are not logged)', async () => {
+      logEntry = { id: 10, kind: 'NEXT', state_before: JSON.stringify({ current_reg_id: 4 }) };
+
+      const undone = await correctionService.undo(7, 2);
+
+      expect(undone).to.deep.include({ kind: 'NEXT', attemptId: null });
+      expect(calls).to.deep.equal([
+        ['findLastActive', 7, 2],
+        ['markUndone', 10],
+        ['restore', 7, 2, 4]
+      ]);
+    });
+
+    it('should drop the pending record candidate when VALID is corrected to INVALID', async () => {
+      attempts.set(31, attemptRow('VALID'));
+      const withdrawn = [];
+      const onWithdrawn = (event) => withdrawn.push(event);
+      recordService.on('withdrawn', onWithdrawn);
+
+      try {
+        const { attempt, previous } = await correctionService.correct(31, 'INVALID', 'KIPPING', 7, 'REGISTA', 2);
+
+        expect(attempt.status).to.equal('INVALID');
+        expect(previous).to.deep.equal({ status: 'VALID', faultCode: null });
+        expect(calls).to.deep.include.members([
+          ['logResult', 'CORRECTION', 'VALID', 'INVALID', 'KIPPING', 2],
+          ['updateStatus', 31, 'INVALID', 'KIPPING'],
+          ['dropCandidate', 31]
+        ]);
+        expect(withdrawn).to.deep.equal([{ meetId: 7, attemptId: 31, candidate: null }]);
+      } finally {
+        recordService.off('withdrawn', onWithdrawn);
+      }
+    });
+
+    it('should refuse to correct an attempt of another meet', async () => {
+      attempts.set(31, attemptRow('VALID'));
+
+      try {
+        await correctionService.correct(31, 'INVALID', 'KIPPING', 8);
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+      expect(calls.filter(([name]) => name === 'logResult')).to.have.length(0);
     });
   });
 
@@ -193,6 +524,999 @@ describe('Phase 2.3 - Services', () => {
       // Lighter athlete should have higher RIS
       expect(ris1).to.be.greaterThan(ris2);
     });
+
+    it('should leave the 4th (record) attempt out of the total', async () => {
+      const originalFind = Attempt.findByRegistration;
+      Attempt.findByRegistration = async () => [
+        { attempt_no: 1, weight_kg: 100, status: 'VALID' },
+        { attempt_no: 2, weight_kg: 105, status: 'VALID' },
+        { attempt_no: 3, weight_kg: 110, status: 'INVALID' },
+        { attempt_no: 4, weight_kg: 112.5, status: 'VALID' }
+      ];
+
+      try {
+        expect(await rankingService.calculateTotal(1, 'SQ')).to.equal(105);
+      } finally {
+        Attempt.findByRegistration = originalFind;
+      }
+    });
+
+    it('should rank by points with absolute placements, optionally within one sex', async () => {
+      const originalCalculate = rankingService.calculateRankings;
+      rankingService.calculateRankings = async () => [
+        { reg_id: 1, sex: 'M', points: 20, placement: 1 },
+        { reg_id: 2, sex: 'F', points: 30, placement: 1 },
+        { reg_id: 3, sex: 'M', points: 25, placement: 1 }
+      ];
+
+      try {
+        const overall = await rankingService.getOverallRankings(1, 'SQ');
+        expect(overall.map(r => [r.reg_id, r.absolute_placement])).to.deep.equal([[2, 1], [3, 2], [1, 3]]);
+
+        const men = await rankingService.getOverallRankings(1, 'SQ', 'M');
+        expect(men.map(r => [r.reg_id, r.absolute_placement])).to.deep.equal([[3, 1], [1, 2]]);
+      } finally {
+        rankingService.calculateRankings = originalCalculate;
+      }
+    });
+
+    it('should total the best valid attempt of every lift', () => {
+      const { lifts, total, bombedOut } = rankingService.computeTotal([
+        { lift_id: 'MU', attempt_no: 1, weight_kg: 20, status: 'VALID' },
+        { lift_id: 'MU', attempt_no: 2, weight_kg: 25, status: 'INVALID' },
+        { lift_id: 'DIP', attempt_no: 1, weight_kg: 40, status: 'INVALID' },
+        { lift_id: 'DIP', attempt_no: 2, weight_kg: 40, status: 'VALID' },
+        { lift_id: 'DIP', attempt_no: 4, weight_kg: 50, status: 'VALID' }
+      ], ['MU', 'DIP', 'SQ']);
+
+      expect(lifts).to.deep.equal({ MU: 20, DIP: 40, SQ: 0 });
+      expect(total).to.equal(60);
+      expect(bombedOut).to.equal(false);
+    });
+
+    it('should bomb out after three invalid attempts in a lift', () => {
+      const { total, bombedOut } = rankingService.computeTotal([
+        { lift_id: 'MU', attempt_no: 1, weight_kg: 20, status: 'VALID' },
+        { lift_id: 'DIP', attempt_no: 1, weight_kg: 40, status: 'INVALID' },
+        { lift_id: 'DIP', attempt_no: 2, weight_kg: 40, status: 'INVALID' },
+        { lift_id: 'DIP', attempt_no: 3, weight_kg: 40, status: 'INVALID' }
+      ], ['MU', 'DIP']);
+
+      expect(total).to.equal(0);
+      expect(bombedOut).to.equal(true);
+    });
+
+    it('should rank bomb-outs last in their category without a placement', () => {
+      const ranked = rankingService.rankResults([
+        { reg_id: 1, sex: 'M', weight_cat_id: 1, age_cat_id: 1, bodyweight_kg: 70, total: 0, bombed_out: true },
+        { reg_id: 2, sex: 'M', weight_cat_id: 1, age_cat_id: 1, bodyweight_kg: 72, total: 100, bombed_out: false },
+        { reg_id: 3, sex: 'M', weight_cat_id: 1, age_cat_id: 1, bodyweight_kg: 68, total: 100, bombed_out: false },
+        { reg_id: 4, sex: 'M', weight_cat_id: 1, age_cat_id: 1, bodyweight_kg: 70, total: 0, bombed_out: false }
+      ]);
+
+      expect(ranked.map(r => [r.reg_id, r.placement])).to.deep.equal([[3, 1], [2, 2], [1, null]]);
+    });
+  });
+
+  describe('rankingController filters', () => {
+    const originals = {
+      findMeet: Meet.findById,
+      getLiftSequence: Meet.getLiftSequence,
+      findRegistration: Registration.findById,
+      getRankingsByCategory: rankingService.getRankingsByCategory,
+      projectAthlete: projectionService.projectAthlete
+    };
+    let rankingCalls;
+
+    const fakeRes = () => ({
+      body: null,
+      json(body) { this.body = body; }
+    });
+
+    // Resolves with the thrown error (asyncHandler passes it to the error middleware)
+    const rejection = async (handler, req) => {
+      try {
+        await handler(req, fakeRes());
+      } catch (error) {
+        return error;
+      }
+      expect.fail('should have thrown');
+    };
+
+    beforeEach(() => {
+      rankingCalls = [];
+      Meet.findById = async (id) => (id === 7 ? { id: 7 } : null);
+      Meet.getLiftSequence = async () => [{ id: 'MU' }, { id: 'SQ' }];
+      Registration.findById = async (id) => ({ id, meet_id: id === 5 ? 7 : 8 });
+      rankingService.getRankingsByCategory = async (...args) => {
+        rankingCalls.push(args);
+        return [];
+      };
+      projectionService.projectAthlete = async (regId, liftId) => ({ reg_id: regId, lift_id: liftId });
+    });
+
+    afterEach(() => {
+      Meet.findById = originals.findMeet;
+      Meet.getLiftSequence = originals.getLiftSequence;
+      Registration.findById = originals.findRegistration;
+      rankingService.getRankingsByCategory = originals.getRankingsByCategory;
+      projectionService.projectAthlete = originals.projectAthlete;
+    });
+
+    it('should pass parsed filters to the ranking (missing filters = null)', async () => {
+      const res = fakeRes();
+      await rankingController.getRankings({ params: { meetId: 7 }, query: { lift_id: 'SQ', weight_cat_id: '3' } }, res);
+
+      expect(rankingCalls).to.deep.equal([[7, 'SQ', null, 3, null]]);
+      expect(res.body).to.deep.equal({ success: true, count: 0, data: [] });
+    });
+
+    it('should reject a lift the meet does not have', async () => {
+      const error = await rejection(rankingController.getRankings, { params: { meetId: 7 }, query: { lift_id: 'DL' } });
+
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error.message).to.equal('lift_id must be one of: MU, SQ');
+      expect(rankingCalls).to.have.length(0);
+    });
+
+    it('should reject an unknown sex', async () => {
+      const error = await rejection(rankingController.getRankings, { params: { meetId: 7 }, query: { sex: 'X' } });
+
+      expect(error).to.be.instanceOf(ValidationError);
+      expect(error.message).to.match(/^sex must be one of: /);
+    });
+
+    it('should reject category IDs that are not positive integers', async () => {
+      for (const value of ['0', '-2', '1.5', 'abc']) {
+        const error = await rejection(rankingController.getRankings, { params: { meetId: 7 }, query: { age_cat_id: value } });
+
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.equal('age_cat_id must be a positive integer');
+      }
+    });
+
+    it('should return 404 for an unknown meet', async () => {
+      const error = await rejection(rankingController.getRankings, { params: { meetId: 9 }, query: {} });
+
+      expect(error).to.be.instanceOf(NotFoundError);
+      expect(error.statusCode).to.equal(404);
+    });
+
+    it('should return 404 for a registration of another meet', async () => {
+      const error = await rejection(rankingController.getAthleteProjection, { params: { meetId: 7, regId: 6 }, query: {} });
+
+      expect(error).to.be.instanceOf(NotFoundError);
+      expect(error.statusCode).to.equal(404);
+      expect(error.message).to.equal('Registration 6 not found in meet 7');
+    });
+
+    it('should project a registration of the meet', async () => {
+      const res = fakeRes();
+      await rankingController.getAthleteProjection({ params: { meetId: 7, regId: 5 }, query: { lift_id: 'MU' } }, res);
+
+      expect(res.body).to.deep.equal({ success: true, data: { reg_id: 5, lift_id: 'MU' } });
+    });
+  });
+
+  // ============================================
+  // SCORING SERVICE TESTS
+  // ============================================
+
+  describe('scoringService', () => {
+    it('should resolve built-in formulas by regulation code', () => {
+      expect(scoringService.resolve('WL_COEFF_2025').score(200, 75, 'M'))
+        .to.equal(rankingService.calculateRIS(200, 75, 'M'));
+      expect(scoringService.resolve('BW_RATIO').score(150, 75, 'M')).to.equal(2);
+      expect(scoringService.resolve('TOTAL').score(150, 75, 'F')).to.equal(150);
+      expect(scoringService.resolve('IPF_GL').score(600, 93, 'M')).to.equal(78.49);
+    });
+
+    it('should score with the bodyweight step of a coefficient table', () => {
+      const formula = scoringService.resolve('REG_TEST', [
+        { sex: 'M', bodyweight_kg: 0, coefficient: 1.5 },
+        { sex: 'M', bodyweight_kg: 70, coefficient: 1.2 },
+        { sex: 'M', bodyweight_kg: 80, coefficient: 1 }
+      ]);
+
+      expect(formula.code).to.equal('REG_TEST');
+      expect(formula.score(100, 69.9, 'M')).to.equal(150);
+      expect(formula.score(100, 70, 'M')).to.equal(120);
+      expect(formula.score(100, 95, 'M')).to.equal(100);
+      expect(formula.score(100, 60, 'F')).to.equal(0);
+    });
+
+    it('should fall back to the default formula for unknown codes', () => {
+      expect(scoringService.resolve('UNKNOWN_CODE').code).to.equal('RIS');
+    });
+
+    it('should load the coefficient table of the meet regulation', async () => {
+      const originalFind = Meet.findById;
+      const originalCoefficients = ScoringCoefficient.findByRegulation;
+      Meet.findById = async () => ({ id: 1, regulation_code: 'REG_TEST' });
+      ScoringCoefficient.findByRegulation = async (code) => (code === 'REG_TEST'
+        ? [{ sex: 'F', bodyweight_kg: 0, coefficient: 2 }]
+        : []);
+
+      try {
+        const formula = await scoringService.forMeet(1);
+        expect(formula.code).to.equal('REG_TEST');
+        expect(formula.score(50, 60, 'F')).to.equal(100);
+      } finally {
+        Meet.findById = originalFind;
+        ScoringCoefficient.findByRegulation = originalCoefficients;
+      }
+    });
+  });
+
+  // ============================================
+  // PROJECTION SERVICE TESTS
+  // ============================================
+
+  describe('projectionService', () => {
+    const athlete = (reg_id, bodyweight_kg) => ({ reg_id, sex: 'M', bodyweight_kg, weight_cat_id: 1, age_cat_id: 1 });
+    const attempt = (id, attempt_no, weight_kg, status) => ({ id, lift_id: 'SQ', attempt_no, weight_kg, status });
+
+    it('should project best/worst-case placements and the weight needed for each placement', () => {
+      const projections = projectionService.projectEntries([
+        projectionService.buildEntry(athlete(1, 70), [attempt(1, 1, 100, 'VALID'), attempt(2, 2, 110, 'PENDING')], ['SQ']),
+        projectionService.buildEntry(athlete(2, 75), [attempt(3, 1, 105, 'VALID'), attempt(4, 2, 107.5, 'PENDING')], ['SQ']),
+        projectionService.buildEntry(athlete(3, 80), [attempt(5, 1, 90, 'VALID')], ['SQ'])
+      ]);
+      const [first, second] = projections;
+
+      expect([first.current.placement, first.best_case.placement, first.worst_case.placement]).to.deep.equal([2, 1, 2]);
+      expect(first.next_attempt).to.include({ attempt_id: 2, weight_kg: 110 });
+      // Lighter than the leader: matching 107.5 wins, but the declared 110 cannot be lowered
+      expect(first.required).to.deep.equal([
+        { placement: 1, weight_kg: 110, secured: false },
+        { placement: 2, weight_kg: null, secured: true },
+        { placement: 3, weight_kg: null, secured: true }
+      ]);
+      // Heavier than the leader: must beat 110 by the minimum increment
+      expect(second.required[0]).to.deep.equal({ placement: 1, weight_kg: 111.25, secured: false });
+      expect(projections[2].required).to.deep.equal([]);
+    });
+
+    it('should project a bomb-out in the worst case of a last attempt', () => {
+      const [projection] = projectionService.projectEntries([
+        projectionService.buildEntry(athlete(1, 70), [
+          attempt(1, 1, 100, 'INVALID'),
+          attempt(2, 2, 100, 'INVALID'),
+          attempt(3, 3, 100, 'PENDING')
+        ], ['SQ'])
+      ]);
+
+      expect(projection.worst_case).to.deep.equal({ total: 0, placement: null, bombed_out: true });
+      expect(projection.best_case).to.deep.equal({ total: 100, placement: 1, bombed_out: false });
+      expect(projection.required).to.deep.equal([{ placement: 1, weight_kg: 100, secured: false }]);
+    });
+  });
+
+  // ============================================
+  // TEAM RANKING SERVICE TESTS
+  // ============================================
+
+  describe('teamRankingService', () => {
+    const row = (reg_id, team_id, placement) => ({ reg_id, team_id, team_name: `Team ${team_id}`, placement });
+
+    it('should count only the best scorers of each team', () => {
+      const teams = teamRankingService.scoreTeams([
+        row(1, 1, 1), row(2, 1, 4), row(3, 1, 2),
+        row(4, 2, 3), row(5, 2, null), row(6, null, 1)
+      ], { points: [12, 9, 8, 7], scorers: 2 });
+
+      expect(teams.map(t => [t.team_id, t.team_points, t.placement])).to.deep.equal([[1, 21, 1], [2, 8, 2]]);
+      expect(teams[0].scorers.map(s => [s.reg_id, s.team_points, s.counted])).to.deep.equal([
+        [1, 12, true], [3, 9, true], [2, 7, false]
+      ]);
+    });
+
+    it('should break ties on count-back and share full ties', () => {
+      const teams = teamRankingService.scoreTeams([
+        row(1, 1, 2), row(2, 1, 2),
+        row(3, 2, 1), row(4, 2, 4),
+        row(5, 3, 2), row(6, 3, 2)
+      ], { points: [10, 5, 3, 0], scorers: null });
+
+      expect(teams.map(t => [t.team_id, t.team_points, t.placement])).to.deep.equal([[2, 10, 1], [1, 10, 2], [3, 10, 2]]);
+      expect(teamRankingService.getScheme({ team_points: '5,3,1', team_scorers: 3 }))
+        .to.deep.equal({ points: [5, 3, 1], scorers: 3 });
+    });
+  });
+
+  // ============================================
+  // RECORD SERVICE TESTS
+  // ============================================
+
+  describe('recordService', () => {
+    it('should flag record attempts against records raised by pending candidates', () => {
+      const toBeat = recordService.buildRecordsToBeat(
+        [{ id: 1, weight_cat_id: 1, age_cat_id: 1, record_kg: 40 }, { id: 2, weight_cat_id: 2, age_cat_id: 1, record_kg: 50 }],
+        [{ weight_cat_id: 1, age_cat_id: 1, record_kg: 42.5 }, { weight_cat_id: 3, age_cat_id: 1, record_kg: 60 }]
+      );
+
+      expect(toBeat.get('1:1')).to.deep.equal({ record_id: 1, record_kg: 42.5, pending: true });
+      expect(toBeat.has('3:1')).to.be.false; // no record in the category: nothing to beat
+      expect(recordService.flag(42.5, toBeat.get('1:1'))).to.deep.equal({ record_attempt: false, record_kg: 42.5 });
+      expect(recordService.flag(50.5, toBeat.get('2:1'))).to.deep.equal({ record_attempt: true, record_kg: 50 });
+      expect(recordService.flag(100, toBeat.get('3:1'))).to.deep.equal({ record_attempt: false, record_kg: null });
+    });
+
+    it('should stage a VALID attempt above the record and announce it', async () => {
+      const originals = {
+        findById: Attempt.findById,
+        findRegistration: Registration.findById,
+        findByLift: Record.findByLift,
+        findPendingByLift: RecordCandidate.findPendingByLift,
+        stage: RecordCandidate.stage,
+        findByAttempt: RecordCandidate.findByAttempt
+      };
+      const staged = [];
+      const broken = [];
+      const onBroken = (event) => broken.push(event);
+
+      Attempt.findById = async (id) => ({ id, reg_id: 3, lift_id: 'MU', attempt_no: 2, weight_kg: 45, status: 'VALID' });
+      Registration.findById = async (id) => ({ id, meet_id: 1, weight_cat_id: 1, age_cat_id: 2, bodyweight_kg: 74.2 });
+      Record.findByLift = async () => [{ id: 9, weight_cat_id: 1, age_cat_id: 2, record_kg: 42.5 }];
+      RecordCandidate.findPendingByLift = async () => [];
+      RecordCandidate.stage = async (data) => { staged.push(data); };
+      RecordCandidate.findByAttempt = async () => ({ ...staged[0], id: 1, status: 'PENDING' });
+      recordService.on('broken', onBroken);
+
+      try {
+        const candidate = await recordService.checkResult(7);
+
+        expect(staged[0]).to.include({ meet_id: 1, attempt_id: 7, lift_id: 'MU', record_kg: 45, previous_kg: 42.5 });
+        expect(candidate.status).to.equal('PENDING');
+        expect(broken).to.have.length(1);
+        expect(broken[0]).to.include({ meetId: 1, attemptId: 7 });
+      } finally {
+        Attempt.findById = originals.findById;
+        Registration.findById = originals.findRegistration;
+        Record.findByLift = originals.findByLift;
+        RecordCandidate.findPendingByLift = originals.findPendingByLift;
+        RecordCandidate.stage = originals.stage;
+        RecordCandidate.findByAttempt = originals.findByAttempt;
+        recordService.off('broken', onBroken);
+      }
+    });
+  });
+
+  // ============================================
+  // FLIGHT BUILDER SERVICE TESTS
+  // ============================================
+  
+  describe('flightBuilderService', () => {
+    const reg = (id, sex, catId, catOrd, opener, bodyweight) => ({
+      id,
+      sex,
+      weight_cat_id: catId,
+      weight_cat_name: `${sex} cat ${catId}`,
+      weight_cat_ord: catOrd,
+      opener_kg: opener,
+      bodyweight_kg: bodyweight
+    });
+
+    it('should group by weight class (men first, lightest class first)', () => {
+      const plan = flightBuilderService.buildPlan([
+        reg(1, 'F', 4, 1, 20, 60),
+        reg(2, 'M', 2, 2, 40, 78),
+        reg(3, 'M', 1, 1, 35, 72)
+      ], { maxGroupSize: 8 });
+
+      const groups = plan[0].groups;
+      expect(groups).to.have.length(3);
+      expect(groups.map(g => g.entries[0].reg_id)).to.deep.equal([3, 2, 1]);
+    });
+
+    it('should sort by opener, then heavier bodyweight first', () => {
+      const plan = flightBuilderService.buildPlan([
+        reg(1, 'M', 1, 1, 40, 70),
+        reg(2, 'M', 1, 1, null, 70),
+        reg(3, 'M', 1, 1, 30, 70),
+        reg(4, 'M', 1, 1, 40, 72)
+      ], { maxGroupSize: 8 });
+
+      const entries = plan[0].groups[0].entries;
+      expect(entries.map(e => e.reg_id)).to.deep.equal([3, 4, 1, 2]);
+      expect(entries.map(e => e.start_ord)).to.deep.equal([1, 2, 3, 4]);
+    });
+
+    it('should split a class into balanced groups and pack flights', () => {
+      const regs = Array.from({ length: 10 }, (_, i) => reg(i + 1, 'M', 1, 1, 20 + i, 70));
+      const plan = flightBuilderService.buildPlan(regs, { maxGroupSize: 4, maxGroupsPerFlight: 2 });
+
+      expect(plan).to.have.length(2);
+      expect(plan[0].name).to.equal('Flight A');
+      expect(plan[0].groups.map(g => g.entries.length)).to.deep.equal([4, 3]);
+      expect(plan[1].groups.map(g => g.entries.length)).to.deep.equal([3]);
+      expect(plan[1].groups[0].ord).to.equal(1);
+    });
+
+    it('should reject an invalid max group size', () => {
+      expect(() => flightBuilderService.buildPlan([], { maxGroupSize: 0 })).to.throw('maxGroupSize');
+    });
+
+    it('should reject an invalid max groups per flight (no endless packing loop)', () => {
+      const regs = [reg(1, 'M', 1, 1, 20, 70)];
+      for (const maxGroupsPerFlight of [0, -1, 1.5, '2']) {
+        expect(() => flightBuilderService.buildPlan(regs, { maxGroupSize: 4, maxGroupsPerFlight })).to.throw('maxGroupsPerFlight');
+      }
+      expect(flightBuilderService.buildPlan(regs, { maxGroupSize: 4, maxGroupsPerFlight: null })).to.have.length(1);
+    });
+  });
+
+  // ============================================
+  // CSV EXPORT
+  // ============================================
+  
+  describe('CSV export', () => {
+    it('should quote cells with separators and quotes', () => {
+      expect(escapeCSV('Rossi, Ivan')).to.equal('"Rossi, Ivan"');
+      expect(escapeCSV('say "hi"')).to.equal('"say ""hi"""');
+      expect(escapeCSV(null)).to.equal('');
+      expect(toCSV(['a', 'b'], [[1, 'x;y']])).to.equal('a,b\r\n1,"x;y"\r\n');
+    });
+
+    it('should neutralize cells that start like a formula', () => {
+      expect(escapeCSV('=HYPERLINK("http://x")')).to.equal(`"'=HYPERLINK(""http://x"")"`);
+      expect(escapeCSV('+39 333')).to.equal("'+39 333");
+      expect(escapeCSV('-1+1')).to.equal("'-1+1");
+      expect(escapeCSV('@SUM(A1)')).to.equal("'@SUM(A1)");
+      expect(escapeCSV(-2.5)).to.equal('-2.5');
+    });
+  });
+
+  // ============================================
+  // AUTH TESTS
+  // ============================================
+  
+  describe('auth', () => {
+    const meet = { id: 7, federation_id: 3 };
+
+    it('should sign and verify tokens of every scope', () => {
+      const token = signToken({ type: TOKEN_TYPES.REGISTA, federationId: 3, meetId: 7 });
+      const decoded = verifyToken(token);
+      expect(decoded.type).to.equal('regista');
+      expect(decoded.meetId).to.equal(7);
+    });
+
+    it('should reject unknown token types', () => {
+      expect(() => signToken({ type: 'admin' })).to.throw('Invalid token type');
+    });
+
+    it('should let only the owning federation access a meet', () => {
+      expect(canAccessMeet({ type: TOKEN_TYPES.FEDERATION, federationId: 3 }, meet)).to.be.true;
+      expect(canAccessMeet({ type: TOKEN_TYPES.FEDERATION, federationId: 4 }, meet)).to.be.false;
+      expect(canAccessMeet({ type: TOKEN_TYPES.FEDERATION, federationId: 3 }, { id: 8, federation_id: null })).to.be.false;
+    });
+
+    it('should bind regista and judge tokens to their meet', () => {
+      expect(canAccessMeet({ type: TOKEN_TYPES.REGISTA, meetId: 7 }, meet)).to.be.true;
+      expect(canAccessMeet({ type: TOKEN_TYPES.JUDGE, meetId: 8 }, meet)).to.be.false;
+    });
+  });
+
+  // ============================================
+  // SOCKET SERVICE
+  // ============================================
+  
+  describe('socketService', () => {
+    const originalIo = socketService.io;
+    const broadcasts = [];
+
+    const fakeSocket = (data = {}, handshakeAuth = {}) => {
+      const emitted = [];
+      return {
+        id: 'test-socket',
+        data,
+        handshake: { auth: handshakeAuth },
+        emitted,
+        emit: (event, payload) => emitted.push([event, payload]),
+        join: () => {}
+      };
+    };
+
+    before(() => {
+      socketService.io = { to: (room) => ({ emit: (event, payload) => broadcasts.push([room, event, payload]) }) };
+    });
+
+    after(() => {
+      socketService.io = originalIo;
+    });
+
+    beforeEach(() => {
+      broadcasts.length = 0;
+    });
+
+    describe('handshake', () => {
+      const originalFindJudge = Judge.findById;
+      const judgeToken = (claims = {}) => signToken({
+        type: TOKEN_TYPES.JUDGE, judgeId: 3, meetId: 7, role: 'LEFT', platformNo: 2, ...claims
+      });
+
+      // Resolves with the error passed to next() (undefined when accepted)
+      const handshake = (socket) => new Promise((resolve) => {
+        socketService._authenticateHandshake(socket, resolve);
+      });
+
+      beforeEach(() => {
+        Judge.findById = async (id) => ({ id, meet_id: 7, platform_no: 2 });
+      });
+
+      afterEach(() => {
+        Judge.findById = originalFindJudge;
+      });
+
+      it('should accept a socket without token as anonymous', async () => {
+        const socket = fakeSocket();
+        const error = await handshake(socket);
+
+        expect(error).to.be.undefined;
+        expect(socket.data.auth).to.be.null;
+      });
+
+      it('should reject an invalid token', async () => {
+        const socket = fakeSocket({}, { token: 'not-a-jwt' });
+        const error = await handshake(socket);
+
+        expect(error).to.be.instanceOf(Error);
+        expect(error.message).to.match(/^Invalid token: /);
+        expect(socket.data.auth).to.be.null;
+      });
+
+      it('should reject a judge token of a judge no longer in the meet', async () => {
+        Judge.findById = async (id) => ({ id, meet_id: 8, platform_no: 2 });
+        const socket = fakeSocket({}, { token: judgeToken() });
+        const error = await handshake(socket);
+
+        expect(error.message).to.equal('Judge no longer assigned to this meet');
+        expect(socket.data.auth).to.be.null;
+      });
+
+      it('should reject a judge token of a judge moved to another platform', async () => {
+        Judge.findById = async (id) => ({ id, meet_id: 7, platform_no: 1 });
+        const error = await handshake(fakeSocket({}, { token: judgeToken() }));
+
+        expect(error.message).to.equal('Judge moved to another platform');
+      });
+
+      it('should take the judge identity from the token, not from the join payload', async () => {
+        const originalSnapshot = socketService._sendSnapshot;
+        socketService._sendSnapshot = () => {};
+
+        try {
+          const socket = fakeSocket({}, { token: judgeToken() });
+          expect(await handshake(socket)).to.be.undefined;
+
+          socketService._handleJoinJudge(socket, { meetId: 99, judgeId: 1, role: 'HEAD', platformNo: 1 });
+
+          expect(socket.data).to.include({ judgeId: 3, judgeRole: 'LEFT', meetId: 7, platformNo: 2 });
+          expect(socket.emitted).to.deep.equal([
+            ['join:confirmed', { meetId: 7, platformNo: 2, judgeId: 3, role: 'LEFT' }]
+          ]);
+        } finally {
+          socketService._sendSnapshot = originalSnapshot;
+        }
+      });
+
+      it('should refuse a judge join without a judge token', () => {
+        const socket = fakeSocket({ auth: null });
+        socketService._handleJoinJudge(socket, { meetId: 7, judgeId: 3, role: 'HEAD' });
+
+        expect(socket.emitted).to.deep.equal([['error', { message: 'Judge token required' }]]);
+        expect(socket.data.judgeRole).to.be.undefined;
+      });
+    });
+
+    describe('judge:allowChange', () => {
+      const judgeData = () => ({
+        auth: { type: TOKEN_TYPES.JUDGE, judgeId: 1, meetId: 7, role: 'HEAD', platformNo: 2 },
+        judgeRole: 'HEAD',
+        meetId: 7,
+        platformNo: 2
+      });
+
+      it('should require a judge that joined a platform', async () => {
+        const socket = fakeSocket({ auth: judgeData().auth });
+        await socketService._handleAllowVoteChange(socket, { attemptId: 42, judgeRole: 'LEFT' });
+
+        expect(socket.emitted).to.deep.equal([['error', { message: 'Not authenticated as judge' }]]);
+        expect(broadcasts).to.have.length(0);
+      });
+
+      it('should only open a change window on the current attempt of the platform', async () => {
+        const originalAssert = validationService.assertVoteAllowed;
+        validationService.assertVoteAllowed = async (attemptId) => {
+          throw new VoteRejectedError('NOT_CURRENT_ATTEMPT', `Attempt ${attemptId} is not the current attempt`);
+        };
+
+        try {
+          const socket = fakeSocket(judgeData());
+          await socketService._handleAllowVoteChange(socket, { attemptId: 41, judgeRole: 'LEFT' });
+
+          expect(socket.emitted).to.deep.equal([['error', { message: 'Attempt 41 is not the current attempt' }]]);
+          expect(broadcasts).to.have.length(0);
+        } finally {
+          validationService.assertVoteAllowed = originalAssert;
+        }
+      });
+
+      it('should key the change window by the numeric attempt ID', async () => {
+        const originalAssert = validationService.assertVoteAllowed;
+        const originalAllow = validationService.allowVoteChange;
+        const checked = [];
+        const allowed = [];
+        validationService.assertVoteAllowed = async (attemptId, meetId, platformNo) => {
+          checked.push([attemptId, meetId, platformNo]);
+          return { id: attemptId };
+        };
+        validationService.allowVoteChange = (attemptId, judgeRole, authorizedBy) => {
+          allowed.push([attemptId, judgeRole, authorizedBy]);
+          return 1000;
+        };
+
+        try {
+          await socketService._handleAllowVoteChange(fakeSocket(judgeData()), { attemptId: '42', judgeRole: 'LEFT' });
+
+          expect(checked).to.deep.equal([[42, 7, 2]]);
+          expect(allowed).to.deep.equal([[42, 'LEFT', 'HEAD']]);
+          expect(broadcasts.map(([room]) => room)).to.deep.equal(['judges_7_2', 'regista_7_2']);
+          expect(broadcasts[0][2]).to.deep.equal({ attemptId: 42, judgeRole: 'LEFT', expiresAt: 1000 });
+        } finally {
+          validationService.assertVoteAllowed = originalAssert;
+          validationService.allowVoteChange = originalAllow;
+        }
+      });
+    });
+  });
+
+  // ============================================
+  // TIMER SERVICE
+  // ============================================
+  
+  describe('timerService', () => {
+    const start = '2025-06-01T10:00:00.000Z';
+    const t0 = new Date(start).getTime();
+
+    it('should count down a running clock from the persisted start', () => {
+      const state = { timer_status: 'RUNNING', timer_start: start, timer_remaining: 60000 };
+      expect(timerService.computeRemainingMs(state, t0 + 15500)).to.equal(44500);
+    });
+
+    it('should never go below zero', () => {
+      const state = { timer_status: 'RUNNING', timer_start: start, timer_remaining: 60000 };
+      expect(timerService.computeRemainingMs(state, t0 + 90000)).to.equal(0);
+    });
+
+    it('should freeze remaining time while paused', () => {
+      const state = { timer_status: 'PAUSED', timer_start: null, timer_remaining: 23000 };
+      expect(timerService.computeRemainingMs(state, t0 + 999999)).to.equal(23000);
+    });
+
+    it('should report no time for stopped clocks and zero for expired ones', () => {
+      expect(timerService.computeRemainingMs({ timer_status: 'STOPPED' }, t0)).to.be.null;
+      expect(timerService.computeRemainingMs({ timer_status: 'EXPIRED' }, t0)).to.equal(0);
+      expect(timerService.computeRemainingMs(null, t0)).to.be.null;
+    });
+
+    it('should build the snapshot sent to clients', () => {
+      const state = {
+        meet_id: 4, platform_no: 2, timer_status: 'RUNNING', timer_kind: 'DECLARATION',
+        timer_seconds: 60, timer_start: start, timer_remaining: 60000
+      };
+      expect(timerService.buildSnapshot(state, t0 + 1000)).to.deep.equal({
+        meetId: 4, platformNo: 2, status: 'RUNNING', kind: 'DECLARATION',
+        durationSeconds: 60, remainingMs: 59000, serverTime: t0 + 1000
+      });
+    });
+  });
+
+  // ============================================
+  // DECLARATION SERVICE
+  // ============================================
+  
+  describe('declarationService', () => {
+    const rule = { VALID: 2.5, INVALID: 0 };
+
+    it('should default to previous weight + increment after a VALID attempt', () => {
+      expect(declarationService.computeDefaultWeight({ weight_kg: 100, status: 'VALID' }, rule)).to.equal(102.5);
+    });
+
+    it('should default to the same weight after an INVALID attempt', () => {
+      expect(declarationService.computeDefaultWeight({ weight_kg: 100, status: 'INVALID' }, rule)).to.equal(100);
+    });
+
+    it('should have no default weight without a previous result', () => {
+      expect(declarationService.computeDefaultWeight(null, rule)).to.be.null;
+      expect(declarationService.computeDefaultWeight({ weight_kg: 100, status: 'PENDING' }, rule)).to.be.null;
+    });
+
+    it('should keep retrying a default that failed', async () => {
+      const originalFind = Attempt.findSpecificAttempt;
+      const declaration = { id: 999, reg_id: 3, lift_id: 'MU', attempt_no: 2, deadline_at: '2025-06-01T10:01:00.000Z' };
+      Attempt.findSpecificAttempt = async () => { throw new Error('database is locked'); };
+
+      try {
+        await declarationService._expire(declaration);
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('database is locked');
+        expect(declarationService.timeouts.has(999)).to.be.true;
+      } finally {
+        Attempt.findSpecificAttempt = originalFind;
+        clearTimeout(declarationService.timeouts.get(999));
+        declarationService.timeouts.delete(999);
+      }
+    });
+
+    it('should report remaining time only while the window is open', () => {
+      const declaration = {
+        id: 1, meet_id: 2, reg_id: 3, lift_id: 'MU', attempt_no: 2,
+        athlete_first_name: 'Ivan', athlete_last_name: 'Rossi',
+        status: 'PENDING', weight_kg: null, deadline_at: '2025-06-01T10:01:00.000Z'
+      };
+      const now = new Date('2025-06-01T10:00:20.000Z').getTime();
+
+      expect(declarationService.toPayload(declaration, now)).to.include({
+        athlete: 'Ivan Rossi', attemptNo: 2, status: 'PENDING', remainingMs: 40000
+      });
+      expect(declarationService.toPayload({ ...declaration, status: 'DECLARED' }, now).remainingMs).to.equal(0);
+    });
+  });
+
+  // ============================================
+  // ATTEMPT RULES
+  // ============================================
+  
+  describe('attemptRulesService', () => {
+    const first = { attempt_no: 1, weight_kg: 100, status: 'VALID' };
+    const second = { reg_id: 1, lift_id: 'SQ', attempt_no: 2, weight_kg: 105, status: 'PENDING', weight_changes: 0 };
+    const change = (weightKg, overrides = {}) => attemptRulesService.evaluate({
+      liftId: 'SQ', attemptNo: 2, weightKg, attempt: second, previousAttempts: [first], maxChanges: 2, ...overrides
+    });
+
+    it('should allow a valid declaration and a raise', () => {
+      expect(change(107.5, { attempt: null })).to.be.null;
+      expect(change(110)).to.be.null;
+    });
+
+    it('should forbid lowering the declared weight', () => {
+      expect(change(102.5).rule).to.equal('BELOW_DECLARED_WEIGHT');
+    });
+
+    it('should forbid declaring below a weight already lifted', () => {
+      const violation = change(95, { attempt: null });
+      expect(violation.rule).to.equal('BELOW_PREVIOUS_SUCCESS');
+      expect(violation.details.bestKg).to.equal(100);
+    });
+
+    it('should enforce minimum increments', () => {
+      expect(change(100.5, { attempt: null }).rule).to.equal('INVALID_INCREMENT');
+    });
+
+    it('should limit the number of changes', () => {
+      expect(change(110, { attempt: { ...second, weight_changes: 2 } }).rule).to.equal('MAX_CHANGES_EXCEEDED');
+    });
+
+    it('should forbid changes once the athlete is called or the attempt is judged', () => {
+      expect(change(110, { isCalled: true }).rule).to.equal('ATHLETE_CALLED');
+      expect(change(110, { attempt: { ...second, status: 'INVALID' } }).rule).to.equal('ATTEMPT_FINALIZED');
+    });
+
+    it('should detect the athlete on the platform', () => {
+      expect(attemptRulesService.isCalled(second, { current_reg_id: 1, current_lift_id: 'SQ', current_round: 2 })).to.be.true;
+      expect(attemptRulesService.isCalled(second, { current_reg_id: 1, current_lift_id: 'SQ', current_round: 1 })).to.be.false;
+    });
+  });
+
+  // ============================================
+  // STATE MACHINE PROGRESSION
+  // ============================================
+  
+  describe('stateMachine.resolveNextSegment', () => {
+    const lifts = [{ id: 'MU' }, { id: 'PU' }, { id: 'DIP' }, { id: 'SQ' }];
+    const flights = [{ id: 10 }, { id: 11 }];
+
+    it('should move to the next lift of the sequence in the same flight', () => {
+      expect(stateMachine.resolveNextSegment(lifts, flights, 'PU', 10))
+        .to.deep.equal({ type: 'LIFT', flightId: 10, liftId: 'DIP' });
+    });
+
+    it('should start the next flight from the first lift after the last lift', () => {
+      expect(stateMachine.resolveNextSegment(lifts, flights, 'SQ', 10))
+        .to.deep.equal({ type: 'FLIGHT', flightId: 11, liftId: 'MU' });
+    });
+
+    it('should end the meet after the last lift of the last flight', () => {
+      expect(stateMachine.resolveNextSegment(lifts, flights, 'SQ', 11)).to.be.null;
+    });
+  });
+
+  describe('stateMachine.forPlatform', () => {
+    it('should keep one state machine per meet and platform', () => {
+      const first = stateMachine.forPlatform(1, 1);
+
+      expect(stateMachine.forPlatform(1)).to.equal(first);
+      expect(stateMachine.forPlatform(1, 2)).to.not.equal(first);
+      expect(stateMachine.forPlatform(2, 1)).to.not.equal(first);
+      expect(stateMachine.forPlatform(1, 2)).to.include({ meetId: 1, platformNo: 2 });
+    });
+
+    it('should refuse a weight change on an attempt of another meet', async () => {
+      const originalFindAttempt = Attempt.findById;
+      const originalFindRegistration = Registration.findById;
+      Attempt.findById = async (id) => ({ id, reg_id: 4, lift_id: 'MU', attempt_no: 1, weight_kg: 40, status: 'PENDING' });
+      Registration.findById = async (id) => ({ id, meet_id: 2 });
+
+      try {
+        let error = null;
+        try {
+          await stateMachine.updateAttemptWeight(9, 42.5, 1);
+        } catch (err) {
+          error = err;
+        }
+        expect(error?.statusCode).to.equal(403);
+        expect(error.message).to.equal('Attempt 9 is not in meet 1');
+      } finally {
+        Attempt.findById = originalFindAttempt;
+        Registration.findById = originalFindRegistration;
+      }
+    });
+  });
+
+  describe('stateMachine lifting order', () => {
+    const originalQuery = Flight.getGroupEntriesWithAttempt;
+    let queries = 0;
+    const entries = [
+      { reg_id: 1, bodyweight_kg: 70, attempt_status: 'PENDING', declared_weight: 105 },
+      { reg_id: 2, bodyweight_kg: 80, attempt_status: 'PENDING', declared_weight: 100 },
+      { reg_id: 3, bodyweight_kg: 90, attempt_status: 'PENDING', declared_weight: 100 },
+      { reg_id: 4, bodyweight_kg: 75, attempt_status: 'VALID', declared_weight: 95 },
+      { reg_id: 5, bodyweight_kg: 65, attempt_status: null, declared_weight: null }
+    ];
+
+    before(() => {
+      Flight.getGroupEntriesWithAttempt = async () => {
+        queries++;
+        return entries;
+      };
+    });
+
+    after(() => {
+      Flight.getGroupEntriesWithAttempt = originalQuery;
+      stateMachine.invalidateOrder();
+    });
+
+    it('should order by declared weight, then heavier athlete first', () => {
+      const order = stateMachine.buildOrder(entries);
+      expect(order.map(a => a.reg_id)).to.deep.equal([3, 2, 1]);
+      expect(order[0].declaredWeight).to.equal(100);
+    });
+
+    it('should break ties by previous round order, then bodyweight, then lot number', () => {
+      const tied = [
+        { reg_id: 1, bodyweight_kg: 80, lot_number: 3, attempt_no: 2, declared_weight: 100, previous_lifted_at: '2026-05-01T10:02:00.000Z' },
+        { reg_id: 2, bodyweight_kg: 80, lot_number: 1, attempt_no: 2, declared_weight: 100, previous_lifted_at: '2026-05-01T10:01:00.000Z' },
+        { reg_id: 3, bodyweight_kg: 90, lot_number: 2, attempt_no: 2, declared_weight: 100, previous_lifted_at: null }
+      ];
+
+      const order = (tieBreaks) => stateMachine.buildOrder(tied, tieBreaks).map(a => a.reg_id);
+      expect(order(['PREVIOUS_ORDER', 'BODYWEIGHT', 'LOT'])).to.deep.equal([2, 1, 3]);
+      expect(order(['BODYWEIGHT', 'LOT'])).to.deep.equal([3, 2, 1]);
+      expect(order(['LOT'])).to.deep.equal([2, 3, 1]);
+    });
+
+    it('should load a group once and reuse the order until invalidated', async () => {
+      stateMachine.invalidateOrder();
+      await stateMachine.getUpcomingOrder(1, 'SQ', 2);
+      await stateMachine.getUpcomingOrder(1, 'SQ', 2);
+      expect(queries).to.equal(1);
+
+      stateMachine.invalidateOrder();
+      await stateMachine.getUpcomingOrder(1, 'SQ', 2);
+      expect(queries).to.equal(2);
+    });
+  });
+
+  describe('registrationService.assignLots', () => {
+    it('should draw each lot number 1..N exactly once', () => {
+      const lots = registrationService.assignLots([11, 12, 13, 14]);
+      expect(lots.map(l => l.regId)).to.deep.equal([11, 12, 13, 14]);
+      expect(lots.map(l => l.lotNumber).sort()).to.deep.equal([1, 2, 3, 4]);
+    });
+
+    it('should use the random source for the permutation', () => {
+      // random() = 0 always swaps with the first position
+      const lots = registrationService.assignLots([11, 12, 13], () => 0);
+      expect(lots.map(l => l.lotNumber)).to.deep.equal([2, 3, 1]);
+    });
+  });
+
+  describe('registrationService openers', () => {
+    it('should change a declared opener through the weight change rules', async () => {
+      const originals = {
+        find: Attempt.findSpecificAttempt,
+        setOpener: Registration.setOpener,
+        update: stateMachine.updateAttemptWeight
+      };
+      const changes = [];
+      const openers = [];
+      Attempt.findSpecificAttempt = async (regId, liftId) => (
+        { id: liftId === 'MU' ? 21 : 22, weight_kg: 40, status: 'PENDING' }
+      );
+      Registration.setOpener = async (regId, liftId, weightKg) => { openers.push([liftId, weightKg]); };
+      stateMachine.updateAttemptWeight = async (attemptId, weightKg, meetId, actor) => {
+        changes.push([attemptId, weightKg, actor]);
+        if (weightKg < 40) {
+          throw new AttemptChangeRejectedError('BELOW_DECLARED_WEIGHT', 'Cannot lower the declared weight');
+        }
+      };
+
+      try {
+        await registrationService._saveOpeners(3, { MU: 42.5, PU: 40 }, 'FEDERATION');
+        // Unchanged opener: not a weight change
+        expect(changes).to.deep.equal([[21, 42.5, 'FEDERATION']]);
+        expect(openers).to.deep.equal([['MU', 42.5], ['PU', 40]]);
+
+        openers.length = 0;
+        try {
+          await registrationService._saveOpeners(3, { MU: 37.5 }, 'FEDERATION');
+          expect.fail('should have thrown');
+        } catch (error) {
+          expect(error.rule).to.equal('BELOW_DECLARED_WEIGHT');
+        }
+        expect(openers).to.have.length(0);
+      } finally {
+        Attempt.findSpecificAttempt = originals.find;
+        Registration.setOpener = originals.setOpener;
+        stateMachine.updateAttemptWeight = originals.update;
+      }
+    });
+  });
+
+  describe('journalService.reduce', () => {
+    const event = (type, payload, at = '2025-06-01T10:00:00.000Z') => ({ type, payload, created_at: at });
+    const position = {
+      platform_no: 1, current_flight_id: 1, current_group_id: 2, current_lift_id: 'MU', current_round: 1, current_reg_id: 5
+    };
+
+    it('should rebuild attempts from declarations, changes and results', () => {
+      const { attempts, skipped } = journalService.reduce([
+        event('ATTEMPT_DECLARED', { attemptId: 7, regId: 5, liftId: 'MU', attemptNo: 1, weightKg: 10 }),
+        event('WEIGHT_CHANGED', { attemptId: 7, weightKg: 12.5 }),
+        event('VOTE', { attemptId: 7, judgeRole: 'HEAD', vote: 'RED', faultCode: 'KIPPING' }),
+        event('RESULT', { attemptId: 7, status: 'INVALID', faultCode: 'KIPPING' }, '2025-06-01T10:01:00.000Z'),
+        event('RESULT_CORRECTED', { attemptId: 7, status: 'VALID', faultCode: null }, '2025-06-01T10:02:00.000Z'),
+        event('RESULT', { attemptId: 99, status: 'VALID', faultCode: null })
+      ]);
+
+      expect(skipped).to.equal(1);
+      expect(attempts).to.deep.equal([{
+        id: 7, reg_id: 5, lift_id: 'MU', attempt_no: 1, weight_kg: 12.5, status: 'VALID',
+        fault_code: null, weight_changes: 1, lifted_at: '2025-06-01T10:01:00.000Z'
+      }]);
+    });
+
+    it('should keep the last position and clock of each platform', () => {
+      const second = { ...position, platform_no: 2, current_flight_id: 3, current_group_id: 4, current_reg_id: 9 };
+      const { platforms } = journalService.reduce([
+        event('STATE_INITIALIZED', { ...position, current_reg_id: 4 }),
+        event('STATE_INITIALIZED', second),
+        event('NEXT', position),
+        event('TIMER', {
+          meetId: 1, platformNo: 1, status: 'PAUSED', kind: 'ATTEMPT', durationSeconds: 60, remainingMs: 31000, serverTime: 0
+        })
+      ]);
+
+      expect(platforms.map(p => p.platform_no)).to.deep.equal([1, 2]);
+      expect(platforms[0].position).to.deep.equal(position);
+      expect(platforms[0].timer).to.deep.equal({
+        timer_status: 'PAUSED', timer_kind: 'ATTEMPT', timer_seconds: 60, timer_remaining: 31000, timer_start: null
+      });
+      expect(platforms[1].position).to.deep.equal(second);
+      expect(platforms[1].timer.timer_status).to.equal('STOPPED');
+    });
   });
 
   // ============================================